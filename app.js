@@ -0,0 +1,67 @@
+/**
+ * Express app factory. Builds the app without connecting to MongoDB,
+ * listening on a port or starting background jobs (see server.js for that).
+ */
+const express = require('express');
+const cors = require('cors');
+const { createDependencies } = require('./lib/dependencies');
+const { notFoundHandler, errorHandler } = require('./lib/errors');
+const { requestLogger } = require('./lib/logger');
+const { validate } = require('./lib/validation');
+const { buildOpenApiSpec } = require('./lib/openapi');
+const { version } = require('./package.json');
+const createAuthRouter = require('./routes/auth');
+const createOnboardingRouter = require('./routes/onboarding');
+const createUserRouter = require('./routes/user');
+const createScanRouter = require('./routes/scan');
+const createTrainingRouter = require('./routes/training');
+const createNutritionRouter = require('./routes/nutrition');
+const createLeaderboardRouter = require('./routes/leaderboard');
+const createAdminRouter = require('./routes/admin');
+const createPushRouter = require('./routes/push');
+
+/**
+ * `deps` comes from createDependencies(); pass your own to swap models, OpenAI, mailer or clock.
+ */
+const createApp = (deps = createDependencies()) => {
+  const app = express();
+
+  // Behind a hosting proxy, req.ip must be the client address (used for rate limiting)
+  const { trustProxy } = deps.config;
+  if (trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+  }
+
+  app.use(requestLogger);
+  app.use(cors());
+  app.use(express.json({ limit: '50mb' }));
+
+  app.get('/health', validate(), (req, res) => {
+    res.json({ status: 'healthy', service: 'Mog.ai Backend', version: '2.0' });
+  });
+
+  app.use(createAuthRouter(deps));
+  app.use(createOnboardingRouter(deps));
+  app.use(createUserRouter(deps));
+  app.use(createScanRouter(deps));
+  app.use(createTrainingRouter(deps));
+  app.use(createNutritionRouter(deps));
+  app.use(createLeaderboardRouter(deps));
+  app.use(createAdminRouter(deps));
+  app.use(createPushRouter(deps));
+
+  // Generated from the routes above, so it is built on first request once everything is mounted
+  let openApiSpec = null;
+  app.get('/api/docs/openapi.json', validate(), (req, res) => {
+    openApiSpec = openApiSpec || buildOpenApiSpec(app, { version });
+    res.json(openApiSpec);
+  });
+
+  // Unknown routes and thrown errors share the JSON error envelope (lib/errors.js)
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,128 @@
+// Account deletion with a grace period, cascading data removal and receipts
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+const isDeletionPending = (user) => !!user?.deletion?.scheduledFor;
+
+/**
+ * Deletion scheduling and purging against the injected models
+ */
+const createAccountDeletion = ({ models, clock, services }) => {
+  const { User, Onboarding, Scan, WorkoutPlan, NutritionLog, Leaderboard, Session, RefreshToken, DeletionReceipt, AuditLog, Job } = models;
+  const { revokeOtherSessions } = services.sessions;
+  const { removeUserExports } = services.dataExports;
+
+  /**
+   * Schedule a user's account for deletion after the grace period.
+   * Hides them from the leaderboard and signs out every device right away.
+   */
+  const scheduleAccountDeletion = async (user) => {
+    if (isDeletionPending(user)) {
+      return DeletionReceipt.findOne({ receiptId: user.deletion.receiptId });
+    }
+
+    const now = clock.now();
+    const receipt = await DeletionReceipt.create({
+      receiptId: `del_${crypto.randomBytes(12).toString('hex')}`,
+      userId: user.userId,
+      requestedAt: now,
+      scheduledFor: new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000),
+    });
+
+    user.deletion = { receiptId: receipt.receiptId, requestedAt: now, scheduledFor: receipt.scheduledFor };
+    await user.save();
+
+    await Leaderboard.deleteOne({ userId: user.userId });
+    await revokeOtherSessions(user.userId, null, 'account_deletion');
+
+    return receipt;
+  };
+
+  /**
+   * Undo a pending deletion during the grace period
+   */
+  const cancelAccountDeletion = async (user) => {
+    if (!isDeletionPending(user)) return null;
+
+    const receipt = await DeletionReceipt.findOneAndUpdate(
+      { receiptId: user.deletion.receiptId, status: 'pending' },
+      { status: 'cancelled', cancelledAt: clock.now() },
+      { new: true }
+    );
+
+    user.deletion = undefined;
+    await user.save();
+    return receipt;
+  };
+
+  /**
+   * Remove everything stored for a user. Scan photos are stored inline on Scan documents, so
+   * deleting the scans removes them. Export archives are deleted from disk. Jobs about the user are
+   * deleted and their audit entries keep only the actor id. (The exercise image cache is keyed by
+   * exercise, not user.)
+   */
+  const purgeUserData = async (userId) => {
+    const dataExports = await removeUserExports(userId);
+    const [onboarding, scans, workoutPlans, nutritionLogs, leaderboardEntries, sessions, refreshTokens, jobs, auditEntries, users] = await Promise.all([
+      Onboarding.deleteMany({ userId }),
+      Scan.deleteMany({ userId }),
+      WorkoutPlan.deleteMany({ userId }),
+      NutritionLog.deleteMany({ userId }),
+      Leaderboard.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      RefreshToken.deleteMany({ userId }),
+      Job.deleteMany({ 'payload.userId': userId }),
+      AuditLog.updateMany({ actorId: userId }, { $unset: { actorEmail: 1, ip: 1 } }),
+      User.deleteMany({ userId }),
+    ]);
+
+    return {
+      user: users.deletedCount,
+      onboarding: onboarding.deletedCount,
+      scans: scans.deletedCount,
+      workoutPlans: workoutPlans.deletedCount,
+      nutritionLogs: nutritionLogs.deletedCount,
+      leaderboardEntries: leaderboardEntries.deletedCount,
+      sessions: sessions.deletedCount,
+      refreshTokens: refreshTokens.deletedCount,
+      jobs: jobs.deletedCount,
+      auditEntries: auditEntries.modifiedCount,
+      dataExports,
+    };
+  };
+
+  /**
+   * Purge every account whose grace period has ended. Returns the completed receipts.
+   */
+  const purgeDueAccounts = async (now = clock.now()) => {
+    const dueUsers = await User.find({ 'deletion.scheduledFor': { $lte: now } });
+    const completed = [];
+
+    for (const user of dueUsers) {
+      try {
+        const deletedCounts = await purgeUserData(user.userId);
+        const receipt = await DeletionReceipt.findOneAndUpdate(
+          { receiptId: user.deletion.receiptId },
+          { status: 'completed', completedAt: clock.now(), deletedCounts },
+          { new: true }
+        );
+        completed.push({ user, receipt });
+        logger.info(`[DELETION] Purged account ${user.userId} (receipt ${user.deletion.receiptId})`);
+      } catch (err) {
+        logger.error(`[DELETION] Failed to purge account ${user.userId}:`, err.message);
+      }
+    }
+
+    return completed;
+  };
+
+  return { scheduleAccountDeletion, cancelAccountDeletion, purgeUserData, purgeDueAccounts };
+};
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  isDeletionPending,
+  createAccountDeletion,
+};
@@ -0,0 +1,107 @@
+// Canned AI responses for the stub provider, shaped like each feature's prompt asks for
+const PLAN_DAYS = [
+  { title: 'Chest & Triceps', targetMuscles: ['chest', 'triceps'], exercises: ['Bench Press', 'Incline Dumbbell Press', 'Tricep Dips'] },
+  { title: 'Back & Biceps', targetMuscles: ['back', 'biceps'], exercises: ['Barbell Row', 'Lat Pulldown', 'Hammer Curl'] },
+  { title: 'Legs', targetMuscles: ['quads', 'hamstrings'], exercises: ['Back Squat', 'Romanian Deadlift', 'Walking Lunge'] },
+  { title: 'Shoulders & Core', targetMuscles: ['shoulders', 'core'], exercises: ['Overhead Press', 'Lateral Raise', 'Plank'] },
+  { title: 'Upper Body Pump', targetMuscles: ['chest', 'back'], exercises: ['Push Up', 'Seated Cable Row', 'Face Pull'] },
+  { title: 'Active Recovery', targetMuscles: ['full body'], exercises: ['Goblet Squat', 'Bird Dog', 'Dead Bug'] },
+];
+
+const planDays = () => PLAN_DAYS.map((day, index) => ({
+  day: index + 1,
+  title: day.title,
+  type: index === 5 ? 'Recovery' : 'Hypertrophy',
+  typeColor: index === 5 ? '#00FF88' : '#4A7CFF',
+  status: index === 0 ? 'today' : 'upcoming',
+  duration: '45 min',
+  caloriesBurn: 300,
+  targetMuscles: day.targetMuscles,
+  exercises: day.exercises.map((name, exIndex) => ({
+    id: `stub-${index + 1}-${exIndex + 1}`,
+    name,
+    sets: '4 x 8-10',
+    note: 'Control the lowering phase',
+    badge: exIndex === 0 ? 'COMPOUND' : null,
+    badgeColor: exIndex === 0 ? '#FFD700' : null,
+    steps: [1, 2, 3, 4].map(stepNumber => ({
+      stepNumber,
+      title: `Set ${stepNumber}`,
+      description: 'Steady tempo, full range of motion',
+      duration: 60,
+    })),
+  })),
+}));
+
+const WEEK_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Value or (request) => value, keyed by feature
+const STUB_FIXTURES = {
+  physique: {
+    isValidPhysique: true,
+    mogScore: 62,
+    muscleBreakdown: { chest: 60, shoulders: 64, back: 66, arms: 58, legs: null, core: 55, leanness: 63 },
+    notVisible: ['legs'],
+    weakPoints: ['core', 'arms'],
+    strongPoints: ['back', 'shoulders'],
+    symmetry: 78,
+    overallAssessment: 'Solid base with a developed back. Arms and core lag behind. Legs were not visible and could not be scored.',
+    improvementTips: ['Add direct core work three times a week', 'Prioritise close-grip pressing and curls', 'Keep protein near 1g per lb bodyweight'],
+    scanSteps: [
+      { title: 'Analyzing Chest Development', description: 'Moderate upper chest fullness' },
+      { title: 'Measuring Back Width', description: 'Good lat spread for training age' },
+      { title: 'Evaluating Arm Size', description: 'Arms trail the torso' },
+      { title: 'Assessing Core Definition', description: 'Upper abs faintly visible' },
+      { title: 'Calculating Final Score', description: 'Scored on visible upper body only' },
+    ],
+  },
+  identity: { isSamePerson: true, confidence: 90, reason: 'Stub provider' },
+  trainingPlan: () => ({
+    mission: 'Core → Push Mog Score',
+    expectedGain: 1.0,
+    targets: [{ name: 'core', points: 0.6 }, { name: 'arms', points: 0.4 }],
+    days: planDays(),
+  }),
+  nextWeekPlan: () => ({ mission: 'Progressive week: add one set to every compound lift', days: planDays() }),
+  nutritionMode: { mode: 'recomp', description: 'Optimizing gains. Perfect balance.', icon: 'target' },
+  dietDiscipline: {
+    weekData: WEEK_DAYS.map((day, index) => ({ day, status: index < 3 ? 'complete' : 'pending', reason: 'Stub provider' })),
+    streak: 3,
+    compliance: 100,
+    insight: 'Three for three. Keep the streak alive.',
+  },
+  mealText: {
+    name: 'Chicken rice bowl',
+    calories: 620,
+    protein: 45,
+    carbs: 70,
+    fats: 16,
+    confidence: 80,
+    items: [
+      { name: 'Grilled chicken breast', calories: 280, protein: 42, carbs: 0, fats: 6 },
+      { name: 'White rice', calories: 300, protein: 3, carbs: 68, fats: 1 },
+      { name: 'Olive oil', calories: 40, protein: 0, carbs: 2, fats: 9 },
+    ],
+  },
+  mealPhoto: {
+    name: 'Salmon and greens',
+    calories: 540,
+    protein: 38,
+    carbs: 22,
+    fats: 32,
+    confidence: 75,
+    items: [
+      { name: 'Baked salmon', calories: 360, protein: 34, carbs: 0, fats: 24 },
+      { name: 'Mixed greens', calories: 60, protein: 3, carbs: 10, fats: 1 },
+      { name: 'Roasted potatoes', calories: 120, protein: 1, carbs: 12, fats: 7 },
+    ],
+  },
+  formCheck: {
+    isCorrectForm: true,
+    confidence: 85,
+    feedback: "That's it! Solid form, keep that energy going.",
+    guidance: 'Keep your chest up, brace your core and control every rep on the way down.',
+  },
+};
+
+module.exports = { STUB_FIXTURES };
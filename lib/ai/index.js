@@ -0,0 +1,46 @@
+// AI provider selection and per-feature model configuration
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createStubProvider } = require('./stubProvider');
+const { createStructuredAI } = require('./structured');
+const { AI_SCHEMAS } = require('./schemas');
+
+/**
+ * Default model per AI feature. Override one with AI_MODEL_<FEATURE>,
+ * e.g. AI_MODEL_FORM_CHECK=gpt-4o or AI_MODEL_EXERCISE_IMAGE=dall-e-2.
+ */
+const DEFAULT_AI_MODELS = {
+  physique: 'gpt-4o', // faster than gpt-5 for scans (~15-30sec vs 60-90sec)
+  identity: 'gpt-4o-mini',
+  trainingPlan: 'gpt-4o', // gpt-5 spends its budget on reasoning tokens and often returns empty content
+  nextWeekPlan: 'gpt-4o',
+  nutritionMode: 'gpt-4o',
+  dietDiscipline: 'gpt-4o',
+  mealText: 'gpt-4o',
+  mealPhoto: 'gpt-4o',
+  formCheck: 'gpt-5',
+  exerciseImage: 'dall-e-3',
+};
+
+const toEnvName = (feature) => `AI_MODEL_${feature.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+
+const resolveAIModels = (env = process.env) => Object.fromEntries(
+  Object.entries(DEFAULT_AI_MODELS).map(([feature, model]) => [feature, env[toEnvName(feature)] || model])
+);
+
+/**
+ * Provider interface (every method takes a `feature` key from DEFAULT_AI_MODELS):
+ * - complete({ feature, system, prompt, json, schema, maxTokens, temperature }) -> { text, finishReason, model }
+ * - analyzeImages({ ...complete options, images: [url or base64], detail }) -> { text, finishReason, model }
+ * - generateImage({ feature, prompt, size, quality }) -> { image (Buffer or null), contentType, model }
+ *
+ * AI_PROVIDER=stub returns deterministic fixtures with no network access.
+ * Otherwise OpenAI is used when an API key is set; with neither, returns null and
+ * features fall back to their simulated responses.
+ */
+const createAIProvider = ({ provider = '', apiKey = '', models = resolveAIModels() } = {}) => {
+  if (provider === 'stub') return createStubProvider();
+  if (provider && provider !== 'openai') throw new Error(`Unknown AI_PROVIDER "${provider}"`);
+  return apiKey ? createOpenAIProvider({ apiKey, models }) : null;
+};
+
+module.exports = { DEFAULT_AI_MODELS, AI_SCHEMAS, resolveAIModels, createAIProvider, createStubProvider, createStructuredAI };
@@ -0,0 +1,61 @@
+// OpenAI implementation of the AI provider interface (see lib/ai/index.js)
+const OpenAI = require('openai');
+
+// Reasoning models take max_completion_tokens and only support the default temperature
+const isReasoningModel = (model) => /^(gpt-5|o\d)/.test(model);
+
+// Photos arrive as raw base64 from the app; the API wants a data URL or https URL
+const toImageUrl = (image) => (/^(data:|https?:)/.test(image) ? image : `data:image/jpeg;base64,${image}`);
+
+const createOpenAIProvider = ({ apiKey, models, client = new OpenAI({ apiKey }) }) => {
+  const modelFor = (feature) => {
+    const model = models[feature];
+    if (!model) throw new Error(`No AI model configured for feature "${feature}"`);
+    return model;
+  };
+
+  const chat = async ({ feature, system, prompt, images = [], detail = 'low', json = false, schema = null, maxTokens, temperature }) => {
+    const model = modelFor(feature);
+    const userContent = images.length > 0
+      ? [{ type: 'text', text: prompt }, ...images.map(image => ({ type: 'image_url', image_url: { url: toImageUrl(image), detail } }))]
+      : prompt;
+
+    const request = {
+      model,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: userContent },
+      ],
+    };
+    if (maxTokens) request[isReasoningModel(model) ? 'max_completion_tokens' : 'max_tokens'] = maxTokens;
+    if (temperature !== undefined && !isReasoningModel(model)) request.temperature = temperature;
+    if (schema) {
+      request.response_format = { type: 'json_schema', json_schema: { name: feature, schema } };
+    } else if (json) {
+      request.response_format = { type: 'json_object' };
+    }
+
+    const response = await client.chat.completions.create(request);
+    const choice = response.choices?.[0];
+    return { text: (choice?.message?.content || '').trim(), finishReason: choice?.finish_reason || null, model };
+  };
+
+  return {
+    name: 'openai',
+    complete: (options) => chat({ ...options, images: [] }),
+    analyzeImages: (options) => chat(options),
+
+    // Returns the bytes rather than a URL: OpenAI's image URLs expire after an hour.
+    // DALL-E models send a URL unless asked for base64; gpt-image models always send base64.
+    generateImage: async ({ feature, prompt, size = '1024x1024', quality = 'standard' }) => {
+      const model = modelFor(feature);
+      const request = { model, prompt, n: 1, size, quality };
+      if (model.startsWith('dall-e')) request.response_format = 'b64_json';
+      const response = await client.images.generate(request);
+      const base64 = response.data?.[0]?.b64_json;
+      return { image: base64 ? Buffer.from(base64, 'base64') : null, contentType: 'image/png', model };
+    },
+  };
+};
+
+module.exports = { createOpenAIProvider };
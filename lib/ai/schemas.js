@@ -0,0 +1,151 @@
+// Expected JSON shape of each AI feature's response (checked by lib/jsonSchema.js)
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const nullableScore = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+const grams = { type: 'number', minimum: 0 };
+const text = { type: 'string', minLength: 1 };
+
+const mealItem = {
+  type: 'object',
+  required: ['name', 'calories', 'protein', 'carbs', 'fats'],
+  properties: { name: text, calories: grams, protein: grams, carbs: grams, fats: grams },
+};
+
+const meal = {
+  required: ['name', 'calories', 'protein', 'carbs', 'fats'],
+  properties: {
+    name: text,
+    calories: grams,
+    protein: grams,
+    carbs: grams,
+    fats: grams,
+    confidence: score,
+    items: { type: 'array', items: mealItem },
+  },
+};
+
+const planStep = {
+  type: 'object',
+  properties: { title: { type: 'string' }, description: { type: 'string' }, duration: { type: 'number', minimum: 0 } },
+};
+
+const planExercise = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: text, sets: { type: 'string' }, steps: { type: 'array', items: planStep } },
+};
+
+const planDay = {
+  type: 'object',
+  required: ['exercises'],
+  properties: {
+    title: text,
+    targetMuscles: { type: 'array', items: { type: 'string' } },
+    exercises: { type: 'array', minItems: 1, items: planExercise },
+  },
+};
+
+const AI_SCHEMAS = {
+  physique: {
+    type: 'object',
+    required: ['isValidPhysique'],
+    properties: { isValidPhysique: { type: 'boolean' } },
+    if: { properties: { isValidPhysique: { const: false } } },
+    then: { properties: { errorMessage: { type: 'string' } } },
+    else: {
+      required: ['mogScore', 'muscleBreakdown', 'weakPoints', 'strongPoints'],
+      properties: {
+        mogScore: score,
+        muscleBreakdown: {
+          type: 'object',
+          properties: {
+            chest: nullableScore,
+            shoulders: nullableScore,
+            back: nullableScore,
+            arms: nullableScore,
+            legs: nullableScore,
+            core: nullableScore,
+            leanness: nullableScore,
+          },
+        },
+        notVisible: { type: 'array', items: { type: 'string' } },
+        weakPoints: { type: 'array', items: { type: 'string' } },
+        strongPoints: { type: 'array', items: { type: 'string' } },
+        symmetry: score,
+        overallAssessment: { type: 'string' },
+        improvementTips: { type: 'array', items: { type: 'string' } },
+        scanSteps: { type: 'array', items: { type: 'object', required: ['title'], properties: { title: text, description: { type: 'string' } } } },
+      },
+    },
+  },
+
+  identity: {
+    type: 'object',
+    required: ['isSamePerson'],
+    properties: { isSamePerson: { type: 'boolean' }, confidence: score, reason: { type: 'string' } },
+  },
+
+  trainingPlan: {
+    type: 'object',
+    required: ['days'],
+    properties: {
+      mission: { type: 'string' },
+      expectedGain: { type: 'number', minimum: 0, maximum: 10 },
+      days: { type: 'array', minItems: 1, maxItems: 7, items: planDay },
+    },
+  },
+
+  nextWeekPlan: {
+    type: 'object',
+    required: ['days'],
+    properties: {
+      mission: { type: 'string' },
+      days: { type: 'array', minItems: 1, maxItems: 7, items: planDay },
+    },
+  },
+
+  nutritionMode: {
+    type: 'object',
+    required: ['mode', 'description'],
+    properties: {
+      mode: text,
+      description: text,
+      icon: { enum: ['flame', 'dumbbell', 'target'] },
+    },
+  },
+
+  dietDiscipline: {
+    type: 'object',
+    required: ['weekData', 'streak', 'compliance'],
+    properties: {
+      weekData: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['day', 'status'],
+          properties: { day: text, status: { enum: ['complete', 'pending', 'notComplete'] }, reason: { type: 'string' } },
+        },
+      },
+      streak: { type: 'integer', minimum: 0 },
+      compliance: score,
+      insight: { type: 'string' },
+    },
+  },
+
+  mealText: { type: 'object', ...meal },
+
+  // Either a meal estimate or { error: NOT_FOOD | UNCLEAR, message }
+  mealPhoto: {
+    type: 'object',
+    if: { required: ['error'] },
+    then: { properties: { error: { enum: ['NOT_FOOD', 'UNCLEAR'] }, message: { type: 'string' } } },
+    else: meal,
+  },
+
+  formCheck: {
+    type: 'object',
+    required: ['isCorrectForm', 'confidence', 'feedback', 'guidance'],
+    properties: { isCorrectForm: { type: 'boolean' }, confidence: score, feedback: text, guidance: text },
+  },
+};
+
+module.exports = { AI_SCHEMAS };
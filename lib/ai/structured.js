@@ -0,0 +1,121 @@
+// Schema-checked AI calls: parse, repair, validate and retry with the errors fed back to the model
+const { AI_SCHEMAS } = require('./schemas');
+const { validateSchema, coerceTypes } = require('../jsonSchema');
+const { logger } = require('../logger');
+
+const MAX_STORED_TEXT = 8000;
+
+const truncate = (value) => (typeof value === 'string' && value.length > MAX_STORED_TEXT
+  ? `${value.slice(0, MAX_STORED_TEXT)}…[truncated]`
+  : value);
+
+// Strips markdown fences and surrounding prose, then tolerates trailing commas
+const parseJsonResponse = (text) => {
+  let str = String(text || '').replace(/```(?:json)?\s*/gi, '').trim();
+  const start = str.indexOf('{');
+  const end = str.lastIndexOf('}');
+  if (start !== -1 && end > start) str = str.slice(start, end + 1);
+
+  try {
+    return JSON.parse(str);
+  } catch (err) {
+    return JSON.parse(str.replace(/,\s*([}\]])/g, '$1'));
+  }
+};
+
+const buildRetryPrompt = (prompt, errors, previousText) => [
+  prompt,
+  '',
+  'Your previous response was rejected:',
+  ...errors.map(error => `- ${error}`),
+  '',
+  'Previous response:',
+  String(previousText || '(empty)').slice(0, 4000),
+  '',
+  'Respond again with the complete corrected JSON only, no markdown, no explanation.',
+].join('\n');
+
+/**
+ * Wraps the AI provider so each call returns `{ data, text, model, attempts }` with `data`
+ * matching AI_SCHEMAS[feature] (or request.schema). Invalid output is retried up to
+ * `retries` times; every failed attempt is stored as an AIFailure.
+ * Throws after the last attempt, with `validationErrors` and the last raw `text` on the error.
+ */
+const createStructuredAI = ({ ai, models, config = {} }) => {
+  const { AIFailure } = models;
+  const retries = config.aiValidationRetries ?? 2;
+
+  const recordFailure = (failure) => {
+    if (!AIFailure) return;
+    AIFailure.create({
+      ...failure,
+      provider: ai?.name,
+      response: truncate(failure.response),
+      prompt: truncate(failure.prompt),
+    }).catch(err => logger.error('[AI] Failed to record AI failure:', err.message));
+  };
+
+  const call = async (method, request) => {
+    if (!ai) throw new Error('AI provider not configured');
+
+    const schema = request.schema || AI_SCHEMAS[request.feature];
+    let prompt = request.prompt;
+    let lastErrors = [];
+    let lastText = '';
+
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      let response;
+      try {
+        response = await ai[method]({ ...request, prompt });
+      } catch (err) {
+        recordFailure({ feature: request.feature, attempt, kind: 'provider', validationErrors: [err.message], prompt });
+        throw err;
+      }
+
+      lastText = response.text || '';
+      let data;
+      let kind = 'validation';
+      try {
+        data = coerceTypes(schema, parseJsonResponse(lastText)); // Models sometimes quote numbers
+        lastErrors = schema ? validateSchema(schema, data) : [];
+      } catch (err) {
+        kind = 'parse';
+        lastErrors = [`response is not valid JSON (${err.message})`];
+      }
+
+      if (lastErrors.length > 0 && response.finishReason === 'length') {
+        lastErrors.push('response was cut off at the token limit; keep text fields shorter');
+      }
+
+      if (lastErrors.length === 0) {
+        if (attempt > 1) logger.info(`[AI] ${request.feature} response valid after ${attempt} attempts`);
+        return { data, text: lastText, model: response.model, finishReason: response.finishReason, attempts: attempt };
+      }
+
+      logger.warn(`[AI] ${request.feature} attempt ${attempt} rejected:`, lastErrors.slice(0, 5).join('; '));
+      recordFailure({
+        feature: request.feature,
+        model: response.model,
+        attempt,
+        kind,
+        validationErrors: lastErrors,
+        response: lastText,
+        prompt,
+        finishReason: response.finishReason,
+      });
+      prompt = buildRetryPrompt(request.prompt, lastErrors, lastText);
+    }
+
+    const error = new Error(`Invalid ${request.feature} response after ${retries + 1} attempts: ${lastErrors.slice(0, 3).join('; ')}`);
+    error.validationErrors = lastErrors;
+    error.text = lastText;
+    throw error;
+  };
+
+  return {
+    complete: (request) => call('complete', request),
+    analyzeImages: (request) => call('analyzeImages', request),
+  };
+};
+
+module.exports = { createStructuredAI, parseJsonResponse };
@@ -0,0 +1,40 @@
+// Deterministic offline AI provider: returns fixtures instead of calling a model
+const { STUB_FIXTURES } = require('./fixtures');
+
+// Tiny SVG placeholder so generated images work without network access
+const placeholderImage = (label) => {
+  const text = String(label).replace(/[<>&"]/g, '').slice(0, 60);
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="1024" height="1024"><rect width="100%" height="100%" fill="#1a1a1a"/><text x="50%" y="50%" fill="#A259FF" font-family="sans-serif" font-size="40" text-anchor="middle">${text}</text></svg>`;
+  return Buffer.from(svg);
+};
+
+/**
+ * `fixtures` overrides the defaults per feature; each entry is a value or (request) => value.
+ * Every call is recorded in `calls` so tests can assert on prompts.
+ */
+const createStubProvider = ({ fixtures = {} } = {}) => {
+  const allFixtures = { ...STUB_FIXTURES, ...fixtures };
+  const calls = [];
+
+  const respond = async (request) => {
+    calls.push(request);
+    const fixture = allFixtures[request.feature];
+    if (fixture === undefined) throw new Error(`No stub fixture for AI feature "${request.feature}"`);
+    const value = typeof fixture === 'function' ? fixture(request) : fixture;
+    return { text: typeof value === 'string' ? value : JSON.stringify(value), finishReason: 'stop', model: 'stub' };
+  };
+
+  return {
+    name: 'stub',
+    calls,
+    complete: respond,
+    analyzeImages: respond,
+
+    generateImage: async (request) => {
+      calls.push(request);
+      return { image: placeholderImage(request.feature), contentType: 'image/svg+xml', model: 'stub' };
+    },
+  };
+};
+
+module.exports = { createStubProvider };
@@ -0,0 +1,42 @@
+// Audit trail for privileged (admin) actions
+const AuditLog = require('../models/AuditLog');
+const { logger } = require('./logger');
+
+const REDACTED_KEYS = /password|token|secret|code/i;
+
+// Drop credentials from logged parameters
+const redactParams = (value) => {
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(redactParams);
+  return Object.fromEntries(Object.entries(value).map(([key, val]) => [
+    key,
+    REDACTED_KEYS.test(key) ? '[REDACTED]' : redactParams(val),
+  ]));
+};
+
+/**
+ * Record which user triggered `action` with which parameters once the response is sent.
+ * Must run after requireAuth / requireRole so req.auth and req.user are populated.
+ */
+const auditAction = (action) => (req, res, next) => {
+  const params = redactParams({ params: req.params, query: req.query, body: req.body });
+
+  res.on('finish', () => {
+    AuditLog.create({
+      actorId: req.auth?.userId,
+      actorEmail: req.user?.email,
+      actorRole: req.user?.role,
+      action,
+      method: req.method,
+      path: req.originalUrl,
+      params,
+      statusCode: res.statusCode,
+      ip: req.ip,
+    }).catch(err => logger.error(`[AUDIT] Failed to record ${action}:`, err.message));
+  });
+
+  logger.info(`[AUDIT] ${action} triggered by ${req.auth?.userId}`);
+  next();
+};
+
+module.exports = { auditAction, redactParams };
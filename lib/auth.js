@@ -0,0 +1,165 @@
+// Authentication / ownership middleware for Mog.ai backend
+const { verifyAccessToken } = require('./tokens');
+const { verifyGuestToken } = require('./guests');
+const { sendError } = require('./errors');
+
+const ROLES = ['user', 'coach', 'admin'];
+
+// Path/body value the mobile client can send instead of its own userId
+const SELF_ALIAS = 'me';
+
+const getBearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+const sendUnauthorized = (res) => sendError(res, 'unauthorized');
+
+const sendForbidden = (res) => sendError(res, 'forbidden');
+
+/**
+ * Build requireAuth / optionalAuth on the injected session service. Each is tagged with
+ * `authMode` ('required' | 'optional') so lib/openapi.js can document the route's security.
+ */
+const createRequireAuth = ({ services }) => {
+  const { touchSession } = services.sessions;
+
+  // Resolve a bearer token to { userId, sessionId }, or null if invalid, expired or its session was revoked
+  const resolveCaller = async (req, token) => {
+    const payload = verifyAccessToken(token);
+    if (!payload || !payload.sid) return null;
+    if (!(await touchSession(payload.sid, req.ip))) return null;
+    return { userId: payload.sub, sessionId: payload.sid, tokenId: payload.jti };
+  };
+
+  /**
+   * Resolve the caller from the bearer access token into req.auth
+   */
+  const requireAuth = async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      const caller = token ? await resolveCaller(req, token) : null;
+      if (!caller) return sendUnauthorized(res);
+
+      req.auth = caller;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+  requireAuth.authMode = 'required';
+
+  /**
+   * Like requireAuth, but lets unauthenticated (guest) requests through without req.auth
+   */
+  const optionalAuth = async (req, res, next) => {
+    try {
+      const token = getBearerToken(req);
+      if (!token) return next();
+
+      const caller = await resolveCaller(req, token);
+      if (!caller) return sendUnauthorized(res); // A bad token is an error, not a guest
+      req.auth = caller;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+  optionalAuth.authMode = 'optional';
+
+  return { requireAuth, optionalAuth };
+};
+
+/**
+ * Resolve an x-guest-token header (issued by POST /api/guest) into req.guest = { guestId }
+ */
+const optionalGuest = (req, res, next) => {
+  const token = req.get('x-guest-token');
+  if (!token) return next();
+
+  const guestId = verifyGuestToken(token);
+  if (!guestId) return sendError(res, 'guest_token_invalid', 'Guest session expired');
+  req.guest = { guestId };
+  next();
+};
+
+/**
+ * Require req.params[paramName] to be the caller (or the "me" alias, which is rewritten to the caller).
+ * With options.allowGuest, a guest (req.guest from optionalGuest) may read its own guest id.
+ */
+const requireParamOwner = (paramName = 'userId', options = {}) => (req, res, next) => {
+  if (!req.auth && req.guest && options.allowGuest) {
+    return req.params[paramName] === req.guest.guestId ? next() : sendForbidden(res);
+  }
+  if (!req.auth) return sendUnauthorized(res);
+
+  const requested = req.params[paramName];
+  if (requested === SELF_ALIAS) {
+    req.params[paramName] = req.auth.userId;
+    return next();
+  }
+  if (requested !== req.auth.userId) return sendForbidden(res);
+  next();
+};
+
+/**
+ * Require req.body.userId to be the caller. A missing userId or the "me" alias defaults to the caller.
+ * With options.allowGuest, a guest (req.guest from optionalGuest) is treated as the caller. With
+ * options.allowAnonymous, a request with neither credentials nor a userId is let through, so it
+ * can't act on anyone's data.
+ */
+const requireBodyOwner = (options = {}) => (req, res, next) => {
+  req.body = req.body || {};
+  const requested = req.body.userId;
+
+  if (!req.auth && req.guest && options.allowGuest) {
+    if (!requested || requested === SELF_ALIAS) {
+      req.body.userId = req.guest.guestId;
+      return next();
+    }
+    return requested === req.guest.guestId ? next() : sendForbidden(res);
+  }
+
+  if (!req.auth) {
+    if (options.allowAnonymous && !requested) return next();
+    return sendUnauthorized(res);
+  }
+
+  if (!requested || requested === SELF_ALIAS) {
+    req.body.userId = req.auth.userId;
+    return next();
+  }
+  if (requested !== req.auth.userId) return sendForbidden(res);
+  next();
+};
+
+/**
+ * Build requireRole(...roles) on the injected User model: the caller must hold one of `roles`.
+ * The role is read from the database rather than the token, so demotions take effect immediately.
+ * Loads the caller into req.user.
+ */
+const createRequireRole = ({ models }) => (...roles) => async (req, res, next) => {
+  if (!req.auth) return sendUnauthorized(res);
+
+  try {
+    const user = await models.User.findOne({ userId: req.auth.userId });
+    if (!user) return sendUnauthorized(res);
+    if (!roles.includes(user.role || 'user')) return sendForbidden(res);
+
+    req.user = user;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+module.exports = {
+  ROLES,
+  SELF_ALIAS,
+  createRequireAuth,
+  optionalGuest,
+  requireParamOwner,
+  requireBodyOwner,
+  createRequireRole,
+};
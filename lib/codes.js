@@ -0,0 +1,96 @@
+// Hashed one-time email codes (verification, password reset) for Mog.ai backend
+const crypto = require('crypto');
+const { loadSecret } = require('./secrets');
+
+const CODE_TTL_MINUTES = parseInt(process.env.CODE_TTL_MINUTES, 10) || 10;
+const MAX_CODE_ATTEMPTS = parseInt(process.env.MAX_CODE_ATTEMPTS, 10) || 5;
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.RESEND_COOLDOWN_SECONDS, 10) || 60;
+
+const CODE_SECRET = loadSecret(
+  'CODE_SECRET',
+  process.env.CODE_SECRET || process.env.JWT_SECRET,
+  'codes issued before a restart can no longer be verified'
+);
+
+const generateVerificationCode = () => crypto.randomInt(100000, 1000000).toString();
+
+// Keyed hash so a leaked database can't be brute-forced over the 6-digit code space
+const hashCode = (code) => crypto.createHmac('sha256', CODE_SECRET).update(String(code).trim()).digest('hex');
+
+/**
+ * Code issuing and checking on user documents, timed by the injected clock
+ */
+const createCodes = ({ clock }) => {
+  /**
+   * Seconds until a new code may be sent for this record (0 if allowed now)
+   */
+  const getResendCooldown = (record) => {
+    if (!record?.sentAt) return 0;
+    const elapsed = (clock.now().getTime() - new Date(record.sentAt).getTime()) / 1000;
+    return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+  };
+
+  /**
+   * Generate a new code and store its hash on user[field]. Caller saves the user and emails the code.
+   * Returns { code } or { error: 'cooldown', retryAfter } if one was sent too recently.
+   */
+  const issueCode = (user, field) => {
+    const retryAfter = getResendCooldown(user[field]);
+    if (retryAfter > 0) return { error: 'cooldown', retryAfter };
+
+    const code = generateVerificationCode();
+    const now = clock.now();
+    user[field] = {
+      hash: hashCode(code),
+      expiresAt: new Date(now.getTime() + CODE_TTL_MINUTES * 60 * 1000),
+      attempts: 0,
+      sentAt: now,
+    };
+    return { code };
+  };
+
+  /**
+   * Check a submitted code against user[field].
+   * Returns { status } with 'valid' | 'invalid' | 'expired' | 'locked' | 'missing', plus attemptsRemaining for 'invalid'.
+   * A valid code is consumed (removed from the stored user and from `user`), so it works once.
+   */
+  const verifyCode = async (user, field, code) => {
+    const record = user[field];
+    if (!record?.hash) return { status: 'missing' };
+    if (!record.expiresAt || record.expiresAt < clock.now()) return { status: 'expired' };
+
+    // Reserve an attempt atomically so parallel guesses can't exceed the limit
+    const reserved = await user.constructor.updateOne(
+      { _id: user._id, [`${field}.hash`]: record.hash, [`${field}.attempts`]: { $lt: MAX_CODE_ATTEMPTS } },
+      { $inc: { [`${field}.attempts`]: 1 } }
+    );
+    if (reserved.modifiedCount === 0) return { status: 'locked' };
+
+    const submitted = Buffer.from(hashCode(code || ''), 'hex');
+    const expected = Buffer.from(record.hash, 'hex');
+    if (submitted.length !== expected.length || !crypto.timingSafeEqual(submitted, expected)) {
+      return { status: 'invalid', attemptsRemaining: Math.max(0, MAX_CODE_ATTEMPTS - (record.attempts || 0) - 1) };
+    }
+
+    // Consume it in the same step, so of two requests with the same code only one gets 'valid'
+    const consumed = await user.constructor.findOneAndUpdate(
+      { _id: user._id, [`${field}.hash`]: record.hash },
+      { $unset: { [field]: 1 } },
+      { projection: { _id: 1 } }
+    );
+    if (!consumed) return { status: 'invalid', attemptsRemaining: 0 };
+    user.set(field, undefined);
+
+    return { status: 'valid' };
+  };
+
+  return { getResendCooldown, issueCode, verifyCode };
+};
+
+module.exports = {
+  CODE_TTL_MINUTES,
+  MAX_CODE_ATTEMPTS,
+  RESEND_COOLDOWN_SECONDS,
+  generateVerificationCode,
+  createCodes,
+};
@@ -0,0 +1,325 @@
+// Personal data export: builds a zip archive of everything stored for a user
+const crypto = require('crypto');
+const { GridFSBucket } = require('mongoose').mongo;
+const archiver = require('archiver');
+const { logger } = require('./logger');
+
+// Archives are stored in MongoDB (GridFS) so any instance can serve the download
+const EXPORT_BUCKET = 'dataexports';
+const EXPORT_TTL_HOURS = parseInt(process.env.EXPORT_TTL_HOURS, 10) || 48;
+const EXPORT_LINK_TTL_MINUTES = parseInt(process.env.EXPORT_LINK_TTL_MINUTES, 10) || 15;
+
+// =====================================================
+// ARCHIVE CONTENTS
+// =====================================================
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) => [
+  columns.map(c => csvCell(c.header)).join(','),
+  ...rows.map(row => columns.map(c => csvCell(c.value(row))).join(',')),
+].join('\n') + '\n';
+
+const toJson = (value) => JSON.stringify(value, null, 2) + '\n';
+
+// Scan photos are stored inline as base64 (optionally data: URIs). Remote URLs are listed, not fetched.
+const decodePhoto = (value) => {
+  if (typeof value !== 'string' || value.length < 100 || /^https?:\/\//.test(value)) return null;
+  const match = value.match(/^data:image\/([a-z0-9.+-]+);base64,/i);
+  const extension = match ? match[1].replace('jpeg', 'jpg') : 'jpg';
+  return { buffer: Buffer.from(match ? value.slice(match[0].length) : value, 'base64'), extension };
+};
+
+// Stream the zip straight into GridFS. Resolves { fileId, fileSize }.
+const writeZip = (bucket, filename, entries) => new Promise((resolve, reject) => {
+  const upload = bucket.openUploadStream(filename, { metadata: { contentType: 'application/zip' } });
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const fail = (err) => {
+    upload.abort().catch(() => {});
+    reject(err);
+  };
+
+  upload.on('finish', () => resolve({ fileId: upload.id, fileSize: archive.pointer() }));
+  upload.on('error', fail);
+  archive.on('error', fail);
+  archive.pipe(upload);
+
+  for (const entry of entries) {
+    archive.append(entry.content, { name: `mogai-export/${entry.name}` });
+  }
+  archive.finalize();
+});
+
+const removeArchiveFile = async (bucket, fileId) => {
+  if (!fileId) return;
+  await bucket.delete(fileId).catch(err => {
+    if (!/not found/i.test(err.message)) logger.error(`[EXPORT] Failed to delete archive ${fileId}:`, err.message);
+  });
+};
+
+/**
+ * Building, expiring and removing exports in the injected models
+ */
+const createDataExports = ({ models, clock }) => {
+  const { User, Onboarding, Scan, WorkoutPlan, NutritionLog, Leaderboard, Session, DataExport } = models;
+
+  // Built on use: the connection's database handle only exists once it is open
+  const getBucket = () => new GridFSBucket(DataExport.db.db, { bucketName: EXPORT_BUCKET });
+
+  const buildArchiveEntries = async (userId) => {
+    const [user, onboarding, scans, workoutPlan, nutritionLogs, leaderboard, sessions] = await Promise.all([
+      User.findOne({ userId }).lean(),
+      Onboarding.findOne({ userId }).lean(),
+      Scan.find({ userId }).sort({ timestamp: 1 }).lean(),
+      WorkoutPlan.findOne({ userId }).lean(),
+      NutritionLog.find({ userId }).sort({ date: 1 }).lean(),
+      Leaderboard.findOne({ userId }).lean(),
+      Session.find({ userId }).sort({ createdAt: 1 }).lean(),
+    ]);
+
+    if (!user) throw new Error('User not found');
+
+    const entries = [];
+    const add = (name, content) => entries.push({ name, content });
+
+    add('profile.json', toJson({
+      userId: user.userId,
+      email: user.email,
+      username: user.username,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      role: user.role,
+      isVerified: user.isVerified,
+      mogScore: user.mogScore,
+      tier: user.tier,
+      streak: user.streak,
+      totalWorkouts: user.totalWorkouts,
+      lastWorkoutDate: user.lastWorkoutDate,
+      latestScan: user.latestScan || null,
+      createdAt: user.createdAt,
+    }));
+
+    add('onboarding.json', toJson(onboarding?.data || null));
+
+    // Scans: full AI assessment as JSON, a flat CSV and the raw photos
+    const scanRecords = scans.map(scan => {
+      const record = {
+        scanId: scan.scanId,
+        timestamp: scan.timestamp,
+        mogScore: scan.mogScore,
+        tier: scan.tier,
+        muscleBreakdown: scan.muscleBreakdown,
+        weakPoints: scan.weakPoints,
+        strongPoints: scan.strongPoints,
+        symmetry: scan.symmetry,
+        overallAssessment: scan.overallAssessment,
+        improvementTips: scan.improvementTips,
+        aiPowered: scan.aiPowered,
+        photos: {},
+      };
+      for (const [side, value] of [['front', scan.frontPhotoUrl], ['back', scan.backPhotoUrl]]) {
+        const photo = decodePhoto(value);
+        if (photo) {
+          const photoPath = `scans/photos/${scan.scanId}-${side}.${photo.extension}`;
+          add(photoPath, photo.buffer);
+          record.photos[side] = photoPath;
+        } else if (value) {
+          record.photos[side] = value;
+        }
+      }
+      return record;
+    });
+    add('scans/scans.json', toJson(scanRecords));
+    add('scans/scans.csv', toCsv([
+      { header: 'scanId', value: s => s.scanId },
+      { header: 'timestamp', value: s => s.timestamp },
+      { header: 'mogScore', value: s => s.mogScore },
+      { header: 'tier', value: s => s.tier },
+      { header: 'symmetry', value: s => s.symmetry },
+      ...['chest', 'shoulders', 'back', 'arms', 'legs', 'core', 'leanness'].map(muscle => ({
+        header: muscle,
+        value: s => s.muscleBreakdown?.[muscle],
+      })),
+      { header: 'weakPoints', value: s => (s.weakPoints || []).join('; ') },
+      { header: 'strongPoints', value: s => (s.strongPoints || []).join('; ') },
+      { header: 'overallAssessment', value: s => s.overallAssessment },
+    ], scanRecords));
+
+    // Training: current plan plus every completed day
+    const completedHistory = workoutPlan?.completedHistory || [];
+    add('training/workout-plan.json', toJson(workoutPlan ? {
+      weekId: workoutPlan.weekId,
+      currentWeek: workoutPlan.currentWeek,
+      mission: workoutPlan.mission,
+      targets: workoutPlan.targets,
+      weeklyPlan: workoutPlan.weeklyPlan,
+      createdAt: workoutPlan.createdAt,
+      updatedAt: workoutPlan.updatedAt,
+    } : null));
+    add('training/completed-history.json', toJson(completedHistory));
+    add('training/completed-history.csv', toCsv([
+      { header: 'weekNumber', value: h => h.weekNumber },
+      { header: 'dayNumber', value: h => h.dayNumber },
+      { header: 'completedAt', value: h => (h.completedAt ? new Date(h.completedAt) : null) },
+      { header: 'targetMuscles', value: h => (h.targetMuscles || []).join('; ') },
+      { header: 'exercises', value: h => (h.exercises || []).map(ex => ex.name).join('; ') },
+    ], completedHistory));
+
+    // Nutrition
+    const logRecords = nutritionLogs.map(log => ({
+      logId: log.logId,
+      date: log.date,
+      calories: log.calories,
+      protein: log.protein,
+      carbs: log.carbs,
+      fats: log.fats,
+      meal: log.meal,
+    }));
+    add('nutrition/logs.json', toJson(logRecords));
+    add('nutrition/logs.csv', toCsv([
+      { header: 'logId', value: l => l.logId },
+      { header: 'date', value: l => l.date },
+      { header: 'meal', value: l => l.meal?.name },
+      { header: 'calories', value: l => l.calories },
+      { header: 'protein', value: l => l.protein },
+      { header: 'carbs', value: l => l.carbs },
+      { header: 'fats', value: l => l.fats },
+    ], logRecords));
+
+    // Only the current standing is stored - rank/score history lives in scans/scans.csv
+    add('leaderboard.json', toJson(leaderboard ? {
+      username: leaderboard.username,
+      mogScore: leaderboard.mogScore,
+      tier: leaderboard.tier,
+      rank: leaderboard.rank,
+    } : null));
+
+    add('sessions.json', toJson(sessions.map(session => ({
+      deviceName: session.deviceName,
+      platform: session.platform,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+    }))));
+
+    add('README.txt', [
+      'Mog.ai personal data export',
+      `Generated: ${clock.now().toISOString()}`,
+      `User ID: ${user.userId}`,
+      '',
+      'profile.json                  Account profile',
+      'onboarding.json               Onboarding answers',
+      'scans/scans.json|csv          Every body scan with its AI assessment',
+      'scans/photos/                 Front/back photos from each scan',
+      'training/                     Current plan and full completed workout history',
+      'nutrition/logs.json|csv       Every logged meal',
+      'leaderboard.json              Current leaderboard standing',
+      'sessions.json                 Devices that have logged in to the account',
+      '',
+    ].join('\n'));
+
+    return entries;
+  };
+
+  // =====================================================
+  // EXPORT LIFECYCLE
+  // =====================================================
+
+  /**
+   * Create an export request, or return the one already in progress for this user
+   */
+  const requestDataExport = async (userId) => {
+    const inProgress = await DataExport.findOne({ userId, status: { $in: ['queued', 'processing'] } });
+    if (inProgress) return { dataExport: inProgress, created: false };
+
+    const dataExport = await DataExport.create({
+      exportId: `exp_${crypto.randomBytes(12).toString('hex')}`,
+      userId,
+    });
+    return { dataExport, created: true };
+  };
+
+  /**
+   * Build the archive for a queued export (the data-export job in lib/jobs.js). An export left
+   * 'processing' by a worker that died is built again when the job is retried, replacing any
+   * partial archive it left behind.
+   */
+  const processDataExport = async (exportId) => {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { exportId, status: { $in: ['queued', 'processing'] } },
+      { status: 'processing' },
+      { new: true }
+    );
+    if (!dataExport) return null;
+
+    try {
+      const bucket = getBucket();
+      const filename = `${dataExport.exportId}.zip`;
+      const leftovers = await bucket.find({ filename }).toArray();
+      await Promise.all(leftovers.map(file => removeArchiveFile(bucket, file._id)));
+
+      const entries = await buildArchiveEntries(dataExport.userId);
+      const { fileId, fileSize } = await writeZip(bucket, filename, entries);
+
+      dataExport.status = 'ready';
+      dataExport.fileId = fileId;
+      dataExport.fileSize = fileSize;
+      dataExport.completedAt = clock.now();
+      dataExport.expiresAt = new Date(dataExport.completedAt.getTime() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+      await dataExport.save();
+
+      logger.info(`[EXPORT] Export ${exportId} ready for user ${dataExport.userId} (${entries.length} files, ${fileSize} bytes)`);
+    } catch (err) {
+      logger.error(`[EXPORT] Export ${exportId} failed:`, err.message);
+      dataExport.status = 'failed';
+      dataExport.error = err.message;
+      await dataExport.save();
+    }
+
+    return dataExport;
+  };
+
+  /**
+   * Stream a ready export's archive. Emits 'error' when it has already been deleted.
+   */
+  const openArchive = (dataExport) => getBucket().openDownloadStream(dataExport.fileId);
+
+  /**
+   * Delete archives past their expiry
+   */
+  const expireDataExports = async (now = clock.now()) => {
+    const expired = await DataExport.find({ status: 'ready', expiresAt: { $lte: now } });
+    for (const dataExport of expired) {
+      await removeArchiveFile(getBucket(), dataExport.fileId);
+      dataExport.status = 'expired';
+      dataExport.fileId = undefined;
+      await dataExport.save();
+    }
+    return expired.length;
+  };
+
+  /**
+   * Delete every export (records and archives) for a user - used by account deletion
+   */
+  const removeUserExports = async (userId) => {
+    const exports = await DataExport.find({ userId });
+    const bucket = getBucket();
+    await Promise.all(exports.map(dataExport => removeArchiveFile(bucket, dataExport.fileId)));
+    const result = await DataExport.deleteMany({ userId });
+    return result.deletedCount;
+  };
+
+  return { buildArchiveEntries, requestDataExport, processDataExport, openArchive, expireDataExports, removeUserExports };
+};
+
+module.exports = {
+  EXPORT_TTL_HOURS,
+  EXPORT_LINK_TTL_MINUTES,
+  toCsv,
+  createDataExports,
+};
@@ -0,0 +1,115 @@
+// Builds everything the app and background jobs need, so tests can swap any piece
+const User = require('../models/User');
+const Onboarding = require('../models/Onboarding');
+const Scan = require('../models/Scan');
+const WorkoutPlan = require('../models/WorkoutPlan');
+const NutritionLog = require('../models/NutritionLog');
+const Leaderboard = require('../models/Leaderboard');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const AuditLog = require('../models/AuditLog');
+const DataExport = require('../models/DataExport');
+const AIFailure = require('../models/AIFailure');
+const Job = require('../models/Job');
+const Lock = require('../models/Lock');
+const ExerciseImage = require('../models/ExerciseImage');
+const { createStore } = require('./rateLimit');
+const { createAIProvider, createStructuredAI, resolveAIModels } = require('./ai');
+const { createMailer } = require('./mailer');
+const { createEmails } = require('./emails');
+const { createLeaderboard } = require('./leaderboard');
+const { createPhysiqueAnalysis } = require('./physiqueAnalysis');
+const { createTrainingPlans } = require('./trainingPlans');
+const { createNutritionAnalysis } = require('./nutritionAnalysis');
+const { createExerciseImages } = require('./exerciseImages');
+const { createJobs } = require('./jobs');
+const { createQueue } = require('./queue');
+const { createLocks } = require('./locks');
+const { createCodes } = require('./codes');
+const { createGuestData } = require('./guests');
+const { createAccountDeletion } = require('./accountDeletion');
+const { createEmailChange } = require('./emailChange');
+const { createSessions } = require('./sessions');
+const { createTokens } = require('./tokens');
+const { createRequireAuth } = require('./auth');
+const { createHandles } = require('./handles');
+const { createTwoFactor } = require('./twoFactor');
+const { createDataExports } = require('./dataExport');
+
+const loadConfig = () => {
+  const port = process.env.PORT || 3000;
+  const aiValidationRetries = parseInt(process.env.AI_VALIDATION_RETRIES, 10);
+  return {
+    port,
+    openaiApiKey: process.env.OPENAI_API_KEY || '',
+    // openai (default when OPENAI_API_KEY is set) or stub for offline fixtures
+    aiProvider: process.env.AI_PROVIDER || '',
+    aiModels: resolveAIModels(),
+    // Extra attempts when an AI response fails its schema (lib/ai/schemas.js)
+    aiValidationRetries: Number.isNaN(aiValidationRetries) ? 2 : Math.max(0, aiValidationRetries),
+    // Public origin used for links in emails
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${port}`).replace(/\/$/, ''),
+    // Deep link the app registers for passwordless login (receives ?email=&code=)
+    appLoginLinkUrl: process.env.APP_LOGIN_LINK_URL || 'mogai://auth/login-code',
+    trustProxy: process.env.TRUST_PROXY || '',
+    // Local development without SMTP: return one-time codes in API responses when the email
+    // was not delivered. Never honoured in production.
+    exposeEmailCodes: process.env.EXPOSE_EMAIL_CODES === 'true' && process.env.NODE_ENV !== 'production',
+  };
+};
+
+const systemClock = { now: () => new Date() };
+
+// Services built on top of the injected dependencies, in dependency order
+const createServices = (deps) => {
+  const services = {
+    structuredAI: createStructuredAI(deps),
+    queue: createQueue(deps),
+    locks: createLocks(deps),
+    codes: createCodes(deps),
+    guestData: createGuestData(deps),
+    sessions: createSessions(deps),
+    handles: createHandles(deps),
+    twoFactor: createTwoFactor(deps),
+    dataExports: createDataExports(deps),
+  };
+  const withServices = { ...deps, services };
+  Object.assign(services, {
+    tokens: createTokens(withServices),
+    auth: createRequireAuth(withServices),
+    accountDeletion: createAccountDeletion(withServices),
+    emailChange: createEmailChange(withServices),
+    emails: createEmails(withServices),
+    leaderboard: createLeaderboard(withServices),
+    physique: createPhysiqueAnalysis(withServices),
+    trainingPlans: createTrainingPlans(withServices),
+    nutrition: createNutritionAnalysis(withServices),
+    exerciseImages: createExerciseImages(withServices),
+  });
+  services.jobs = createJobs(withServices);
+  return services;
+};
+
+/**
+ * Production dependencies with optional overrides:
+ * { config, models, ai, mailer, clock, rateLimitStore }.
+ * `models` and `config` are merged key by key; pass ai: null to force simulated AI
+ * or ai: createStubProvider() for fixture responses (see lib/ai).
+ */
+const createDependencies = (overrides = {}) => {
+  const config = { ...loadConfig(), ...overrides.config };
+  const deps = {
+    config,
+    models: { User, Onboarding, Scan, WorkoutPlan, NutritionLog, Leaderboard, Session, RefreshToken, DeletionReceipt, AuditLog, DataExport, AIFailure, Job, Lock, ExerciseImage, ...overrides.models },
+    ai: 'ai' in overrides ? overrides.ai : createAIProvider({ provider: config.aiProvider, apiKey: config.openaiApiKey, models: config.aiModels }),
+    mailer: overrides.mailer || createMailer(),
+    clock: overrides.clock || systemClock,
+    // RATE_LIMIT_STORE=mongo shares counters across instances
+    rateLimitStore: overrides.rateLimitStore || createStore(),
+  };
+  deps.services = createServices(deps);
+  return deps;
+};
+
+module.exports = { createDependencies };
@@ -0,0 +1,146 @@
+// Email change: confirm on the new address, notify the old one, allow a one-click revert
+const crypto = require('crypto');
+const { signLinkToken, verifyLinkToken } = require('./tokens');
+
+const EMAIL_REVERT_TTL_DAYS = parseInt(process.env.EMAIL_REVERT_TTL_DAYS, 10) || 7;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Email change flows on the injected User model, with codes from services.codes
+ */
+const createEmailChange = ({ models, clock, services }) => {
+  const { User } = models;
+  const { issueCode, verifyCode } = services.codes;
+  const { revokeOtherSessions } = services.sessions;
+
+  const isRevertActive = (user) => !!user.emailRevert?.revertId && user.emailRevert.expiresAt > clock.now();
+
+  const isEmailTaken = async (email, userId) => !!(await User.exists({ email, userId: { $ne: userId } }));
+
+  /**
+   * Signed token for the revert link sent to the previous address
+   */
+  const createRevertToken = (user) => {
+    const secondsLeft = (user.emailRevert.expiresAt - clock.now()) / 1000;
+    return signLinkToken('email-revert', `${user.userId}:${user.emailRevert.revertId}`, secondsLeft);
+  };
+
+  /**
+   * Start an email change. Stores the pending address and a code for it; the current email is unchanged.
+   * Returns { code, revertToken } or { error: 'unchanged' | 'taken' | 'cooldown', retryAfter }. Caller saves the user.
+   */
+  const requestEmailChange = async (user, newEmail) => {
+    const email = normalizeEmail(newEmail);
+    if (email === normalizeEmail(user.email)) return { error: 'unchanged' };
+    if (await isEmailTaken(email, user.userId)) return { error: 'taken' };
+
+    // Resending to the same pending address respects the code cooldown
+    if (email !== user.pendingEmail) user.emailChange = undefined;
+    const issued = issueCode(user, 'emailChange');
+    if (issued.error) return issued;
+
+    user.pendingEmail = email;
+
+    // Keep an active revert window pointing at the original address, so chained changes can still be undone
+    if (!isRevertActive(user)) {
+      user.emailRevert = {
+        revertId: crypto.randomBytes(12).toString('hex'),
+        previousEmail: user.email,
+        previousVerified: user.isVerified,
+        expiresAt: new Date(clock.now().getTime() + EMAIL_REVERT_TTL_DAYS * 24 * 60 * 60 * 1000),
+      };
+    }
+
+    return { code: issued.code, revertToken: createRevertToken(user) };
+  };
+
+  /**
+   * Confirm the pending email with the code sent to it and swap the address.
+   * Returns { status } ('valid' | 'taken' | plus verifyCode statuses); on 'valid' also previousEmail and revertToken.
+   */
+  const confirmEmailChange = async (user, code) => {
+    if (!user.pendingEmail) return { status: 'missing' };
+
+    const check = await verifyCode(user, 'emailChange', code);
+    if (check.status !== 'valid') return check;
+
+    // Another account may have claimed the address since the code was sent
+    if (await isEmailTaken(user.pendingEmail, user.userId)) return { status: 'taken' };
+
+    const previousEmail = user.email;
+    user.email = user.pendingEmail;
+    user.isVerified = true; // The code proved ownership of the new address
+    user.pendingEmail = undefined;
+    await user.save();
+
+    return {
+      status: 'valid',
+      previousEmail,
+      revertToken: isRevertActive(user) ? createRevertToken(user) : null,
+    };
+  };
+
+  /**
+   * Cancel a pending change without a revert (e.g. user typed the wrong address)
+   */
+  const cancelEmailChange = async (user) => {
+    if (!user.pendingEmail) return false;
+    user.pendingEmail = undefined;
+    user.emailChange = undefined;
+    await user.save();
+    return true;
+  };
+
+  // The user a revert link belongs to, or null once it is invalid, used or expired
+  const findRevertUser = async (token) => {
+    const subject = verifyLinkToken('email-revert', token);
+    if (!subject) return null;
+
+    const [userId, revertId] = subject.split(':');
+    const user = await User.findOne({ userId, 'emailRevert.revertId': revertId });
+    return user && isRevertActive(user) ? user : null;
+  };
+
+  /**
+   * Check a revert link without acting on it (the confirmation page).
+   * Returns { status: 'valid', user } or { status: 'invalid' }.
+   */
+  const checkRevertToken = async (token) => {
+    const user = await findRevertUser(token);
+    return user ? { status: 'valid', user } : { status: 'invalid' };
+  };
+
+  /**
+   * Undo an email change from the link sent to the previous address. Cancels a pending change or
+   * restores the old email, then signs out every device in case the account was hijacked.
+   * Returns { status: 'reverted', user } or { status: 'invalid' | 'taken' }.
+   */
+  const revertEmailChange = async (token) => {
+    const user = await findRevertUser(token);
+    if (!user) return { status: 'invalid' };
+
+    const { previousEmail, previousVerified } = user.emailRevert;
+    if (user.email !== previousEmail) {
+      if (await isEmailTaken(previousEmail, user.userId)) return { status: 'taken' };
+      user.email = previousEmail;
+      user.isVerified = previousVerified;
+    }
+
+    user.pendingEmail = undefined;
+    user.emailChange = undefined;
+    user.emailRevert = undefined;
+    await user.save();
+
+    await revokeOtherSessions(user.userId, null, 'email_revert');
+    return { status: 'reverted', user };
+  };
+
+  return { requestEmailChange, confirmEmailChange, cancelEmailChange, checkRevertToken, revertEmailChange };
+};
+
+module.exports = {
+  EMAIL_REVERT_TTL_DAYS,
+  normalizeEmail,
+  createEmailChange,
+};
@@ -0,0 +1,477 @@
+// Transactional emails (verification, login codes, password reset, account notices)
+const { CODE_TTL_MINUTES } = require('./codes');
+const { EMAIL_REVERT_TTL_DAYS } = require('./emailChange');
+const { logger } = require('./logger');
+
+/**
+ * Email senders bound to a mailer (see lib/mailer.js).
+ * Each falls back to console logging when the mailer is not configured.
+ */
+const createEmails = ({ mailer, config }) => {
+  /**
+   * Send verification email with code
+   * Falls back to console logging if Gmail is not configured
+   * `options` reuses the template for other code emails: { label, title, subtitle, subject, footer, link, linkText }
+   */
+  const sendVerificationEmail = async (email, code, firstName = '', options = {}) => {
+    const {
+      label = 'Verification',
+      title = 'Verify your email to start mogging',
+      subtitle = '',
+      subject = `${code} is your Mog.ai verification code`,
+      footer = "If you didn't create an account with Mog.ai, you can ignore this email.",
+      link = null,
+      linkText = '',
+    } = options;
+
+    const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 0; }
+        .container { max-width: 500px; margin: 0 auto; padding: 40px 20px; }
+        .logo { text-align: center; margin-bottom: 30px; }
+        .logo h1 { font-size: 32px; font-weight: 900; background: linear-gradient(135deg, #A259FF, #FF4D9E); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0; }
+        .card { background: linear-gradient(145deg, #1a1a1a, #0d0d0d); border: 1px solid #333; border-radius: 16px; padding: 30px; text-align: center; }
+        .greeting { font-size: 18px; color: #aaa; margin-bottom: 10px; }
+        .title { font-size: 24px; font-weight: 700; margin-bottom: 20px; }
+        .code-box { background: linear-gradient(135deg, #A259FF20, #FF4D9E20); border: 2px solid #A259FF; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .code { font-size: 36px; font-weight: 900; letter-spacing: 8px; color: #ffffff; }
+        .button { display: inline-block; margin-top: 10px; padding: 14px 28px; border-radius: 12px; background: linear-gradient(135deg, #A259FF, #FF4D9E); color: #ffffff; font-weight: 700; text-decoration: none; }
+        .expires { font-size: 14px; color: #888; margin-top: 20px; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">
+          <h1>MOG.AI</h1>
+        </div>
+        <div class="card">
+          <p class="greeting">Hey${firstName ? ' ' + firstName : ''} 👋</p>
+          <p class="title">${title}</p>
+          ${subtitle ? `<p style="color: #aaa; font-size: 14px;">${subtitle}</p>` : ''}
+          <div class="code-box">
+            <div class="code">${code}</div>
+          </div>
+          ${link ? `<a class="button" href="${link}">${linkText}</a>` : ''}
+          <p class="expires">This code expires in ${CODE_TTL_MINUTES} minutes</p>
+        </div>
+        <div class="footer">
+          <p>${footer}</p>
+          <p>© ${new Date().getFullYear()} Mog.ai - Become the best version of yourself</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+    // Check if Gmail is configured
+    if (!mailer.isConfigured) {
+      logger.info('[EMAIL] Gmail not configured, code not sent', { label, email, code });
+      return { success: true, method: 'console' };
+    }
+
+    try {
+      const mailOptions = {
+        from: mailer.from,
+        to: email,
+        subject,
+        html: emailHtml,
+        text: `Your Mog.ai ${label.toLowerCase()} code is: ${code}\n\n${link ? `${linkText}: ${link}\n\n` : ''}This code expires in ${CODE_TTL_MINUTES} minutes.\n\n${footer}`,
+      };
+
+      await mailer.sendMail(mailOptions);
+      logger.info(`[EMAIL] ${label} email sent to ${email}`);
+      return { success: true, method: 'gmail' };
+    } catch (error) {
+      logger.error(`[EMAIL] Failed to send email to ${email}:`, error.message);
+      logger.info('[EMAIL] Fallback - code not delivered', { label, email, code });
+      return { success: false, method: 'console', error: error.message };
+    }
+  };
+
+  /**
+   * Send a passwordless login code, with a deep link that opens the app and submits it
+   */
+  const sendLoginCodeEmail = (email, code, firstName = '') => {
+    const link = `${config.appLoginLinkUrl}?${new URLSearchParams({ email, code }).toString()}`;
+    return sendVerificationEmail(email, code, firstName, {
+      label: 'Login',
+      title: 'Log in to Mog.ai',
+      subtitle: 'Tap the button on your phone or enter this code in the app',
+      subject: `${code} is your Mog.ai login code`,
+      footer: "If you didn't try to log in, you can ignore this email. Your account is safe.",
+      link,
+      linkText: 'Log in to Mog.ai',
+    });
+  };
+
+  /**
+   * Send the code that confirms a sensitive change on an account without a password
+   */
+  const sendReauthCodeEmail = (email, code, firstName = '') => sendVerificationEmail(email, code, firstName, {
+    label: 'Security',
+    title: 'Confirm it\'s you',
+    subtitle: 'Enter this code in the app to confirm the change to your account security',
+    subject: `${code} is your Mog.ai security code`,
+    footer: "If you didn't request this, someone may have access to your phone. Sign out of other devices in the app.",
+  });
+
+  /**
+   * Send password reset email with code
+   */
+  const sendPasswordResetEmail = async (email, code, firstName = '') => {
+    const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 0; }
+        .container { max-width: 500px; margin: 0 auto; padding: 40px 20px; }
+        .logo { text-align: center; margin-bottom: 30px; }
+        .logo h1 { font-size: 32px; font-weight: 900; background: linear-gradient(135deg, #A259FF, #FF4D9E); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0; }
+        .card { background: linear-gradient(145deg, #1a1a1a, #0d0d0d); border: 1px solid #333; border-radius: 16px; padding: 30px; text-align: center; }
+        .greeting { font-size: 18px; color: #aaa; margin-bottom: 10px; }
+        .title { font-size: 24px; font-weight: 700; margin-bottom: 20px; }
+        .code-box { background: linear-gradient(135deg, #FF4D9E20, #A259FF20); border: 2px solid #FF4D9E; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .code { font-size: 36px; font-weight: 900; letter-spacing: 8px; color: #ffffff; }
+        .expires { font-size: 14px; color: #888; margin-top: 20px; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">
+          <h1>MOG.AI</h1>
+        </div>
+        <div class="card">
+          <p class="greeting">Hey${firstName ? ' ' + firstName : ''} 👋</p>
+          <p class="title">Reset your password</p>
+          <p style="color: #aaa; font-size: 14px;">Use this code to reset your Mog.ai password</p>
+          <div class="code-box">
+            <div class="code">${code}</div>
+          </div>
+          <p class="expires">This code expires in ${CODE_TTL_MINUTES} minutes</p>
+        </div>
+        <div class="footer">
+          <p>If you didn't request a password reset, you can ignore this email.</p>
+          <p>© ${new Date().getFullYear()} Mog.ai - Become the best version of yourself</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+    // Check if Gmail is configured
+    if (!mailer.isConfigured) {
+      logger.info('[EMAIL] Gmail not configured, password reset code not sent', { email, code });
+      return { success: true, method: 'console' };
+    }
+
+    try {
+      const mailOptions = {
+        from: mailer.from,
+        to: email,
+        subject: `${code} is your Mog.ai password reset code`,
+        html: emailHtml,
+        text: `Your Mog.ai password reset code is: ${code}\n\nThis code expires in ${CODE_TTL_MINUTES} minutes.\n\nIf you didn't request this, you can ignore this email.`,
+      };
+
+      await mailer.sendMail(mailOptions);
+      logger.info(`[EMAIL] Password reset email sent to ${email}`);
+      return { success: true, method: 'gmail' };
+    } catch (error) {
+      logger.error(`[EMAIL] Failed to send password reset email to ${email}:`, error.message);
+      logger.info('[EMAIL] Fallback - password reset code not delivered', { email, code });
+      return { success: false, method: 'console', error: error.message };
+    }
+  };
+
+  /**
+   * Send account deletion notice ('scheduled' with undo window, or 'completed' with receipt)
+   */
+  const sendAccountDeletionEmail = async (email, receipt, firstName = '', stage = 'scheduled') => {
+    const scheduledDate = new Date(receipt.scheduledFor).toDateString();
+    const title = stage === 'completed' ? 'Your account has been deleted' : 'Your account is scheduled for deletion';
+    const message = stage === 'completed'
+      ? 'Your Mog.ai account and all associated data (profile, scans and photos, training plans, nutrition logs and leaderboard entries) have been permanently deleted.'
+      : `Your Mog.ai account and all of its data will be permanently deleted on ${scheduledDate}. Changed your mind? Log in to the app before then and restore your account.`;
+
+    const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 0; }
+        .container { max-width: 500px; margin: 0 auto; padding: 40px 20px; }
+        .logo { text-align: center; margin-bottom: 30px; }
+        .logo h1 { font-size: 32px; font-weight: 900; background: linear-gradient(135deg, #A259FF, #FF4D9E); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0; }
+        .card { background: linear-gradient(145deg, #1a1a1a, #0d0d0d); border: 1px solid #333; border-radius: 16px; padding: 30px; text-align: center; }
+        .greeting { font-size: 18px; color: #aaa; margin-bottom: 10px; }
+        .title { font-size: 24px; font-weight: 700; margin-bottom: 20px; }
+        .message { font-size: 14px; color: #aaa; line-height: 1.5; }
+        .receipt { font-size: 13px; color: #888; margin-top: 20px; font-family: monospace; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">
+          <h1>MOG.AI</h1>
+        </div>
+        <div class="card">
+          <p class="greeting">Hey${firstName ? ' ' + firstName : ''} 👋</p>
+          <p class="title">${title}</p>
+          <p class="message">${message}</p>
+          <p class="receipt">Deletion receipt: ${receipt.receiptId}</p>
+        </div>
+        <div class="footer">
+          <p>If you didn't request this, log in and restore your account, then change your password.</p>
+          <p>© ${new Date().getFullYear()} Mog.ai - Become the best version of yourself</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+    // Check if Gmail is configured
+    if (!mailer.isConfigured) {
+      logger.info(`[EMAIL] Gmail not configured. Account deletion (${stage}) notice for ${email}: receipt ${receipt.receiptId}`);
+      return { success: true, method: 'console' };
+    }
+
+    try {
+      await mailer.sendMail({
+        from: mailer.from,
+        to: email,
+        subject: `Mog.ai - ${title}`,
+        html: emailHtml,
+        text: `${message}\n\nDeletion receipt: ${receipt.receiptId}`,
+      });
+      logger.info(`[EMAIL] Account deletion (${stage}) email sent to ${email}`);
+      return { success: true, method: 'gmail' };
+    } catch (error) {
+      logger.error(`[EMAIL] Failed to send account deletion email to ${email}:`, error.message);
+      return { success: false, method: 'console', error: error.message };
+    }
+  };
+
+  /**
+   * Send the code that confirms a new email address
+   */
+  const sendEmailChangeCodeEmail = async (email, code, firstName = '') => {
+    const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 0; }
+        .container { max-width: 500px; margin: 0 auto; padding: 40px 20px; }
+        .logo { text-align: center; margin-bottom: 30px; }
+        .logo h1 { font-size: 32px; font-weight: 900; background: linear-gradient(135deg, #A259FF, #FF4D9E); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0; }
+        .card { background: linear-gradient(145deg, #1a1a1a, #0d0d0d); border: 1px solid #333; border-radius: 16px; padding: 30px; text-align: center; }
+        .greeting { font-size: 18px; color: #aaa; margin-bottom: 10px; }
+        .title { font-size: 24px; font-weight: 700; margin-bottom: 20px; }
+        .code-box { background: linear-gradient(135deg, #A259FF20, #FF4D9E20); border: 2px solid #A259FF; border-radius: 12px; padding: 20px; margin: 20px 0; }
+        .code { font-size: 36px; font-weight: 900; letter-spacing: 8px; color: #ffffff; }
+        .expires { font-size: 14px; color: #888; margin-top: 20px; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">
+          <h1>MOG.AI</h1>
+        </div>
+        <div class="card">
+          <p class="greeting">Hey${firstName ? ' ' + firstName : ''} 👋</p>
+          <p class="title">Confirm your new email</p>
+          <p style="color: #aaa; font-size: 14px;">Enter this code in the app to move your Mog.ai account to this address</p>
+          <div class="code-box">
+            <div class="code">${code}</div>
+          </div>
+          <p class="expires">This code expires in ${CODE_TTL_MINUTES} minutes</p>
+        </div>
+        <div class="footer">
+          <p>If you didn't request this change, you can ignore this email.</p>
+          <p>© ${new Date().getFullYear()} Mog.ai - Become the best version of yourself</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+    // Check if Gmail is configured
+    if (!mailer.isConfigured) {
+      logger.info('[EMAIL] Gmail not configured, email change code not sent', { email, code });
+      return { success: true, method: 'console' };
+    }
+
+    try {
+      await mailer.sendMail({
+        from: mailer.from,
+        to: email,
+        subject: `${code} is your Mog.ai email confirmation code`,
+        html: emailHtml,
+        text: `Your Mog.ai email confirmation code is: ${code}\n\nThis code expires in ${CODE_TTL_MINUTES} minutes.\n\nIf you didn't request this, you can ignore this email.`,
+      });
+      logger.info(`[EMAIL] Email change code sent to ${email}`);
+      return { success: true, method: 'gmail' };
+    } catch (error) {
+      logger.error(`[EMAIL] Failed to send email change code to ${email}:`, error.message);
+      logger.info('[EMAIL] Fallback - email change code not delivered', { email, code });
+      return { success: false, method: 'console', error: error.message };
+    }
+  };
+
+  /**
+   * Tell the current address about an email change ('requested' or 'completed') with a one-click revert link
+   */
+  const sendEmailChangeNoticeEmail = async (email, newEmail, revertUrl, firstName = '', stage = 'requested') => {
+    const title = stage === 'completed' ? 'Your email address was changed' : 'Email change requested';
+    const message = stage === 'completed'
+      ? `The email on your Mog.ai account is now ${newEmail}. This address will no longer receive account emails.`
+      : `Someone asked to change the email on your Mog.ai account to ${newEmail}. The change only happens once that address is confirmed.`;
+
+    const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 0; }
+        .container { max-width: 500px; margin: 0 auto; padding: 40px 20px; }
+        .logo { text-align: center; margin-bottom: 30px; }
+        .logo h1 { font-size: 32px; font-weight: 900; background: linear-gradient(135deg, #A259FF, #FF4D9E); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0; }
+        .card { background: linear-gradient(145deg, #1a1a1a, #0d0d0d); border: 1px solid #333; border-radius: 16px; padding: 30px; text-align: center; }
+        .greeting { font-size: 18px; color: #aaa; margin-bottom: 10px; }
+        .title { font-size: 24px; font-weight: 700; margin-bottom: 20px; }
+        .message { font-size: 14px; color: #aaa; line-height: 1.5; }
+        .button { display: inline-block; margin-top: 20px; padding: 14px 28px; border-radius: 12px; background: linear-gradient(135deg, #A259FF, #FF4D9E); color: #ffffff; font-weight: 700; text-decoration: none; }
+        .expires { font-size: 14px; color: #888; margin-top: 20px; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">
+          <h1>MOG.AI</h1>
+        </div>
+        <div class="card">
+          <p class="greeting">Hey${firstName ? ' ' + firstName : ''} 👋</p>
+          <p class="title">${title}</p>
+          <p class="message">${message}</p>
+          <a class="button" href="${revertUrl}">This wasn't me - undo it</a>
+          <p class="expires">Undoing keeps ${email} on the account and signs out every device. This link works for ${EMAIL_REVERT_TTL_DAYS} days.</p>
+        </div>
+        <div class="footer">
+          <p>If you made this change, you can ignore this email.</p>
+          <p>© ${new Date().getFullYear()} Mog.ai - Become the best version of yourself</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+    // Check if Gmail is configured
+    if (!mailer.isConfigured) {
+      logger.info('[EMAIL] Gmail not configured, email change notice not sent', { stage, email });
+      return { success: true, method: 'console' };
+    }
+
+    try {
+      await mailer.sendMail({
+        from: mailer.from,
+        to: email,
+        subject: `Mog.ai - ${title}`,
+        html: emailHtml,
+        text: `${message}\n\nNot you? Undo it and sign out every device: ${revertUrl}\n\nThis link works for ${EMAIL_REVERT_TTL_DAYS} days.`,
+      });
+      logger.info(`[EMAIL] Email change (${stage}) notice sent to ${email}`);
+      return { success: true, method: 'gmail' };
+    } catch (error) {
+      logger.error(`[EMAIL] Failed to send email change notice to ${email}:`, error.message);
+      return { success: false, method: 'console', error: error.message };
+    }
+  };
+
+  /**
+   * Tell the owner their unverified account was claimed by an Apple / Google sign-in and its
+   * password removed (it was never confirmed to be theirs). They can set a new one in the app.
+   */
+  const sendIdentityLinkedEmail = async (email, provider, firstName = '') => {
+    const providerName = provider === 'apple' ? 'Apple' : 'Google';
+    const title = `Signed in with ${providerName}`;
+    const message = `Your Mog.ai account is now linked to your ${providerName} account. The account's email was never confirmed, so its password and two-factor authentication were removed and other devices were signed out. Use ${providerName} to sign in, or set a new password under Settings > Security.`;
+
+    const emailHtml = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 0; }
+        .container { max-width: 500px; margin: 0 auto; padding: 40px 20px; }
+        .logo { text-align: center; margin-bottom: 30px; }
+        .logo h1 { font-size: 32px; font-weight: 900; background: linear-gradient(135deg, #A259FF, #FF4D9E); -webkit-background-clip: text; -webkit-text-fill-color: transparent; margin: 0; }
+        .card { background: linear-gradient(145deg, #1a1a1a, #0d0d0d); border: 1px solid #333; border-radius: 16px; padding: 30px; text-align: center; }
+        .greeting { font-size: 18px; color: #aaa; margin-bottom: 10px; }
+        .title { font-size: 24px; font-weight: 700; margin-bottom: 20px; }
+        .message { font-size: 14px; color: #aaa; line-height: 1.5; }
+        .footer { text-align: center; margin-top: 30px; font-size: 12px; color: #666; }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div class="logo">
+          <h1>MOG.AI</h1>
+        </div>
+        <div class="card">
+          <p class="greeting">Hey${firstName ? ' ' + firstName : ''} 👋</p>
+          <p class="title">${title}</p>
+          <p class="message">${message}</p>
+        </div>
+        <div class="footer">
+          <p>If you just signed in with ${providerName}, you can ignore this email.</p>
+          <p>© ${new Date().getFullYear()} Mog.ai - Become the best version of yourself</p>
+        </div>
+      </div>
+    </body>
+    </html>
+  `;
+
+    // Check if Gmail is configured
+    if (!mailer.isConfigured) {
+      logger.info('[EMAIL] Gmail not configured, identity link notice not sent', { provider, email });
+      return { success: true, method: 'console' };
+    }
+
+    try {
+      await mailer.sendMail({
+        from: mailer.from,
+        to: email,
+        subject: `Mog.ai - ${title}`,
+        html: emailHtml,
+        text: `${message}\n\nIf you just signed in with ${providerName}, you can ignore this email.`,
+      });
+      logger.info(`[EMAIL] Identity link (${provider}) notice sent to ${email}`);
+      return { success: true, method: 'gmail' };
+    } catch (error) {
+      logger.error(`[EMAIL] Failed to send identity link notice to ${email}:`, error.message);
+      return { success: false, method: 'console', error: error.message };
+    }
+  };
+
+  return {
+    sendVerificationEmail,
+    sendLoginCodeEmail,
+    sendReauthCodeEmail,
+    sendPasswordResetEmail,
+    sendAccountDeletionEmail,
+    sendEmailChangeCodeEmail,
+    sendEmailChangeNoticeEmail,
+    sendIdentityLinkedEmail,
+  };
+};
+
+module.exports = { createEmails };
@@ -0,0 +1,116 @@
+// One error envelope for every API response: { success: false, error: <code>, message, ...extra }
+// `error` is a stable machine-readable code from ERRORS; `message` is safe to show to the user.
+const { logger } = require('./logger');
+
+// code: [HTTP status, default message]
+const ERRORS = {
+  // Request shape
+  validation_failed: [400, 'Invalid request'],
+  invalid_json: [400, 'Request body is not valid JSON'],
+  payload_too_large: [413, 'Request body is too large'],
+  route_not_found: [404, 'Route not found'],
+  rate_limited: [429, 'Too many requests. Please try again later.'],
+
+  // Authentication and access
+  unauthorized: [401, 'Authentication required'],
+  forbidden: [403, 'You do not have access to this resource'],
+  password_incorrect: [401, 'Current password is incorrect'],
+  reauth_code_required: [401, 'Enter the security code we emailed you'],
+  password_already_set: [409, 'Your account has a password. Confirm with it instead.'],
+  guest_token_invalid: [401, 'Guest session is invalid or has expired'],
+  token_invalid: [401, 'Invalid or expired refresh token'],
+  token_expired: [401, 'Invalid or expired refresh token'],
+  token_reused: [401, 'Session revoked. Please log in again.'],
+  link_invalid: [401, 'This link is invalid or has expired'],
+  challenge_invalid: [401, 'Login challenge is invalid or has expired. Please log in again.'],
+  email_already_registered: [409, 'Email already registered'],
+  email_already_verified: [409, 'Email already verified'],
+  account_exists: [409, 'An account with this email already exists. Log in with your password to continue.'],
+  email_required: [400, 'Your account did not share an email address'],
+  unsupported_provider: [404, 'Unsupported sign-in provider'],
+  not_configured: [503, 'This sign-in provider is not configured'],
+  provider_unavailable: [503, 'Could not reach the sign-in provider. Please try again.'],
+  invalid_token: [401, 'Invalid or expired sign-in token'],
+
+  // One-time codes (lib/codes.js) and two-factor auth
+  code_invalid: [400, 'Invalid code'],
+  code_expired: [400, 'Code has expired. Please request a new one.'],
+  code_locked: [429, 'Too many incorrect attempts. Please request a new code.'],
+  code_cooldown: [429, 'Please wait before requesting another code'],
+  two_factor_invalid: [401, 'Invalid authentication code'],
+  two_factor_code_required: [401, 'Enter a code from your authenticator app'],
+  two_factor_locked: [429, 'Too many incorrect codes. Try again later.'],
+  two_factor_already_enabled: [409, 'Two-factor authentication is already enabled'],
+  two_factor_not_enabled: [409, 'Two-factor authentication is not enabled'],
+  two_factor_setup_required: [409, 'Start two-factor setup first'],
+
+  // Usernames (lib/handles.js)
+  username_invalid_format: [400, 'That username is not valid'],
+  username_reserved: [400, 'That username is reserved'],
+  username_blocked: [400, 'That username is not allowed'],
+  username_taken: [409, 'That username is already taken'],
+  username_unchanged: [400, 'That is already your username'],
+  username_cooldown: [429, 'You changed your username recently'],
+
+  // Email change and account lifecycle
+  email_taken: [409, 'Email already in use by another account'],
+  email_unchanged: [400, 'That is already your email'],
+  email_change_not_pending: [409, 'No email change pending'],
+  deletion_not_scheduled: [409, 'Account is not scheduled for deletion'],
+  export_expired: [410, 'Export is no longer available'],
+  job_not_dead: [409, 'Only dead-lettered jobs can be retried'],
+  plan_busy: [409, 'Your plan is being updated. Please try again in a moment.'],
+  plan_conflict: [409, 'Your plan was changed on another device. Reload it and try again.'],
+
+  // Missing resources
+  user_not_found: [404, 'User not found'],
+  session_not_found: [404, 'Session not found'],
+  receipt_not_found: [404, 'Receipt not found'],
+  export_not_found: [404, 'Export not found'],
+  onboarding_not_found: [404, 'Onboarding data not found'],
+  plan_not_found: [404, 'No workout plan found - please complete a scan first'],
+  day_not_found: [404, 'Day not found in plan'],
+  scan_required: [409, 'No physique scan found. Please complete a body scan first.'],
+  job_not_found: [404, 'Job not found'],
+  image_not_found: [404, 'Image not found'],
+
+  // AI results
+  different_person: [422, "This doesn't appear to be the same person as your previous scans."],
+  invalid_physique: [422, 'Please upload a clear photo of your physique for accurate analysis.'],
+  not_food: [422, 'This image does not appear to contain food. Please take a photo of your meal.'],
+  unclear_image: [422, 'Could not clearly see the food. Please try again with better lighting.'],
+  ai_invalid_response: [502, 'Could not analyze that properly. Please try again.'],
+  ai_unavailable: [503, 'AI analysis is temporarily unavailable. Please try again.'],
+  plan_generation_failed: [502, 'Failed to generate workout plan. Please try again.'],
+
+  internal_error: [500, 'Something went wrong. Please try again.'],
+};
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Send the error envelope for a code in ERRORS, with an optional message override and extra fields
+ */
+const sendError = (res, code, message, extra = {}) => {
+  const [status, defaultMessage] = ERRORS[code] || ERRORS.internal_error;
+  return res.status(status).json({ success: false, error: code, message: message || defaultMessage, ...extra });
+};
+
+// Mounted after every router
+const notFoundHandler = (req, res) => sendError(res, 'route_not_found', `No route for ${req.method} ${req.path}`);
+
+/**
+ * Final Express error handler. Body-parser failures become 400/413; anything else is a 500
+ * whose details are only included outside production.
+ */
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') return sendError(res, 'invalid_json');
+  if (err.type === 'entity.too.large') return sendError(res, 'payload_too_large');
+
+  logger.error('[ERROR] Unhandled request error', { method: req.method, path: req.path, err });
+  return sendError(res, 'internal_error', undefined, isProduction() ? {} : { details: err.message });
+};
+
+module.exports = { ERRORS, sendError, notFoundHandler, errorHandler };
@@ -0,0 +1,133 @@
+// Exercise demo images from the AI image model (DALL-E by default), stored in MongoDB
+// (models/ExerciseImage.js) so every instance serves them and each exercise is generated once
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Images are stored per exercise name, whatever id the plan gave the exercise
+const imageKey = (exerciseName) => exerciseName.toLowerCase().trim();
+
+const createExerciseImages = ({ ai, models, config, clock }) => {
+  const { ExerciseImage } = models;
+
+  // What clients get: the stored bytes are served by GET /api/workout/exercise-images/:fileId
+  const toPublicImage = ({ id, fileId, phase }) => ({ id, url: `${config.publicBaseUrl}/api/workout/exercise-images/${fileId}`, phase });
+
+  // Stored images for an exercise as { id, url, phase }, or null if none were generated yet.
+  // Sets saved before the bytes were stored only had the provider's expired URLs, so they count as missing.
+  const getCachedImages = async (exerciseName) => {
+    const stored = await ExerciseImage.findOne({ key: imageKey(exerciseName), 'images.fileId': { $exists: true } }, { 'images.data': 0 }).lean();
+    return stored ? stored.images.map(toPublicImage) : null;
+  };
+
+  // One stored image as { contentType, data }, or null
+  const getImageFile = async (fileId) => {
+    const stored = await ExerciseImage.findOne({ 'images.fileId': fileId }, { images: { $elemMatch: { fileId } } });
+    const image = stored?.images[0];
+    return image ? { contentType: image.contentType, data: image.data } : null;
+  };
+
+  // Drop every stored image set (e.g. after changing the prompt); returns how many were removed
+  const clearCachedImages = async () => {
+    const { deletedCount } = await ExerciseImage.deleteMany({});
+    return deletedCount;
+  };
+
+  // Generate the start/middle/end images for an exercise (run by the exercise-images job)
+  const generateAIImagesForExercise = async (exerciseName, exerciseId) => {
+    if (!ai) return null;
+
+    const cached = await getCachedImages(exerciseName);
+    if (cached) return cached;
+
+    // Determine primary muscle group for highlighting
+    const name = exerciseName.toLowerCase();
+    let muscleGroup = 'full body';
+    let glowArea = 'entire form';
+
+    if (name.includes('squat') || name.includes('leg') || name.includes('lunge') || name.includes('calf')) {
+      muscleGroup = 'leg muscles';
+      glowArea = 'thighs and calves';
+    } else if (name.includes('deadlift')) {
+      muscleGroup = 'back and leg muscles';
+      glowArea = 'lower back and hamstrings';
+    } else if (name.includes('press') || name.includes('push') || name.includes('chest') || name.includes('bench') || name.includes('fly')) {
+      muscleGroup = 'chest muscles';
+      glowArea = 'chest and front shoulders';
+    } else if (name.includes('row') || name.includes('pull') || name.includes('lat')) {
+      muscleGroup = 'back muscles';
+      glowArea = 'upper back and lats';
+    } else if (name.includes('curl') || name.includes('bicep')) {
+      muscleGroup = 'bicep muscles';
+      glowArea = 'front of upper arms';
+    } else if (name.includes('tricep') || name.includes('dip') || name.includes('extension')) {
+      muscleGroup = 'tricep muscles';
+      glowArea = 'back of upper arms';
+    } else if (name.includes('shoulder') || name.includes('delt') || name.includes('raise') || name.includes('shrug')) {
+      muscleGroup = 'shoulder muscles';
+      glowArea = 'shoulders and traps';
+    } else if (name.includes('crunch') || name.includes('plank') || name.includes('ab') || name.includes('core') || name.includes('twist')) {
+      muscleGroup = 'core muscles';
+      glowArea = 'abdominal region';
+    }
+
+    const phases = [
+      { id: 'start', description: 'starting position' },
+      { id: 'middle', description: 'mid-movement' },
+      { id: 'end', description: 'peak contraction' }
+    ];
+
+    const images = [];
+
+    for (let i = 0; i < phases.length; i++) {
+      const phase = phases[i];
+
+      try {
+        logger.info(`[AI-IMAGE] Generating ${phase.id} for ${exerciseName}...`);
+
+        // Use abstract robotic/mannequin style to avoid content filters
+        const prompt = `A sleek futuristic fitness robot mannequin demonstrating ${exerciseName} exercise in ${phase.description}. The robot has a metallic silver-gray frame with visible joint mechanisms. The ${glowArea} area is highlighted with bright neon orange and red LED lights showing muscle activation. Dark gym environment with dramatic lighting. High-tech fitness app style illustration. Professional, clean, modern design. No text.`;
+
+        const { image, contentType } = await ai.generateImage({ feature: 'exerciseImage', prompt, size: '1024x1024', quality: 'standard' });
+
+        if (image) {
+          const fileId = `img_${crypto.randomBytes(12).toString('hex')}`;
+          images.push({ id: `${exerciseId}-${i + 1}`, fileId, phase: phase.id, contentType, data: image });
+          logger.info(`[AI-IMAGE] Generated ${phase.id} for ${exerciseName}`);
+        } else {
+          logger.error(`[AI-IMAGE] Failed ${phase.id} for ${exerciseName}: no image returned`);
+          return null; // Failed, don't cache partial results
+        }
+
+        // Rate limit: wait 20 seconds between images
+        if (i < phases.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, 20000));
+        }
+      } catch (err) {
+        logger.error(`[AI-IMAGE] Error generating ${phase.id} for ${exerciseName}:`, err.message);
+        return null;
+      }
+    }
+
+    if (images.length === 3) {
+      // Store the successful result
+      await ExerciseImage.findOneAndUpdate(
+        { key: imageKey(exerciseName) },
+        { exerciseName, images, createdAt: clock.now() },
+        { upsert: true }
+      );
+      logger.info(`[AI-IMAGE] Stored images for ${exerciseName}`);
+      return images.map(toPublicImage);
+    }
+
+    return null;
+  };
+
+  return {
+    getCachedImages,
+    getImageFile,
+    clearCachedImages,
+    generateAIImagesForExercise,
+  };
+};
+
+module.exports = { createExerciseImages, imageKey };
@@ -0,0 +1,115 @@
+// Sign in with Apple / Google: ID token verification against each provider's JWKS
+const fs = require('fs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { logger } = require('./logger');
+
+const JWKS_CACHE_SECONDS = parseInt(process.env.JWKS_CACHE_SECONDS, 10) || 60 * 60;
+const JWKS_MIN_REFRESH_SECONDS = 60; // Unknown key ids trigger a refetch at most this often
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Audiences are the app's client IDs (Google OAuth clients, Apple bundle/service IDs)
+const PROVIDERS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs',
+    audiences: splitList(process.env.GOOGLE_CLIENT_IDS),
+  },
+  apple: {
+    issuers: ['https://appleid.apple.com'],
+    jwksUri: process.env.APPLE_JWKS_URI || 'https://appleid.apple.com/auth/keys',
+    audiences: splitList(process.env.APPLE_CLIENT_IDS),
+  },
+};
+
+const jwksCache = new Map(); // jwksUri -> { keys, fetchedAt }
+
+// JWKS from an https URL, or from a local file (file:// URI or path) for tests and offline setups
+const loadJwks = async (uri) => {
+  if (/^https?:\/\//.test(uri)) {
+    const response = await fetch(uri, { signal: AbortSignal.timeout(5000) });
+    if (!response.ok) throw new Error(`JWKS fetch failed with ${response.status}`);
+    return response.json();
+  }
+  const filePath = uri.startsWith('file://') ? new URL(uri) : uri;
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const now = Date.now();
+  let cached = jwksCache.get(jwksUri);
+  const stale = !cached || now - cached.fetchedAt > JWKS_CACHE_SECONDS * 1000;
+  const unknownKid = cached && !cached.keys.some(key => key.kid === kid);
+
+  if (stale || (unknownKid && now - cached.fetchedAt > JWKS_MIN_REFRESH_SECONDS * 1000)) {
+    const jwks = await loadJwks(jwksUri);
+    cached = { keys: Array.isArray(jwks.keys) ? jwks.keys : [], fetchedAt: now };
+    jwksCache.set(jwksUri, cached);
+  }
+
+  const jwk = cached.keys.find(key => key.kid === kid);
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+// Google sends a boolean, Apple sometimes the string 'true'
+const isTrue = (value) => value === true || value === 'true';
+
+// Clients may send the raw nonce while the token holds its SHA-256 (Apple's recommended flow)
+const nonceMatches = (expected, claimed) => {
+  if (!expected) return true;
+  const hashed = crypto.createHash('sha256').update(String(expected)).digest('hex');
+  return claimed === expected || claimed === hashed;
+};
+
+const isSupportedProvider = (provider) => Object.prototype.hasOwnProperty.call(PROVIDERS, provider);
+
+/**
+ * Verify a provider ID token.
+ * Returns { identity: { provider, subject, email, emailVerified } }
+ * or { error: 'unsupported_provider' | 'not_configured' | 'provider_unavailable' | 'invalid_token' }.
+ */
+const verifyIdToken = async (provider, idToken, { nonce } = {}) => {
+  if (!isSupportedProvider(provider)) return { error: 'unsupported_provider' };
+  const config = PROVIDERS[provider];
+  if (config.audiences.length === 0) return { error: 'not_configured' };
+
+  const decoded = jwt.decode(String(idToken || ''), { complete: true });
+  if (!decoded?.header?.kid) return { error: 'invalid_token' };
+
+  let key;
+  try {
+    key = await getSigningKey(config.jwksUri, decoded.header.kid);
+  } catch (err) {
+    logger.error(`[OAUTH] Failed to load ${provider} JWKS:`, err.message);
+    return { error: 'provider_unavailable' };
+  }
+  if (!key) return { error: 'invalid_token' };
+
+  try {
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: config.issuers,
+      audience: config.audiences,
+    });
+    if (!claims.sub || !nonceMatches(nonce, claims.nonce)) return { error: 'invalid_token' };
+
+    return {
+      identity: {
+        provider,
+        subject: String(claims.sub),
+        email: claims.email ? String(claims.email).trim().toLowerCase() : null,
+        emailVerified: isTrue(claims.email_verified),
+      },
+    };
+  } catch (err) {
+    logger.info(`[OAUTH] ${provider} token rejected: ${err.message}`);
+    return { error: 'invalid_token' };
+  }
+};
+
+module.exports = {
+  PROVIDERS,
+  isSupportedProvider,
+  verifyIdToken,
+};
@@ -0,0 +1,132 @@
+// Guest (pre-signup) identity: signed guest tokens, claiming guest data into an account, expiry of unclaimed data
+const crypto = require('crypto');
+const { signLinkToken, verifyLinkToken } = require('./tokens');
+
+const GUEST_DATA_TTL_DAYS = parseInt(process.env.GUEST_DATA_TTL_DAYS, 10) || 30;
+
+// Scans from clients that sent no id at all
+const ANONYMOUS_USER_ID = 'anonymous';
+
+const generateGuestId = () => `guest_${crypto.randomBytes(12).toString('hex')}`;
+
+const signGuestToken = (guestId) => signLinkToken('guest', guestId, GUEST_DATA_TTL_DAYS * 24 * 60 * 60);
+
+const verifyGuestToken = (token) => (token ? verifyLinkToken('guest', token) : null);
+
+/**
+ * Start a new guest identity. Returns { guestId, guestToken, expiresIn }.
+ */
+const createGuest = () => {
+  const guestId = generateGuestId();
+  return { guestId, guestToken: signGuestToken(guestId), expiresIn: GUEST_DATA_TTL_DAYS * 24 * 60 * 60 };
+};
+
+/**
+ * Claiming and expiring guest data in the injected models
+ */
+const createGuestData = ({ models, clock }) => {
+  const { User, Onboarding, Scan, WorkoutPlan } = models;
+
+  /**
+   * Move a guest's onboarding answers, scans and workout plan into `user`.
+   * Works for new signups and for existing accounts (login on a device that was used as a guest):
+   * the account's own onboarding answers and plan win over the guest's.
+   * Returns { onboarding, scans, workoutPlans, scoreUpdated } - caller refreshes the leaderboard when scoreUpdated.
+   */
+  const claimGuestData = async (user, guestId, onboardingData) => {
+    const { userId } = user;
+    const result = { onboarding: false, scans: 0, workoutPlans: 0, scoreUpdated: false };
+
+    const [guestOnboarding, userOnboarding] = await Promise.all([
+      Onboarding.findOne({ userId: guestId }),
+      Onboarding.findOne({ userId }),
+    ]);
+    if (guestOnboarding && userOnboarding) {
+      userOnboarding.data = { ...guestOnboarding.data, ...userOnboarding.data, ...onboardingData };
+      await userOnboarding.save();
+      await Onboarding.deleteOne({ userId: guestId });
+      result.onboarding = true;
+    } else if (guestOnboarding) {
+      await Onboarding.updateOne({ userId: guestId }, { userId, data: { ...guestOnboarding.data, ...onboardingData } });
+      result.onboarding = true;
+    } else if (onboardingData && !userOnboarding) {
+      await Onboarding.create({ userId, data: onboardingData });
+    }
+
+    const scans = await Scan.updateMany({ userId: guestId }, { userId });
+    result.scans = scans.modifiedCount;
+
+    // Take the score from the newest scan if it came from the guest
+    if (result.scans > 0) {
+      const latestScan = await Scan.findOne({ userId }).sort({ timestamp: -1 });
+      const accountScanAt = user.latestScan?.timestamp ? new Date(user.latestScan.timestamp) : null;
+      if (latestScan && (!accountScanAt || latestScan.timestamp > accountScanAt)) {
+        user.mogScore = latestScan.mogScore;
+        user.tier = latestScan.tier;
+        await user.save();
+        result.scoreUpdated = true;
+      }
+    }
+
+    if (await WorkoutPlan.exists({ userId })) {
+      await WorkoutPlan.deleteMany({ userId: guestId });
+    } else {
+      const plans = await WorkoutPlan.updateMany({ userId: guestId }, { userId });
+      result.workoutPlans = plans.modifiedCount;
+    }
+
+    return result;
+  };
+
+  /**
+   * Delete guest data nobody claimed within GUEST_DATA_TTL_DAYS of its last activity.
+   * Covers guest_ ids, legacy tempIds (any id without a User) and 'anonymous' scans.
+   */
+  const purgeExpiredGuestData = async (now = clock.now()) => {
+    const cutoff = new Date(now.getTime() - GUEST_DATA_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const [staleOnboarding, staleScans, stalePlans] = await Promise.all([
+      Onboarding.distinct('userId', { updatedAt: { $lt: cutoff } }),
+      Scan.distinct('userId', { timestamp: { $lt: cutoff }, userId: { $ne: ANONYMOUS_USER_ID } }),
+      WorkoutPlan.distinct('userId', { updatedAt: { $lt: cutoff } }),
+    ]);
+    const candidates = [...new Set([...staleOnboarding, ...staleScans, ...stalePlans])];
+
+    let guestIds = [];
+    if (candidates.length > 0) {
+      const [registered, recentOnboarding, recentScans, recentPlans] = await Promise.all([
+        User.distinct('userId', { userId: { $in: candidates } }),
+        Onboarding.distinct('userId', { userId: { $in: candidates }, updatedAt: { $gte: cutoff } }),
+        Scan.distinct('userId', { userId: { $in: candidates }, timestamp: { $gte: cutoff } }),
+        WorkoutPlan.distinct('userId', { userId: { $in: candidates }, updatedAt: { $gte: cutoff } }),
+      ]);
+      const keep = new Set([...registered, ...recentOnboarding, ...recentScans, ...recentPlans]);
+      guestIds = candidates.filter(id => !keep.has(id));
+    }
+
+    // Scan photos live on the Scan documents, so deleting the scans removes them
+    const [onboarding, scans, workoutPlans, anonymousScans] = await Promise.all([
+      Onboarding.deleteMany({ userId: { $in: guestIds } }),
+      Scan.deleteMany({ userId: { $in: guestIds } }),
+      WorkoutPlan.deleteMany({ userId: { $in: guestIds } }),
+      Scan.deleteMany({ userId: ANONYMOUS_USER_ID, timestamp: { $lt: cutoff } }),
+    ]);
+
+    return {
+      guests: guestIds.length,
+      onboarding: onboarding.deletedCount,
+      scans: scans.deletedCount + anonymousScans.deletedCount,
+      workoutPlans: workoutPlans.deletedCount,
+    };
+  };
+
+  return { claimGuestData, purgeExpiredGuestData };
+};
+
+module.exports = {
+  GUEST_DATA_TTL_DAYS,
+  ANONYMOUS_USER_ID,
+  createGuest,
+  verifyGuestToken,
+  createGuestData,
+};
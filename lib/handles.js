@@ -0,0 +1,156 @@
+// Unique, case-insensitive user handles (User.username) with reserved words and rename cooldowns
+const crypto = require('crypto');
+
+const HANDLE_MIN_LENGTH = 3;
+const HANDLE_MAX_LENGTH = 20;
+const USERNAME_CHANGE_COOLDOWN_DAYS = parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS, 10) || 30;
+
+// Letters, digits, underscores and single dots (not first or last)
+const HANDLE_PATTERN = /^[a-z0-9_](?:[a-z0-9_]|\.(?!\.))*[a-z0-9_]$/i;
+
+// Handles that could impersonate staff or collide with app routes
+const RESERVED_HANDLES = new Set([
+  'admin', 'administrator', 'root', 'system', 'support', 'help', 'helpdesk', 'staff', 'team',
+  'mod', 'moderator', 'official', 'security', 'billing', 'contact', 'info', 'noreply', 'no_reply',
+  'mog', 'mogai', 'mog.ai', 'mog_ai', 'moggers', 'api', 'app', 'www', 'settings', 'account',
+  'leaderboard', 'profile', 'login', 'logout', 'signup', 'register', 'guest', 'anonymous',
+  'me', 'null', 'undefined', 'user', 'users', 'test', 'openai', 'chatgpt',
+]);
+
+// Substrings blocked anywhere in a handle after undoing common character swaps (0->o, 1->i, $->s...).
+// Kept to words that rarely appear inside real names (no "dick" - Dickens, "rape" - grapefruit...).
+const BLOCKED_WORDS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'pussy', 'penis', 'vagina', 'porn', 'rapist',
+  'nigg', 'fagg', 'retard', 'nazi', 'hitler', 'kkk', 'tranny', 'chink', 'kike',
+];
+const LEET_MAP = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', '@': 'a', $: 's', '!': 'i' };
+
+// The handle as it is stored and shown: trimmed, without a leading @, capitalisation kept
+const displayHandle = (handle) => String(handle || '').trim().replace(/^@/, '');
+
+const normalizeHandle = (handle) => displayHandle(handle).toLowerCase();
+
+const containsBlockedWord = (handle) => {
+  const folded = handle.replace(/[0134578@$!]/g, char => LEET_MAP[char] || char).replace(/[._]/g, '');
+  return BLOCKED_WORDS.some(word => folded.includes(word));
+};
+
+/**
+ * Check the format and word lists. Returns { handle } (normalized) or { error: 'invalid_format' | 'reserved' | 'blocked' }.
+ */
+const validateHandle = (input) => {
+  const handle = normalizeHandle(input);
+  if (handle.length < HANDLE_MIN_LENGTH || handle.length > HANDLE_MAX_LENGTH || !HANDLE_PATTERN.test(handle)) {
+    return { error: 'invalid_format' };
+  }
+  if (RESERVED_HANDLES.has(handle)) return { error: 'reserved' };
+  if (containsBlockedWord(handle)) return { error: 'blocked' };
+  return { handle };
+};
+
+const isDuplicateKeyError = (err) => err?.code === 11000;
+
+/**
+ * Handle lookups and renames against the injected models and clock
+ */
+const createHandles = ({ models, clock }) => {
+  const { User, Leaderboard } = models;
+
+  // Case-insensitive: "MogKing" and "mogking" are the same handle
+  const isHandleTaken = async (handle, exceptUserId) => !!(await User.exists({
+    usernameLower: normalizeHandle(handle),
+    ...(exceptUserId ? { userId: { $ne: exceptUserId } } : {}),
+  }));
+
+  /**
+   * Turn free text (a name or email local part) into a valid, unused handle, adding digits if needed
+   */
+  const generateUniqueHandle = async (base) => {
+    let stem = normalizeHandle(base).replace(/[^a-z0-9_]/g, '').slice(0, HANDLE_MAX_LENGTH - 5);
+    if (stem.length < HANDLE_MIN_LENGTH || validateHandle(stem).error) stem = 'mogger';
+
+    if (!(await isHandleTaken(stem))) return stem;
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const candidate = `${stem}${crypto.randomInt(1000, 100000)}`;
+      if (!(await isHandleTaken(candidate))) return candidate;
+    }
+    return `${stem}_${crypto.randomBytes(3).toString('hex')}`;
+  };
+
+  /**
+   * Up to `count` available alternatives for a taken handle
+   */
+  const suggestHandles = async (handle, count = 3) => {
+    const suggestions = new Set();
+    for (let attempt = 0; attempt < count * 3 && suggestions.size < count; attempt++) {
+      suggestions.add(await generateUniqueHandle(handle));
+    }
+    return [...suggestions];
+  };
+
+  /**
+   * Full availability check for the signup / rename forms.
+   * Returns { available: true, handle } or { available: false, reason, suggestions? }.
+   */
+  const checkHandleAvailability = async (input, exceptUserId) => {
+    const validated = validateHandle(input);
+    if (validated.error) return { available: false, reason: validated.error };
+    if (await isHandleTaken(validated.handle, exceptUserId)) {
+      return { available: false, reason: 'taken', suggestions: await suggestHandles(validated.handle) };
+    }
+    return { available: true, handle: validated.handle };
+  };
+
+  // Seconds until this user may rename again (0 if allowed now). Setting the first handle is always allowed.
+  const getRenameCooldown = (user) => {
+    if (!user.usernameChangedAt) return 0;
+    const elapsed = (clock.now().getTime() - new Date(user.usernameChangedAt).getTime()) / 1000;
+    return Math.max(0, Math.ceil(USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 - elapsed));
+  };
+
+  /**
+   * Rename a user and update their leaderboard entry.
+   * Keeps the user's chosen capitalisation for display. Returns { handle } or
+   * { error: 'invalid_format' | 'reserved' | 'blocked' | 'taken' | 'unchanged' | 'cooldown', retryAfter }.
+   */
+  const changeHandle = async (user, input) => {
+    const validated = validateHandle(input);
+    if (validated.error) return validated;
+
+    const display = displayHandle(input);
+    if (display === user.username) return { error: 'unchanged' };
+
+    // Only fixing capitalisation doesn't start a new cooldown
+    const caseOnly = validated.handle === user.usernameLower;
+    if (!caseOnly) {
+      const retryAfter = getRenameCooldown(user);
+      if (retryAfter > 0) return { error: 'cooldown', retryAfter };
+      if (await isHandleTaken(validated.handle, user.userId)) return { error: 'taken' };
+    }
+
+    user.username = display;
+    if (!caseOnly) user.usernameChangedAt = clock.now();
+    try {
+      await user.save();
+    } catch (err) {
+      if (isDuplicateKeyError(err)) return { error: 'taken' }; // Lost a race for the same handle
+      throw err;
+    }
+
+    await Leaderboard.updateMany({ userId: user.userId }, { username: user.username });
+    return { handle: user.username };
+  };
+
+  return { isHandleTaken, generateUniqueHandle, checkHandleAvailability, getRenameCooldown, changeHandle };
+};
+
+module.exports = {
+  HANDLE_MIN_LENGTH,
+  HANDLE_MAX_LENGTH,
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  displayHandle,
+  normalizeHandle,
+  validateHandle,
+  isDuplicateKeyError,
+  createHandles,
+};
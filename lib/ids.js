@@ -0,0 +1,4 @@
+// Sortable-ish ids for scans, plans and logs
+const generateId = () => `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+module.exports = { generateId };
@@ -0,0 +1,236 @@
+// Background jobs on the persistent queue (lib/queue.js): plan and image generation, data exports
+// and the periodic cleanup schedules
+const { logger } = require('./logger');
+const { imageKey } = require('./exerciseImages');
+const { planLockKey, PLAN_LOCK_WAIT_MS } = require('./locks');
+
+const ONE_HOUR = 60 * 60 * 1000;
+const SIX_HOURS = 6 * ONE_HOUR;
+
+const createJobs = ({ models, ai, clock, services }) => {
+  const { User, Scan, WorkoutPlan, DeletionReceipt, Job } = models;
+  const { queue, locks } = services;
+  const { generateAITrainingPlan } = services.trainingPlans;
+  const { getCachedImages, generateAIImagesForExercise } = services.exerciseImages;
+  const { sendAccountDeletionEmail } = services.emails;
+  const { purgeDueAccounts } = services.accountDeletion;
+  const { purgeExpiredGuestData } = services.guestData;
+  const { expireDataExports, processDataExport } = services.dataExports;
+
+  // ----- QUEUEING -----
+
+  /**
+   * Build the AI training plan for a user. `scanAnalysis` comes from a fresh scan and always
+   * rebuilds; without it the latest stored scan is used and users who have a plan are skipped.
+   */
+  const queueTrainingPlan = (userId, scanAnalysis) => queue.enqueue(
+    'training-plan',
+    { userId, scanAnalysis },
+    scanAnalysis ? {} : { uniqueKey: `training-plan:${userId}` }
+  );
+
+  /**
+   * Generate demo images for an exercise unless they are already stored.
+   * Resolves { job, created }; job is null when the images exist.
+   */
+  const queueExerciseImages = async (exerciseName, exerciseId) => {
+    if (await getCachedImages(exerciseName)) return { job: null, created: false };
+    return queue.enqueue(
+      'exercise-images',
+      { exerciseName, exerciseId },
+      { uniqueKey: `exercise-images:${imageKey(exerciseName)}` }
+    );
+  };
+
+  const queueDataExport = (exportId) => queue.enqueue('data-export', { exportId }, { uniqueKey: `data-export:${exportId}` });
+
+  const queuePlanSweep = () => queue.enqueue('plan-sweep');
+
+  // The address is passed along because the account it belonged to is already gone
+  const queueDeletionEmail = (receipt, user) => queue.enqueue(
+    'deletion-email',
+    { receiptId: receipt.receiptId, email: user.email, firstName: user.firstName },
+    { uniqueKey: `deletion-email:${receipt.receiptId}` }
+  );
+
+  // ----- HANDLERS -----
+
+  // Runs under the user's plan lock; while it is held, GET /api/training/:userId/weekly reports
+  // the plan as regenerating (or waits for it) and plan writes wait their turn
+  const buildTrainingPlan = async ({ userId, scanAnalysis }) => {
+    const { acquired, result } = await locks.withLock(planLockKey(userId), async () => {
+      if (!scanAnalysis) {
+        const existingPlan = await WorkoutPlan.findOne({ userId });
+        if (existingPlan?.weeklyPlan?.length > 0) {
+          logger.info(`[BG-JOB] User ${userId} already has a plan`);
+          return { skipped: 'has-plan' };
+        }
+      }
+
+      const latestScan = scanAnalysis ? null : await Scan.findOne({ userId }).sort({ createdAt: -1 });
+      const scanData = scanAnalysis || {
+        mogScore: latestScan?.mogScore,
+        tier: latestScan?.tier,
+        muscleBreakdown: latestScan?.muscleBreakdown,
+        weakPoints: latestScan?.weakPoints?.length ? latestScan.weakPoints : ['Overall', 'Core'],
+        strongPoints: latestScan?.strongPoints || [],
+        symmetry: latestScan?.symmetry,
+        overallAssessment: latestScan?.overallAssessment,
+        improvementTips: latestScan?.improvementTips || [],
+      };
+
+      logger.info(`[BG-JOB] Generating training plan for ${userId} (focus: ${scanData.weakPoints?.[0] || 'Overall'})`);
+      const aiTrainingPlan = await generateAITrainingPlan(scanData);
+
+      // WorkoutPlan backs /api/training/:userId/weekly; the copy on the user is its fallback
+      await WorkoutPlan.findOneAndUpdate(
+        { userId },
+        {
+          userId,
+          weeklyPlan: aiTrainingPlan.days,
+          weekId: aiTrainingPlan.weekId,
+          mission: aiTrainingPlan.mission,
+          targets: aiTrainingPlan.targets || [],
+          expectedGain: aiTrainingPlan.expectedGain || 1.0,
+          currentWeek: 1,
+          updatedAt: clock.now(),
+        },
+        { upsert: true }
+      );
+
+      const user = await User.findOne({ userId });
+      if (user) {
+        user.weeklyTrainingPlan = aiTrainingPlan;
+        await user.save();
+      }
+      logger.info(`[BG-JOB] Training plan saved for ${userId}`);
+      return aiTrainingPlan;
+    }, { waitMs: PLAN_LOCK_WAIT_MS });
+
+    // The queue retries with backoff until the other writer is done
+    if (!acquired) throw new Error(`Plan for ${userId} is locked`);
+    if (result.skipped) return result;
+
+    // Plans built by the sweep also pre-generate demo images for the first exercises of day 1
+    if (ai && !scanAnalysis) {
+      for (const exercise of result.days?.[0]?.exercises?.slice(0, 2) || []) {
+        await queueExerciseImages(exercise.name, exercise.id || exercise.name);
+      }
+    }
+
+    return { weekId: result.weekId, days: result.days?.length || 0 };
+  };
+
+  const buildExerciseImages = async ({ exerciseName, exerciseId }) => {
+    const images = await generateAIImagesForExercise(exerciseName, exerciseId);
+    // Partial results are not cached, so try the whole set again later
+    if (!images) throw new Error(`Image generation failed for ${exerciseName}`);
+    return { images: images.length };
+  };
+
+  const buildDataExport = async ({ exportId }) => {
+    const dataExport = await processDataExport(exportId);
+    return { status: dataExport?.status || 'skipped' };
+  };
+
+  // Its own job, so a mail failure retries the email and not a purge that already happened
+  const sendDeletionEmail = async ({ receiptId, email, firstName }, job) => {
+    const receipt = await DeletionReceipt.findOne({ receiptId });
+    if (!receipt) return { skipped: 'no-receipt' };
+
+    const sent = await sendAccountDeletionEmail(email, receipt, firstName, 'completed');
+    if (!sent.success) throw new Error(`Deletion email for ${receiptId} failed: ${sent.error}`);
+
+    // Don't keep the deleted account's address on the finished job
+    await Job.updateOne({ jobId: job.jobId }, { $unset: { 'payload.email': 1, 'payload.firstName': 1 } });
+    return { method: sent.method };
+  };
+
+  // Queue a plan build for every verified user who has none
+  const runBackgroundGenerationJob = async () => {
+    const users = await User.find({
+      isVerified: true,
+      email: { $exists: true, $ne: null },
+      'deletion.scheduledFor': { $exists: false },
+    }).limit(50); // Check max 50 users per run
+
+    let queued = 0;
+    for (const user of users) {
+      const { userId } = user;
+      const existingPlan = await WorkoutPlan.findOne({ userId });
+      if (!existingPlan || !existingPlan.weeklyPlan?.length) {
+        const { created } = await queueTrainingPlan(userId);
+        if (created) queued++;
+      }
+    }
+
+    logger.info(`[BG-JOB] Checked ${users.length} verified users, queued ${queued} plan(s)`);
+    return { checked: users.length, queued };
+  };
+
+  // Purge guest onboarding, scans and plans nobody claimed in time
+  const runGuestCleanupJob = async () => {
+    const purged = await purgeExpiredGuestData(clock.now());
+    if (purged.guests > 0 || purged.scans > 0) {
+      logger.info(`[GUEST] Purged ${purged.guests} expired guest(s): ${purged.onboarding} onboarding, ${purged.scans} scan(s), ${purged.workoutPlans} plan(s)`);
+    }
+    return purged;
+  };
+
+  // Delete export archives past their expiry
+  const runExportCleanupJob = async () => {
+    const expired = await expireDataExports(clock.now());
+    if (expired > 0) logger.info(`[EXPORT] Removed ${expired} expired export(s)`);
+    return { expired };
+  };
+
+  // Permanently delete accounts past their grace period
+  const runAccountDeletionJob = async () => {
+    const completed = await purgeDueAccounts(clock.now());
+    for (const { user, receipt } of completed) {
+      if (receipt) await queueDeletionEmail(receipt, user);
+    }
+    if (completed.length > 0) logger.info(`[DELETION] Purged ${completed.length} account(s)`);
+    return { purged: completed.length };
+  };
+
+  // Image and plan generation are throttled for the AI provider's rate limits
+  queue.define('training-plan', buildTrainingPlan, { concurrency: 2, maxAttempts: 3, backoffMs: 60 * 1000 });
+  queue.define('exercise-images', buildExerciseImages, { concurrency: 1, maxAttempts: 3, backoffMs: 2 * 60 * 1000, cooldownMs: 30 * 1000 });
+  queue.define('data-export', buildDataExport, { concurrency: 2, maxAttempts: 3 });
+  queue.define('plan-sweep', runBackgroundGenerationJob, { maxAttempts: 3 });
+  queue.define('guest-cleanup', runGuestCleanupJob, { maxAttempts: 3 });
+  queue.define('export-cleanup', runExportCleanupJob, { maxAttempts: 3 });
+  queue.define('account-deletion', runAccountDeletionJob, { maxAttempts: 3 });
+  queue.define('deletion-email', sendDeletionEmail, { maxAttempts: 5, backoffMs: 5 * 60 * 1000 });
+
+  /**
+   * Register the schedules and start this instance's queue worker. Returns a function that stops it.
+   */
+  const startBackgroundJobs = () => {
+    logger.info('[BG-JOB] Initializing background job scheduler...');
+
+    // First sweep shortly after startup, then every 6 hours
+    queue.every('plan-sweep', SIX_HOURS, { firstRunDelayMs: 10000 });
+    queue.every('account-deletion', ONE_HOUR, { firstRunDelayMs: ONE_HOUR });
+    queue.every('export-cleanup', ONE_HOUR, { firstRunDelayMs: ONE_HOUR });
+    queue.every('guest-cleanup', ONE_HOUR, { firstRunDelayMs: ONE_HOUR });
+
+    queue.start().catch(err => logger.error('[BG-JOB] Failed to start the job queue:', err));
+    return () => queue.stop();
+  };
+
+  return {
+    queueTrainingPlan,
+    queueExerciseImages,
+    queueDataExport,
+    queuePlanSweep,
+    runBackgroundGenerationJob,
+    runGuestCleanupJob,
+    runExportCleanupJob,
+    runAccountDeletionJob,
+    startBackgroundJobs,
+  };
+};
+
+module.exports = { createJobs };
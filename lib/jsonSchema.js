@@ -0,0 +1,99 @@
+// Minimal JSON Schema subset for checking request input and AI output:
+// type (incl. 'integer' and arrays of types), enum, const, required, properties, items,
+// minItems, maxItems, minimum, maximum, minLength, maxLength, pattern, format ('email'), if/then/else
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Returns a list of human-readable errors ("muscleBreakdown.chest must be <= 100"); empty when valid.
+ */
+const validateSchema = (schema, value, path = '') => {
+  const at = path || 'response';
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${at} must be ${types.join(' or ')} (got ${typeOf(value)})`];
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) errors.push(`${at} must be ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${at} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${at} must not be empty` : `${at} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at} has an invalid format`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value.trim())) errors.push(`${at} must be a valid ${schema.format}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at} must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at} must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key} is required`);
+    }
+    for (const [key, propSchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(propSchema, value[key], path ? `${path}.${key}` : key));
+    }
+  }
+
+  if (schema.if) {
+    const branch = validateSchema(schema.if, value, path).length === 0 ? schema.then : schema.else;
+    if (branch) errors.push(...validateSchema(branch, value, path));
+  }
+
+  return errors;
+};
+
+const expectsType = (schema, type) => {
+  const types = Array.isArray(schema?.type) ? schema.type : [schema?.type];
+  return types.includes(type);
+};
+
+/**
+ * Convert strings to the number/boolean the schema expects (query strings, path params,
+ * or a model that quoted its numbers). Objects are converted in place; returns the value.
+ */
+const coerceTypes = (schema, value) => {
+  if (!schema) return value;
+  if (typeof value === 'string') {
+    const wantsNumber = expectsType(schema, 'number') || expectsType(schema, 'integer');
+    if (wantsNumber && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+    if (expectsType(schema, 'boolean') && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(item => coerceTypes(schema.items, item));
+  if (value && typeof value === 'object') {
+    const properties = { ...schema.then?.properties, ...schema.else?.properties, ...schema.properties };
+    for (const [key, propSchema] of Object.entries(properties)) {
+      if (value[key] !== undefined) value[key] = coerceTypes(propSchema, value[key]);
+    }
+  }
+  return value;
+};
+
+module.exports = { validateSchema, coerceTypes };
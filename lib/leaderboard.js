@@ -0,0 +1,60 @@
+// Leaderboard ranking and seed entries
+const { isDeletionPending } = require('./accountDeletion');
+const { logger } = require('./logger');
+
+const createLeaderboard = ({ models }) => {
+  const { Leaderboard } = models;
+
+  const updateLeaderboard = async (user) => {
+    // Accounts pending deletion stay hidden from the leaderboard
+    if (isDeletionPending(user)) return;
+    try {
+      await Leaderboard.findOneAndUpdate(
+        { userId: user.userId },
+        { userId: user.userId, username: user.username, mogScore: user.mogScore, tier: user.tier },
+        { upsert: true }
+      );
+      // Recalculate ranks
+      const all = await Leaderboard.find().sort({ mogScore: -1 });
+      for (let i = 0; i < all.length; i++) {
+        all[i].rank = i + 1;
+        await all[i].save();
+      }
+    } catch (err) {
+      logger.error('[LEADERBOARD] Update error:', err);
+    }
+  };
+
+  const seedLeaderboard = async () => {
+    const seedUsers = [
+      { userId: 'seed_1', username: 'APEX_King', mogScore: 99, tier: 'Final Boss Mogger' },
+      { userId: 'seed_2', username: 'TitanFrame', mogScore: 98, tier: 'Final Boss Mogger' },
+      { userId: 'seed_3', username: 'AlphaElite_92', mogScore: 96, tier: 'Mogger' },
+      { userId: 'seed_4', username: 'IronDominance', mogScore: 94, tier: 'Mogger' },
+      { userId: 'seed_5', username: 'PhysiqueGoat', mogScore: 91, tier: 'Mogger' },
+      { userId: 'seed_6', username: 'AestheticPeak', mogScore: 88, tier: 'Gigachad' },
+      { userId: 'seed_7', username: 'MogMaster', mogScore: 86, tier: 'Gigachad' },
+      { userId: 'seed_8', username: 'GymKing', mogScore: 82, tier: 'Chad' },
+      { userId: 'seed_9', username: 'LiftLord', mogScore: 79, tier: 'Chad' },
+      { userId: 'seed_10', username: 'IronWolf', mogScore: 76, tier: 'Chad' },
+    ];
+
+    try {
+      for (let i = 0; i < seedUsers.length; i++) {
+        const user = seedUsers[i];
+        await Leaderboard.findOneAndUpdate(
+          { userId: user.userId },
+          { ...user, rank: i + 1 },
+          { upsert: true }
+        );
+      }
+      logger.info(`[SEED] Added ${seedUsers.length} users to leaderboard`);
+    } catch (err) {
+      logger.error('[SEED] Error:', err);
+    }
+  };
+
+  return { updateLeaderboard, seedLeaderboard };
+};
+
+module.exports = { createLeaderboard };
@@ -0,0 +1,118 @@
+// Distributed locks on MongoDB (models/Lock.js). A lock is a lease: it expires unless its holder
+// renews it, so a crashed instance never blocks a key for longer than the TTL. withLock() renews
+// while the work runs; other callers can wait for the key to be released instead of polling the API.
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const LOCK_TTL_MS = parseInt(process.env.LOCK_TTL_MS, 10) || 30 * 1000;
+// How often a waiter re-checks a lock held by another instance
+const LOCK_WAIT_CHECK_MS = parseInt(process.env.LOCK_WAIT_CHECK_MS, 10) || 250;
+
+// Plan writes wait this long for an in-flight generation before giving up with plan_busy
+const PLAN_LOCK_WAIT_MS = parseInt(process.env.PLAN_LOCK_WAIT_MS, 10) || 15 * 1000;
+
+// One lock per user's training plan (WorkoutPlan and user.weeklyTrainingPlan)
+const planLockKey = (userId) => `plan:${userId}`;
+
+const createLocks = ({ models, clock }) => {
+  const { Lock } = models;
+  // Local releases wake waiters in this process immediately
+  const releases = new EventEmitter();
+  releases.setMaxListeners(0);
+
+  const later = (ms) => new Date(clock.now().getTime() + ms);
+
+  const isHeld = (key) => Lock.exists({ key, expiresAt: { $gt: clock.now() } });
+
+  // One attempt: take the key if it is free or its lease has run out
+  const tryAcquire = async (key, ttlMs) => {
+    const owner = crypto.randomUUID();
+    const now = clock.now();
+    try {
+      await Lock.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt: later(ttlMs), acquiredAt: now } },
+        { upsert: true }
+      );
+    } catch (err) {
+      // The upsert hit the unique key: someone holds a live lease
+      if (err.code === 11000) return null;
+      throw err;
+    }
+
+    const renew = async () => {
+      const { modifiedCount } = await Lock.updateOne({ key, owner }, { $set: { expiresAt: later(ttlMs) } });
+      return modifiedCount > 0;
+    };
+    const release = async () => {
+      await Lock.deleteOne({ key, owner });
+      releases.emit(key);
+    };
+    return { key, owner, renew, release };
+  };
+
+  /**
+   * Resolve true once `key` is free, or false after `timeoutMs`
+   */
+  const waitForRelease = async (key, { timeoutMs = LOCK_TTL_MS } = {}) => {
+    const deadline = Date.now() + timeoutMs;
+    while (await isHeld(key)) {
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return false;
+
+      await new Promise(resolve => {
+        const done = () => {
+          clearTimeout(timer);
+          releases.off(key, done);
+          resolve();
+        };
+        const timer = setTimeout(done, Math.min(LOCK_WAIT_CHECK_MS, remaining));
+        releases.on(key, done);
+      });
+    }
+    return true;
+  };
+
+  /**
+   * Take the lock on `key`, waiting up to `waitMs` for the current holder.
+   * Returns { key, owner, renew(), release() } or null if it is still held.
+   */
+  const acquire = async (key, { ttlMs = LOCK_TTL_MS, waitMs = 0 } = {}) => {
+    const deadline = Date.now() + waitMs;
+    for (;;) {
+      const lock = await tryAcquire(key, ttlMs);
+      if (lock) return lock;
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) return null;
+      await waitForRelease(key, { timeoutMs: remaining });
+    }
+  };
+
+  /**
+   * Run fn(lock) holding the lock on `key`, renewing it until fn settles.
+   * Returns { acquired: false } when the lock could not be taken within `waitMs`.
+   */
+  const withLock = async (key, fn, { ttlMs = LOCK_TTL_MS, waitMs = 0 } = {}) => {
+    const lock = await acquire(key, { ttlMs, waitMs });
+    if (!lock) return { acquired: false };
+
+    const heartbeat = setInterval(() => {
+      lock.renew()
+        .then(held => { if (!held) logger.warn(`[LOCK] Lost ${key} while still working`); })
+        .catch(err => logger.error(`[LOCK] Renewing ${key} failed:`, err.message));
+    }, Math.floor(ttlMs / 3));
+
+    try {
+      return { acquired: true, result: await fn(lock) };
+    } finally {
+      clearInterval(heartbeat);
+      await lock.release().catch(err => logger.error(`[LOCK] Releasing ${key} failed:`, err.message));
+    }
+  };
+
+  return { acquire, withLock, waitForRelease, isHeld };
+};
+
+module.exports = { createLocks, planLockKey, LOCK_TTL_MS, PLAN_LOCK_WAIT_MS };
@@ -0,0 +1,181 @@
+// Structured logger: one JSON line per entry (LOG_FORMAT=json, the production default) or
+// human-readable lines for local dev (LOG_FORMAT=pretty). Entries carry the current request ID,
+// which follows async work started by the request (AsyncLocalStorage), and secrets are redacted.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const context = new AsyncLocalStorage();
+
+// ----- REDACTION -----
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values are never logged
+const SECRET_KEYS = /^(password|newPassword|oldPassword|code|verificationCode|backupCodes?|otp|token|accessToken|refreshToken|idToken|guestToken|challengeToken|revertToken|secret|authorization|cookie)$/i;
+const EMAIL_KEYS = /email$/i;
+const IMAGE_KEYS = /(photo|image|base64)/i;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const JWT_PATTERN = /eyJ[\w-]{5,}\.[\w-]{5,}\.[\w-]+/g;
+const DATA_URL_PATTERN = /data:[\w/+.-]+;base64,[A-Za-z0-9+/=]+/g;
+const BASE64_PATTERN = /[A-Za-z0-9+/]{200,}={0,2}/g;
+
+// j***@gmail.com - enough to tell accounts apart in a support thread
+const maskEmail = (value) => value.replace(EMAIL_PATTERN, '$1***@$2');
+
+const redactString = (value) => maskEmail(value
+  .replace(DATA_URL_PATTERN, match => `[image ${match.length} chars]`)
+  .replace(BASE64_PATTERN, match => `[base64 ${match.length} chars]`)
+  .replace(JWT_PATTERN, '[token]'));
+
+/**
+ * Copy of `value` that is safe to log: secrets removed, emails masked, image payloads shortened
+ */
+const redact = (value, key = '', depth = 0) => {
+  if (value === null || value === undefined) return value;
+  if (SECRET_KEYS.test(key)) return REDACTED;
+  if (typeof value === 'string') {
+    if (IMAGE_KEYS.test(key) && value.length > 100) return `[image ${value.length} chars]`;
+    return EMAIL_KEYS.test(key) ? maskEmail(value) : redactString(value);
+  }
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof Error) return { message: redactString(value.message), name: value.name, stack: value.stack && redactString(value.stack) };
+  if (depth >= 5) return '[object]';
+  if (Array.isArray(value)) return value.slice(0, 50).map(item => redact(item, key, depth + 1));
+
+  const plain = typeof value.toObject === 'function' ? value.toObject() : value; // Mongoose documents
+  return Object.fromEntries(Object.entries(plain).map(([field, fieldValue]) => [field, redact(fieldValue, field, depth + 1)]));
+};
+
+// ----- OUTPUT -----
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Error);
+
+// "[TAG] message" (the old console.log convention) -> component "tag"
+const TAG_PATTERN = /^\[([A-Z0-9 _-]+)\]\s*/;
+
+/**
+ * Turn log(message, ...args) into { msg, fields }. Plain objects become fields, an Error becomes
+ * `err`, anything else is appended to the message like console.log would.
+ */
+const buildEntry = (message, args) => {
+  const fields = {};
+  const extra = [];
+  for (const arg of args) {
+    if (arg instanceof Error) fields.err = arg;
+    else if (isPlainObject(arg)) Object.assign(fields, arg);
+    else extra.push(typeof arg === 'string' ? arg : util.inspect(arg, { depth: 3, breakLength: Infinity }));
+  }
+
+  let msg = String(message);
+  const tag = msg.match(TAG_PATTERN);
+  if (tag) {
+    msg = msg.slice(tag[0].length);
+    if (!fields.component) fields.component = tag[1].toLowerCase().replace(/[\s_]+/g, '-');
+  }
+  if (extra.length > 0) msg = `${msg} ${extra.join(' ')}`;
+  return { msg, fields };
+};
+
+const COLORS = { debug: 90, info: 36, warn: 33, error: 31 };
+
+const formatPretty = (entry, useColor) => {
+  const { time, level, msg, component, requestId, err, ...fields } = entry;
+  const paint = (code, text) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : text);
+  const details = Object.keys(fields).length > 0 ? ` ${paint(90, util.inspect(fields, { depth: 4, breakLength: Infinity }))}` : '';
+  const request = requestId ? paint(90, ` (${requestId})`) : '';
+  const stack = err ? `\n${paint(90, err.stack || err.message)}` : '';
+  return `${time.slice(11, 23)} ${paint(COLORS[level], level.toUpperCase().padEnd(5))} ${component ? `[${component}] ` : ''}${msg}${details}${request}${stack}`;
+};
+
+/**
+ * Options: { level, format: 'json' | 'pretty', write(line, level), bindings } - defaults come from
+ * LOG_LEVEL (info) and LOG_FORMAT (json in production, pretty elsewhere).
+ */
+const createLogger = ({
+  level = process.env.LOG_LEVEL || 'info',
+  format = process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty'),
+  write = (line, entryLevel) => (LEVELS[entryLevel] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+  bindings = {},
+} = {}) => {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+  const useColor = format === 'pretty' && process.stdout.isTTY;
+
+  const log = (entryLevel) => (message, ...args) => {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const { msg, fields } = buildEntry(message, args);
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...bindings,
+      ...context.getStore(),
+      ...fields,
+    });
+    write(format === 'pretty' ? formatPretty(entry, useColor) : JSON.stringify(entry), entryLevel);
+  };
+
+  return {
+    level,
+    format,
+    debug: log('debug'),
+    info: log('info'),
+    warn: log('warn'),
+    error: log('error'),
+    isLevelEnabled: (name) => LEVELS[name] >= threshold,
+    // Logger with extra fields on every entry, e.g. logger.child({ component: 'jobs' })
+    child: (childBindings) => createLogger({ level, format, write, bindings: { ...bindings, ...childBindings } }),
+  };
+};
+
+const logger = createLogger();
+
+// ----- REQUEST CONTEXT -----
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const generateRequestId = () => crypto.randomUUID();
+
+/**
+ * Run `fn` with `fields` (e.g. { requestId }) attached to every entry logged inside it, including
+ * from timers and promises it starts. Use it to carry a request's ID into work queued for later.
+ */
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+// Fields of the current context (e.g. to store a requestId alongside a queued job)
+const getLogContext = () => context.getStore() || {};
+
+/**
+ * Express middleware: accept the caller's X-Request-Id (or create one), echo it back and log the
+ * request when it finishes
+ */
+const requestLogger = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : generateRequestId();
+  const startedAt = process.hrtime.bigint();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  runWithContext({ requestId }, () => {
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+      const entryLevel = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[entryLevel]('Request completed', {
+        component: 'http',
+        method: req.method,
+        path: req.route ? `${req.baseUrl}${req.route.path}` : req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10,
+        userId: req.auth?.userId,
+      });
+    });
+    next();
+  });
+};
+
+module.exports = { LEVELS, logger, createLogger, redact, runWithContext, getLogContext, requestLogger };
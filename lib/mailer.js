@@ -0,0 +1,50 @@
+// Gmail SMTP mailer; without credentials every email is logged to the console instead
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+/**
+ * Returns { isConfigured, from, sendMail(options), verify() }.
+ * Pass { user, pass } to override GMAIL_USER / GMAIL_APP_PASSWORD.
+ */
+const createMailer = ({ user = process.env.GMAIL_USER || '', pass = process.env.GMAIL_APP_PASSWORD || '' } = {}) => {
+  // Create Gmail transporter with settings optimized for cloud hosting
+  const transporter = nodemailer.createTransport({
+    host: 'smtp.gmail.com',
+    port: 587,
+    secure: false, // Use TLS
+    auth: { user, pass },
+    tls: {
+      rejectUnauthorized: false, // Accept self-signed certs
+      minVersion: 'TLSv1.2'
+    },
+    connectionTimeout: 10000, // 10 seconds
+    greetingTimeout: 10000,
+    socketTimeout: 15000,
+  });
+
+  const isConfigured = !!(user && pass);
+
+  return {
+    isConfigured,
+    from: `"Mog.ai" <${user}>`,
+    sendMail: (options) => transporter.sendMail(options),
+
+    // Log whether SMTP works; called once on startup
+    verify: () => {
+      if (!isConfigured) {
+        logger.info('[EMAIL] Gmail credentials not configured - emails will be logged to console');
+        return;
+      }
+      transporter.verify((error) => {
+        if (error) {
+          logger.warn('[EMAIL] Gmail SMTP configuration error:', error.message);
+          logger.info('[EMAIL] Emails will be logged to console instead');
+        } else {
+          logger.info('[EMAIL] Gmail SMTP configured successfully');
+        }
+      });
+    },
+  };
+};
+
+module.exports = { createMailer };
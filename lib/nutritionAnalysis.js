@@ -0,0 +1,218 @@
+// Nutrition targets and AI coaching on logged meals
+const { logger } = require('./logger');
+
+const createNutritionAnalysis = ({ ai, services }) => {
+  const { structuredAI } = services;
+
+  const calculateNutritionTargets = (onboardingData) => {
+    const { heightFeet = 5, heightInches = 10, weightLbs = 170, age = 25, gender = 'male', primaryGoal = 'aesthetics' } = onboardingData || {};
+
+    const heightCm = (heightFeet * 12 + heightInches) * 2.54;
+    const weightKg = weightLbs * 0.453592;
+
+    let bmr = gender === 'female'
+      ? 10 * weightKg + 6.25 * heightCm - 5 * age - 161
+      : 10 * weightKg + 6.25 * heightCm - 5 * age + 5;
+
+    const tdee = bmr * 1.55;
+
+    let calorieTarget = primaryGoal === 'lean' 
+      ? Math.round(tdee - 400)
+      : primaryGoal === 'build-size' 
+        ? Math.round(tdee + 300)
+        : Math.round(tdee);
+
+    const proteinGrams = Math.round(weightLbs * (primaryGoal === 'lean' ? 1.2 : 1.0));
+    const fatGrams = Math.round((calorieTarget * 0.25) / 9);
+    const carbGrams = Math.round((calorieTarget - (proteinGrams * 4) - (fatGrams * 9)) / 4);
+
+    // Determine nutrition mode based on goal
+    let mode, modeDescription, modeIcon;
+    if (primaryGoal === 'lean') {
+      mode = 'cutting';
+      modeDescription = 'Cutting mode. Burn fat, preserve muscle.';
+      modeIcon = 'flame';
+    } else if (primaryGoal === 'build-size') {
+      mode = 'lean bulk';
+      modeDescription = 'Lean-bulk mode. Build clean size.';
+      modeIcon = 'dumbbell';
+    } else {
+      mode = 'recomp';
+      modeDescription = 'Recomp mode. Build muscle, lose fat.';
+      modeIcon = 'target';
+    }
+
+    return {
+      calories: calorieTarget,
+      protein: proteinGrams,
+      carbs: carbGrams,
+      fats: fatGrams,
+      mode,
+      modeDescription,
+      modeIcon,
+    };
+  };
+
+  // AI-powered nutrition mode analysis based on eating patterns
+  const analyzeNutritionModeWithAI = async (userId, targets, recentLogs, onboardingData) => {
+    if (!ai) {
+      logger.info('[NUTRITION] AI provider not available for mode analysis');
+      return null;
+    }
+
+    try {
+      logger.info(`[NUTRITION] Analyzing mode for user ${userId} with ${recentLogs.length} logs`);
+
+      // Calculate averages from recent logs (if any)
+      const hasLogs = recentLogs.length > 0;
+      const totalDays = hasLogs ? Math.max(1, new Set(recentLogs.map(l => l.date.toISOString().split('T')[0])).size) : 0;
+      const totals = recentLogs.reduce((acc, log) => ({
+        calories: acc.calories + (log.calories || 0),
+        protein: acc.protein + (log.protein || 0),
+        carbs: acc.carbs + (log.carbs || 0),
+        fats: acc.fats + (log.fats || 0),
+      }), { calories: 0, protein: 0, carbs: 0, fats: 0 });
+
+      const avgCalories = hasLogs ? Math.round(totals.calories / totalDays) : 0;
+      const avgProtein = hasLogs ? Math.round(totals.protein / totalDays) : 0;
+      const avgCarbs = hasLogs ? Math.round(totals.carbs / totalDays) : 0;
+      const avgFats = hasLogs ? Math.round(totals.fats / totalDays) : 0;
+
+      // Get meal names for context
+      const recentMeals = recentLogs.slice(-10).map(l => l.meal?.name || 'meal').join(', ');
+
+      // Build context based on whether we have meal data
+      const mealContext = hasLogs 
+        ? `ACTUAL AVERAGES (last ${totalDays} days):
+- Avg Calories: ${avgCalories}/day (${avgCalories < targets.calories ? 'deficit' : avgCalories > targets.calories ? 'surplus' : 'maintenance'})
+- Avg Protein: ${avgProtein}g/day (${Math.round(avgProtein/targets.protein*100)}% of target)
+- Avg Carbs: ${avgCarbs}g/day
+- Avg Fats: ${avgFats}g/day
+
+RECENT MEALS: ${recentMeals}`
+        : `No meals logged yet. User is just starting their nutrition journey.`;
+
+      const completion = await structuredAI.complete({
+        feature: 'nutritionMode',
+        system: `You are a fitness nutrition AI coach. Analyze the user's eating patterns OR their stated goal to determine their nutrition mode.
+
+Based on their actual eating behavior (if available) or their stated goal, determine which mode best describes their current/intended nutrition approach.
+
+Available modes:
+1. "cutting" - Eating in a caloric deficit, high protein, losing fat. Icon: "flame"
+2. "lean bulk" - Eating in a slight surplus, high protein, gaining muscle. Icon: "dumbbell"  
+3. "recomp" - Eating at maintenance, body recomposition. Icon: "target"
+4. "aggressive cut" - Eating in a significant deficit, very high protein. Icon: "flame"
+5. "mass gain" - Eating in a larger surplus for size. Icon: "dumbbell"
+6. "shred mode" - Getting lean and defined. Icon: "flame"
+7. "bulk season" - Building maximum size. Icon: "dumbbell"
+
+Provide a short, punchy, MOTIVATING description (max 35 chars) that sounds like a coach hyping them up.
+
+Examples of good descriptions:
+- "Shredding fat. Stay locked in."
+- "Building size. Eat big, lift big."
+- "Optimizing gains. Perfect balance."
+
+Respond ONLY in JSON:
+{
+  "mode": "mode name (lowercase)",
+  "description": "Short punchy description. Max 35 chars.",
+  "icon": "flame" | "dumbbell" | "target"
+}`,
+        prompt: `Analyze this user's nutrition situation:
+
+DAILY TARGETS:
+- Calories: ${targets.calories}/day
+- Protein: ${targets.protein}g/day
+
+${mealContext}
+
+USER'S STATED GOAL: ${onboardingData?.primaryGoal || 'aesthetics'}
+(lean = lose fat, build-size = gain muscle, aesthetics = balanced)
+
+Determine their nutrition mode and give them a motivating description.`,
+        maxTokens: 150,
+        temperature: 0.7,
+      });
+
+      const parsed = completion.data;
+      logger.info(`[NUTRITION] AI mode: ${parsed.mode} - "${parsed.description}"`);
+      return {
+        mode: parsed.mode,
+        modeDescription: parsed.description,
+        modeIcon: parsed.icon || 'target',
+      };
+    } catch (err) {
+      logger.error('[NUTRITION] AI mode analysis error:', err.message);
+    }
+
+    return null; // Fallback to default mode
+  };
+
+  // AI-powered diet discipline analysis
+  const analyzeDietDisciplineWithAI = async (weekData, targets, logs) => {
+    if (!ai || logs.length === 0) {
+      return null;
+    }
+
+    try {
+      // Prepare day-by-day summary
+      const daySummaries = weekData.map(day => {
+        const percentCal = targets.calories > 0 ? Math.round((day.calories / targets.calories) * 100) : 0;
+        const percentPro = targets.protein > 0 ? Math.round((day.protein / targets.protein) * 100) : 0;
+        return `${day.day} (${day.date}): ${day.calories} cal (${percentCal}%), ${day.protein}g protein (${percentPro}%) - ${day.status}`;
+      }).join('\n');
+
+      const completion = await structuredAI.complete({
+        feature: 'dietDiscipline',
+        system: `You are a fitness nutrition coach AI. Analyze the user's weekly eating discipline and provide accurate status for each day.
+
+Rules for determining day status:
+- "complete": Day has logged meals AND calories are within 85-115% of target AND protein is at least 75% of target
+- "pending": Today or future days (user hasn't finished eating yet)
+- "notComplete": Past day with either no meals logged OR significantly off targets
+
+Analyze the actual data carefully. Be honest but encouraging.
+
+Respond ONLY in JSON:
+{
+  "weekData": [
+    { "day": "Mon", "status": "complete" | "pending" | "notComplete", "reason": "brief reason" },
+    { "day": "Tue", "status": "complete" | "pending" | "notComplete", "reason": "brief reason" },
+    ...for all 7 days
+  ],
+  "streak": number (consecutive complete days ending yesterday),
+  "compliance": number (0-100 percentage of past days that were complete),
+  "insight": "One short motivating sentence about their discipline"
+}`,
+        prompt: `Analyze this user's diet discipline for the week:
+
+DAILY TARGETS:
+- Calories: ${targets.calories}/day
+- Protein: ${targets.protein}g/day
+
+WEEKLY DATA:
+${daySummaries}
+
+Today is: ${new Date().toLocaleDateString('en-US', { weekday: 'long' })}
+
+Determine the accurate status for each day based on the actual nutrition data.`,
+        maxTokens: 400,
+        temperature: 0.3,
+      });
+
+      const parsed = completion.data;
+      logger.info(`[NUTRITION] AI discipline: ${parsed.compliance}% compliance, streak: ${parsed.streak}`);
+      return parsed;
+    } catch (err) {
+      logger.error('[NUTRITION] AI discipline analysis error:', err.message);
+    }
+
+    return null;
+  };
+
+  return { calculateNutritionTargets, analyzeNutritionModeWithAI, analyzeDietDisciplineWithAI };
+};
+
+module.exports = { createNutritionAnalysis };
@@ -0,0 +1,143 @@
+// OpenAPI 3.1 document generated from the mounted Express routes. Request schemas come from each
+// route's validate() middleware (lib/validation.js), security and rate limits from its middleware.
+const { ERRORS } = require('./errors');
+const { optionalGuest } = require('./auth');
+
+/**
+ * Every route on the app as { method, path, handlers }, in mount order.
+ * Routers are mounted without a prefix, so route paths are already absolute.
+ */
+const listRoutes = (app) => {
+  const routes = [];
+  const walk = (stack) => {
+    for (const layer of stack) {
+      if (layer.route) {
+        const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+        for (const method of Object.keys(layer.route.methods)) {
+          routes.push({ method, path: layer.route.path, handlers });
+        }
+      } else if (layer.handle?.stack) {
+        walk(layer.handle.stack);
+      }
+    }
+  };
+  walk(app._router?.stack || []);
+  return routes;
+};
+
+const getValidator = (route) => route.handlers.find(handler => handler.schemas);
+
+/**
+ * Routes without a validate() middleware have no spec entry; `npm run check:openapi` fails on them
+ */
+const findUndocumentedRoutes = (app) => listRoutes(app)
+  .filter(route => !getValidator(route))
+  .map(route => `${route.method.toUpperCase()} ${route.path}`);
+
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// postApiAuthSignup, getApiUserByUserId, ...
+const toOperationId = (method, path) => method + path.split('/').filter(Boolean)
+  .map(segment => segment.startsWith(':') ? `By${segment[1].toUpperCase()}${segment.slice(2)}` : segment)
+  .map(segment => segment.replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => (next || '').toUpperCase()))
+  .map(segment => segment[0].toUpperCase() + segment.slice(1))
+  .join('');
+
+// /api/auth/login -> auth, /health -> system
+const toTag = (path) => {
+  const [, prefix, name] = path.split('/');
+  return prefix === 'api' && name ? name : 'system';
+};
+
+const toParameters = (location, schema = {}, names = Object.keys(schema.properties || {})) => names.map(name => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required || []).includes(name),
+  schema: schema.properties?.[name] || { type: 'string' },
+}));
+
+const errorResponse = (description) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+const buildOperation = (route) => {
+  const { method, path, handlers } = route;
+  const schemas = getValidator(route)?.schemas || {};
+  const limiter = handlers.find(handler => handler.rateLimit);
+  const pathParams = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+  const security = [];
+  const authModes = handlers.map(handler => handler.authMode).filter(Boolean);
+  if (authModes.length > 0) security.push({ bearerAuth: [] });
+  if (handlers.includes(optionalGuest)) security.push({ guestToken: [] });
+  const authOptional = !authModes.includes('required');
+
+  const operation = {
+    operationId: toOperationId(method, path),
+    tags: [toTag(path)],
+    parameters: [...toParameters('path', schemas.params, pathParams), ...toParameters('query', schemas.query)],
+    responses: { 200: { description: 'Success', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } } },
+  };
+  if (operation.parameters.length === 0) delete operation.parameters;
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: (schemas.body.required || []).length > 0,
+      content: { 'application/json': { schema: schemas.body } },
+    };
+  }
+  if (schemas.params || schemas.query || schemas.body) operation.responses[400] = errorResponse('Invalid request (validation_failed)');
+
+  if (security.length > 0) {
+    operation.security = authOptional ? [...security, {}] : security;
+    if (!authOptional) operation.responses[401] = errorResponse('Missing or invalid access token');
+  }
+  if (limiter) {
+    operation.responses[429] = errorResponse('Rate limited (rate_limited)');
+    operation['x-rate-limit'] = limiter.rateLimit;
+  }
+  operation.responses.default = errorResponse('Error envelope, see the `error` code');
+
+  return operation;
+};
+
+/**
+ * Build the OpenAPI document for an app created by createApp()
+ */
+const buildOpenApiSpec = (app, { title = 'Mog.ai Backend API', version = '1.0.0' } = {}) => {
+  const paths = {};
+  for (const route of listRoutes(app)) {
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: { title, version },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        guestToken: { type: 'apiKey', in: 'header', name: 'x-guest-token' },
+      },
+      schemas: {
+        Success: {
+          type: 'object',
+          properties: { success: { const: true } },
+          required: ['success'],
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            success: { const: false },
+            error: { type: 'string', enum: Object.keys(ERRORS) },
+            message: { type: 'string' },
+            details: { type: 'array', items: { type: 'string' } },
+          },
+          required: ['success', 'error', 'message'],
+        },
+      },
+    },
+  };
+};
+
+module.exports = { listRoutes, findUndocumentedRoutes, buildOpenApiSpec };
@@ -0,0 +1,46 @@
+// Password hashing helpers for Mog.ai backend
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+// Matches bcrypt hashes ($2a$, $2b$, $2y$ followed by the cost factor)
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+const isPasswordHashed = (value) => typeof value === 'string' && BCRYPT_PATTERN.test(value);
+
+const hashPassword = (plainPassword) => bcrypt.hash(String(plainPassword), BCRYPT_ROUNDS);
+
+// Compare two strings without leaking length or prefix matches through timing
+const safeEqual = (a, b) => {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+};
+
+/**
+ * Verify a login attempt against the stored password.
+ * Accepts legacy plaintext passwords and flags them (and weaker hashes) for rehashing.
+ */
+const verifyPassword = async (plainPassword, storedPassword) => {
+  if (!plainPassword || !storedPassword) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isPasswordHashed(storedPassword)) {
+    const valid = await bcrypt.compare(String(plainPassword), storedPassword);
+    return { valid, needsRehash: valid && bcrypt.getRounds(storedPassword) < BCRYPT_ROUNDS };
+  }
+
+  // Legacy account created before hashing - upgrade on successful login
+  const valid = safeEqual(plainPassword, storedPassword);
+  return { valid, needsRehash: valid };
+};
+
+module.exports = {
+  BCRYPT_ROUNDS,
+  BCRYPT_PATTERN,
+  isPasswordHashed,
+  hashPassword,
+  verifyPassword,
+};
@@ -0,0 +1,422 @@
+// AI physique analysis (vision model via lib/ai) with a simulated fallback
+const { getTierFromScore } = require('./tiers');
+const { logger } = require('./logger');
+
+const createPhysiqueAnalysis = ({ ai, services }) => {
+  const { structuredAI } = services;
+
+  /**
+   * Analyze physique photos using OpenAI Vision API
+   * Returns real AI analysis with mog score, muscle breakdown, etc.
+   */
+  const analyzePhysiqueWithAI = async (frontPhotoBase64, backPhotoBase64, onboardingData) => {
+    logger.debug('[AI] Received photos', { frontPhotoChars: frontPhotoBase64?.length || 0, backPhotoChars: backPhotoBase64?.length || 0 });
+
+    // Check if we have valid string photos
+    const hasFrontPhoto = frontPhotoBase64 && typeof frontPhotoBase64 === 'string' && frontPhotoBase64.length > 100;
+    const hasBackPhoto = backPhotoBase64 && typeof backPhotoBase64 === 'string' && backPhotoBase64.length > 100;
+
+    // STRICT MODE: Reject if no AI provider - do not use simulated analysis
+    if (!ai) {
+      logger.info('[AI] ERROR: No OpenAI API key configured');
+      throw new Error('AI analysis is not available. Please configure OpenAI API key.');
+    }
+
+    // STRICT MODE: Reject if no valid photos
+    if (!hasFrontPhoto && !hasBackPhoto) {
+      logger.warn('[AI] No valid photos provided');
+      throw new Error('Please provide valid photos for analysis. Both front and back photos are required.');
+    }
+
+    if (!hasFrontPhoto) {
+      logger.warn('[AI] Front photo is missing or invalid');
+      throw new Error('Front photo is missing or invalid. Please upload a clear front view photo.');
+    }
+
+    if (!hasBackPhoto) {
+      logger.warn('[AI] Back photo is missing or invalid');
+      throw new Error('Back photo is missing or invalid. Please upload a clear back view photo.');
+    }
+
+    try {
+      // Build context from onboarding data
+      const userContext = buildUserContext(onboardingData);
+
+      const systemPrompt = `You are an elite fitness coach and physique analyst for the Mog.ai fitness app.
+You must analyze BOTH the front photo AND back photo carefully to give an accurate assessment.
+
+CRITICAL: Look at the ACTUAL images provided. Do NOT guess or use generic responses.
+
+VALIDATION RULES:
+- ACCEPT images that show a human body/physique, even if the face is visible - faces are OK!
+- ACCEPT gym selfies, mirror selfies, progress photos - as long as body is visible
+- REJECT images that ONLY show a face with no body visible
+- REJECT random objects, landscapes, food, animals, screenshots, etc.
+- CHECK if photos are swapped: IMAGE 1 should show FRONT view (chest, abs, front delts), IMAGE 2 should show BACK view (lats, rear delts, back)
+
+IMPORTANT - SAME PERSON VERIFICATION:
+Before flagging photos as different people, you MUST check ALL of these factors:
+1. Clothing - Are they wearing the same shorts/underwear? Same color? Same style?
+2. Environment - Is the background/location the same or similar? (same room, gym, mirror, etc.)
+3. Skin tone - Account for different lighting which can make skin appear different
+4. Body proportions - Similar height, build, shoulder width relative to waist
+5. Tattoos/marks - If visible, do they match?
+6. Items nearby - Same objects, furniture, gym equipment in both photos?
+7. Photo quality/style - Same camera, same filter, same time period?
+
+ONLY flag as different people if you are 100% CERTAIN they are different (e.g., completely different skin color, drastically different body sizes, different tattoos in same locations, different gender). When in doubt, ALWAYS assume it's the same person and proceed with analysis.
+
+If you are ABSOLUTELY CERTAIN (100% confidence) the photos show DIFFERENT PEOPLE, respond with:
+{
+  "isValidPhysique": false,
+  "differentPerson": true,
+  "errorMessage": "The front and back photos appear to show different people. Please upload photos of the same person for accurate analysis."
+}
+
+If the photos appear to be SWAPPED (back photo uploaded as front, front photo uploaded as back), respond with:
+{
+  "isValidPhysique": false,
+  "photosSwapped": true,
+  "errorMessage": "It looks like your photos might be swapped! Please upload your FRONT view (showing chest/abs) in the first slot, and your BACK view (showing back/lats) in the second slot."
+}
+
+NUDITY DETECTION - CRITICAL:
+If the photos contain NUDITY (exposed genitals, fully exposed buttocks, or any private parts clearly visible), respond with:
+{
+  "isValidPhysique": false,
+  "inappropriateContent": true,
+  "errorMessage": "⚠️ INAPPROPRIATE CONTENT DETECTED ⚠️\n\nYour photos contain nudity which violates our community guidelines.\n\nPlease upload photos wearing appropriate clothing (shorts, underwear, swimwear, etc.).\n\nRepeated violations may result in account suspension."
+}
+
+If the images do NOT show a human body/physique, respond ONLY with:
+{
+  "isValidPhysique": false,
+  "errorMessage": "Please upload clear photos of your physique (front and back views of your body) for accurate analysis."
+}
+
+IF VALID PHYSIQUE PHOTOS, analyze them EXACTLY as you see them:
+
+CLOTHING ASSESSMENT - IMPORTANT:
+First, note what the person is wearing and adjust scoring accordingly:
+- Shirtless/Sports bra: Best for judging upper body - full visibility
+- Tank top/Stringer: Good visibility of shoulders, arms, some chest
+- T-shirt: Limited upper body visibility - harder to judge, be more conservative
+- Shorts/Boxers/Briefs: Good for judging legs and lower body
+- Pants/Joggers/Sweats: Cannot properly judge legs - mark legs as null or reduce confidence
+- Baggy clothes: CANNOT accurately assess - give conservative scores or mark areas as not visible
+
+SCORING PENALTY FOR CLOTHING:
+- If wearing a shirt that hides the torso, you CANNOT give high chest/core scores - be conservative
+- If wearing pants/joggers, set legs to null (not visible) or give very conservative estimate
+- Baggy clothing hides muscle definition - assume LESS muscle than visible, not more
+- Only give high scores for body parts that are CLEARLY VISIBLE and UNCOVERED
+
+IMPORTANT - ONLY SCORE WHAT YOU CAN ACTUALLY SEE:
+- If legs are NOT visible in the photos, set legs score to null and add "legs" to notVisible array
+- If any body part is cut off, covered by clothing, or not shown, do NOT guess - mark it as not visible
+- Only provide scores for body parts you can CLEARLY see in the images
+
+FRONT PHOTO ANALYSIS - Look for:
+- Chest development (pec size, shape, definition, separation) - ONLY if shirtless/tank
+- Shoulder width and deltoid caps (anterior/lateral heads visible from front)
+- Arm development (biceps size, peak, vascularity)
+- Core/abs (visible lines, V-taper, obliques) - ONLY if torso exposed
+- Leg development if visible (quad sweep, definition) - mark null if wearing pants
+- Overall body fat level (visible abs = lower bf%, no definition = higher bf%)
+
+BACK PHOTO ANALYSIS - Look for:
+- Back width (lat spread, V-taper from behind) - ONLY if shirtless/tank
+- Back thickness (traps, rhomboids, erectors) - ONLY if shirtless
+- Rear deltoid development
+- Tricep development (horseshoe shape)
+- Glute and hamstring development if visible - mark null if wearing pants
+- Lower back definition (Christmas tree) - ONLY if shirtless
+
+SCORING - BE STRICT AND CRITICAL:
+Do NOT give inflated scores. Be honest and tough like a real bodybuilding judge.
+Compare against ELITE standards. Most regular gym-goers score 40-65, not 70+.
+
+STRICT SCORING GUIDELINES:
+- 95-100: Pro bodybuilder / elite athlete level - EXTREMELY RARE
+- 85-94: Competitive amateur bodybuilder - very impressive, years of dedicated training
+- 75-84: Advanced lifter - clearly muscular, visible separation, low body fat
+- 65-74: Intermediate lifter - noticeable muscle, some definition
+- 50-64: Regular gym-goer - some training evident but nothing exceptional
+- 40-49: Beginner - basic fitness, minimal muscle development
+- 25-39: Untrained - little to no muscle definition
+- 0-24: Very underdeveloped or skinny-fat
+- null: Not visible in photos (add to notVisible array)
+
+BE HARSH BUT FAIR:
+- If someone is skinny with no muscle mass, give scores in the 30-45 range
+- If someone is overweight with no definition, leanness should be 30-50
+- Average person off the street = 40-55 range
+- Only give 70+ if muscles are CLEARLY developed and defined
+- Only give 85+ for genuinely impressive physiques
+- Reserve 95+ for competitive bodybuilder level
+
+RESPONSE FORMAT:
+{
+  "isValidPhysique": true,
+  "mogScore": <calculated from VISIBLE muscle averages only - be strict>,
+  "muscleBreakdown": {
+    "chest": <score or null if not visible>,
+    "shoulders": <score or null if not visible>,
+    "back": <score or null if not visible>,
+    "arms": <score or null if not visible>,
+    "legs": <score or null if not visible>,
+    "core": <score or null if not visible>,
+    "leanness": <body fat estimate - higher score = leaner, be strict>
+  },
+  "notVisible": ["<list of body parts not visible in photos, e.g. 'legs', 'lower body'>"],
+  "weakPoints": ["<2 weakest muscles you OBSERVED>"],
+  "strongPoints": ["<2 strongest muscles you OBSERVED>"],
+  "symmetry": <left-right balance 0-100>,
+  "overallAssessment": "<2-3 sentences describing EXACTLY what you see. Be honest about their current level. Mention which parts were not visible and couldn't be scored.>",
+  "improvementTips": ["<specific tip for their weakest area>", "<tip 2>", "<tip 3>"],
+  "scanSteps": [
+    {"title": "Analyzing Chest Development", "description": "<exact observation from front photo>"},
+    {"title": "Measuring Back Width", "description": "<exact observation from back photo>"},
+    {"title": "Evaluating Arm Size", "description": "<what you see>"},
+    {"title": "Assessing Core Definition", "description": "<ab visibility, bf% estimate>"},
+    {"title": "Calculating Final Score", "description": "<summary of overall development, note what wasn't visible>"}
+  ]
+}
+
+TIER CALCULATION (mogScore determines tier) - STRICT THRESHOLDS:
+- 97-100: Final Boss Mogger (elite pro bodybuilder - ALMOST NEVER GIVE THIS)
+- 93-96: Mogger (competitive physique athlete - VERY RARE)
+- 88-92: Gigachad (impressive, dedicated, visible muscle separation)
+- 78-87: Chad (above average, clearly lifts, athletic)
+- 68-77: Chadlite (noticeable progress, some muscle)
+- 55-67: High-Tier Normie (regular gym-goer, working on it)
+- 45-54: Normie (average person, beginner)
+- 35-44: Low-Tier Normie (early stages, not much muscle)
+- 0-34: Gym Bro (just starting or untrained)
+
+REALITY CHECK:
+- Most people who think they're a "Chad" are actually "Chadlite" or "High-Tier Normie"
+- If you can't see clear muscle definition and separation, they're NOT a Chad
+- "Gigachad" requires genuinely impressive development - not just being fit
+- Reserve "Mogger" and "Final Boss" for competition-ready physiques only
+
+BE HONEST. If someone is skinny, say so. If they're overweight, factor it into leanness. If muscles are small, give lower scores. Users want REAL feedback to improve.`;
+
+      const userPrompt = `Analyze this person's physique from the provided photos.
+
+IMAGE 1: FRONT VIEW - Analyze chest, shoulders (front delts), biceps, abs/core, front legs if visible
+IMAGE 2: BACK VIEW - Analyze back (lats, traps), rear delts, triceps, glutes/hamstrings if visible
+
+USER CONTEXT:
+${userContext}
+
+Look at BOTH images carefully. Base your scores on what you ACTUALLY SEE in each photo.
+Respond with JSON only, no markdown, no explanation.`;
+
+      logger.info(`[AI] Calling ${ai.name} vision model...`);
+      const analysisStartTime = Date.now();
+
+      // Parsed and checked against AI_SCHEMAS.physique, retried with the errors on invalid output
+      const response = await structuredAI.analyzeImages({
+        feature: 'physique',
+        system: systemPrompt,
+        prompt: userPrompt,
+        images: [frontPhotoBase64, backPhotoBase64], // IMAGE 1 front, IMAGE 2 back
+        detail: 'low', // 'low' for faster processing
+        json: true, // Force JSON output
+        maxTokens: 2000, // Sufficient for JSON response
+      });
+
+      logger.info(`[AI] Analysis completed in ${Date.now() - analysisStartTime}ms (${response.model}, ${response.attempts} attempt(s))`);
+      logger.debug('[AI] Raw response received', { chars: response.text.length });
+
+      const analysis = response.data;
+      logger.info('[AI] Parsed analysis - mogScore:', analysis.mogScore, 'isValid:', analysis.isValidPhysique);
+      logger.debug('[AI] Muscle breakdown', { muscleBreakdown: analysis.muscleBreakdown });
+
+      // Check if the image is a valid physique photo
+      if (analysis.isValidPhysique === false) {
+        logger.info('[AI] Invalid physique image detected');
+        return {
+          isValidPhysique: false,
+          errorMessage: analysis.errorMessage || 'Please upload a clear photo of your physique for accurate analysis.',
+        };
+      }
+
+      // Validate and normalize the response - preserve null for non-visible body parts
+      const normalizedAnalysis = {
+        isValidPhysique: true,
+        mogScore: Math.max(0, Math.min(100, analysis.mogScore || 50)),
+        tier: getTierFromScore(analysis.mogScore || 50),
+        muscleBreakdown: {
+          // Only include values if AI detected them, otherwise keep null (UI will hide them)
+          chest: analysis.muscleBreakdown?.chest ?? null,
+          shoulders: analysis.muscleBreakdown?.shoulders ?? null,
+          back: analysis.muscleBreakdown?.back ?? null,
+          arms: analysis.muscleBreakdown?.arms ?? null,
+          legs: analysis.muscleBreakdown?.legs ?? null,
+          core: analysis.muscleBreakdown?.core ?? null,
+          leanness: analysis.muscleBreakdown?.leanness ?? null,
+        },
+        notVisible: analysis.notVisible || [], // Body parts the AI couldn't see
+        weakPoints: analysis.weakPoints || [],
+        strongPoints: analysis.strongPoints || [],
+        symmetry: analysis.symmetry || 70,
+        overallAssessment: analysis.overallAssessment || 'Analysis complete.',
+        improvementTips: analysis.improvementTips || [],
+        scanSteps: analysis.scanSteps || [],
+        aiPowered: true,
+      };
+
+      logger.info(`[AI] Analysis complete: Score=${normalizedAnalysis.mogScore}, Tier=${normalizedAnalysis.tier}`);
+      return normalizedAnalysis;
+
+    } catch (error) {
+      logger.error('[AI] Error during analysis:', error);
+      return simulatePhysiqueAnalysis(onboardingData);
+    }
+  };
+
+  /**
+   * Build user context string from onboarding data
+   */
+  const buildUserContext = (onboardingData) => {
+    if (!onboardingData) return 'No additional context available.';
+
+    const parts = [];
+
+    if (onboardingData.gender) {
+      parts.push(`Gender: ${onboardingData.gender}`);
+    }
+    if (onboardingData.age) {
+      parts.push(`Age: ${onboardingData.age} years old`);
+    }
+    if (onboardingData.heightFeet && onboardingData.heightInches) {
+      parts.push(`Height: ${onboardingData.heightFeet}'${onboardingData.heightInches}"`);
+    }
+    if (onboardingData.weightLbs) {
+      parts.push(`Weight: ${onboardingData.weightLbs} lbs`);
+    }
+    if (onboardingData.trainingExperience) {
+      parts.push(`Training Experience: ${onboardingData.trainingExperience}`);
+    }
+    if (onboardingData.primaryGoal) {
+      parts.push(`Primary Goal: ${onboardingData.primaryGoal}`);
+    }
+    if (onboardingData.secondaryGoals?.length) {
+      parts.push(`Secondary Goals: ${onboardingData.secondaryGoals.join(', ')}`);
+    }
+    if (onboardingData.trainingDaysPerWeek) {
+      parts.push(`Training Days/Week: ${onboardingData.trainingDaysPerWeek}`);
+    }
+    if (onboardingData.equipmentType) {
+      parts.push(`Equipment: ${onboardingData.equipmentType}`);
+    }
+
+    return parts.length > 0 ? parts.join('\n') : 'No additional context available.';
+  };
+
+  /**
+   * Fallback simulation when OpenAI API is not available
+   */
+  const simulatePhysiqueAnalysis = (onboardingData) => {
+    logger.info('[AI] Using simulated analysis (no API key)');
+
+    const experienceBonus = {
+      'novice': 5,
+      'beginner': 15,
+      'intermediate': 30,
+      'advanced': 45,
+    };
+
+    let baseScore = 40 + (experienceBonus[onboardingData?.trainingExperience] || 10);
+    baseScore += Math.floor(Math.random() * 20) - 10;
+    const mogScore = Math.max(20, Math.min(95, baseScore));
+
+    const muscleBreakdown = {
+      chest: Math.floor(50 + Math.random() * 40),
+      shoulders: Math.floor(50 + Math.random() * 40),
+      back: Math.floor(50 + Math.random() * 40),
+      arms: Math.floor(50 + Math.random() * 40),
+      legs: Math.floor(40 + Math.random() * 40),
+      core: Math.floor(45 + Math.random() * 40),
+      leanness: Math.floor(50 + Math.random() * 35),
+    };
+
+    const muscleEntries = Object.entries(muscleBreakdown);
+    muscleEntries.sort((a, b) => a[1] - b[1]);
+
+    return {
+      isValidPhysique: true, // Always valid in fallback mode (user uploaded photos)
+      mogScore,
+      tier: getTierFromScore(mogScore),
+      muscleBreakdown,
+      weakPoints: muscleEntries.slice(0, 2).map(e => e[0]),
+      strongPoints: muscleEntries.slice(-2).map(e => e[0]),
+      symmetry: Math.floor(60 + Math.random() * 30),
+      overallAssessment: 'Your physique shows potential. Focus on your weak points and maintain consistency.',
+      improvementTips: [
+        'Prioritize compound movements for overall development',
+        'Ensure adequate protein intake (0.8-1g per lb bodyweight)',
+        'Get 7-9 hours of quality sleep for recovery',
+      ],
+      scanSteps: [
+        { title: 'Analyzing muscle structure', description: 'Evaluating overall muscle development' },
+        { title: 'Measuring proportions', description: 'Checking symmetry and balance' },
+        { title: 'Assessing body composition', description: 'Estimating lean mass distribution' },
+        { title: 'Calculating Mog Score', description: 'Computing your fitness rating' },
+      ],
+      aiPowered: false,
+    };
+  };
+
+  // Legacy function for backward compatibility
+  const analyzePhysique = (onboardingData) => {
+    return simulatePhysiqueAnalysis(onboardingData);
+  };
+
+  // Verify if new scan photo is the same person as previous scan
+  const verifyUserIdentity = async (newFrontPhoto, previousFrontPhoto) => {
+    if (!ai) {
+      logger.info('[IDENTITY] No AI provider, skipping identity verification');
+      return { isSamePerson: true }; // Skip verification without an AI provider
+    }
+
+    if (!newFrontPhoto || !previousFrontPhoto) {
+      logger.info('[IDENTITY] Missing photos for comparison, skipping verification');
+      return { isSamePerson: true };
+    }
+
+    try {
+      logger.info('[IDENTITY] Verifying if new photo matches previous scan...');
+      const startTime = Date.now();
+
+      const response = await structuredAI.analyzeImages({
+        feature: 'identity',
+        system: `You verify if two fitness photos show the SAME person. Compare: skin tone, body proportions, tattoos, gender. Physique changes (muscle/fat) are normal in fitness apps. ONLY flag different if CLEARLY different person (different gender, completely different skin color, impossible size difference). When in doubt, say SAME. JSON only: {"isSamePerson": true/false, "confidence": 0-100, "reason": "brief"}`,
+        prompt: 'Same person?',
+        images: [newFrontPhoto, previousFrontPhoto],
+        detail: 'low',
+        json: true,
+        maxTokens: 200,
+      });
+
+      const result = response.data;
+      logger.info(`[IDENTITY] Verification: ${result.isSamePerson ? 'SAME' : 'DIFFERENT'} (${result.confidence}%) - ${result.reason} [${Date.now() - startTime}ms]`);
+
+      return {
+        isSamePerson: result.isSamePerson,
+        confidence: result.confidence,
+        reason: result.reason
+      };
+    } catch (error) {
+      logger.error('[IDENTITY] Verification error:', error.message);
+      // On error, allow the scan to proceed (don't block users due to AI errors)
+      return { isSamePerson: true, error: error.message };
+    }
+  };
+
+  return { analyzePhysiqueWithAI, simulatePhysiqueAnalysis, analyzePhysique, verifyUserIdentity };
+};
+
+module.exports = { createPhysiqueAnalysis };
@@ -0,0 +1,320 @@
+// Persistent job queue on MongoDB (models/Job.js). Jobs survive restarts, retry with exponential
+// backoff and are dead-lettered after maxAttempts. Workers lease the jobs they run, so any number
+// of server instances can poll the same collection without running a job twice.
+const crypto = require('crypto');
+const os = require('os');
+const { logger, runWithContext, getLogContext } = require('./logger');
+
+const JOB_POLL_MS = parseInt(process.env.JOB_POLL_MS, 10) || 1000;
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 60 * 1000;
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+// Dead jobs are kept longer so there is time to inspect and retry them
+const JOB_DEAD_RETENTION_DAYS = parseInt(process.env.JOB_DEAD_RETENTION_DAYS, 10) || 30;
+
+const DEFAULT_OPTIONS = {
+  concurrency: 1, // Jobs of this type running at once on one instance
+  maxAttempts: 5,
+  backoffMs: 30 * 1000, // Retry n waits backoffMs * 2^(n-1), capped at maxBackoffMs
+  maxBackoffMs: 60 * 60 * 1000,
+  cooldownMs: 0, // Pause after each job before claiming the next one (provider rate limits)
+};
+
+const RECURRING_PREFIX = 'recurring:';
+
+const generateJobId = () => `job_${crypto.randomUUID()}`;
+
+const getBackoffDelay = (attempts, { backoffMs, maxBackoffMs }) => Math.min(backoffMs * 2 ** (attempts - 1), maxBackoffMs);
+
+// Admin-facing view of a job
+const serializeJob = (job) => ({
+  jobId: job.jobId,
+  type: job.type,
+  status: job.status,
+  payload: job.payload,
+  attempts: job.attempts,
+  maxAttempts: job.maxAttempts,
+  runAt: job.runAt,
+  lockedBy: job.lockedBy,
+  lockedUntil: job.lockedUntil,
+  lastError: job.lastError,
+  result: job.result,
+  requestId: job.requestId,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  completedAt: job.completedAt,
+});
+
+/**
+ * Queue bound to the Job model. Register handlers with define() (and schedules with every())
+ * before start(); enqueue() works whether or not this instance runs a worker.
+ * Options (config): { jobPollMs, jobLeaseMs } override JOB_POLL_MS / JOB_LEASE_MS.
+ */
+const createQueue = ({ models, clock, config = {} }) => {
+  const { Job } = models;
+  const pollMs = config.jobPollMs || JOB_POLL_MS;
+  const leaseMs = config.jobLeaseMs || JOB_LEASE_MS;
+  const workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+  const handlers = new Map(); // type -> { handler, options, running, nextClaimAt }
+  const schedules = new Map(); // type -> { intervalMs, firstRunDelayMs }
+  const inFlight = new Set();
+  let pollTimer = null;
+  let polling = false;
+  let pollRequested = false;
+
+  const later = (ms) => new Date(clock.now().getTime() + ms);
+
+  /**
+   * Register the handler for a job type: handler(payload, job) -> result (stored on the job).
+   * A thrown error schedules a retry. Options: see DEFAULT_OPTIONS.
+   */
+  const define = (type, handler, options = {}) => {
+    handlers.set(type, { handler, options: { ...DEFAULT_OPTIONS, ...options }, running: 0, nextClaimAt: 0 });
+  };
+
+  /**
+   * Run `type` every `intervalMs`. There is one job per schedule across all instances; it is
+   * re-queued for the next run when it finishes, so a restart never skips or doubles a run.
+   */
+  const every = (type, intervalMs, { firstRunDelayMs = 0 } = {}) => {
+    schedules.set(type, { intervalMs, firstRunDelayMs });
+  };
+
+  const wake = () => {
+    if (pollTimer) setImmediate(poll);
+  };
+
+  /**
+   * Add a job. Options: { delayMs, uniqueKey, maxAttempts }. With a uniqueKey nothing is added
+   * while a job with that key is queued or running. Returns { job, created }.
+   */
+  const enqueue = async (type, payload = {}, { delayMs = 0, uniqueKey, maxAttempts } = {}) => {
+    if (uniqueKey) {
+      const existing = await Job.findOne({ uniqueKey });
+      if (existing) return { job: existing, created: false };
+    }
+
+    const now = clock.now();
+    try {
+      const job = await Job.create({
+        jobId: generateJobId(),
+        type,
+        payload,
+        uniqueKey,
+        runAt: later(delayMs),
+        maxAttempts: maxAttempts || handlers.get(type)?.options.maxAttempts || DEFAULT_OPTIONS.maxAttempts,
+        requestId: getLogContext().requestId,
+        createdAt: now,
+        updatedAt: now,
+      });
+      if (delayMs === 0) wake();
+      return { job, created: true };
+    } catch (err) {
+      // Another request or instance queued the same key first
+      if (uniqueKey && err.code === 11000) return { job: await Job.findOne({ uniqueKey }), created: false };
+      throw err;
+    }
+  };
+
+  // Take the next due job of `type`, or one whose worker stopped renewing its lease
+  const claim = (type) => {
+    const now = clock.now();
+    return Job.findOneAndUpdate(
+      {
+        type,
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } },
+        ],
+      },
+      {
+        $set: { status: 'running', lockedBy: workerId, lockedUntil: later(leaseMs), startedAt: now, updatedAt: now },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  };
+
+  // Update a job this worker still holds; false when the lease was lost to another worker
+  const updateOwned = async (job, update) => {
+    const { modifiedCount } = await Job.updateOne({ jobId: job.jobId, lockedBy: workerId, status: 'running' }, update);
+    return modifiedCount > 0;
+  };
+
+  const complete = (job, result) => {
+    const now = clock.now();
+    const schedule = job.uniqueKey?.startsWith(RECURRING_PREFIX) && schedules.get(job.type);
+    if (schedule) {
+      return updateOwned(job, {
+        $set: { status: 'queued', runAt: later(schedule.intervalMs), attempts: 0, result, completedAt: now, lastError: null, updatedAt: now },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      });
+    }
+    return updateOwned(job, {
+      $set: { status: 'completed', result, completedAt: now, expiresAt: later(JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000), updatedAt: now },
+      $unset: { uniqueKey: 1, lockedBy: 1, lockedUntil: 1 },
+    });
+  };
+
+  const fail = (job, options, message) => {
+    const now = clock.now();
+    if (job.attempts < job.maxAttempts) {
+      return updateOwned(job, {
+        $set: { status: 'queued', runAt: later(getBackoffDelay(job.attempts, options)), lastError: message, updatedAt: now },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      });
+    }
+
+    // Out of attempts: a schedule waits for its next run, anything else is dead-lettered
+    const schedule = job.uniqueKey?.startsWith(RECURRING_PREFIX) && schedules.get(job.type);
+    if (schedule) {
+      return updateOwned(job, {
+        $set: { status: 'queued', runAt: later(schedule.intervalMs), attempts: 0, lastError: message, updatedAt: now },
+        $unset: { lockedBy: 1, lockedUntil: 1 },
+      });
+    }
+    return updateOwned(job, {
+      $set: { status: 'dead', lastError: message, completedAt: now, expiresAt: later(JOB_DEAD_RETENTION_DAYS * 24 * 60 * 60 * 1000), updatedAt: now },
+      $unset: { uniqueKey: 1, lockedBy: 1, lockedUntil: 1 },
+    });
+  };
+
+  // Runs under the requestId of whoever queued the job, so its logs line up with that request
+  const runJob = ({ handler, options }, job) => runWithContext({ requestId: job.requestId, jobId: job.jobId }, async () => {
+    const fields = { jobId: job.jobId, type: job.type, attempt: job.attempts };
+    const heartbeat = setInterval(() => {
+      updateOwned(job, { $set: { lockedUntil: later(leaseMs) } })
+        .then(held => { if (!held) logger.warn('[QUEUE] Lost the lease on a running job', fields); })
+        .catch(err => logger.error('[QUEUE] Lease renewal failed:', err.message));
+    }, Math.floor(leaseMs / 3));
+
+    try {
+      // A lease that lapsed on the final attempt means the worker died running it
+      if (job.attempts > job.maxAttempts) throw new Error('Worker stopped during the last attempt');
+
+      const result = await handler(job.payload, job);
+      await complete(job, result);
+      logger.info('[QUEUE] Job completed', fields);
+    } catch (err) {
+      const willRetry = job.attempts < job.maxAttempts;
+      logger[willRetry ? 'warn' : 'error'](`[QUEUE] Job failed${willRetry ? ', will retry' : ' for the last time'}`, { ...fields, err });
+      await fail(job, options, err.message).catch(updateErr => logger.error('[QUEUE] Could not record failure:', updateErr.message));
+    } finally {
+      clearInterval(heartbeat);
+    }
+  });
+
+  // Claim jobs for every type with a free slot; runs until nothing more is due
+  const poll = async () => {
+    if (polling) {
+      pollRequested = true;
+      return;
+    }
+    polling = true;
+
+    try {
+      for (const [type, entry] of handlers) {
+        while (pollTimer && entry.running < entry.options.concurrency && Date.now() >= entry.nextClaimAt) {
+          const job = await claim(type);
+          if (!job) break;
+
+          entry.running++;
+          const running = runJob(entry, job).finally(() => {
+            entry.running--;
+            entry.nextClaimAt = Date.now() + entry.options.cooldownMs;
+            inFlight.delete(running);
+            wake();
+          });
+          inFlight.add(running);
+        }
+      }
+    } catch (err) {
+      logger.error('[QUEUE] Poll failed:', err.message);
+    } finally {
+      polling = false;
+      if (pollRequested) {
+        pollRequested = false;
+        wake();
+      }
+    }
+  };
+
+  // Make sure each schedule has its job (the first instance to start creates it)
+  const ensureSchedules = async () => {
+    for (const [type, { firstRunDelayMs }] of schedules) {
+      await enqueue(type, {}, { uniqueKey: `${RECURRING_PREFIX}${type}`, delayMs: firstRunDelayMs });
+    }
+  };
+
+  /**
+   * Start polling for jobs of every defined type
+   */
+  const start = async () => {
+    if (pollTimer) return;
+    pollTimer = setInterval(poll, pollMs);
+    logger.info('[QUEUE] Worker started', { workerId, types: [...handlers.keys()] });
+    await ensureSchedules();
+    wake();
+  };
+
+  /**
+   * Stop claiming jobs and wait up to `timeoutMs` for running ones. Jobs still running after that
+   * are picked up again by another worker once their lease expires.
+   */
+  const stop = async ({ timeoutMs = 10000 } = {}) => {
+    if (!pollTimer) return;
+    clearInterval(pollTimer);
+    pollTimer = null;
+
+    let timer;
+    const timeout = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+    await Promise.race([Promise.allSettled([...inFlight]), timeout]);
+    clearTimeout(timer);
+  };
+
+  /**
+   * Job counts by type and status, plus what this instance is running
+   */
+  const getStats = async () => {
+    const rows = await Job.aggregate([{ $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }]);
+    const byType = {};
+    for (const { _id, count } of rows) {
+      byType[_id.type] = byType[_id.type] || { queued: 0, running: 0, completed: 0, dead: 0 };
+      byType[_id.type][_id.status] = count;
+    }
+
+    const local = {};
+    for (const [type, entry] of handlers) local[type] = { running: entry.running, concurrency: entry.options.concurrency };
+    return { workerId, polling: Boolean(pollTimer), byType, local };
+  };
+
+  const listJobs = ({ status, type, limit = 50 } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    return Job.find(filter).sort({ updatedAt: -1 }).limit(limit);
+  };
+
+  const getJob = (jobId) => Job.findOne({ jobId });
+
+  /**
+   * Put a dead job back in the queue with a fresh set of attempts. Returns null unless it was dead.
+   */
+  const retryJob = async (jobId) => {
+    const now = clock.now();
+    const job = await Job.findOneAndUpdate(
+      { jobId, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, runAt: now, updatedAt: now }, $unset: { completedAt: 1, expiresAt: 1 } },
+      { new: true }
+    );
+    if (job) wake();
+    return job;
+  };
+
+  // Drop queued jobs of a type, e.g. pending images after the image cache is cleared
+  const clearQueued = async (type) => (await Job.deleteMany({ type, status: 'queued' })).deletedCount;
+
+  return { workerId, define, every, enqueue, start, stop, getStats, listJobs, getJob, retryJob, clearQueued };
+};
+
+module.exports = { createQueue, serializeJob, getBackoffDelay };
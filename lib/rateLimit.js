@@ -0,0 +1,117 @@
+// Fixed-window rate limiting with pluggable stores (in-memory or MongoDB)
+const RateLimit = require('../models/RateLimit');
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+/**
+ * Single-process store. Fine for one instance; counters reset on restart.
+ */
+const createMemoryStore = () => {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drop finished windows so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) windows.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+      const windowKey = `${key}:${windowStart}`;
+      const entry = windows.get(windowKey) || { count: 0, resetAt: windowStart + windowMs };
+      entry.count++;
+      windows.set(windowKey, entry);
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+};
+
+/**
+ * Shared store for multi-instance deployments. One document per key and window.
+ */
+const createMongoStore = () => ({
+  async increment(key, windowMs) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const resetAt = windowStart + windowMs;
+    const entry = await RateLimit.findOneAndUpdate(
+      { key: `${key}:${windowStart}` },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+      { upsert: true, new: true }
+    );
+    return { count: entry.count, resetAt };
+  },
+});
+
+const createStore = (type = process.env.RATE_LIMIT_STORE) => (type === 'mongo' ? createMongoStore() : createMemoryStore());
+
+// Request attributes a limiter can be keyed by
+const KEY_RESOLVERS = {
+  ip: (req) => req.ip,
+  // Authenticated caller, or the email being targeted on login / password reset from this IP.
+  // Keying by the email alone would let anyone use up its owner's budget and lock them out.
+  account: (req) => {
+    if (req.auth?.userId) return req.auth.userId;
+    return typeof req.body?.email === 'string' ? `${req.ip}:${req.body.email.trim().toLowerCase()}` : null;
+  },
+};
+
+/**
+ * Build a rate limiting middleware.
+ * Every key in `keyBy` gets its own budget per `windowMs`, scoped to `name`.
+ * `max` is either one limit for all keys or per key, e.g. { ip: 50, account: 10 }.
+ * The settings stay on the middleware (`.rateLimit`) for the OpenAPI document.
+ */
+const rateLimit = ({ name, windowMs, max, keyBy = ['ip'], store, message }) => {
+  const limiterStore = store || createStore();
+  const limitFor = (dimension) => (typeof max === 'object' ? max[dimension] : max);
+
+  const middleware = async (req, res, next) => {
+    try {
+      let tightest = null; // Key with the fewest requests left
+
+      for (const dimension of keyBy) {
+        const value = KEY_RESOLVERS[dimension](req);
+        if (!value) continue;
+
+        const limit = limitFor(dimension);
+        const { count, resetAt } = await limiterStore.increment(`${name}:${dimension}:${value}`, windowMs);
+        if (!tightest || limit - count < tightest.limit - tightest.count) tightest = { limit, count, resetAt };
+      }
+
+      if (!tightest) return next();
+
+      const remaining = Math.max(0, tightest.limit - tightest.count);
+      const resetSeconds = Math.max(1, Math.ceil((tightest.resetAt - Date.now()) / 1000));
+      res.set('RateLimit-Limit', String(tightest.limit));
+      res.set('RateLimit-Remaining', String(remaining));
+      res.set('RateLimit-Reset', String(resetSeconds));
+
+      if (tightest.count > tightest.limit) {
+        res.set('Retry-After', String(resetSeconds));
+        logger.info(`[RATE-LIMIT] ${name} exceeded by ${req.auth?.userId || req.ip}`);
+        return sendError(res, 'rate_limited', message, { retryAfter: resetSeconds });
+      }
+
+      next();
+    } catch (err) {
+      // Fail open - a store outage shouldn't take the API down
+      logger.error(`[RATE-LIMIT] ${name} store error:`, err.message);
+      next();
+    }
+  };
+  middleware.rateLimit = { name, windowMs, max, keyBy };
+  return middleware;
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  createStore,
+  rateLimit,
+};
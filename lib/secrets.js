@@ -0,0 +1,18 @@
+// Signing secrets from the environment, with a throwaway fallback for local development
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+/**
+ * Return `value` if set. Outside production, fall back to a random per-process secret and warn
+ * what a restart breaks (`restartEffect`); in production, throw so the server refuses to start.
+ */
+const loadSecret = (name, value, restartEffect) => {
+  if (value) return value;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${name} must be set in production`);
+  }
+  logger.warn(`[AUTH] ${name} not configured - using a random per-process secret (${restartEffect})`);
+  return crypto.randomBytes(32).toString('hex');
+};
+
+module.exports = { loadSecret };
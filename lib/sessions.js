@@ -0,0 +1,81 @@
+// Login sessions (one per device login / refresh token family)
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Don't write lastSeenAt on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Session bookkeeping against the injected models and clock
+ */
+const createSessions = ({ models, clock }) => {
+  const { Session, RefreshToken } = models;
+
+  const createSession = (userId, device = {}) => {
+    const now = clock.now();
+    return Session.create({
+      sessionId: crypto.randomBytes(16).toString('hex'),
+      userId,
+      deviceId: device.deviceId || 'unknown',
+      deviceName: device.deviceName,
+      platform: device.platform,
+      ip: device.ip,
+      userAgent: device.userAgent,
+      createdAt: now,
+      lastSeenAt: now,
+    });
+  };
+
+  /**
+   * Returns true if the session is still active, refreshing lastSeenAt/ip as a side effect
+   */
+  const touchSession = async (sessionId, ip) => {
+    const session = await Session.findOne({ sessionId, revokedAt: null }).lean();
+    if (!session) return false;
+
+    const now = clock.now();
+    if (now.getTime() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS) {
+      Session.updateOne({ sessionId }, { lastSeenAt: now, ...(ip ? { ip } : {}) })
+        .catch(err => logger.error('[SESSION] Failed to update last seen:', err.message));
+    }
+    return true;
+  };
+
+  // Revoke sessions matching `filter` along with all of their refresh tokens
+  const revokeSessions = async (filter, reason) => {
+    const sessions = await Session.find({ ...filter, revokedAt: null }, { sessionId: 1 }).lean();
+    if (sessions.length === 0) return 0;
+
+    const sessionIds = sessions.map(s => s.sessionId);
+    const now = clock.now();
+    await Session.updateMany({ sessionId: { $in: sessionIds } }, { revokedAt: now, revokedReason: reason });
+    await RefreshToken.updateMany(
+      { familyId: { $in: sessionIds }, revokedAt: null },
+      { revokedAt: now, revokedReason: reason }
+    );
+    return sessionIds.length;
+  };
+
+  const revokeSession = (sessionId, reason) => revokeSessions({ sessionId }, reason);
+
+  /**
+   * Revoke every session for a user except `keepSessionId` (pass null to revoke all)
+   */
+  const revokeOtherSessions = (userId, keepSessionId, reason) => revokeSessions(
+    keepSessionId ? { userId, sessionId: { $ne: keepSessionId } } : { userId },
+    reason
+  );
+
+  const listActiveSessions = (userId) => Session.find({ userId, revokedAt: null }).sort({ lastSeenAt: -1 }).lean();
+
+  return {
+    createSession,
+    touchSession,
+    revokeSessions,
+    revokeSession,
+    revokeOtherSessions,
+    listActiveSessions,
+  };
+};
+
+module.exports = { createSessions };
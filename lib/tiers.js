@@ -0,0 +1,24 @@
+// MogScore tiers shown on scans, profiles and the leaderboard
+
+const TIERS = [
+  { name: 'Final Boss Mogger', minScore: 97, type: 'mythic' },    // Pro bodybuilder - almost impossible
+  { name: 'Mogger', minScore: 93, type: 'legendary' },            // Elite competitor
+  { name: 'Gigachad', minScore: 88, type: 'epic' },               // Very impressive physique
+  { name: 'Chad', minScore: 78, type: 'rare' },                   // Clearly above average
+  { name: 'Chadlite', minScore: 68, type: 'uncommon' },           // Noticeable muscle
+  { name: 'High-Tier Normie', minScore: 55, type: 'common' },     // Regular gym-goer
+  { name: 'Normie', minScore: 45, type: 'common' },               // Average
+  { name: 'Low-Tier Normie', minScore: 35, type: 'common' },      // Below average
+  { name: 'Gym Bro', minScore: 0, type: 'starter' },              // Just starting
+];
+
+const getTierFromScore = (score) => {
+  for (const tier of TIERS) {
+    if (score >= tier.minScore) {
+      return tier.name;
+    }
+  }
+  return 'Gym Bro';
+};
+
+module.exports = { TIERS, getTierFromScore };
@@ -0,0 +1,156 @@
+// JWT access tokens and rotating refresh tokens for Mog.ai backend
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { loadSecret } = require('./secrets');
+const { logger } = require('./logger');
+
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const JWT_ISSUER = 'mog.ai';
+
+const JWT_SECRET = loadSecret('JWT_SECRET', process.env.JWT_SECRET, 'every restart invalidates issued tokens');
+
+const generateTokenId = () => crypto.randomBytes(16).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { sub: userId, sid: sessionId, type: 'access' },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS, issuer: JWT_ISSUER, jwtid: generateTokenId() }
+);
+
+/**
+ * Verify an access token and return its payload, or null if invalid/expired
+ */
+const verifyAccessToken = (token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+    return payload.type === 'access' ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Short-lived signed token for links sent outside the API (downloads, email links).
+ * `purpose` is checked on verify so a token minted for one flow can't be replayed in another.
+ */
+const signLinkToken = (purpose, subject, ttlSeconds) => jwt.sign(
+  { sub: subject, type: purpose },
+  JWT_SECRET,
+  { expiresIn: Math.max(1, Math.floor(ttlSeconds)), issuer: JWT_ISSUER }
+);
+
+/**
+ * Returns the link token's subject, or null if invalid, expired or minted for another purpose
+ */
+const verifyLinkToken = (purpose, token) => {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET, { issuer: JWT_ISSUER });
+    return payload.type === purpose ? payload.sub : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Sessions' access/refresh token pairs against the injected models, clock and session service
+ */
+const createTokens = ({ models, clock, services }) => {
+  const { RefreshToken } = models;
+  const { createSession, touchSession, revokeSession, revokeSessions } = services.sessions;
+
+  // Persist a new refresh token and return the raw value (only ever sent to the client)
+  const createRefreshToken = async (userId, familyId, deviceId) => {
+    const rawToken = crypto.randomBytes(48).toString('base64url');
+    const now = clock.now();
+    const record = await RefreshToken.create({
+      tokenId: generateTokenId(),
+      tokenHash: hashToken(rawToken),
+      userId,
+      familyId,
+      deviceId,
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+      createdAt: now,
+    });
+    return { rawToken, record };
+  };
+
+  /**
+   * Start a new session and issue its access/refresh token pair.
+   * `device` is { deviceId, deviceName, platform, ip, userAgent }. A new login on a known
+   * device replaces that device's previous session.
+   */
+  const issueAuthTokens = async (user, device = {}) => {
+    if (device.deviceId && device.deviceId !== 'unknown') {
+      await revokeSessions({ userId: user.userId, deviceId: device.deviceId }, 'replaced_by_login');
+    }
+
+    const session = await createSession(user.userId, device);
+    const { rawToken } = await createRefreshToken(user.userId, session.sessionId, session.deviceId);
+    return {
+      accessToken: signAccessToken(user.userId, session.sessionId),
+      refreshToken: rawToken,
+      tokenType: 'Bearer',
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    };
+  };
+
+  /**
+   * Exchange a refresh token for a new pair (rotation).
+   * Presenting an already-rotated or revoked token is treated as theft and revokes the whole family.
+   * Returns { tokens, userId } on success or { error } with 'invalid' | 'expired' | 'reused'.
+   */
+  const rotateRefreshToken = async (rawToken, ip) => {
+    if (!rawToken || typeof rawToken !== 'string') return { error: 'invalid' };
+
+    const existing = await RefreshToken.findOne({ tokenHash: hashToken(rawToken) });
+    if (!existing) return { error: 'invalid' };
+
+    if (existing.replacedBy || existing.revokedAt) {
+      await revokeSession(existing.familyId, 'reuse_detected');
+      logger.info(`[AUTH] Refresh token reuse detected for user ${existing.userId} - revoked session ${existing.familyId}`);
+      return { error: 'reused' };
+    }
+
+    if (existing.expiresAt < clock.now()) return { error: 'expired' };
+
+    const { rawToken: nextToken, record: next } = await createRefreshToken(existing.userId, existing.familyId, existing.deviceId);
+
+    // Claim the old token atomically so two concurrent refreshes can't both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, replacedBy: null, revokedAt: null },
+      { replacedBy: next.tokenId },
+      { new: true }
+    );
+    if (!claimed) {
+      await revokeSession(existing.familyId, 'reuse_detected');
+      logger.info(`[AUTH] Concurrent refresh token use for user ${existing.userId} - revoked family ${existing.familyId}`);
+      return { error: 'reused' };
+    }
+
+    await touchSession(existing.familyId, ip);
+
+    return {
+      userId: existing.userId,
+      tokens: {
+        accessToken: signAccessToken(existing.userId, existing.familyId),
+        refreshToken: nextToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      },
+    };
+  };
+
+  return { issueAuthTokens, rotateRefreshToken };
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  signLinkToken,
+  verifyLinkToken,
+  createTokens,
+};
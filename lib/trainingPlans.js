@@ -0,0 +1,471 @@
+// Workout plan generation: the starter plan from a scan and AI weekly plans
+const { generateId } = require('./ids');
+const { logger } = require('./logger');
+
+const createTrainingPlans = ({ models, ai, services }) => {
+  const { Scan } = models;
+  const { structuredAI } = services;
+
+  const generateWorkoutPlan = (onboardingData, scanResults) => {
+    const { trainingDaysPerWeek = 4, equipmentType = 'full-gym', primaryGoal = 'aesthetics' } = onboardingData || {};
+    const { weakPoints = ['legs', 'back'] } = scanResults || {};
+
+    const exercisesByMuscle = {
+      'full-gym': {
+        chest: ['Bench Press', 'Incline DB Press', 'Cable Flyes'],
+        shoulders: ['Overhead Press', 'Lateral Raises', 'Face Pulls'],
+        back: ['Lat Pulldown', 'Barbell Rows', 'Cable Rows'],
+        arms: ['Barbell Curls', 'Tricep Pushdowns', 'Hammer Curls'],
+        legs: ['Squats', 'Leg Press', 'Romanian Deadlifts', 'Leg Curls'],
+      },
+      'home-gym': {
+        chest: ['DB Bench Press', 'Push-ups', 'DB Flyes'],
+        shoulders: ['DB Shoulder Press', 'Lateral Raises', 'Arnold Press'],
+        back: ['DB Rows', 'Pull-ups', 'Renegade Rows'],
+        arms: ['DB Curls', 'Tricep Dips', 'Hammer Curls'],
+        legs: ['Goblet Squats', 'Lunges', 'RDLs'],
+      },
+      'bodyweight': {
+        chest: ['Push-ups', 'Diamond Push-ups', 'Decline Push-ups'],
+        shoulders: ['Pike Push-ups', 'Wall Handstand', 'Shoulder Taps'],
+        back: ['Pull-ups', 'Inverted Rows', 'Superman'],
+        arms: ['Chin-ups', 'Dips', 'Close-grip Push-ups'],
+        legs: ['Squats', 'Lunges', 'Bulgarian Split Squats'],
+      },
+    };
+
+    const weeklyPlan = [];
+    const muscleGroups = ['chest', 'back', 'shoulders', 'arms', 'legs'];
+    const prioritizedMuscles = [...weakPoints, ...muscleGroups.filter(m => !weakPoints.includes(m))];
+
+    for (let day = 1; day <= trainingDaysPerWeek; day++) {
+      const musclesForDay = prioritizedMuscles.slice((day - 1) * 2 % 5, ((day - 1) * 2 % 5) + 2);
+      const exercises = [];
+
+      musclesForDay.forEach(muscle => {
+        const muscleExercises = exercisesByMuscle[equipmentType]?.[muscle] || [];
+        muscleExercises.slice(0, 3).forEach((name, idx) => {
+          exercises.push({
+            id: `ex_${day}_${muscle}_${idx}`,
+            name,
+            muscle,
+            sets: primaryGoal === 'build-size' ? 4 : 3,
+            reps: primaryGoal === 'lean' ? '12-15' : '8-12',
+            completed: false,
+          });
+        });
+      });
+
+      weeklyPlan.push({
+        day,
+        name: `Day ${day}: ${musclesForDay.map(m => m.charAt(0).toUpperCase() + m.slice(1)).join(' & ')}`,
+        exercises,
+        completed: false,
+      });
+    }
+
+    return {
+      planId: generateId(),
+      name: `${trainingDaysPerWeek}-Day Split`,
+      weeklyPlan,
+      focusAreas: weakPoints,
+      createdAt: new Date().toISOString(),
+    };
+  };
+
+  // AI Training Plan Generator Function
+  async function generateAITrainingPlan(scanData) {
+    logger.info('[AI TRAINING] Starting plan generation...');
+
+    if (!ai) {
+      throw new Error('AI provider not configured. Check your API key.');
+    }
+
+    const { mogScore, tier, muscleBreakdown, weakPoints, strongPoints, symmetry, overallAssessment, improvementTips } = scanData;
+
+    logger.info('[AI TRAINING] Scan data:', { mogScore, tier, weakPoints, strongPoints });
+
+    // Optimized, shorter prompt for faster generation
+    const systemPrompt = `You are an elite AI fitness coach. Create a 6-day personalized training plan.
+
+USER DATA:
+- Score: ${mogScore}/100 (${tier})
+- Weak Points: ${weakPoints.join(', ')}
+- Strong Points: ${strongPoints.join(', ')}
+
+RULES:
+1. Day 1 targets #1 weak point
+2. Each day: 3-4 exercises max
+3. Each exercise: 3-4 steps (sets), 60sec each
+4. Badge exercises targeting weak points: "WEAK POINT" (#FF4D9E)
+5. Badge compound movements: "COMPOUND" (#FFD700)
+
+OUTPUT (JSON only):
+{
+  "mission": "[target weak point] → Push Mog Score",
+  "expectedGain": [0.5-1.5],
+  "targets": [{"name": "[weak1]", "points": 0.8}, {"name": "[weak2]", "points": 0.4}],
+  "days": [{
+    "day": 1,
+    "title": "[Focus area]",
+    "type": "Strength|Hypertrophy|Recovery",
+    "typeColor": "#FF4D9E|#4A7CFF|#00FF88",
+    "status": "today",
+    "duration": "45 min",
+    "caloriesBurn": 300,
+    "targetMuscles": ["muscle1"],
+    "exercises": [{
+      "name": "[Exercise]",
+      "sets": "4 x 8-10",
+      "note": "[Form tip]",
+      "badge": "WEAK POINT|COMPOUND|null",
+      "badgeColor": "#FF4D9E|#FFD700|null",
+      "steps": [
+        {"stepNumber": 1, "title": "Set 1 - Warm Up", "description": "[Motivational instruction]", "duration": 60}
+      ]
+    }]
+  }]
+}
+
+Generate 6 days. Day 1 = "today", others = "upcoming".`;
+
+    try {
+      logger.info(`[AI TRAINING] Calling ${ai.name} provider...`);
+      const startTime = Date.now();
+
+      // Parsed and checked against AI_SCHEMAS.trainingPlan, retried with the errors on invalid output
+      const response = await structuredAI.complete({
+        feature: 'trainingPlan',
+        system: systemPrompt,
+        prompt: 'Generate my 6-day training plan. JSON only.',
+        temperature: 0.7,
+        maxTokens: 4000,
+      });
+
+      const elapsed = Date.now() - startTime;
+      logger.info(`[AI TRAINING] Response from ${response.model} received in ${elapsed}ms (${response.attempts} attempt(s))`);
+
+      // Check finish reason
+      const finishReason = response.finishReason;
+      logger.info('[AI TRAINING] Finish reason:', finishReason);
+
+      if (finishReason === 'length') {
+        logger.warn('[AI TRAINING] Response was truncated due to token limit');
+      }
+
+      // Log first 500 chars for debugging
+      logger.debug('[AI TRAINING] Raw plan received', { chars: response.text.length });
+
+      const plan = response.data;
+      logger.info('[AI TRAINING] JSON parsed successfully, days:', plan.days?.length);
+
+      // Validate we have all 6 days
+      if (!plan.days || plan.days.length < 6) {
+        logger.warn(`[AI TRAINING] Only ${plan.days?.length || 0} days generated, expected 6`);
+      }
+
+      // Ensure proper timestamps
+      const now = new Date();
+      plan.weekId = `week-${now.getTime()}`;
+      plan.startDate = now.toISOString();
+      plan.endDate = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString();
+      plan.generatedAt = now.toISOString();
+      plan.mission = plan.mission || 'Transform your physique';
+      plan.expectedGain = plan.expectedGain || 1.0;
+
+      // Default exercise step templates
+      const defaultSteps = [
+        { stepNumber: 1, title: 'Set 1 - Warm Up', description: 'Start light and focus on form', duration: 60 },
+        { stepNumber: 2, title: 'Set 2 - Build Up', description: 'Increase weight, maintain control', duration: 60 },
+        { stepNumber: 3, title: 'Set 3 - Working Set', description: 'Push yourself, feel the burn', duration: 60 },
+        { stepNumber: 4, title: 'Set 4 - Final Set', description: 'Give it everything you have!', duration: 60 },
+      ];
+
+      // Ensure all days have proper structure
+      plan.days = (plan.days || []).map((day, index) => ({
+        day: index + 1,
+        title: day.title || `Training Day ${index + 1}`,
+        description: day.description || '',
+        type: day.type || 'Strength',
+        typeColor: day.typeColor || '#4A7CFF',
+        status: index === 0 ? 'today' : 'upcoming',
+        duration: day.duration || '45 min',
+        caloriesBurn: day.caloriesBurn || 300,
+        targetMuscles: day.targetMuscles || [],
+        exercises: (day.exercises || []).map((ex, exIndex) => ({
+          id: ex.id || `ex-${index + 1}-${exIndex + 1}`,
+          name: ex.name || `Exercise ${exIndex + 1}`,
+          sets: ex.sets || '4 x 10',
+          note: ex.note || 'Focus on proper form',
+          badge: ex.badge || null,
+          badgeColor: ex.badgeColor || null,
+          borderColor: ex.borderColor || '#3A2A4A',
+          completed: false,
+          steps: (ex.steps && ex.steps.length >= 3) ? ex.steps.map((step, stepIndex) => ({
+            stepNumber: stepIndex + 1,
+            title: step.title || `Set ${stepIndex + 1}`,
+            description: step.description || 'Complete this set with good form',
+            duration: Math.max(60, step.duration || 60)
+          })) : defaultSteps.slice(0, 4) // Use default steps if missing or incomplete
+        }))
+      }));
+
+      logger.info(`[AI TRAINING] Generated plan with ${plan.days.length} days, mission: ${plan.mission}`);
+
+      // Log exercise counts per day for debugging
+      plan.days.forEach(day => {
+        logger.debug(`[AI TRAINING] Day ${day.day}: ${day.exercises.length} exercises, ${day.exercises.map(e => e.steps?.length || 0).join('/')} steps each`);
+      });
+
+      return plan;
+
+    } catch (error) {
+      logger.error('[AI TRAINING] AI provider error:', error);
+
+      // Retry once before giving up (provider errors are not retried by structuredAI)
+      logger.info('[AI TRAINING] Attempting fallback generation...');
+      try {
+        const fallbackResponse = await structuredAI.complete({
+          feature: 'trainingPlan',
+          system: systemPrompt,
+          prompt: 'Generate my 6-day training plan. JSON only.',
+          maxTokens: 4000,
+          temperature: 0.7,
+        });
+
+        logger.info('[AI TRAINING] Fallback successful');
+        const fallbackPlan = fallbackResponse.data;
+
+        // Add required fields
+        const now = new Date();
+        fallbackPlan.weekId = `week-${now.getTime()}`;
+        fallbackPlan.generatedAt = now.toISOString();
+        fallbackPlan.days = (fallbackPlan.days || []).map((day, index) => ({
+          ...day,
+          day: index + 1,
+          status: index === 0 ? 'today' : 'upcoming',
+        }));
+
+        return fallbackPlan;
+      } catch (fallbackError) {
+        logger.error('[AI TRAINING] Fallback also failed:', fallbackError.message);
+      }
+
+      throw new Error('Failed to generate AI training plan: ' + error.message);
+    }
+  }
+
+  // Generate next week's plan with progressive overload based on user's history
+  async function generateNextWeekPlan(user, currentPlan) {
+    logger.info('[AI TRAINING] Generating progressive Week', (currentPlan.currentWeek || 1) + 1);
+
+    if (!ai) {
+      throw new Error('AI provider not configured');
+    }
+
+    // Get user's latest scan data with image
+    const latestScan = user?.userId ? await Scan.findOne({ userId: user.userId }).sort({ createdAt: -1 }) : null;
+
+    // Use user's latestScan as fallback if no Scan document found
+    const scanData = latestScan || user?.latestScan;
+
+    // Get the physique image URL if available
+    const physiqueImageUrl = latestScan?.imageUrls?.[0] || latestScan?.frontImage || null;
+
+    logger.info('[AI TRAINING] User mog score:', user?.mogScore);
+    logger.info('[AI TRAINING] Has physique image:', !!physiqueImageUrl);
+
+    // Compile workout history for progressive overload
+    const completedHistory = currentPlan.completedHistory || [];
+    const lastWeekWorkouts = currentPlan.weeklyPlan || [];
+
+    // Calculate what muscles were trained and how
+    const muscleWorkVolume = {};
+    lastWeekWorkouts.forEach(day => {
+      (day.targetMuscles || []).forEach(muscle => {
+        muscleWorkVolume[muscle] = (muscleWorkVolume[muscle] || 0) + 1;
+      });
+    });
+
+    const systemPrompt = `You are an elite AI personal trainer creating Week ${(currentPlan.currentWeek || 1) + 1} of a progressive training program.
+
+${physiqueImageUrl ? 'IMPORTANT: I have attached the user\'s current physique photo. Analyze their body composition, muscle development, and areas that need work. Use this visual assessment to tailor the training plan.' : ''}
+
+USER PROFILE:
+- Current Mog Score: ${user?.mogScore || 50}/100
+- Total Workouts Completed: ${user?.totalWorkouts || 0}
+- Week Just Completed: ${currentPlan.currentWeek || 1}
+- Tier: ${scanData?.tier || 'Unknown'}
+- Weak Points: ${scanData?.weakPoints?.join(', ') || 'Not identified'}
+- Strong Points: ${scanData?.strongPoints?.join(', ') || 'Not identified'}
+- Muscle Breakdown: ${scanData?.muscleBreakdown ? JSON.stringify(scanData.muscleBreakdown) : 'Not available'}
+
+LAST WEEK'S TRAINING (completed):
+${lastWeekWorkouts.map(d => `- Day ${d.day}: ${d.title} - ${d.targetMuscles?.join(', ')}`).join('\n')}
+
+PROGRESSIVE OVERLOAD RULES:
+1. Increase intensity compared to last week (more sets, reps, or harder variations)
+2. Focus MORE on weak points identified in the scan${physiqueImageUrl ? ' and visible in the photo' : ''}
+3. Keep training strong points to maintain them
+4. Vary exercises from last week to prevent adaptation
+5. Push the user harder - they completed the previous week, so they're ready
+6. Include at least one more challenging exercise per day than last week
+7. Based on the Mog Score of ${user?.mogScore || 50}, adjust difficulty appropriately
+
+RESPOND WITH JSON ONLY - NO EXPLANATIONS:
+{
+  "mission": "Week ${(currentPlan.currentWeek || 1) + 1} progressive mission statement",
+  "days": [
+    {
+      "day": 1,
+      "title": "Day Title",
+      "subtitle": "Target areas",
+      "targetMuscles": ["muscle1", "muscle2"],
+      "duration": 45,
+      "exercises": [
+        {
+          "id": "unique-id",
+          "name": "Exercise Name",
+          "sets": "4 × 8-10",
+          "note": "Form cue",
+          "duration": 45,
+          "restTime": 60,
+          "steps": [
+            {"title": "Setup", "description": "How to position", "duration": 90},
+            {"title": "Execution", "description": "How to perform", "duration": 90},
+            {"title": "Peak", "description": "Hold/squeeze point", "duration": 90}
+          ]
+        }
+      ]
+    }
+  ]
+}
+
+Generate 6 days. Day 1 = "today", others = "upcoming". Make it HARDER than last week.`;
+
+    try {
+      logger.info(`[AI TRAINING] Calling ${ai.name} provider for Week`, (currentPlan.currentWeek || 1) + 1);
+
+      // Include the physique photo if available
+      const request = {
+        feature: 'nextWeekPlan',
+        system: systemPrompt,
+        temperature: 0.7,
+        maxTokens: 4000,
+      };
+      const response = physiqueImageUrl
+        ? await structuredAI.analyzeImages({
+            ...request,
+            prompt: `Generate Week ${(currentPlan.currentWeek || 1) + 1} training plan with progressive overload based on my current physique. JSON only.`,
+            images: [physiqueImageUrl],
+            detail: 'high',
+          })
+        : await structuredAI.complete({
+            ...request,
+            prompt: `Generate Week ${(currentPlan.currentWeek || 1) + 1} training plan with progressive overload. JSON only.`,
+          });
+
+      const plan = response.data;
+
+      // Validate we have all 6 days
+      if (!plan.days || plan.days.length < 6) {
+        logger.warn(`[AI TRAINING] Week ${(currentPlan.currentWeek || 1) + 1}: Only ${plan.days?.length || 0} days generated, expected 6`);
+      }
+
+      // Default exercise step templates
+      const defaultSteps = [
+        { stepNumber: 1, title: 'Set 1 - Warm Up', description: 'Start light and focus on form', duration: 60 },
+        { stepNumber: 2, title: 'Set 2 - Build Up', description: 'Increase weight, maintain control', duration: 60 },
+        { stepNumber: 3, title: 'Set 3 - Working Set', description: 'Push yourself, feel the burn', duration: 60 },
+        { stepNumber: 4, title: 'Set 4 - Final Set', description: 'Give it everything you have!', duration: 60 },
+      ];
+
+      // Format days properly with all required fields
+      const formattedDays = (plan.days || []).map((day, index) => ({
+        day: index + 1,
+        title: day.title || `Training Day ${index + 1}`,
+        description: day.description || '',
+        type: day.type || 'Strength',
+        typeColor: day.typeColor || '#4A7CFF',
+        status: index === 0 ? 'today' : 'upcoming',
+        duration: day.duration || '45 min',
+        caloriesBurn: day.caloriesBurn || 300,
+        targetMuscles: day.targetMuscles || [],
+        completed: false,
+        exercises: (day.exercises || []).map((ex, exIndex) => ({
+          id: ex.id || `ex-${index + 1}-${exIndex + 1}`,
+          name: ex.name || `Exercise ${exIndex + 1}`,
+          sets: ex.sets || '4 x 10',
+          note: ex.note || 'Focus on proper form',
+          badge: ex.badge || null,
+          badgeColor: ex.badgeColor || null,
+          borderColor: ex.borderColor || '#3A2A4A',
+          completed: false,
+          steps: (ex.steps && ex.steps.length >= 3) ? ex.steps.map((step, stepIndex) => ({
+            stepNumber: stepIndex + 1,
+            title: step.title || `Set ${stepIndex + 1}`,
+            description: step.description || 'Complete this set with good form',
+            duration: Math.max(60, step.duration || 60)
+          })) : defaultSteps.slice(0, 4) // Use default steps if missing or incomplete
+        }))
+      }));
+
+      logger.info(`[AI TRAINING] Week ${(currentPlan.currentWeek || 1) + 1} generated with ${formattedDays.length} days`);
+
+      // Log exercise counts per day for debugging
+      formattedDays.forEach(day => {
+        logger.debug(`[AI TRAINING] Day ${day.day}: ${day.exercises.length} exercises, ${day.exercises.map(e => e.steps?.length || 0).join('/')} steps each`);
+      });
+
+      return formattedDays;
+
+    } catch (error) {
+      logger.error('[AI TRAINING] Progressive week generation failed:', error.message);
+
+      // Retry once without the photo
+      logger.info('[AI TRAINING] Attempting fallback week generation...');
+      try {
+        const fallbackResponse = await structuredAI.complete({
+          feature: 'nextWeekPlan',
+          system: systemPrompt,
+          prompt: `Generate Week ${(currentPlan.currentWeek || 1) + 1} training plan. JSON only.`,
+          maxTokens: 4000,
+          temperature: 0.7,
+        });
+
+        const fallbackPlan = fallbackResponse.data;
+        logger.info('[AI TRAINING] Fallback week generation successful');
+
+        return (fallbackPlan.days || []).map((day, index) => ({
+          day: index + 1,
+          title: day.title || `Training Day ${index + 1}`,
+          type: day.type || 'Strength',
+          typeColor: day.typeColor || '#4A7CFF',
+          status: index === 0 ? 'today' : 'upcoming',
+          targetMuscles: day.targetMuscles || [],
+          completed: false,
+          exercises: (day.exercises || []).map((ex, exIndex) => ({
+            id: `ex-${index + 1}-${exIndex + 1}`,
+            name: ex.name || `Exercise ${exIndex + 1}`,
+            sets: ex.sets || '4 x 10',
+            note: ex.note || 'Focus on form',
+            steps: [
+              { stepNumber: 1, title: 'Set 1', description: 'Warm up set', duration: 60 },
+              { stepNumber: 2, title: 'Set 2', description: 'Build up', duration: 60 },
+              { stepNumber: 3, title: 'Set 3', description: 'Working set', duration: 60 },
+              { stepNumber: 4, title: 'Set 4', description: 'Final push', duration: 60 },
+            ]
+          }))
+        }));
+      } catch (fallbackError) {
+        logger.error('[AI TRAINING] Fallback week generation also failed:', fallbackError.message);
+      }
+
+      throw error;
+    }
+  }
+
+  return { generateWorkoutPlan, generateAITrainingPlan, generateNextWeekPlan };
+};
+
+module.exports = { createTrainingPlans };
@@ -0,0 +1,168 @@
+// Optional TOTP two-factor authentication with hashed one-time backup codes
+const crypto = require('crypto');
+const { generateTotpSecret, verifyTotp, buildProvisioningUri } = require('./totp');
+const { signLinkToken, verifyLinkToken } = require('./tokens');
+const { MAX_CODE_ATTEMPTS } = require('./codes');
+const { loadSecret } = require('./secrets');
+
+const BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS, 10) || 5 * 60;
+const TWO_FACTOR_LOCK_MINUTES = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES, 10) || 15;
+
+const TWO_FACTOR_SECRET = loadSecret(
+  'TWO_FACTOR_SECRET',
+  process.env.TWO_FACTOR_SECRET || process.env.JWT_SECRET,
+  'authenticators enrolled before a restart stop working'
+);
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(`totp:${TWO_FACTOR_SECRET}`).digest();
+
+// TOTP secrets are needed in plaintext to check codes, so they are encrypted (AES-256-GCM) rather than hashed
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, encrypted] = String(value).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const hashBackupCode = (code) => crypto.createHmac('sha256', ENCRYPTION_KEY).update(normalizeBackupCode(code)).digest('hex');
+
+// 10 base32 characters (50 bits), shown as xxxxx-xxxxx
+const generateBackupCode = () => {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz234567';
+  let code = '';
+  for (let i = 0; i < 10; i++) code += alphabet[crypto.randomInt(alphabet.length)];
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+const isTwoFactorEnabled = (user) => !!user?.twoFactor?.enabled;
+
+/**
+ * Replace the user's backup codes. Returns the raw codes (shown once). Caller saves the user.
+ */
+const regenerateBackupCodes = (user) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+  user.twoFactor.backupCodes = codes.map(code => ({ hash: hashBackupCode(code) }));
+  return codes;
+};
+
+/**
+ * Begin enrollment: store a pending secret and return it with its provisioning URI. Caller saves the user.
+ */
+const startTwoFactorEnrollment = (user) => {
+  const secret = generateTotpSecret();
+  user.twoFactor = { enabled: false, pendingSecret: encryptSecret(secret) };
+  return { secret, otpauthUrl: buildProvisioningUri(secret, user.email) };
+};
+
+/**
+ * Enrollment and code checks timed by the injected clock
+ */
+const createTwoFactor = ({ clock }) => {
+  /**
+   * Finish enrollment with the first code from the authenticator app.
+   * Returns { status: 'valid', backupCodes } or { status: 'missing' | 'invalid' }.
+   */
+  const confirmTwoFactorEnrollment = async (user, code) => {
+    if (!user.twoFactor?.pendingSecret) return { status: 'missing' };
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const now = clock.now();
+    const step = verifyTotp(secret, code, { time: now.getTime() });
+    if (step === null) return { status: 'invalid' };
+
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      enabledAt: now,
+      lastUsedStep: step,
+      failedAttempts: 0,
+    };
+    const backupCodes = regenerateBackupCodes(user);
+    await user.save();
+    return { status: 'valid', backupCodes };
+  };
+
+  /**
+   * Check a TOTP or backup code for a user with 2FA enabled.
+   * Returns { status: 'valid', method } | { status: 'invalid', attemptsRemaining } | { status: 'locked', retryAfter }.
+   * Failed attempts are counted atomically and lock the second factor for TWO_FACTOR_LOCK_MINUTES.
+   */
+  const verifySecondFactor = async (user, code) => {
+    const Model = user.constructor;
+    const now = clock.now();
+    const lockedUntil = user.twoFactor.lockedUntil;
+
+    if (lockedUntil && lockedUntil > now) {
+      return { status: 'locked', retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+    }
+    if (lockedUntil) {
+      await Model.updateOne({ _id: user._id }, { $set: { 'twoFactor.failedAttempts': 0 }, $unset: { 'twoFactor.lockedUntil': 1 } });
+      user.twoFactor.failedAttempts = 0;
+    }
+
+    // Reserve an attempt so parallel guesses can't exceed the limit
+    const reserved = await Model.updateOne(
+      { _id: user._id, 'twoFactor.failedAttempts': { $lt: MAX_CODE_ATTEMPTS } },
+      { $inc: { 'twoFactor.failedAttempts': 1 } }
+    );
+    if (reserved.modifiedCount === 0) {
+      const until = new Date(now.getTime() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000);
+      await Model.updateOne({ _id: user._id }, { $set: { 'twoFactor.lockedUntil': until } });
+      return { status: 'locked', retryAfter: TWO_FACTOR_LOCK_MINUTES * 60 };
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { afterStep: user.twoFactor.lastUsedStep ?? -1, time: now.getTime() });
+    if (step !== null) {
+      // Conditional on lastUsedStep so the same code can't be redeemed twice concurrently
+      const claimed = await Model.updateOne(
+        { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+        { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+      );
+      if (claimed.modifiedCount === 1) return { status: 'valid', method: 'totp' };
+    } else {
+      const hash = hashBackupCode(code);
+      const claimed = await Model.updateOne(
+        { _id: user._id, 'twoFactor.backupCodes': { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'twoFactor.backupCodes.$.usedAt': now, 'twoFactor.failedAttempts': 0 } }
+      );
+      if (claimed.modifiedCount === 1) return { status: 'valid', method: 'backup' };
+    }
+
+    const failedAttempts = (user.twoFactor.failedAttempts || 0) + 1;
+    if (failedAttempts >= MAX_CODE_ATTEMPTS) {
+      const until = new Date(now.getTime() + TWO_FACTOR_LOCK_MINUTES * 60 * 1000);
+      await Model.updateOne({ _id: user._id }, { $set: { 'twoFactor.lockedUntil': until } });
+    }
+    return { status: 'invalid', attemptsRemaining: Math.max(0, MAX_CODE_ATTEMPTS - failedAttempts) };
+  };
+
+  return { confirmTwoFactorEnrollment, verifySecondFactor };
+};
+
+const countUnusedBackupCodes = (user) => (user.twoFactor?.backupCodes || []).filter(entry => !entry.usedAt).length;
+
+// Short-lived token returned by login in place of a session when a second factor is required
+const createLoginChallenge = (user) => signLinkToken('2fa-challenge', user.userId, TWO_FACTOR_CHALLENGE_TTL_SECONDS);
+
+const verifyLoginChallenge = (token) => verifyLinkToken('2fa-challenge', token);
+
+module.exports = {
+  BACKUP_CODE_COUNT,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  isTwoFactorEnabled,
+  startTwoFactorEnrollment,
+  regenerateBackupCodes,
+  countUnusedBackupCodes,
+  createTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};
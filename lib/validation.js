@@ -0,0 +1,57 @@
+// Declarative request validation: validate({ params, query, body }) checks each part against a
+// JSON Schema subset (lib/jsonSchema.js) and answers 400 validation_failed before the handler runs.
+const { validateSchema, coerceTypes } = require('./jsonSchema');
+const { sendError } = require('./errors');
+
+// Shorthand for an object schema: object({ email: fields.email }, ['email'])
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+// Reusable field schemas
+const fields = {
+  id: { type: 'string', minLength: 1, maxLength: 128 },
+  email: { type: 'string', format: 'email', maxLength: 254 },
+  password: { type: 'string', minLength: 1, maxLength: 1024 },
+  newPassword: { type: 'string', minLength: 6, maxLength: 1024 },
+  // Emailed / authenticator / backup codes; older app versions send them as numbers
+  code: { type: ['string', 'number'], minLength: 1, maxLength: 64 },
+  token: { type: 'string', minLength: 1, maxLength: 4096 },
+  name: { type: 'string', maxLength: 100 },
+  username: { type: 'string', minLength: 1, maxLength: 64 },
+  // Base64 photo or data URL
+  image: { type: 'string', minLength: 1 },
+  date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' },
+  limit: { type: 'integer', minimum: 1, maximum: 200 },
+  // Free-form onboarding answers (see models/Onboarding.js)
+  onboardingData: { type: 'object' },
+};
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Route middleware. Query strings and path params are converted to the schema's number/boolean
+ * types first and written back to req. The schemas stay on the middleware (`.schemas`) for the
+ * OpenAPI document (lib/openapi.js).
+ */
+const validate = (schemas = {}) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const part of REQUEST_PARTS) {
+      const schema = schemas[part];
+      if (!schema) continue;
+
+      const value = part === 'body' ? (req.body ?? {}) : coerceTypes(schema, { ...req[part] });
+      errors.push(...validateSchema(schema, value, part));
+      if (part !== 'body') req[part] = value;
+    }
+
+    if (errors.length > 0) {
+      // The first problem doubles as the user-facing message, without the "body." prefix
+      return sendError(res, 'validation_failed', errors[0].replace(/^(params|query|body)\./, ''), { details: errors });
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = { validate, object, fields };
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// AI responses that failed parsing or schema validation, kept for prompt debugging
+const AIFailureSchema = new mongoose.Schema({
+  feature: { type: String, required: true, index: true },
+  provider: String,
+  model: String,
+  attempt: Number,
+  kind: { type: String, enum: ['parse', 'validation', 'provider'], required: true },
+  validationErrors: [String],
+  response: String, // Raw model output (truncated)
+  prompt: String, // User prompt (truncated, images omitted)
+  finishReason: String,
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 }, // Kept 30 days
+});
+
+module.exports = mongoose.model('AIFailure', AIFailureSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  actorId: { type: String, required: true, index: true },
+  actorEmail: String,
+  actorRole: String,
+  action: { type: String, required: true, index: true },
+  method: String,
+  path: String,
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  statusCode: Number,
+  ip: String,
+  createdAt: { type: Date, default: Date.now, index: true },
+});
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
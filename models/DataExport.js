@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const DataExportSchema = new mongoose.Schema({
+  exportId: { type: String, unique: true },
+  userId: { type: String, required: true, index: true },
+  status: { type: String, enum: ['queued', 'processing', 'ready', 'failed', 'expired'], default: 'queued' },
+  fileId: mongoose.Schema.Types.ObjectId, // Archive in the dataexports GridFS bucket (lib/dataExport.js)
+  fileSize: Number,
+  error: String,
+  requestedAt: { type: Date, default: Date.now },
+  completedAt: Date,
+  expiresAt: Date, // Archive is deleted after this
+});
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Proof of an account deletion request. Holds no personal data so it can outlive the account.
+const DeletionReceiptSchema = new mongoose.Schema({
+  receiptId: { type: String, unique: true },
+  userId: { type: String, required: true, index: true },
+  status: { type: String, enum: ['pending', 'cancelled', 'completed'], default: 'pending' },
+  requestedAt: { type: Date, default: Date.now },
+  scheduledFor: { type: Date, required: true },
+  cancelledAt: Date,
+  completedAt: Date,
+  deletedCounts: { type: mongoose.Schema.Types.Mixed, default: {} },
+});
+
+module.exports = mongoose.model('DeletionReceipt', DeletionReceiptSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Generated demo images per exercise (lib/exerciseImages.js), shared by every instance so an
+// exercise is only paid for once. The image bytes are kept here, since the provider's URLs expire.
+const ExerciseImageSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // Lowercased, trimmed exercise name
+  exerciseName: { type: String, required: true },
+  // start, middle and end; served by GET /api/workout/exercise-images/:fileId
+  images: [{ _id: false, id: String, fileId: String, phase: String, contentType: String, data: Buffer }],
+  createdAt: { type: Date, default: Date.now },
+});
+
+ExerciseImageSchema.index({ 'images.fileId': 1 });
+
+module.exports = mongoose.model('ExerciseImage', ExerciseImageSchema);
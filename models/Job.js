@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Background work item for the persistent queue (lib/queue.js)
+const JobSchema = new mongoose.Schema({
+  jobId: { type: String, unique: true },
+  type: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // dead = out of attempts; kept for inspection and manual retry
+  status: { type: String, enum: ['queued', 'running', 'completed', 'dead'], default: 'queued' },
+  // Set only while queued or running, so one active job per key (e.g. one plan build per user)
+  uniqueKey: String,
+  runAt: { type: Date, default: Date.now }, // Not claimed before this
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  // Lease: the worker holding the job renews lockedUntil while it runs; once it lapses
+  // (worker crashed) any instance may claim the job again
+  lockedBy: String,
+  lockedUntil: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed,
+  requestId: String, // Request that queued the job, for log correlation
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date, // Completed and dead jobs are purged after this
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+JobSchema.index({ type: 1, status: 1, runAt: 1 });
+JobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $type: 'string' } } });
+JobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Job', JobSchema);
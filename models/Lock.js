@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Lease-based lock shared by every instance (lib/locks.js)
+const LockSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // e.g. plan:<userId>
+  owner: { type: String, required: true }, // Random per acquisition, so only the holder can renew or release
+  expiresAt: { type: Date, required: true }, // Free for anyone after this unless renewed
+  acquiredAt: { type: Date, default: Date.now },
+});
+
+// Expired locks are already free; this only tidies them up
+LockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 });
+
+module.exports = mongoose.model('Lock', LockSchema);
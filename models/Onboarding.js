@@ -54,14 +54,9 @@ const OnboardingSchema = new mongoose.Schema({
       aiPowered: Boolean,
     },
   },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
-});
-
-// Update timestamp on save
-OnboardingSchema.pre('save', function(next) {
-  this.updatedAt = new Date();
-  next();
+}, {
+  // createdAt / updatedAt on save() and on every update query, which guest expiry relies on
+  timestamps: true,
 });
 
 module.exports = mongoose.model('Onboarding', OnboardingSchema);
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+const RateLimitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // <limiter>:<dimension>:<value>:<window>
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+});
+
+// Let MongoDB purge finished windows
+RateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', RateLimitSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  tokenId: { type: String, unique: true },
+  tokenHash: { type: String, required: true, unique: true }, // SHA-256 of the raw token, never the token itself
+  userId: { type: String, required: true, index: true },
+  familyId: { type: String, required: true, index: true }, // All rotations of one login share a family
+  deviceId: { type: String, default: 'unknown' },
+  replacedBy: { type: String, default: null }, // tokenId of the rotated successor
+  revokedAt: { type: Date, default: null },
+  revokedReason: String,
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Let MongoDB purge expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
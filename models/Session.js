@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+const SessionSchema = new mongoose.Schema({
+  sessionId: { type: String, unique: true }, // Same as the refresh token familyId
+  userId: { type: String, required: true, index: true },
+  deviceId: { type: String, default: 'unknown' },
+  deviceName: String,
+  platform: String,
+  ip: String,
+  userAgent: String,
+  revokedAt: { type: Date, default: null },
+  revokedReason: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -1,16 +1,64 @@
 const mongoose = require('mongoose');
+const { hashPassword } = require('../lib/password');
+const { displayHandle } = require('../lib/handles');
+
+// Hashed one-time email code (see lib/codes.js)
+const OneTimeCodeSchema = new mongoose.Schema({
+  hash: String,
+  expiresAt: Date,
+  attempts: { type: Number, default: 0 },
+  sentAt: Date,
+}, { _id: false });
 
 const UserSchema = new mongoose.Schema({
   userId: { type: String, unique: true },
   email: { type: String, unique: true },
   password: String,
-  username: String,
+  username: String, // Public handle, displayed as typed (see lib/handles.js)
+  usernameLower: String, // Unique key so handles are case-insensitive
+  usernameChangedAt: Date,
   firstName: String,
   lastName: String,
-  verificationCode: String,
-  resetCode: String,
-  resetCodeExpiry: Date,
+  verification: OneTimeCodeSchema,
+  passwordReset: OneTimeCodeSchema,
+  loginCode: OneTimeCodeSchema, // Passwordless login
+  reauthCode: OneTimeCodeSchema, // Stands in for the password on accounts without one (Apple / Google sign-in)
+  // Email change awaiting confirmation from the new address (see lib/emailChange.js)
+  pendingEmail: String,
+  emailChange: OneTimeCodeSchema,
+  // Lets the previous address undo a change for a while afterwards
+  emailRevert: {
+    type: new mongoose.Schema({
+      revertId: String,
+      previousEmail: String,
+      previousVerified: Boolean,
+      expiresAt: Date,
+    }, { _id: false }),
+    default: undefined,
+  },
   isVerified: { type: Boolean, default: false },
+  // Linked Sign in with Apple / Google accounts (see lib/federatedAuth.js)
+  identities: [new mongoose.Schema({
+    provider: { type: String, enum: ['apple', 'google'] },
+    subject: String, // Provider's stable user id (the token's `sub`)
+    email: String,
+    linkedAt: { type: Date, default: Date.now },
+  }, { _id: false })],
+  // TOTP second factor (see lib/twoFactor.js). Secrets are encrypted, backup codes hashed.
+  twoFactor: {
+    type: new mongoose.Schema({
+      enabled: { type: Boolean, default: false },
+      secret: String,
+      pendingSecret: String, // Awaiting the first code from the authenticator app
+      enabledAt: Date,
+      lastUsedStep: Number, // Codes from this time step or earlier are rejected (replay)
+      failedAttempts: { type: Number, default: 0 },
+      lockedUntil: Date,
+      backupCodes: [new mongoose.Schema({ hash: String, usedAt: Date }, { _id: false })],
+    }, { _id: false }),
+    default: undefined,
+  },
+  role: { type: String, enum: ['user', 'coach', 'admin'], default: 'user' },
   mogScore: { type: Number, default: 0 },
   tier: { type: String, default: 'Unranked' },
   streak: { type: Number, default: 0 },
@@ -18,7 +66,38 @@ const UserSchema = new mongoose.Schema({
   lastWorkoutDate: Date,
   latestScan: { type: mongoose.Schema.Types.Mixed },
   weeklyTrainingPlan: { type: mongoose.Schema.Types.Mixed },
+  // Set while an account deletion is pending (see lib/accountDeletion.js)
+  deletion: {
+    type: new mongoose.Schema({
+      receiptId: String,
+      requestedAt: Date,
+      scheduledFor: Date,
+    }, { _id: false }),
+    default: undefined,
+  },
   createdAt: { type: Date, default: Date.now },
 });
 
+UserSchema.index({ usernameLower: 1 }, { unique: true, partialFilterExpression: { usernameLower: { $type: 'string' } } });
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Store the handle without surrounding spaces or a leading @ and keep the case-insensitive key in sync
+UserSchema.pre('save', function() {
+  if (!this.isModified('username')) return;
+  this.username = displayHandle(this.username) || undefined;
+  this.usernameLower = this.username ? this.username.toLowerCase() : undefined;
+});
+
+// Hash password on write. Everything that sets it assigns the plain password, so the value's shape
+// is never trusted (a password that looks like a bcrypt hash is hashed like any other); the hash
+// made here is remembered so a retried save of the same document doesn't hash it twice.
+UserSchema.pre('save', async function() {
+  if (!this.isModified('password') || !this.password || this.password === this.$locals.hashedPassword) return;
+  this.password = await hashPassword(this.password);
+  this.$locals.hashedPassword = this.password;
+});
+
 module.exports = mongoose.model('User', UserSchema);
@@ -12,14 +12,23 @@ const WorkoutPlanSchema = new mongoose.Schema({
   weeklyPlan: { type: mongoose.Schema.Types.Mixed, default: [] },
   completedHistory: { type: mongoose.Schema.Types.Mixed, default: [] },
   focusAreas: [String],
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now },
+}, {
+  // createdAt / updatedAt on save() and on every update query, which guest expiry relies on
+  timestamps: true,
+  // save() only writes if __v still matches what was loaded, otherwise it throws a VersionError
+  optimisticConcurrency: true,
 });
 
-// Auto-update updatedAt on save
-WorkoutPlanSchema.pre('save', function(next) {
-  this.updatedAt = new Date();
-  next();
+// Update queries bump the version too, so a save() of a copy loaded before them fails instead of
+// overwriting their changes
+WorkoutPlanSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function() {
+  const update = this.getUpdate();
+  // Upserts get $setOnInsert: { __v: 0 }, which would conflict with the $inc
+  if (update.$setOnInsert) {
+    delete update.$setOnInsert.__v;
+    if (Object.keys(update.$setOnInsert).length === 0) delete update.$setOnInsert;
+  }
+  update.$inc = { ...update.$inc, __v: 1 };
 });
 
 module.exports = mongoose.model('WorkoutPlan', WorkoutPlanSchema);
@@ -0,0 +1,159 @@
+// Admin-only endpoints (audited)
+const express = require('express');
+const { auditAction } = require('../lib/audit');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+const { serializeJob } = require('../lib/queue');
+
+const createAdminRouter = (deps) => {
+  const router = express.Router();
+  const { User, WorkoutPlan, AuditLog, AIFailure } = deps.models;
+  const { requireAdmin } = createRouteHelpers(deps);
+  const { clearCachedImages } = deps.services.exerciseImages;
+  const { queue } = deps.services;
+  const { queuePlanSweep, queueTrainingPlan } = deps.services.jobs;
+
+
+  // Endpoint to clear image cache (useful when updating prompts)
+  router.post('/api/admin/clear-image-cache', requireAdmin, validate(), auditAction('clear-image-cache'), async (req, res, next) => {
+    try {
+      const cacheSize = await clearCachedImages();
+      const queuedCleared = await queue.clearQueued('exercise-images');
+      logger.info(`[AI-IMAGE] Cache cleared! Was ${cacheSize} items, dropped ${queuedCleared} queued job(s).`);
+      res.json({ success: true, message: `Cleared ${cacheSize} cached images`, queueCleared: true, queuedCleared });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+
+  // Manually trigger the plan sweep (for testing/admin)
+  router.post('/api/admin/run-background-job', requireAdmin, validate(), auditAction('run-background-job'), async (req, res, next) => {
+    try {
+      const { job } = await queuePlanSweep();
+      logger.info(`[ADMIN] Queued background generation job ${job.jobId}`);
+      res.json({
+        success: true,
+        message: 'Background job queued. Follow it with GET /api/admin/jobs/:jobId.',
+        job: serializeJob(job),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Queue counts by type and status, plus recent jobs (filter by status/type)
+  const jobsQuery = object({
+    limit: fields.limit,
+    status: { enum: ['queued', 'running', 'completed', 'dead'] },
+    type: fields.id,
+  });
+  router.get('/api/admin/jobs', requireAdmin, validate({ query: jobsQuery }), auditAction('list-jobs'), async (req, res, next) => {
+    try {
+      const [stats, jobs, totalVerifiedUsers, usersWithTrainingPlans] = await Promise.all([
+        queue.getStats(),
+        queue.listJobs({ status: req.query.status, type: req.query.type, limit: req.query.limit || 50 }),
+        User.countDocuments({ isVerified: true }),
+        WorkoutPlan.countDocuments(),
+      ]);
+
+      res.json({
+        success: true,
+        stats,
+        plans: { totalVerifiedUsers, usersWithTrainingPlans },
+        jobs: jobs.map(serializeJob),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const jobIdParams = object({ jobId: fields.id }, ['jobId']);
+
+  router.get('/api/admin/jobs/:jobId', requireAdmin, validate({ params: jobIdParams }), auditAction('get-job'), async (req, res, next) => {
+    try {
+      const job = await queue.getJob(req.params.jobId);
+      if (!job) return sendError(res, 'job_not_found');
+      res.json({ success: true, job: serializeJob(job) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Give a dead-lettered job a fresh set of attempts
+  router.post('/api/admin/jobs/:jobId/retry', requireAdmin, validate({ params: jobIdParams }), auditAction('retry-job'), async (req, res, next) => {
+    try {
+      const job = await queue.retryJob(req.params.jobId);
+      if (!job) {
+        return (await queue.getJob(req.params.jobId)) ? sendError(res, 'job_not_dead') : sendError(res, 'job_not_found');
+      }
+      logger.info(`[ADMIN] Requeued dead job ${job.jobId} (${job.type})`);
+      res.json({ success: true, job: serializeJob(job) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Generate training plan for a specific user
+  router.post('/api/admin/generate-plan/:userId', requireAdmin, validate({ params: object({ userId: fields.id }, ['userId']) }), auditAction('generate-plan'), async (req, res, next) => {
+    const { userId } = req.params;
+
+    try {
+      const user = await User.findOne({ userId });
+
+      if (!user) return sendError(res, 'user_not_found');
+
+      const { job, created } = await queueTrainingPlan(user.userId);
+      logger.info(`[ADMIN] ${created ? 'Queued' : 'Already queued'} plan generation for user ${userId} (${job.jobId})`);
+
+      res.json({ 
+        success: true, 
+        message: created ? 'Training plan generation queued' : 'Training plan generation is already queued',
+        job: serializeJob(job),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // List recent admin actions (newest first)
+  router.get('/api/admin/audit-log', requireAdmin, validate({ query: object({ limit: fields.limit, action: fields.id, actorId: fields.id }) }), auditAction('list-audit-log'), async (req, res, next) => {
+    try {
+      const limit = req.query.limit || 50;
+      const query = {};
+      if (req.query.action) query.action = req.query.action;
+      if (req.query.actorId) query.actorId = req.query.actorId;
+
+      const entries = await AuditLog.find(query).sort({ createdAt: -1 }).limit(limit);
+      res.json({ success: true, entries });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Rejected AI responses (parse/validation/provider errors) for prompt debugging
+  const aiFailuresQuery = object({
+    limit: fields.limit,
+    feature: fields.id,
+    kind: { enum: ['parse', 'validation', 'provider'] },
+  });
+  router.get('/api/admin/ai-failures', requireAdmin, validate({ query: aiFailuresQuery }), auditAction('list-ai-failures'), async (req, res, next) => {
+    try {
+      const limit = req.query.limit || 50;
+      const query = {};
+      if (req.query.feature) query.feature = req.query.feature;
+      if (req.query.kind) query.kind = req.query.kind;
+
+      const failures = await AIFailure.find(query).sort({ createdAt: -1 }).limit(limit);
+      res.json({ success: true, failures });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAdminRouter;
@@ -0,0 +1,752 @@
+// Signup, login, sessions, passwordless, Apple/Google sign-in and two-factor auth
+const express = require('express');
+const { generateId } = require('../lib/ids');
+const { CODE_TTL_MINUTES } = require('../lib/codes');
+const { isDeletionPending } = require('../lib/accountDeletion');
+const {
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS, isTwoFactorEnabled, startTwoFactorEnrollment,
+  regenerateBackupCodes, countUnusedBackupCodes, createLoginChallenge, verifyLoginChallenge,
+} = require('../lib/twoFactor');
+const { verifyIdToken } = require('../lib/federatedAuth');
+const { displayHandle, isDuplicateKeyError } = require('../lib/handles');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+
+const createAuthRouter = (deps) => {
+  const router = express.Router();
+  const { User, Onboarding, Scan } = deps.models;
+  const {
+    limitRoute, checkUserPassword, confirmIdentity, sendCodeError, sendSecondFactorError, sendHandleError, sendCooldownError, exposeEmailCode, getDeviceInfo,
+    linkGuestData,
+  } = createRouteHelpers(deps);
+  const { sendVerificationEmail, sendLoginCodeEmail, sendReauthCodeEmail, sendPasswordResetEmail, sendIdentityLinkedEmail } = deps.services.emails;
+  const { issueCode, verifyCode } = deps.services.codes;
+  const { requireAuth } = deps.services.auth;
+  const { issueAuthTokens, rotateRefreshToken } = deps.services.tokens;
+  const { listActiveSessions, revokeSession, revokeSessions, revokeOtherSessions } = deps.services.sessions;
+  const { confirmTwoFactorEnrollment, verifySecondFactor } = deps.services.twoFactor;
+  const { checkHandleAvailability, generateUniqueHandle } = deps.services.handles;
+  const { clock } = deps;
+
+  // Guest data handed over at signup (see linkGuestData)
+  const guestHandoff = { guestToken: fields.token, onboardingData: fields.onboardingData };
+  const signupBody = object({
+    email: fields.email,
+    password: fields.password,
+    username: fields.username,
+    firstName: fields.name,
+    lastName: fields.name,
+    ...guestHandoff,
+  }, ['email', 'password', 'username']);
+
+  router.post('/api/auth/signup', limitRoute('auth', 'auth-signup'), validate({ body: signupBody }), async (req, res, next) => {
+    const { email, password, username, firstName, lastName, onboardingData, guestToken } = req.body;
+    try {
+      // Check if user exists
+      const existing = await User.findOne({ email });
+      if (existing) return sendError(res, 'email_already_registered');
+      const handle = await checkHandleAvailability(username);
+      if (!handle.available) return sendHandleError(res, handle);
+
+      const userId = generateId();
+      const user = new User({
+        userId,
+        email,
+        password,
+        username: displayHandle(username),
+        firstName: firstName || '',
+        lastName: lastName || '',
+        isVerified: false,
+        mogScore: 0,
+        tier: 'Unranked',
+        streak: 0,
+        createdAt: clock.now(),
+      });
+      const { code: verificationCode } = issueCode(user, 'verification');
+      try {
+        await user.save();
+      } catch (err) {
+        if (isDuplicateKeyError(err)) return sendHandleError(res, { error: 'taken' }); // Handle claimed in the meantime
+        throw err;
+      }
+
+      await linkGuestData(user, { guestToken, onboardingData });
+
+      // Send verification email
+      const emailResult = await sendVerificationEmail(email, verificationCode, firstName);
+
+      logger.info(`[SIGNUP] ${email} registered. Email sent via: ${emailResult.method}`);
+      res.json({ 
+        success: true, 
+        message: 'Account created. Check your email for verification code.', 
+        userId,
+        ...exposeEmailCode(emailResult, verificationCode)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/auth/verify', limitRoute('auth', 'auth-verify'), validate({ body: object({ email: fields.email, code: fields.code, password: fields.password }, ['email', 'code']) }), async (req, res, next) => {
+    const { email, code, password } = req.body;
+    try {
+      const user = await User.findOne({ email });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const check = await verifyCode(user, 'verification', code);
+      if (check.status !== 'valid') {
+        if (check.status === 'missing' && user.isVerified) return sendError(res, 'email_already_verified');
+        return sendCodeError(res, check);
+      }
+
+      user.isVerified = true;
+      await user.save();
+
+      logger.info(`[VERIFY] ${email} verified`);
+
+      // If password provided, also return user data for auto-login (accounts with 2FA log in normally)
+      if (password && !isTwoFactorEnabled(user) && await checkUserPassword(user, password)) {
+        const onboarding = await Onboarding.findOne({ userId: user.userId });
+        const scan = await Scan.findOne({ userId: user.userId }).sort({ createdAt: -1 });
+
+        logger.info(`[VERIFY] Found scan for user ${user.userId}:`, scan ? `Score: ${scan.mogScore}, Tier: ${scan.tier}` : 'No scan found');
+
+        return res.json({ 
+          success: true, 
+          message: 'Email verified',
+          autoLogin: true,
+          user: {
+            userId: user.userId,
+            email: user.email,
+            username: user.username,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            mogScore: scan?.mogScore || user.mogScore || 0,
+            tier: scan?.tier || user.tier || 'Unranked',
+            streak: user.streak || 0,
+            isVerified: true,
+            muscleBreakdown: scan?.muscleBreakdown || null,
+          },
+          latestScan: scan ? {
+            scanId: scan.scanId,
+            mogScore: scan.mogScore,
+            tier: scan.tier,
+            muscleBreakdown: scan.muscleBreakdown,
+            weakPoints: scan.weakPoints,
+            strongPoints: scan.strongPoints,
+            symmetry: scan.symmetry,
+            overallAssessment: scan.overallAssessment,
+            improvementTips: scan.improvementTips,
+            frontPhotoUrl: scan.frontPhotoUrl,
+            backPhotoUrl: scan.backPhotoUrl,
+            timestamp: scan.timestamp,
+          } : null,
+          onboardingData: onboarding?.data || null,
+          tokens: await issueAuthTokens(user, getDeviceInfo(req)),
+        });
+      }
+
+      res.json({ success: true, message: 'Email verified' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Resend verification code
+  router.post('/api/auth/resend-code', limitRoute('auth', 'auth-resend-code'), validate({ body: object({ email: fields.email }, ['email']) }), async (req, res, next) => {
+    const { email } = req.body;
+    try {
+      const user = await User.findOne({ email });
+      if (!user) return sendError(res, 'user_not_found');
+      if (user.isVerified) return sendError(res, 'email_already_verified');
+
+      // Generate new code (rate limited per account)
+      const issued = issueCode(user, 'verification');
+      if (issued.error) return sendCooldownError(res, issued.retryAfter);
+      const newCode = issued.code;
+      await user.save();
+
+      // Send email
+      const emailResult = await sendVerificationEmail(email, newCode, user.firstName);
+
+      logger.info(`[RESEND] New code sent to ${email} via: ${emailResult.method}`);
+      res.json({ 
+        success: true, 
+        message: 'Verification code resent',
+        ...exposeEmailCode(emailResult, newCode)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Full login payload: profile, latest scan, onboarding answers and a new session
+  const sendLoginResponse = async (req, res, user, extra = {}) => {
+    const onboarding = await Onboarding.findOne({ userId: user.userId });
+    const scan = await Scan.findOne({ userId: user.userId }).sort({ createdAt: -1 });
+
+    logger.info(`[LOGIN] ${user.email} - Found scan:`, scan ? `Score: ${scan.mogScore}, Tier: ${scan.tier}` : 'No scan');
+
+    res.json({
+      success: true,
+      ...extra,
+      user: {
+        userId: user.userId,
+        email: user.email,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        mogScore: scan?.mogScore || user.mogScore,
+        tier: scan?.tier || user.tier,
+        streak: user.streak,
+        isVerified: user.isVerified,
+        twoFactorEnabled: isTwoFactorEnabled(user),
+        muscleBreakdown: scan?.muscleBreakdown || null,
+        // Client offers POST /api/user/account/restore while this is set
+        pendingDeletion: isDeletionPending(user) ? { scheduledFor: user.deletion.scheduledFor } : null,
+      },
+      latestScan: scan ? {
+        scanId: scan.scanId,
+        mogScore: scan.mogScore,
+        tier: scan.tier,
+        muscleBreakdown: scan.muscleBreakdown,
+        weakPoints: scan.weakPoints,
+        strongPoints: scan.strongPoints,
+        symmetry: scan.symmetry,
+        overallAssessment: scan.overallAssessment,
+        improvementTips: scan.improvementTips,
+        frontPhotoUrl: scan.frontPhotoUrl,
+        backPhotoUrl: scan.backPhotoUrl,
+        timestamp: scan.timestamp,
+      } : null,
+      onboardingData: onboarding?.data || null,
+      tokens: await issueAuthTokens(user, getDeviceInfo(req)),
+    });
+  };
+
+  // Second step required - no user data or session until POST /api/auth/2fa/verify
+  const sendTwoFactorChallenge = (res, user, extra = {}) => res.json({
+    success: true,
+    ...extra,
+    twoFactorRequired: true,
+    challengeToken: createLoginChallenge(user),
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  });
+
+  router.post('/api/auth/login', limitRoute('auth', 'auth-login'), validate({ body: object({ email: fields.email, password: fields.password }, ['email', 'password']) }), async (req, res, next) => {
+    const { email, password } = req.body;
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user) return sendError(res, 'user_not_found');
+      if (!(await checkUserPassword(user, password))) return sendError(res, 'password_incorrect', 'Invalid password');
+
+      if (isTwoFactorEnabled(user)) return sendTwoFactorChallenge(res, user);
+
+      await sendLoginResponse(req, res, user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * POST /api/auth/refresh
+   * Body: { refreshToken }
+   */
+  router.post('/api/auth/refresh', limitRoute('auth', 'auth-refresh'), validate({ body: object({ refreshToken: fields.token }, ['refreshToken']) }), async (req, res, next) => {
+    const { refreshToken } = req.body;
+
+    try {
+      const result = await rotateRefreshToken(refreshToken, req.ip);
+      if (result.error) return sendError(res, `token_${result.error}`);
+
+      res.json({ success: true, tokens: result.tokens });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- FORGOT PASSWORD -----
+
+  /**
+   * Request password reset
+   * POST /api/auth/forgot-password
+   */
+  router.post('/api/auth/forgot-password', limitRoute('auth', 'auth-forgot-password'), validate({ body: object({ email: fields.email }, ['email']) }), async (req, res, next) => {
+    const { email } = req.body;
+
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user) return sendError(res, 'user_not_found', 'No account found with this email');
+
+      // Generate reset code and store its hash on the user (expires after CODE_TTL_MINUTES)
+      const issued = issueCode(user, 'passwordReset');
+      if (issued.error) return sendCooldownError(res, issued.retryAfter);
+      const resetCode = issued.code;
+      await user.save();
+
+      // Send reset email
+      await sendPasswordResetEmail(email, resetCode, user.firstName);
+
+      logger.info(`[PASSWORD RESET] Code sent to ${email}`);
+
+      res.json({ success: true, message: 'Password reset code sent to your email' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Reset password with code
+   * POST /api/auth/reset-password
+   */
+  router.post('/api/auth/reset-password', limitRoute('auth', 'auth-reset-password'), validate({ body: object({ email: fields.email, code: fields.code, newPassword: fields.newPassword }, ['email', 'code', 'newPassword']) }), async (req, res, next) => {
+    const { email, code, newPassword } = req.body;
+
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user) return sendError(res, 'user_not_found');
+
+      // Check reset code (expiry and attempt limits enforced by verifyCode)
+      const check = await verifyCode(user, 'passwordReset', code);
+      if (check.status !== 'valid') return sendCodeError(res, check);
+
+      // Update password (hashed by the User pre-save hook); verifyCode already used up the code
+      user.password = newPassword;
+      await user.save();
+
+      // Whoever held the old password loses access everywhere
+      const revokedSessions = await revokeOtherSessions(user.userId, null, 'password_reset');
+
+      logger.info(`[PASSWORD RESET] Password updated for ${email}, revoked ${revokedSessions} session(s)`);
+
+      res.json({ success: true, message: 'Password reset successfully' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- PASSWORDLESS LOGIN -----
+
+  /**
+   * Email a one-time login code (and deep link) instead of using a password. The code only ever
+   * goes to the inbox, and the answer is the same whether or not the address has an account (or a
+   * code was sent moments ago), so this can't be used to look up accounts.
+   * POST /api/auth/passwordless/start
+   * Body: { email }
+   */
+  router.post('/api/auth/passwordless/start', limitRoute('auth', 'auth-passwordless-start'), validate({ body: object({ email: fields.email }, ['email']) }), async (req, res, next) => {
+    const { email } = req.body;
+
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+      const issued = user && issueCode(user, 'loginCode');
+      if (issued && !issued.error) {
+        await user.save();
+        const emailResult = await sendLoginCodeEmail(user.email, issued.code, user.firstName);
+        logger.info(`[PASSWORDLESS] Login code sent to ${user.email} via: ${emailResult.method}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'If an account exists for this email, a login code is on its way',
+        expiresIn: CODE_TTL_MINUTES * 60,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Log in with the emailed code - returns the same payload as /api/auth/login
+   * POST /api/auth/passwordless/verify
+   * Body: { email, code }
+   */
+  router.post('/api/auth/passwordless/verify', limitRoute('auth', 'auth-passwordless-verify'), validate({ body: object({ email: fields.email, code: fields.code }, ['email', 'code']) }), async (req, res, next) => {
+    const { email, code } = req.body;
+
+    try {
+      const user = await User.findOne({ email: email.toLowerCase() });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const check = await verifyCode(user, 'loginCode', code);
+      if (check.status !== 'valid') return sendCodeError(res, check);
+
+      user.isVerified = true; // Receiving the code proves the address
+      await user.save();
+
+      logger.info(`[PASSWORDLESS] ${user.email} logged in with a code`);
+      if (isTwoFactorEnabled(user)) return sendTwoFactorChallenge(res, user);
+
+      await sendLoginResponse(req, res, user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- SIGN IN WITH APPLE / GOOGLE -----
+
+  const oauthBody = object({
+    idToken: fields.token,
+    nonce: { type: 'string', maxLength: 512 },
+    firstName: fields.name,
+    lastName: fields.name,
+    username: fields.username,
+    ...guestHandoff,
+  }, ['idToken']);
+
+  /**
+   * Sign in (or sign up) with a provider ID token from the native Apple / Google SDK
+   * POST /api/auth/oauth/:provider   (provider: apple | google)
+   * Body: { idToken, nonce?, firstName?, lastName?, username?, guestToken?, onboardingData? }
+   * Apple only shares the user's name on the first sign-in, so the app forwards it in the body.
+   */
+  router.post('/api/auth/oauth/:provider', limitRoute('auth', 'auth-oauth'), validate({ params: object({ provider: fields.id }, ['provider']), body: oauthBody }), async (req, res, next) => {
+    const { provider } = req.params;
+    const { idToken, nonce, firstName, lastName, username, guestToken, onboardingData } = req.body;
+
+    try {
+      const result = await verifyIdToken(provider, idToken, { nonce });
+      if (result.error) return sendError(res, result.error);
+      const { identity } = result;
+
+      // 1. Already linked
+      let user = await User.findOne({ identities: { $elemMatch: { provider, subject: identity.subject } } });
+      let isNewUser = false;
+
+      // 2. Existing account with the same (provider-verified) email - link it
+      if (!user && identity.email) {
+        const existing = await User.findOne({ email: identity.email });
+        if (existing) {
+          if (!identity.emailVerified) return sendError(res, 'account_exists');
+          // Anyone can sign up with an address they don't own and wait for its owner to sign in with
+          // Apple / Google. An unverified account's password, two-factor setup (with its backup codes)
+          // and sessions were never proven to be the owner's, so they are dropped rather than trusted,
+          // and the owner is told why they're gone.
+          // They can set a new password with /api/auth/reauth-code + /api/auth/change-password.
+          const hijackable = !existing.isVerified;
+          if (hijackable) {
+            existing.password = undefined;
+            existing.twoFactor = undefined;
+          }
+          existing.identities.push({ provider, subject: identity.subject, email: identity.email });
+          existing.isVerified = true;
+          await existing.save();
+          if (hijackable) {
+            await revokeOtherSessions(existing.userId, null, 'identity_linked');
+            await sendIdentityLinkedEmail(existing.email, provider, existing.firstName);
+          }
+          user = existing;
+          logger.info(`[OAUTH] Linked ${provider} identity to existing user ${user.userId}`);
+        }
+      }
+
+      // 3. New account
+      if (!user) {
+        if (!identity.email) return sendError(res, 'email_required');
+
+        user = new User({
+          userId: generateId(),
+          email: identity.email,
+          username: (username && (await checkHandleAvailability(username)).available)
+            ? displayHandle(username)
+            : await generateUniqueHandle(username || identity.email.split('@')[0]),
+          firstName: firstName || '',
+          lastName: lastName || '',
+          isVerified: identity.emailVerified,
+          identities: [{ provider, subject: identity.subject, email: identity.email }],
+          mogScore: 0,
+          tier: 'Unranked',
+          streak: 0,
+          createdAt: clock.now(),
+        });
+        await user.save();
+        await linkGuestData(user, { guestToken, onboardingData });
+        isNewUser = true;
+        logger.info(`[OAUTH] New user ${user.userId} signed up with ${provider}`);
+      }
+
+      if (isTwoFactorEnabled(user)) return sendTwoFactorChallenge(res, user, { isNewUser });
+
+      await sendLoginResponse(req, res, user, { isNewUser });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- PASSWORD CHANGE & SESSIONS -----
+
+  /**
+   * Email a security code to an account without a password (Apple / Google sign-in). Security
+   * changes that ask for the password accept it as `emailCode` instead.
+   * POST /api/auth/reauth-code
+   */
+  router.post('/api/auth/reauth-code', requireAuth, limitRoute('auth', 'auth-reauth-code'), validate(), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+      if (user.password) return sendError(res, 'password_already_set');
+
+      const issued = issueCode(user, 'reauthCode');
+      if (issued.error) return sendCooldownError(res, issued.retryAfter);
+      await user.save();
+
+      const emailResult = await sendReauthCodeEmail(user.email, issued.code, user.firstName);
+
+      logger.info(`[AUTH] Security code sent to ${user.email} via: ${emailResult.method}`);
+      res.json({
+        success: true,
+        message: 'Security code sent to your email',
+        expiresIn: CODE_TTL_MINUTES * 60,
+        ...exposeEmailCode(emailResult, issued.code)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Change password for the logged-in user, or set a first one on an account without a password
+   * POST /api/auth/change-password
+   * Body: { oldPassword, newPassword } - or { emailCode, newPassword } with a code from /api/auth/reauth-code
+   */
+  router.post('/api/auth/change-password', requireAuth, limitRoute('auth', 'auth-change-password'), validate({ body: object({ oldPassword: fields.password, emailCode: fields.code, newPassword: fields.newPassword }, ['newPassword']) }), async (req, res, next) => {
+    const { oldPassword, emailCode, newPassword } = req.body;
+
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const hadPassword = Boolean(user.password);
+      if (!(await confirmIdentity(res, user, { password: oldPassword, emailCode }))) return;
+
+      user.password = newPassword; // Hashed by the User pre-save hook
+      await user.save();
+
+      // Keep the current device logged in, sign out everywhere else
+      const revokedSessions = await revokeOtherSessions(user.userId, req.auth.sessionId, 'password_changed');
+
+      logger.info(`[AUTH] Password ${hadPassword ? 'changed' : 'set'} for user ${user.userId}, revoked ${revokedSessions} other session(s)`);
+      res.json({ success: true, message: hadPassword ? 'Password changed successfully' : 'Password set successfully', revokedSessions });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * List the caller's active sessions (devices they're logged in on)
+   * GET /api/auth/sessions
+   */
+  router.get('/api/auth/sessions', requireAuth, validate(), async (req, res, next) => {
+    try {
+      const sessions = await listActiveSessions(req.auth.userId);
+      res.json({
+        success: true,
+        sessions: sessions.map(session => ({
+          sessionId: session.sessionId,
+          deviceName: session.deviceName || null,
+          platform: session.platform || null,
+          ip: session.ip || null,
+          lastSeenAt: session.lastSeenAt,
+          createdAt: session.createdAt,
+          current: session.sessionId === req.auth.sessionId,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Revoke all sessions except the current one
+   * DELETE /api/auth/sessions
+   */
+  router.delete('/api/auth/sessions', requireAuth, validate(), async (req, res, next) => {
+    try {
+      const revokedSessions = await revokeOtherSessions(req.auth.userId, req.auth.sessionId, 'revoked_by_user');
+      res.json({ success: true, revokedSessions });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Revoke a single session (log out a device)
+   * DELETE /api/auth/sessions/:sessionId
+   */
+  router.delete('/api/auth/sessions/:sessionId', requireAuth, validate({ params: object({ sessionId: fields.id }, ['sessionId']) }), async (req, res, next) => {
+    try {
+      const revoked = await revokeSessions({ userId: req.auth.userId, sessionId: req.params.sessionId }, 'revoked_by_user');
+      if (revoked === 0) return sendError(res, 'session_not_found');
+
+      res.json({ success: true, message: 'Session revoked' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Log out the current session
+   * POST /api/auth/logout
+   */
+  router.post('/api/auth/logout', requireAuth, validate(), async (req, res, next) => {
+    try {
+      await revokeSession(req.auth.sessionId, 'logout');
+      res.json({ success: true, message: 'Logged out' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- TWO-FACTOR AUTH -----
+
+  /**
+   * Complete a login that returned twoFactorRequired
+   * POST /api/auth/2fa/verify
+   * Body: { challengeToken, code } - code is from the authenticator app or a backup code
+   */
+  router.post('/api/auth/2fa/verify', limitRoute('auth', 'auth-2fa-verify'), validate({ body: object({ challengeToken: fields.token, code: fields.code }, ['challengeToken', 'code']) }), async (req, res, next) => {
+    const { challengeToken, code } = req.body;
+    try {
+      const userId = verifyLoginChallenge(challengeToken);
+      if (!userId) return sendError(res, 'challenge_invalid');
+
+      const user = await User.findOne({ userId });
+      if (!user || !isTwoFactorEnabled(user)) return sendError(res, 'challenge_invalid');
+
+      const check = await verifySecondFactor(user, code);
+      if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+      if (check.method === 'backup') {
+        logger.info(`[2FA] ${user.userId} logged in with a backup code (${countUnusedBackupCodes(user) - 1} left)`);
+      }
+      await sendLoginResponse(req, res, user);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * 2FA status for the logged-in user
+   * GET /api/auth/2fa
+   */
+  router.get('/api/auth/2fa', requireAuth, validate(), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      res.json({
+        success: true,
+        enabled: isTwoFactorEnabled(user),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        backupCodesRemaining: isTwoFactorEnabled(user) ? countUnusedBackupCodes(user) : 0,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Start enrollment - returns the secret and an otpauth:// URI to show as a QR code
+   * POST /api/auth/2fa/setup
+   * Body: { password } - or { emailCode } from /api/auth/reauth-code on accounts without a password
+   */
+  router.post('/api/auth/2fa/setup', requireAuth, limitRoute('auth', 'auth-2fa-setup'), validate({ body: object({ password: fields.password, emailCode: fields.code }) }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+      if (isTwoFactorEnabled(user)) return sendError(res, 'two_factor_already_enabled');
+      if (!(await confirmIdentity(res, user, req.body))) return;
+
+      const { secret, otpauthUrl } = startTwoFactorEnrollment(user);
+      await user.save();
+
+      res.json({ success: true, secret, otpauthUrl, message: 'Scan the QR code, then confirm with a code from your authenticator app' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Confirm enrollment with the first code. Returns backup codes (only shown once).
+   * POST /api/auth/2fa/enable
+   * Body: { code }
+   */
+  router.post('/api/auth/2fa/enable', requireAuth, limitRoute('auth', 'auth-2fa-enable'), validate({ body: object({ code: fields.code }, ['code']) }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+      if (isTwoFactorEnabled(user)) return sendError(res, 'two_factor_already_enabled');
+
+      const result = await confirmTwoFactorEnrollment(user, req.body.code);
+      if (result.status === 'missing') return sendError(res, 'two_factor_setup_required');
+      if (result.status === 'invalid') return sendError(res, 'two_factor_invalid');
+
+      logger.info(`[2FA] Enabled for user ${user.userId}`);
+      res.json({ success: true, message: 'Two-factor authentication enabled', backupCodes: result.backupCodes });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Turn 2FA off
+   * POST /api/auth/2fa/disable
+   * Body: { password, code } - accounts without a password (Apple / Google sign-in) send only the code
+   */
+  router.post('/api/auth/2fa/disable', requireAuth, limitRoute('auth', 'auth-2fa-disable'), validate({ body: object({ password: fields.password, code: fields.code }, ['code']) }), async (req, res, next) => {
+    const { password, code } = req.body;
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+      if (!isTwoFactorEnabled(user)) return sendError(res, 'two_factor_not_enabled');
+      // Without a password, the current authenticator or backup code below is the proof
+      if (user.password && !(await checkUserPassword(user, password))) {
+        return sendError(res, 'password_incorrect');
+      }
+
+      const check = await verifySecondFactor(user, code);
+      if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+      user.twoFactor = undefined;
+      await user.save();
+
+      logger.info(`[2FA] Disabled for user ${user.userId}`);
+      res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Replace all backup codes (the old ones stop working)
+   * POST /api/auth/2fa/backup-codes
+   * Body: { code }
+   */
+  router.post('/api/auth/2fa/backup-codes', requireAuth, limitRoute('auth', 'auth-2fa-backup-codes'), validate({ body: object({ code: fields.code }, ['code']) }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+      if (!isTwoFactorEnabled(user)) return sendError(res, 'two_factor_not_enabled');
+
+      const check = await verifySecondFactor(user, req.body.code);
+      if (check.status !== 'valid') return sendSecondFactorError(res, check);
+
+      // Reload so the attempt counter reset by verifySecondFactor isn't overwritten
+      const fresh = await User.findOne({ userId: req.auth.userId });
+      const backupCodes = regenerateBackupCodes(fresh);
+      await fresh.save();
+
+      logger.info(`[2FA] Backup codes regenerated for user ${user.userId}`);
+      res.json({ success: true, backupCodes });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAuthRouter;
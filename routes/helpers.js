@@ -0,0 +1,190 @@
+// Shared route middleware and response helpers
+const { verifyPassword } = require('../lib/password');
+const { createRequireRole } = require('../lib/auth');
+const { rateLimit } = require('../lib/rateLimit');
+const { sendError } = require('../lib/errors');
+const { HANDLE_MIN_LENGTH, HANDLE_MAX_LENGTH } = require('../lib/handles');
+const { verifyGuestToken } = require('../lib/guests');
+const { logger } = require('../lib/logger');
+const { planLockKey, PLAN_LOCK_WAIT_MS } = require('../lib/locks');
+
+const createRouteHelpers = ({ config, models, rateLimitStore, services }) => {
+  const { Onboarding } = models;
+  const { updateLeaderboard } = services.leaderboard;
+  const { withLock } = services.locks;
+  const { verifyCode } = services.codes;
+  const { claimGuestData } = services.guestData;
+  const { requireAuth } = services.auth;
+  const requireRole = createRequireRole({ models });
+
+  // Cheap auth routes vs. AI-backed routes (every AI call costs OpenAI credits).
+  // IP budgets are looser than account budgets since many mobile users share carrier IPs.
+  const RATE_LIMIT_BUDGETS = {
+    auth: {
+      windowMs: 15 * 60 * 1000,
+      max: { ip: parseInt(process.env.RATE_LIMIT_AUTH_IP_MAX, 10) || 50, account: parseInt(process.env.RATE_LIMIT_AUTH_ACCOUNT_MAX, 10) || 10 },
+    },
+    ai: {
+      windowMs: 60 * 60 * 1000,
+      max: { ip: parseInt(process.env.RATE_LIMIT_AI_IP_MAX, 10) || 60, account: parseInt(process.env.RATE_LIMIT_AI_ACCOUNT_MAX, 10) || 30 },
+    },
+  };
+
+  // Per-route limiter keyed by IP and account
+  const limitRoute = (budget, name) => rateLimit({
+    name,
+    ...RATE_LIMIT_BUDGETS[budget],
+    keyBy: ['ip', 'account'],
+    store: rateLimitStore,
+  });
+
+  // Check a password and transparently upgrade legacy plaintext / weak hashes
+  const checkUserPassword = async (user, password) => {
+    const { valid, needsRehash } = await verifyPassword(password, user.password);
+    if (valid && needsRehash) {
+      user.password = password; // Re-hashed by the User pre-save hook
+      await user.save();
+      logger.info(`[AUTH] Upgraded password hash for user ${user.userId}`);
+    }
+    return valid;
+  };
+
+  // Respond to a failed one-time code check (see lib/codes.js)
+  const sendCodeError = (res, check) => {
+    if (check.status === 'locked') return sendError(res, 'code_locked');
+    if (check.status === 'invalid') return sendError(res, 'code_invalid', undefined, { attemptsRemaining: check.attemptsRemaining });
+    return sendError(res, 'code_expired');
+  };
+
+  const sendSecondFactorError = (res, check) => {
+    if (check.status === 'locked') {
+      res.set('Retry-After', String(check.retryAfter));
+      return sendError(res, 'two_factor_locked', undefined, { retryAfter: check.retryAfter });
+    }
+    return sendError(res, 'two_factor_invalid', undefined, { attemptsRemaining: check.attemptsRemaining });
+  };
+
+  /**
+   * Re-authenticate the caller before a security change: the current password, or on accounts
+   * without one (Apple / Google sign-in) a code from POST /api/auth/reauth-code.
+   * Returns true, or sends the error and returns false.
+   */
+  const confirmIdentity = async (res, user, { password, emailCode } = {}) => {
+    if (user.password) {
+      if (await checkUserPassword(user, password)) return true;
+      sendError(res, 'password_incorrect');
+      return false;
+    }
+
+    if (!emailCode) {
+      sendError(res, 'reauth_code_required');
+      return false;
+    }
+    const check = await verifyCode(user, 'reauthCode', emailCode);
+    if (check.status !== 'valid') {
+      sendCodeError(res, check);
+      return false;
+    }
+    return true;
+  };
+
+  const sendHandleError = (res, result) => {
+    if (result.error === 'cooldown') {
+      res.set('Retry-After', String(result.retryAfter));
+      return sendError(res, 'username_cooldown', `You can change your username again in ${Math.ceil(result.retryAfter / 86400)} day(s)`, { retryAfter: result.retryAfter });
+    }
+    const error = result.error || result.reason;
+    const message = error === 'invalid_format'
+      ? `Usernames are ${HANDLE_MIN_LENGTH}-${HANDLE_MAX_LENGTH} letters, numbers, underscores or dots`
+      : undefined;
+    return sendError(res, `username_${error}`, message, result.suggestions ? { suggestions: result.suggestions } : {});
+  };
+
+  // Response fields carrying a code the email didn't deliver - only with EXPOSE_EMAIL_CODES outside production
+  const exposeEmailCode = (emailResult, code) => (
+    config.exposeEmailCodes && emailResult?.method === 'console' ? { verificationCode: code } : {}
+  );
+
+  const sendCooldownError = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 'code_cooldown', `Please wait ${retryAfter}s before requesting another code`, { retryAfter });
+  };
+
+  // Route guard for admin-only endpoints
+  const requireAdmin = [requireAuth, requireRole('admin')];
+
+  // Device details for the login session (sent by the mobile app in the body or headers)
+  const getDeviceInfo = (req) => {
+    const field = (bodyKey, header) => {
+      const value = req.body?.[bodyKey] || req.get(header);
+      return value ? String(value).slice(0, 128) : undefined;
+    };
+    return {
+      deviceId: field('deviceId', 'x-device-id') || 'unknown',
+      deviceName: field('deviceName', 'x-device-name'),
+      platform: field('platform', 'x-platform'),
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+    };
+  };
+
+  // Attach a guest's onboarding answers, scans and workout plan to an account. Only the signed
+  // guestToken proves the caller is that guest; a bare id claims nothing.
+  const linkGuestData = async (user, { guestToken, onboardingData } = {}) => {
+    const guestId = verifyGuestToken(guestToken);
+
+    if (!guestId) {
+      if (onboardingData && !(await Onboarding.exists({ userId: user.userId }))) {
+        await Onboarding.create({ userId: user.userId, data: onboardingData });
+      }
+      return null;
+    }
+
+    // Moving the guest's plan must not race a plan build still writing to it. Signup goes ahead
+    // even if the build outlasts the wait; the claim then only misses that build's result.
+    const claim = await withLock(planLockKey(guestId), () => claimGuestData(user, guestId, onboardingData), { waitMs: PLAN_LOCK_WAIT_MS });
+    const result = claim.acquired ? claim.result : await claimGuestData(user, guestId, onboardingData);
+    if (result.scoreUpdated) await updateLeaderboard(user);
+    logger.info(`[GUEST] Claimed ${guestId} into ${user.userId}: onboarding=${result.onboarding}, scans=${result.scans}, plans=${result.workoutPlans}`);
+    return result;
+  };
+
+  /**
+   * Middleware holding the plan lock (lib/locks.js) of req[source].userId until the response is
+   * sent, so plan writes and AI generations for one user never interleave. Waits PLAN_LOCK_WAIT_MS
+   * for the current holder, then answers 409 plan_busy.
+   */
+  const lockPlan = (source = 'params') => async (req, res, next) => {
+    try {
+      const { acquired } = await withLock(planLockKey(req[source].userId), () => new Promise(resolve => {
+        res.once('finish', resolve);
+        res.once('close', resolve);
+        next();
+      }), { waitMs: PLAN_LOCK_WAIT_MS });
+      if (!acquired) {
+        const retryAfter = Math.ceil(PLAN_LOCK_WAIT_MS / 1000);
+        res.set('Retry-After', String(retryAfter));
+        sendError(res, 'plan_busy', undefined, { retryAfter });
+      }
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  return {
+    limitRoute,
+    checkUserPassword,
+    confirmIdentity,
+    sendCodeError,
+    sendSecondFactorError,
+    sendHandleError,
+    sendCooldownError,
+    exposeEmailCode,
+    requireAdmin,
+    getDeviceInfo,
+    linkGuestData,
+    lockPlan,
+  };
+};
+
+module.exports = { createRouteHelpers };
@@ -0,0 +1,32 @@
+// Leaderboard
+const express = require('express');
+const { validate, object, fields } = require('../lib/validation');
+
+const createLeaderboardRouter = (deps) => {
+  const router = express.Router();
+  const { Leaderboard } = deps.models;
+
+
+  router.get('/api/leaderboard', validate(), async (req, res, next) => {
+    try {
+      const leaderboard = await Leaderboard.find().sort({ mogScore: -1 }).limit(50);
+      const total = await Leaderboard.countDocuments();
+      res.json({ success: true, leaderboard, total });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/api/leaderboard/rank/:userId', validate({ params: object({ userId: fields.id }, ['userId']) }), async (req, res, next) => {
+    try {
+      const entry = await Leaderboard.findOne({ userId: req.params.userId });
+      res.json({ success: true, ...(entry?.toObject() || {}) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createLeaderboardRouter;
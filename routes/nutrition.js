@@ -0,0 +1,437 @@
+// Nutrition targets, meal logging and AI estimates
+const express = require('express');
+const { generateId } = require('../lib/ids');
+const { requireParamOwner, requireBodyOwner } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+
+const createNutritionRouter = (deps) => {
+  const router = express.Router();
+  const { Onboarding, NutritionLog } = deps.models;
+  const { ai, clock } = deps;
+  const { structuredAI } = deps.services;
+  const { limitRoute } = createRouteHelpers(deps);
+  const { requireAuth, optionalAuth } = deps.services.auth;
+  const { calculateNutritionTargets, analyzeNutritionModeWithAI, analyzeDietDisciplineWithAI } = deps.services.nutrition;
+
+  const userIdParams = object({ userId: fields.id }, ['userId']);
+  const macro = { type: 'number', minimum: 0 };
+  const logBody = object({
+    userId: fields.id,
+    meal: object({ name: fields.name, calories: macro, protein: macro, carbs: macro, fats: macro }),
+  }, ['userId', 'meal']);
+
+  router.get('/api/nutrition/targets/:userId', requireAuth, requireParamOwner(), validate({ params: userIdParams }), async (req, res, next) => {
+    try {
+      const userId = req.params.userId;
+      const onboarding = await Onboarding.findOne({ userId });
+      if (!onboarding?.data) return sendError(res, 'onboarding_not_found');
+
+      const targets = calculateNutritionTargets(onboarding.data);
+      const today = clock.now().toISOString().split('T')[0];
+
+      // Get recent logs for AI mode analysis (last 7 days)
+      const sevenDaysAgo = new Date(clock.now());
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+      sevenDaysAgo.setHours(0, 0, 0, 0);
+
+      const logs = await NutritionLog.find({ 
+        userId, 
+        date: { $gte: sevenDaysAgo } 
+      });
+
+      const todayLogs = logs.filter(l => l.date.toISOString().startsWith(today));
+
+      const consumed = todayLogs.reduce((acc, log) => ({
+        calories: acc.calories + (log.calories || 0),
+        protein: acc.protein + (log.protein || 0),
+        carbs: acc.carbs + (log.carbs || 0),
+        fats: acc.fats + (log.fats || 0),
+      }), { calories: 0, protein: 0, carbs: 0, fats: 0 });
+
+      // Always use AI to analyze nutrition mode (uses meal data if available, otherwise uses goal)
+      let finalTargets = { ...targets };
+      const aiMode = await analyzeNutritionModeWithAI(userId, targets, logs, onboarding.data);
+      if (aiMode) {
+        finalTargets.mode = aiMode.mode;
+        finalTargets.modeDescription = aiMode.modeDescription;
+        finalTargets.modeIcon = aiMode.modeIcon;
+        logger.info(`[NUTRITION] AI Mode set: ${aiMode.mode} - ${aiMode.modeDescription}`);
+      }
+
+      res.json({ success: true, targets: finalTargets, consumed });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/nutrition/log', requireAuth, requireBodyOwner(), validate({ body: logBody }), async (req, res, next) => {
+    const { userId, meal } = req.body;
+    try {
+      const log = await NutritionLog.create({
+        logId: generateId(),
+        userId,
+        date: clock.now(),
+        calories: meal.calories,
+        protein: meal.protein,
+        carbs: meal.carbs,
+        fats: meal.fats,
+        meal,
+      });
+      logger.info(`[NUTRITION] Logged for ${userId}`);
+      res.json({ success: true, log });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // AI Meal Estimation from Text Description
+  router.post('/api/nutrition/estimate/text', optionalAuth, validate({ body: object({ description: { type: 'string', minLength: 1, maxLength: 2000 }, userId: fields.id }, ['description']) }), limitRoute('ai', 'nutrition-estimate-text'), async (req, res, next) => {
+    const { description, userId } = req.body;
+
+    if (!ai) {
+      logger.info('[NUTRITION] AI provider not configured - returning mock response');
+      return res.json({
+        success: true,
+        meal: {
+          name: description.slice(0, 50),
+          calories: 450,
+          protein: 35,
+          carbs: 40,
+          fats: 15,
+          confidence: 70,
+          items: [{ name: description, calories: 450, protein: 35, carbs: 40, fats: 15 }]
+        }
+      });
+    }
+
+    try {
+      logger.info(`[NUTRITION] AI estimating meal from text: "${description.slice(0, 50)}..."`);
+
+      const completion = await structuredAI.complete({
+        feature: 'mealText',
+        system: `You are a nutrition expert AI. Analyze the meal description and estimate its nutritional content.
+
+Be accurate but realistic. Consider typical portion sizes. If the user mentions specific quantities, use those.
+
+IMPORTANT: 
+- Provide practical estimates based on common serving sizes
+- If unclear, assume a standard adult portion
+- Round to reasonable whole numbers
+
+Respond ONLY in valid JSON format:
+{
+  "name": "Short descriptive name for the meal (max 30 chars)",
+  "calories": number,
+  "protein": number (grams),
+  "carbs": number (grams),
+  "fats": number (grams),
+  "confidence": number (0-100, how confident you are in this estimate),
+  "items": [
+    { "name": "item name", "calories": number, "protein": number, "carbs": number, "fats": number }
+  ]
+}`,
+        prompt: `Estimate the nutritional content of this meal: "${description}"`,
+        maxTokens: 500,
+        temperature: 0.3,
+      }).catch((err) => {
+        if (!err.validationErrors) throw err; // Provider errors still fail the request
+        logger.info('[NUTRITION] AI estimate rejected:', err.message);
+        return null;
+      });
+
+      if (completion) {
+        const meal = completion.data;
+        logger.debug('[NUTRITION] AI response received', { chars: completion.text.length });
+        logger.info(`[NUTRITION] Estimated: ${meal.name} - ${meal.calories} cal, ${meal.protein}g protein`);
+        return res.json({ success: true, meal });
+      }
+
+      // Fallback
+      res.json({
+        success: true,
+        meal: {
+          name: description.slice(0, 30),
+          calories: 400,
+          protein: 25,
+          carbs: 45,
+          fats: 15,
+          confidence: 50,
+          items: [{ name: description, calories: 400, protein: 25, carbs: 45, fats: 15 }]
+        }
+      });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // AI Meal Estimation from Photo
+  router.post('/api/nutrition/estimate/photo', optionalAuth, validate({ body: object({ imageBase64: fields.image, userId: fields.id }, ['imageBase64']) }), limitRoute('ai', 'nutrition-estimate-photo'), async (req, res, next) => {
+    const { imageBase64, userId } = req.body;
+
+    if (!ai) {
+      logger.info('[NUTRITION] AI provider not configured - returning mock response');
+      return res.json({
+        success: true,
+        meal: {
+          name: 'Scanned Meal',
+          calories: 550,
+          protein: 40,
+          carbs: 50,
+          fats: 20,
+          confidence: 65,
+          items: [{ name: 'Food items', calories: 550, protein: 40, carbs: 50, fats: 20 }]
+        }
+      });
+    }
+
+    try {
+      logger.info('[NUTRITION] AI analyzing meal photo...');
+
+      // A response that never passes the schema falls through to the refusal text checks below
+      const completion = await structuredAI.analyzeImages({
+        feature: 'mealPhoto',
+        system: `You are a nutrition expert AI. Analyze the food in the image and estimate its nutritional content.
+
+IMPORTANT RULES:
+1. If the image does NOT contain food or a meal, respond with EXACTLY: {"error": "NOT_FOOD", "message": "This image does not appear to contain food. Please take a photo of your meal."}
+2. If the image is blurry, dark, or unrecognizable, respond with EXACTLY: {"error": "UNCLEAR", "message": "Could not clearly see the food. Please try again with better lighting."}
+3. Only if you can identify food, provide the nutritional estimate.
+
+For valid food images, respond in JSON format:
+{
+  "name": "Short descriptive name for the meal (max 30 chars)",
+  "calories": number,
+  "protein": number (grams),
+  "carbs": number (grams),
+  "fats": number (grams),
+  "confidence": number (0-100, how confident you are),
+  "items": [
+    { "name": "item name", "calories": number, "protein": number, "carbs": number, "fats": number }
+  ]
+}`,
+        prompt: 'Analyze this image. If it contains food, estimate its nutritional content. If it does NOT contain food, tell me it is not food.',
+        images: [imageBase64],
+        detail: 'high', // high detail for accurate analysis
+        maxTokens: 600,
+      }).catch((err) => {
+        if (!err.validationErrors) throw err; // Provider errors still fail the request
+        logger.info('[NUTRITION] AI photo estimate rejected:', err.message);
+        return { data: null, text: err.text || '' };
+      });
+
+      const content = completion.text;
+      logger.debug('[NUTRITION] AI photo response received', { chars: content.length });
+
+      const parsed = completion.data;
+      if (parsed) {
+        // Check if AI returned an error object
+        if (parsed.error === 'NOT_FOOD') {
+          logger.info('[NUTRITION] Image is not food');
+          return sendError(res, 'not_food', parsed.message);
+        }
+
+        if (parsed.error === 'UNCLEAR') {
+          logger.info('[NUTRITION] Image is unclear');
+          return sendError(res, 'unclear_image', parsed.message);
+        }
+
+        // Valid meal response
+        logger.info(`[NUTRITION] Photo estimated: ${parsed.name} - ${parsed.calories} cal, ${parsed.protein}g protein`);
+        return res.json({ success: true, meal: parsed });
+      }
+
+      // Check if AI indicates it can't analyze the image (text-based response)
+      const lowerContent = content.toLowerCase();
+      if (lowerContent.includes("unable to analyze") || 
+          lowerContent.includes("can't analyze") ||
+          lowerContent.includes("cannot analyze") ||
+          lowerContent.includes("no visible food") ||
+          lowerContent.includes("completely black") ||
+          lowerContent.includes("no food") ||
+          lowerContent.includes("doesn't appear to contain food") ||
+          lowerContent.includes("does not appear to contain food") ||
+          lowerContent.includes("not a food") ||
+          lowerContent.includes("isn't food") ||
+          lowerContent.includes("is not food") ||
+          lowerContent.includes("doesn't show food") ||
+          lowerContent.includes("does not show food") ||
+          lowerContent.includes("can't identify") ||
+          lowerContent.includes("cannot identify") ||
+          lowerContent.includes("unable to identify") ||
+          lowerContent.includes("not an image of food") ||
+          lowerContent.includes("no meal") ||
+          lowerContent.includes("not a meal")) {
+        logger.info('[NUTRITION] AI could not analyze photo - not food or unclear');
+        return sendError(res, 'not_food', 'This doesn\'t appear to be a meal. Please take a photo of the food you want to log.');
+      }
+
+      // Fallback - AI gave a response but not in expected format
+      sendError(res, 'ai_invalid_response', 'Could not analyze the photo properly. Please try again with a clearer image of your meal.');
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get nutrition history/meals for a user
+  router.get('/api/nutrition/meals/:userId', requireAuth, requireParamOwner(), validate({ params: userIdParams, query: object({ date: fields.date }) }), async (req, res, next) => {
+    try {
+      const { date } = req.query;
+      const query = { userId: req.params.userId };
+
+      if (date) {
+        const startOfDay = new Date(date);
+        startOfDay.setHours(0, 0, 0, 0);
+        const endOfDay = new Date(date);
+        endOfDay.setHours(23, 59, 59, 999);
+        query.date = { $gte: startOfDay, $lte: endOfDay };
+      }
+
+      const meals = await NutritionLog.find(query).sort({ date: -1 }).limit(50);
+      res.json({ success: true, meals });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Get weekly nutrition summary
+  router.get('/api/nutrition/weekly/:userId', requireAuth, requireParamOwner(), validate({ params: userIdParams }), async (req, res, next) => {
+    try {
+      const userId = req.params.userId;
+
+      // Get user's nutrition targets
+      const onboarding = await Onboarding.findOne({ userId });
+      if (!onboarding?.data) return sendError(res, 'onboarding_not_found');
+
+      const targets = calculateNutritionTargets(onboarding.data);
+
+      // Get logs for the past 14 days (to cover current and previous week)
+      const fourteenDaysAgo = new Date(clock.now());
+      fourteenDaysAgo.setDate(fourteenDaysAgo.getDate() - 14);
+      fourteenDaysAgo.setHours(0, 0, 0, 0);
+
+      const logs = await NutritionLog.find({
+        userId,
+        date: { $gte: fourteenDaysAgo }
+      });
+
+      // Build week starting from Monday of the current week
+      const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+      const today = new Date(clock.now());
+      today.setHours(0, 0, 0, 0);
+
+      // Find Monday of this week
+      const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
+      const monday = new Date(today);
+      monday.setDate(today.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
+
+      const weekData = [];
+      let streak = 0;
+      let totalCompliant = 0;
+
+      // Build Mon-Sun week with actual data
+      for (let i = 0; i < 7; i++) {
+        const checkDate = new Date(monday);
+        checkDate.setDate(monday.getDate() + i);
+        checkDate.setHours(0, 0, 0, 0);
+
+        const isToday = checkDate.toDateString() === today.toDateString();
+        const isFuture = checkDate > today;
+
+        const dayLogs = logs.filter(log => {
+          const logDate = new Date(log.date);
+          return logDate.toDateString() === checkDate.toDateString();
+        });
+
+        const dayTotals = dayLogs.reduce((acc, log) => ({
+          calories: acc.calories + (log.calories || 0),
+          protein: acc.protein + (log.protein || 0),
+        }), { calories: 0, protein: 0 });
+
+        // Determine initial status
+        let status = 'notComplete';
+        if (isFuture) {
+          status = 'pending';
+        } else if (isToday) {
+          status = 'pending';
+        } else if (dayLogs.length > 0) {
+          // Past day with some logs - mark for AI analysis
+          const calorieCompliant = dayTotals.calories >= targets.calories * 0.85 && dayTotals.calories <= targets.calories * 1.15;
+          const proteinCompliant = dayTotals.protein >= targets.protein * 0.75;
+          status = (calorieCompliant && proteinCompliant) ? 'complete' : 'notComplete';
+          if (status === 'complete') totalCompliant++;
+        }
+
+        weekData.push({
+          day: dayNames[checkDate.getDay()],
+          date: checkDate.toISOString().split('T')[0],
+          status,
+          calories: dayTotals.calories,
+          protein: dayTotals.protein,
+          mealsLogged: dayLogs.length,
+        });
+      }
+
+      // Use AI to analyze discipline if there are logs
+      let aiInsight = null;
+      if (logs.length >= 2) {
+        const aiAnalysis = await analyzeDietDisciplineWithAI(weekData, targets, logs);
+        if (aiAnalysis) {
+          // Update weekData with AI analysis
+          if (aiAnalysis.weekData && Array.isArray(aiAnalysis.weekData)) {
+            aiAnalysis.weekData.forEach((aiDay, index) => {
+              if (weekData[index] && aiDay.status) {
+                // Only update past days, keep pending for today/future
+                if (weekData[index].status !== 'pending') {
+                  weekData[index].status = aiDay.status;
+                  weekData[index].reason = aiDay.reason;
+                }
+              }
+            });
+          }
+          // Use AI-calculated values
+          streak = aiAnalysis.streak || 0;
+          totalCompliant = weekData.filter(d => d.status === 'complete').length;
+          aiInsight = aiAnalysis.insight;
+        }
+      }
+
+      // Recalculate streak based on final status
+      streak = 0;
+      for (let i = weekData.length - 1; i >= 0; i--) {
+        if (weekData[i].status === 'pending') continue;
+        if (weekData[i].status === 'complete') {
+          streak++;
+        } else {
+          break;
+        }
+      }
+
+      // Calculate compliance
+      const pastDays = weekData.filter(d => d.status !== 'pending').length;
+      const compliance = pastDays > 0 ? Math.round((totalCompliant / pastDays) * 100) : 0;
+
+      logger.info(`[NUTRITION] Weekly: ${totalCompliant}/${pastDays} days complete, ${streak} streak`);
+
+      res.json({
+        success: true,
+        targets,
+        weekData,
+        streak,
+        compliance,
+        totalCompliant,
+        insight: aiInsight,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createNutritionRouter;
@@ -0,0 +1,130 @@
+// Guest identities and onboarding answers
+const express = require('express');
+const { optionalGuest, requireParamOwner, requireBodyOwner } = require('../lib/auth');
+const { createGuest, verifyGuestToken } = require('../lib/guests');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+
+const createOnboardingRouter = (deps) => {
+  const router = express.Router();
+  const { User, Onboarding } = deps.models;
+  const { limitRoute, linkGuestData } = createRouteHelpers(deps);
+  const { requireAuth, optionalAuth } = deps.services.auth;
+  const { clock } = deps;
+
+  // Account info editable after onboarding
+  const accountInfo = object({
+    heightFeet: { type: 'number', minimum: 0, maximum: 9 },
+    heightInches: { type: 'number', minimum: 0, maximum: 11 },
+    weightLbs: { type: 'number', minimum: 0, maximum: 1500 },
+    gender: { type: 'string', maxLength: 32 },
+    age: { type: 'integer', minimum: 0, maximum: 130 },
+  });
+
+  // ----- GUEST -----
+
+  /**
+   * Start a guest identity for onboarding and scans before signup.
+   * Send the token as the x-guest-token header; unclaimed guest data expires after GUEST_DATA_TTL_DAYS.
+   * POST /api/guest
+   */
+  router.post('/api/guest', limitRoute('auth', 'guest-create'), validate(), (req, res) => {
+    const guest = createGuest();
+    logger.info(`[GUEST] Created ${guest.guestId}`);
+    res.json({ success: true, ...guest });
+  });
+
+  /**
+   * Merge a guest's onboarding, scans and plan into the logged-in account (e.g. logging in on a device used as a guest)
+   * POST /api/guest/claim
+   * Body: { guestToken, onboardingData? }
+   */
+  router.post('/api/guest/claim', requireAuth, validate({ body: object({ guestToken: fields.token, onboardingData: fields.onboardingData }, ['guestToken']) }), async (req, res, next) => {
+    const { guestToken, onboardingData } = req.body;
+    try {
+      if (!verifyGuestToken(guestToken)) return sendError(res, 'guest_token_invalid');
+
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const claimed = await linkGuestData(user, { guestToken, onboardingData });
+      res.json({
+        success: true,
+        claimed: { onboarding: claimed.onboarding, scans: claimed.scans, workoutPlans: claimed.workoutPlans },
+        user: { mogScore: user.mogScore, tier: user.tier },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- ONBOARDING -----
+
+  /**
+   * Save onboarding answers for the guest in x-guest-token, or start a new guest (returned as guestToken)
+   * POST /api/onboarding/save
+   */
+  router.post('/api/onboarding/save', limitRoute('auth', 'onboarding-save'), optionalGuest, validate({ body: object({ data: fields.onboardingData }, ['data']) }), async (req, res, next) => {
+    const { data } = req.body;
+    try {
+      let id = req.guest?.guestId;
+      let guest = null;
+      if (!id) {
+        guest = createGuest();
+        id = guest.guestId;
+      }
+
+      await Onboarding.findOneAndUpdate({ userId: id }, { userId: id, data, updatedAt: clock.now() }, { upsert: true });
+      logger.info(`[ONBOARDING] Saved for ${id}`);
+      res.json({ success: true, tempId: id, ...(guest ? { guestToken: guest.guestToken } : {}) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Onboarding answers of the caller, or of a guest with its x-guest-token
+   * GET /api/onboarding/:id
+   */
+  router.get('/api/onboarding/:id', optionalAuth, optionalGuest, requireParamOwner('id', { allowGuest: true }), validate({ params: object({ id: fields.id }, ['id']) }), async (req, res, next) => {
+    try {
+      const onboarding = await Onboarding.findOne({ userId: req.params.id });
+      res.json({ success: true, data: onboarding?.data || null });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Update onboarding data (account info - height, weight, gender, age)
+   * PUT /api/onboarding/update
+   */
+  router.put('/api/onboarding/update', requireAuth, requireBodyOwner(), validate({ body: object({ userId: fields.id, data: accountInfo }, ['data']) }), async (req, res, next) => {
+    try {
+      const { userId, data } = req.body;
+
+      const onboarding = await Onboarding.findOne({ userId });
+      if (!onboarding) return sendError(res, 'onboarding_not_found');
+
+      // Update only the provided fields
+      if (data.heightFeet !== undefined) onboarding.data.heightFeet = data.heightFeet;
+      if (data.heightInches !== undefined) onboarding.data.heightInches = data.heightInches;
+      if (data.weightLbs !== undefined) onboarding.data.weightLbs = data.weightLbs;
+      if (data.gender !== undefined) onboarding.data.gender = data.gender;
+      if (data.age !== undefined) onboarding.data.age = data.age;
+
+      await onboarding.save();
+
+      logger.info(`[ONBOARDING] Updated account info for user: ${userId}`);
+      res.json({ success: true, message: 'Account information updated', data: onboarding.data });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createOnboardingRouter;
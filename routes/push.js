@@ -0,0 +1,117 @@
+// Push notifications via the Expo Push API
+const express = require('express');
+const { auditAction } = require('../lib/audit');
+const { validate, object } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+
+const createPushRouter = (deps) => {
+  const router = express.Router();
+  const { User } = deps.models;
+  const { clock } = deps;
+  const { requireAdmin } = createRouteHelpers(deps);
+
+  const notificationBody = object({
+    title: { type: 'string', maxLength: 200 },
+    body: { type: 'string', maxLength: 1000 },
+  });
+  const testNotificationBody = object({
+    ...notificationBody.properties,
+    // Get the token from the app - it looks like ExponentPushToken[xxxx]
+    expoPushToken: { type: 'string', pattern: '^Expo(nent)?PushToken\\[.+\\]$' },
+  }, ['expoPushToken']);
+
+  /**
+   * Send a test push notification via Expo's Push API
+   * POST /api/test-notification
+   * Body: { expoPushToken: "ExponentPushToken[xxx]", title: "Test", body: "Hello" }
+   */
+  router.post('/api/test-notification', requireAdmin, validate({ body: testNotificationBody }), auditAction('test-notification'), async (req, res, next) => {
+    try {
+      const { expoPushToken, title = '🔔 Test Notification', body = 'This is a test notification from Mog.ai!' } = req.body;
+
+      // Send via Expo Push API
+      const response = await fetch('https://exp.host/--/api/v2/push/send', {
+        method: 'POST',
+        headers: {
+          'Accept': 'application/json',
+          'Accept-Encoding': 'gzip, deflate',
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          to: expoPushToken,
+          sound: 'default',
+          title,
+          body,
+          data: { type: 'test', timestamp: clock.now().toISOString() },
+        }),
+      });
+
+      const result = await response.json();
+      logger.info('[PUSH] Test notification sent:', result);
+
+      res.json({
+        success: true,
+        message: 'Test notification sent!',
+        expoPushResult: result,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Send notification to all registered tokens (broadcast)
+   * POST /api/broadcast-notification
+   * Body: { title: "Title", body: "Message" }
+   */
+  router.post('/api/broadcast-notification', requireAdmin, validate({ body: notificationBody }), auditAction('broadcast-notification'), async (req, res, next) => {
+    try {
+      const { title = '📢 Mog.ai Update', body = 'Check out what\'s new!' } = req.body;
+
+      // Get all users with push tokens
+      const users = await User.find({ expoPushToken: { $exists: true, $ne: null } });
+
+      if (users.length === 0) {
+        return res.json({ success: true, message: 'No users with push tokens found', sentCount: 0 });
+      }
+
+      const messages = users.map(user => ({
+        to: user.expoPushToken,
+        sound: 'default',
+        title,
+        body,
+        data: { type: 'broadcast', timestamp: clock.now().toISOString() },
+      }));
+
+      // Send in batches of 100 (Expo limit)
+      const chunks = [];
+      for (let i = 0; i < messages.length; i += 100) {
+        chunks.push(messages.slice(i, i + 100));
+      }
+
+      let successCount = 0;
+      for (const chunk of chunks) {
+        const response = await fetch('https://exp.host/--/api/v2/push/send', {
+          method: 'POST',
+          headers: {
+            'Accept': 'application/json',
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(chunk),
+        });
+        const result = await response.json();
+        if (result.data) successCount += result.data.length;
+      }
+
+      logger.info(`[PUSH] Broadcast sent to ${successCount} users`);
+      res.json({ success: true, message: `Broadcast sent to ${successCount} users`, sentCount: successCount });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createPushRouter;
@@ -0,0 +1,166 @@
+// Physique scans
+const express = require('express');
+const { generateId } = require('../lib/ids');
+const { optionalGuest, requireParamOwner, requireBodyOwner } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+const { planLockKey, PLAN_LOCK_WAIT_MS } = require('../lib/locks');
+
+const createScanRouter = (deps) => {
+  const router = express.Router();
+  const { User, Scan, WorkoutPlan } = deps.models;
+  const { clock } = deps;
+  const { limitRoute } = createRouteHelpers(deps);
+  const { requireAuth, optionalAuth } = deps.services.auth;
+  const { updateLeaderboard } = deps.services.leaderboard;
+  const { analyzePhysiqueWithAI, verifyUserIdentity } = deps.services.physique;
+  const { generateWorkoutPlan } = deps.services.trainingPlans;
+  const { queueTrainingPlan } = deps.services.jobs;
+  const { withLock } = deps.services.locks;
+
+
+  // Front and back photos as base64 (see analyzePhysiqueWithAI)
+  const photo = { type: 'string', minLength: 101 };
+  const analyzeBody = object({
+    userId: fields.id,
+    frontPhoto: photo,
+    backPhoto: photo,
+    onboardingData: fields.onboardingData,
+  }, ['frontPhoto', 'backPhoto']);
+
+  /**
+   * Analyze front and back photos. Signed-in users and guests (x-guest-token) get the scan saved
+   * under their id and a training plan; a request with neither is analyzed but tied to no one.
+   * POST /api/scan/analyze
+   */
+  router.post('/api/scan/analyze', optionalAuth, optionalGuest, requireBodyOwner({ allowGuest: true, allowAnonymous: true }), validate({ body: analyzeBody }), limitRoute('ai', 'scan-analyze'), async (req, res, next) => {
+    const { userId, frontPhoto, backPhoto, onboardingData } = req.body;
+    if (!deps.ai) return sendError(res, 'ai_unavailable');
+
+    try {
+      // Check if user has a previous scan and verify identity
+      if (userId) {
+        const previousScan = await Scan.findOne({ userId }).sort({ timestamp: -1 });
+
+        if (previousScan && previousScan.frontPhotoUrl) {
+          logger.info(`[SCAN] User ${userId} has previous scan, verifying identity...`);
+
+          const identityCheck = await verifyUserIdentity(frontPhoto, previousScan.frontPhotoUrl);
+
+          if (!identityCheck.isSamePerson) {
+            logger.info(`[SCAN] Identity verification FAILED for user ${userId}: ${identityCheck.reason}`);
+            return sendError(res, 'different_person',
+              `This doesn't appear to be the same person as your previous scans. ${identityCheck.reason || 'Please upload photos of yourself for accurate progress tracking.'}`,
+              { differentUser: true, confidence: identityCheck.confidence });
+          }
+
+          logger.info(`[SCAN] Identity verified for user ${userId}`);
+        } else {
+          logger.info(`[SCAN] No previous scan for user ${userId}, skipping identity check`);
+        }
+      }
+
+      // Use real AI analysis with OpenAI Vision API
+      const analysis = await analyzePhysiqueWithAI(frontPhoto, backPhoto, onboardingData || {});
+
+      // Check if the image was detected as invalid physique
+      if (analysis.isValidPhysique === false) {
+        return sendError(res, 'invalid_physique', analysis.errorMessage, { isValidPhysique: false });
+      }
+
+      const scanData = {
+        scanId: generateId(),
+        userId: userId || 'anonymous',
+        mogScore: analysis.mogScore,
+        tier: analysis.tier,
+        muscleBreakdown: analysis.muscleBreakdown,
+        weakPoints: analysis.weakPoints,
+        strongPoints: analysis.strongPoints,
+        symmetry: analysis.symmetry,
+        overallAssessment: analysis.overallAssessment,
+        improvementTips: analysis.improvementTips,
+        scanSteps: analysis.scanSteps || [],
+        aiPowered: analysis.aiPowered,
+        // Save the physique images
+        frontPhotoUrl: frontPhoto || null,
+        backPhotoUrl: backPhoto || null,
+        timestamp: clock.now(),
+      };
+
+      // Save scan to MongoDB
+      const scan = await Scan.create(scanData);
+
+      // Update the signed-in user's score and latest scan (guests have no account yet)
+      if (req.auth) {
+        const user = await User.findOne({ userId: req.auth.userId });
+        if (user) {
+          user.mogScore = analysis.mogScore;
+          user.tier = analysis.tier;
+          // Save the complete scan analysis for AI training plan generation
+          user.latestScan = {
+            scanId: scanData.scanId,
+            mogScore: analysis.mogScore,
+            tier: analysis.tier,
+            muscleBreakdown: analysis.muscleBreakdown,
+            weakPoints: analysis.weakPoints,
+            strongPoints: analysis.strongPoints,
+            symmetry: analysis.symmetry,
+            overallAssessment: analysis.overallAssessment,
+            improvementTips: analysis.improvementTips,
+            timestamp: clock.now(),
+          };
+          await user.save();
+          await updateLeaderboard(user);
+          logger.info(`[SCAN] Saved latestScan to user ${userId}`);
+        }
+      }
+
+      // Generate workout plan based on AI analysis
+      const workoutPlanData = generateWorkoutPlan(onboardingData, analysis);
+      if (userId) {
+        // A build still holding the plan lock is skipped over: the AI plan queued below replaces it anyway
+        const { acquired } = await withLock(planLockKey(userId), () => WorkoutPlan.findOneAndUpdate(
+          { userId },
+          { ...workoutPlanData, userId },
+          { upsert: true }
+        ), { waitMs: PLAN_LOCK_WAIT_MS });
+        if (!acquired) logger.warn(`[SCAN] Plan for user ${userId} is locked, leaving it to the queued build`);
+
+        // Generate AI training plan in BACKGROUND (don't block the response)
+        // This significantly speeds up scan time from 2min to ~30-40sec
+        const { job } = await queueTrainingPlan(userId, {
+          mogScore: analysis.mogScore,
+          tier: analysis.tier,
+          muscleBreakdown: analysis.muscleBreakdown,
+          weakPoints: analysis.weakPoints || [],
+          strongPoints: analysis.strongPoints || [],
+          symmetry: analysis.symmetry,
+          overallAssessment: analysis.overallAssessment,
+          improvementTips: analysis.improvementTips || [],
+        });
+        logger.info(`[SCAN] Queued AI training plan generation for user ${userId} (${job.jobId})`);
+      }
+
+      logger.info(`[SCAN] ${userId || 'anonymous'}: Score=${analysis.mogScore}, Tier=${analysis.tier}, AI=${analysis.aiPowered ? 'Yes' : 'No'}`);
+
+      res.json({ success: true, scan: scanData, workoutPlan: workoutPlanData });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/api/scan/history/:userId', requireAuth, requireParamOwner(), validate({ params: object({ userId: fields.id }, ['userId']) }), async (req, res, next) => {
+    try {
+      const scans = await Scan.find({ userId: req.params.userId }).sort({ createdAt: -1 });
+      res.json({ success: true, scans });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createScanRouter;
@@ -0,0 +1,1102 @@
+// Workout plans, weekly training, sessions, exercise images and form analysis
+const express = require('express');
+const { requireParamOwner, requireBodyOwner } = require('../lib/auth');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+const { planLockKey } = require('../lib/locks');
+const { imageKey } = require('../lib/exerciseImages');
+
+const createTrainingRouter = (deps) => {
+  const router = express.Router();
+  const { User, Scan, WorkoutPlan } = deps.models;
+  const { ai, clock } = deps;
+  const { structuredAI } = deps.services;
+  const { limitRoute, lockPlan } = createRouteHelpers(deps);
+  const { requireAuth, optionalAuth } = deps.services.auth;
+  const { withLock, waitForRelease } = deps.services.locks;
+  const { generateAITrainingPlan, generateNextWeekPlan } = deps.services.trainingPlans;
+  const { getCachedImages, getImageFile } = deps.services.exerciseImages;
+  const { queueExerciseImages } = deps.services.jobs;
+
+  const userIdParams = object({ userId: fields.id }, ['userId']);
+  // Days are numbered 1-7 (see lib/ai/schemas.js)
+  const dayNumber = { type: 'integer', minimum: 1, maximum: 7 };
+  const dayStatus = { type: 'string', enum: ['upcoming', 'today', 'done'] };
+
+  // Another write reached the plan first: answer with the current plan and its version so the
+  // client can reapply its change on top
+  const sendPlanConflict = async (res, userId) => {
+    const current = await WorkoutPlan.findOne({ userId });
+    return sendError(res, 'plan_conflict', undefined, { version: current?.__v, plan: current });
+  };
+
+  // save() a plan loaded earlier in the request; false (after answering plan_conflict) if it changed since
+  const savePlan = async (res, plan) => {
+    try {
+      await plan.save();
+      return true;
+    } catch (err) {
+      if (err.name !== 'VersionError') throw err;
+      await sendPlanConflict(res, plan.userId);
+      return false;
+    }
+  };
+
+  // ----- WORKOUT -----
+
+  router.get('/api/workout/plan/:userId', requireAuth, requireParamOwner(), validate({ params: userIdParams }), async (req, res, next) => {
+    try {
+      const plan = await WorkoutPlan.findOne({ userId: req.params.userId });
+      if (!plan) return sendError(res, 'plan_not_found');
+      res.json({ success: true, plan });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post('/api/workout/complete-exercise', requireAuth, requireBodyOwner(), validate({ body: object({ userId: fields.id, dayIndex: { type: 'integer', minimum: 0 }, exerciseId: fields.id }, ['userId', 'dayIndex', 'exerciseId']) }), lockPlan('body'), async (req, res, next) => {
+    const { userId, dayIndex, exerciseId } = req.body;
+    const exercisesPath = `weeklyPlan.${dayIndex}.exercises`;
+    try {
+      // Positional update rather than load-and-save, so exercises completed at the same time
+      // (e.g. from two devices) all stick
+      let plan = await WorkoutPlan.findOneAndUpdate(
+        { userId, [`${exercisesPath}.id`]: exerciseId },
+        { $set: { [`${exercisesPath}.$[exercise].completed`]: true, updatedAt: clock.now() } },
+        { arrayFilters: [{ 'exercise.id': exerciseId }], new: true }
+      );
+      if (!plan) {
+        // No such day or exercise: nothing to complete
+        plan = await WorkoutPlan.findOne({ userId });
+        if (!plan) return sendError(res, 'plan_not_found');
+        return res.json({ success: true, plan });
+      }
+
+      // The day is complete once no exercise is left; the filter checks that in the same write
+      plan = await WorkoutPlan.findOneAndUpdate(
+        {
+          userId,
+          [`weeklyPlan.${dayIndex}.completed`]: { $ne: true },
+          [exercisesPath]: { $not: { $elemMatch: { completed: { $ne: true } } } },
+        },
+        { $set: { [`weeklyPlan.${dayIndex}.completed`]: true } },
+        { new: true }
+      ) || plan;
+
+      res.json({ success: true, plan });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- WEEKLY TRAINING PLAN -----
+
+  // A plan write or generation for this user is in flight: ?wait=<seconds> holds the request until
+  // it finishes, otherwise a short wait covers quick writes before answering "regenerating"
+  const PLAN_READ_WAIT_MS = 2000;
+  const weeklyQuery = object({ wait: { type: 'integer', minimum: 0, maximum: 120 } });
+
+  const sendRegenerating = (res) => res.json({
+    success: true,
+    regenerating: true,
+    message: 'Plan is being regenerated, please wait...'
+  });
+
+  // Get user's weekly training plan
+  router.get('/api/training/:userId/weekly', requireAuth, requireParamOwner(), validate({ params: userIdParams, query: weeklyQuery }), async (req, res, next) => {
+    const { userId } = req.params;
+    const lockKey = planLockKey(userId);
+    logger.info(`[TRAINING] Getting weekly plan for user ${userId}`);
+
+    try {
+      // Helper to check if plan is complete
+      // Plan is complete if it has at least 3 days (minimum valid plan) and all exercises have steps
+      const isPlanComplete = (days) => {
+        if (!days || days.length < 3) return false;
+        for (const day of days) {
+          if (!day.exercises || day.exercises.length === 0) return false;
+          for (const ex of day.exercises) {
+            if (!ex.steps || ex.steps.length < 2) return false;
+          }
+        }
+        return true;
+      };
+
+      const waitMs = req.query.wait !== undefined ? req.query.wait * 1000 : PLAN_READ_WAIT_MS;
+      if (!(await waitForRelease(lockKey, { timeoutMs: waitMs }))) {
+        logger.info(`[TRAINING] Plan for user ${userId} is still being generated`);
+        return sendRegenerating(res);
+      }
+
+      // Rebuild an incomplete WorkoutPlan from the user's scan; null when there is nothing to do
+      const regenerateIncompletePlan = async () => {
+        // Re-read under the lock: another request may have just rebuilt it
+        const workoutPlan = await WorkoutPlan.findOne({ userId });
+        if (!workoutPlan || isPlanComplete(workoutPlan.weeklyPlan)) return null;
+
+        // Get user's scan data for regeneration - check both User and Scan collections
+        const user = await User.findOne({ userId });
+
+        // Also check Scan collection for latest scan
+        const latestScan = await Scan.findOne({ userId }).sort({ createdAt: -1 });
+        const scanData = user?.latestScan || latestScan;
+
+        if (!scanData) {
+          logger.info('[TRAINING] No scan data found for regeneration, returning current plan');
+          return null;
+        }
+
+        try {
+          // Regenerate the plan
+          const newPlan = await generateAITrainingPlan(scanData);
+
+          // Save the new plan
+          workoutPlan.weeklyPlan = newPlan.days;
+          workoutPlan.weekId = newPlan.weekId;
+          workoutPlan.mission = newPlan.mission;
+          workoutPlan.targets = newPlan.targets;
+          workoutPlan.expectedGain = newPlan.expectedGain;
+          await workoutPlan.save();
+
+          // Also save to user if exists
+          if (user) {
+            user.weeklyTrainingPlan = newPlan;
+            await user.save();
+          }
+
+          logger.info(`[TRAINING] Regenerated complete plan with ${newPlan.days.length} days`);
+          return newPlan;
+        } catch (regenErr) {
+          logger.error('[TRAINING] Regeneration failed:', regenErr.message);
+          return null; // Fall through to return incomplete plan
+        }
+      };
+
+      // First check WorkoutPlan collection (used by complete-day for progressive plans)
+      let workoutPlan = await WorkoutPlan.findOne({ userId });
+      if (workoutPlan && workoutPlan.weeklyPlan && workoutPlan.weeklyPlan.length > 0) {
+        // Check if plan is complete (6 days with exercises and steps)
+        const isComplete = isPlanComplete(workoutPlan.weeklyPlan);
+
+        if (!isComplete) {
+          logger.info(`[TRAINING] Plan incomplete (${workoutPlan.weeklyPlan.length} days), regenerating...`);
+
+          // Only one request regenerates; the others get "regenerating" (or wait, see above)
+          const regeneration = await withLock(lockKey, regenerateIncompletePlan);
+          if (!regeneration.acquired) return sendRegenerating(res);
+          if (regeneration.result) {
+            return res.json({ 
+              success: true, 
+              plan: regeneration.result 
+            });
+          }
+          workoutPlan = (await WorkoutPlan.findOne({ userId })) || workoutPlan;
+        }
+
+        // Default exercise step templates for incomplete plans
+        const defaultSteps = [
+          { stepNumber: 1, title: 'Set 1 - Warm Up', description: 'Start light and focus on form', duration: 60 },
+          { stepNumber: 2, title: 'Set 2 - Build Up', description: 'Increase weight, maintain control', duration: 60 },
+          { stepNumber: 3, title: 'Set 3 - Working Set', description: 'Push yourself, feel the burn', duration: 60 },
+          { stepNumber: 4, title: 'Set 4 - Final Set', description: 'Give it everything you have!', duration: 60 },
+        ];
+
+        // Convert WorkoutPlan format to WeeklyTrainingPlan format
+        const plan = {
+          weekId: workoutPlan.weekId || `week-${workoutPlan.currentWeek || 1}`,
+          mission: workoutPlan.mission || 'Complete your training program',
+          expectedGain: workoutPlan.expectedGain || 1.0,
+          targets: workoutPlan.targets || [],
+          days: workoutPlan.weeklyPlan.map(day => ({
+            day: day.day,
+            title: day.title,
+            description: day.description || '',
+            type: day.type || 'Strength',
+            typeColor: day.typeColor || '#4A7CFF',
+            secondaryType: day.secondaryType || null,
+            status: day.status || 'upcoming',
+            duration: day.duration || '45 min',
+            caloriesBurn: day.caloriesBurn || 300,
+            targetMuscles: day.targetMuscles || [],
+            exercises: (day.exercises || []).map(ex => ({
+              id: ex.id,
+              name: ex.name,
+              sets: ex.sets,
+              note: ex.note || 'Focus on proper form',
+              badge: ex.badge || null,
+              badgeColor: ex.badgeColor || null,
+              borderColor: ex.borderColor || '#3A2A4A',
+              completed: ex.completed || false,
+              // Add default steps if missing
+              steps: (ex.steps && ex.steps.length >= 2) ? ex.steps : defaultSteps,
+            })),
+            completedAt: day.completedAt,
+          })),
+          currentWeek: workoutPlan.currentWeek || 1,
+          weekNumber: workoutPlan.currentWeek || 1, // Also include weekNumber for frontend compatibility
+          version: workoutPlan.__v, // Send back with POST /api/training/:userId/weekly
+        };
+        logger.info(`[TRAINING] Returning workout plan - Week: ${plan.currentWeek}, Days: ${plan.days.length}, WeekId: ${plan.weekId}`);
+        logger.info(`[TRAINING] Day statuses: ${plan.days.map(d => d.status).join(', ')}`);
+        return res.json({ 
+          success: true, 
+          plan 
+        });
+      }
+
+      // Fallback to user's weeklyTrainingPlan field
+      const user = await User.findOne({ userId });
+
+      if (!user) return sendError(res, 'user_not_found');
+
+      // Check if user has a weekly training plan
+      if (user.weeklyTrainingPlan) {
+        // Check if it's complete
+        const isComplete = isPlanComplete(user.weeklyTrainingPlan.days);
+
+        if (!isComplete && user.latestScan) {
+          logger.info(`[TRAINING] User plan incomplete, regenerating...`);
+          const regeneration = await withLock(lockKey, async () => {
+            // Re-read under the lock: another request may have just rebuilt it
+            const current = await User.findById(user._id);
+            if (!current || isPlanComplete(current.weeklyTrainingPlan?.days)) return current?.weeklyTrainingPlan;
+            try {
+              const newPlan = await generateAITrainingPlan(current.latestScan);
+              current.weeklyTrainingPlan = newPlan;
+              await current.save();
+
+              logger.info(`[TRAINING] Regenerated complete plan with ${newPlan.days.length} days`);
+              return newPlan;
+            } catch (regenErr) {
+              logger.error('[TRAINING] Regeneration failed:', regenErr.message);
+              return null;
+            }
+          });
+          if (!regeneration.acquired) return sendRegenerating(res);
+          if (regeneration.result) {
+            return res.json({ 
+              success: true, 
+              plan: regeneration.result 
+            });
+          }
+        }
+
+        logger.info(`[TRAINING] Found user weekly plan: ${user.weeklyTrainingPlan.weekId}`);
+        return res.json({ 
+          success: true, 
+          plan: user.weeklyTrainingPlan 
+        });
+      }
+
+      // No plan exists - try to generate one if user has scan data
+      if (user.latestScan) {
+        logger.info(`[TRAINING] No plan found, but user has scan data - generating new plan...`);
+
+        // Only one request generates; the others get "regenerating" (or wait, see above)
+        const generation = await withLock(lockKey, async () => {
+          // Re-read under the lock: another request may have just generated it
+          const current = await User.findById(user._id);
+          if (current?.weeklyTrainingPlan) return { plan: current.weeklyTrainingPlan };
+
+          try {
+            const newPlan = await generateAITrainingPlan(user.latestScan);
+
+            // Save to WorkoutPlan collection (including targets and expectedGain)
+            await WorkoutPlan.findOneAndUpdate(
+              { userId },
+              { 
+                userId,
+                weeklyPlan: newPlan.days,
+                weekId: newPlan.weekId,
+                mission: newPlan.mission,
+                targets: newPlan.targets || [],
+                expectedGain: newPlan.expectedGain || 1.0,
+                currentWeek: 1,
+                updatedAt: clock.now()
+              },
+              { upsert: true, new: true }
+            );
+
+            // Also save to user
+            current.weeklyTrainingPlan = newPlan;
+            await current.save();
+
+            logger.info(`[TRAINING] Generated new plan with ${newPlan.days.length} days`);
+            return { plan: newPlan };
+          } catch (genErr) {
+            logger.error('[TRAINING] Plan generation failed:', genErr.message);
+            return { failed: true };
+          }
+        });
+        if (!generation.acquired) return sendRegenerating(res);
+        if (generation.result.failed) return sendError(res, 'plan_generation_failed');
+        return res.json({ 
+          success: true, 
+          plan: generation.result.plan 
+        });
+      }
+
+      logger.info(`[TRAINING] No weekly plan found for user ${userId} and no scan data`);
+      return sendError(res, 'plan_not_found');
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const weeklyPlanBody = object({
+    plan: object({ days: { type: 'array', maxItems: 7, items: { type: 'object' } } }, ['days']),
+    version: { type: 'integer', minimum: 0 },
+  }, ['plan']);
+
+  // Save user's weekly training plan
+  router.post('/api/training/:userId/weekly', requireAuth, requireParamOwner(), validate({ params: userIdParams, body: weeklyPlanBody }), lockPlan(), async (req, res, next) => {
+    const { userId } = req.params;
+    // `version` (from GET .../weekly) makes the save fail with plan_conflict if the plan changed since.
+    // Only the first save, before any plan is stored, may leave it out.
+    const { plan, version } = req.body;
+    logger.info(`[TRAINING] Saving weekly plan for user ${userId}, weekId: ${plan?.weekId}`);
+
+    try {
+      const user = await User.findOne({ userId });
+
+      if (!user) return sendError(res, 'user_not_found');
+
+      // SAFEGUARD: Don't allow overwriting a newer week with an older one
+      const existingPlan = await WorkoutPlan.findOne({ userId });
+      const incomingWeek = plan?.currentWeek || plan?.weekNumber || 1;
+      const existingWeek = existingPlan?.currentWeek || 1;
+
+      if (existingPlan && existingWeek > incomingWeek) {
+        logger.info(`[TRAINING] Blocked overwrite: existing week ${existingWeek} > incoming week ${incomingWeek}`);
+        return res.json({ 
+          success: true, 
+          message: 'Ignored - newer week already exists',
+          currentWeek: existingWeek 
+        });
+      }
+
+      // Without a version there is no telling what the client last saw: answer with the stored plan
+      if (existingPlan && version === undefined) {
+        logger.info(`[TRAINING] Save without a version for user ${userId}, sending the current plan`);
+        return sendPlanConflict(res, userId);
+      }
+
+      // Sync to WorkoutPlan collection first, so a version conflict leaves both copies untouched
+      const saved = await WorkoutPlan.findOneAndUpdate(
+        { userId, ...(existingPlan ? { __v: version } : {}) },
+        {
+          userId,
+          weekId: plan.weekId,
+          mission: plan.mission,
+          weeklyPlan: plan.days,
+          currentWeek: plan.currentWeek || 1,
+          updatedAt: clock.now(),
+        },
+        // Never upsert past a failed version check: that would create a second plan
+        { upsert: !existingPlan, new: true }
+      );
+      if (!saved) {
+        logger.info(`[TRAINING] Plan for user ${userId} changed since version ${version}`);
+        return sendPlanConflict(res, userId);
+      }
+
+      // Save the weekly training plan to User
+      user.weeklyTrainingPlan = plan;
+      await user.save();
+
+      logger.info(`[TRAINING] Weekly plan saved successfully for user ${userId}`);
+      return res.json({ success: true, message: 'Plan saved', version: saved.__v });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Update a specific training day status
+  router.patch('/api/training/:userId/day', requireAuth, requireParamOwner(), validate({ params: userIdParams, body: object({ weekId: fields.id, dayNumber, status: dayStatus }, ['dayNumber', 'status']) }), lockPlan(), async (req, res, next) => {
+    const { userId } = req.params;
+    const { weekId, dayNumber, status } = req.body;
+    logger.info(`[TRAINING] Updating day ${dayNumber} to ${status} for user ${userId}`);
+
+    try {
+      const user = await User.findOne({ userId });
+
+      if (!user || !user.weeklyTrainingPlan) return sendError(res, 'plan_not_found');
+
+      // Find and update the day
+      const dayIndex = user.weeklyTrainingPlan.days.findIndex(d => d.day === dayNumber);
+      if (dayIndex === -1) return sendError(res, 'day_not_found');
+
+      user.weeklyTrainingPlan.days[dayIndex].status = status;
+
+      // If marking as done, also set next day as today
+      if (status === 'done') {
+        const nextDayIndex = user.weeklyTrainingPlan.days.findIndex(d => d.day === dayNumber + 1);
+        if (nextDayIndex !== -1 && user.weeklyTrainingPlan.days[nextDayIndex].status === 'upcoming') {
+          user.weeklyTrainingPlan.days[nextDayIndex].status = 'today';
+        }
+      }
+
+      user.markModified('weeklyTrainingPlan');
+      await user.save();
+
+      logger.info(`[TRAINING] Day ${dayNumber} updated to ${status}`);
+      return res.json({ success: true, plan: user.weeklyTrainingPlan });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Generate AI-powered personalized weekly training plan
+  router.post('/api/training/:userId/generate', requireAuth, requireParamOwner(), validate({ params: userIdParams }), limitRoute('ai', 'training-generate'), lockPlan(), async (req, res, next) => {
+    const { userId } = req.params;
+    logger.info(`[AI TRAINING] Generating personalized training plan for user ${userId}`);
+
+    try {
+      // Find user and their latest scan data
+      const user = await User.findOne({ userId });
+
+      if (!user) return sendError(res, 'user_not_found');
+
+      // Get the latest scan for this user
+      const latestScan = await Scan.findOne({ userId }).sort({ timestamp: -1 });
+
+      if (!latestScan) return sendError(res, 'scan_required');
+
+      logger.info(`[AI TRAINING] Found scan - MogScore: ${latestScan.mogScore}, Tier: ${latestScan.tier}`);
+      logger.info(`[AI TRAINING] Weak points: ${latestScan.weakPoints?.join(', ')}`);
+      logger.info(`[AI TRAINING] Strong points: ${latestScan.strongPoints?.join(', ')}`);
+
+      // Build the AI prompt with user's physique data
+      const scanData = {
+        mogScore: latestScan.mogScore,
+        tier: latestScan.tier,
+        muscleBreakdown: latestScan.muscleBreakdown,
+        weakPoints: latestScan.weakPoints || [],
+        strongPoints: latestScan.strongPoints || [],
+        symmetry: latestScan.symmetry,
+        overallAssessment: latestScan.overallAssessment,
+        improvementTips: latestScan.improvementTips || [],
+      };
+
+      // Generate the training plan using AI
+      const trainingPlan = await generateAITrainingPlan(scanData);
+
+      // Save the plan to user's profile
+      user.weeklyTrainingPlan = trainingPlan;
+      user.latestScan = scanData;
+      await user.save();
+
+      // Also save to WorkoutPlan collection for consistency
+      await WorkoutPlan.findOneAndUpdate(
+        { userId },
+        {
+          userId,
+          weekId: trainingPlan.weekId,
+          mission: trainingPlan.mission,
+          weeklyPlan: trainingPlan.days,
+          currentWeek: 1,
+          createdAt: clock.now(),
+          updatedAt: clock.now(),
+        },
+        { upsert: true, new: true }
+      );
+
+      logger.info(`[AI TRAINING] Plan generated and saved for user ${userId}`);
+
+      res.json({ 
+        success: true, 
+        plan: trainingPlan,
+        message: 'Training plan generated based on your physique analysis'
+      });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- TRAINING SESSION -----
+
+  const completeDayBody = object({
+    weekId: fields.id,
+    dayNumber,
+    targetMuscles: { type: 'array', items: { type: 'string' } },
+    exerciseCount: { type: 'integer', minimum: 0 },
+    formScore: { type: 'number', minimum: 0, maximum: 100 },
+  }, ['dayNumber']);
+
+  // Complete a training day (with userId in path - matches frontend)
+  router.post('/api/training/:userId/complete-day', requireAuth, requireParamOwner(), validate({ params: userIdParams, body: completeDayBody }), lockPlan(), async (req, res, next) => {
+    const userId = req.params.userId;
+    const { weekId, dayNumber, targetMuscles, exerciseCount, formScore } = req.body;
+    logger.info(`[TRAINING] Completing day ${dayNumber} for user ${userId}`);
+    logger.debug('[TRAINING] Complete-day request', { weekId, dayNumber, targetMuscles, exerciseCount, formScore });
+
+    try {
+      // Find the workout plan
+      let plan = await WorkoutPlan.findOne({ userId });
+
+      // If no plan exists, try to create one from user's scan data
+      if (!plan) {
+        logger.info(`[TRAINING] No workout plan found, checking for user scan data...`);
+
+        const user = await User.findOne({ userId });
+
+        if (user && user.latestScan) {
+          logger.info(`[TRAINING] Found scan data, generating new plan...`);
+          try {
+            const newPlan = await generateAITrainingPlan(user.latestScan);
+
+            // Save to WorkoutPlan collection
+            plan = await WorkoutPlan.findOneAndUpdate(
+              { userId },
+              { 
+                userId,
+                weeklyPlan: newPlan.days,
+                weekId: newPlan.weekId,
+                mission: newPlan.mission,
+                currentWeek: 1,
+                updatedAt: clock.now()
+              },
+              { upsert: true, new: true }
+            );
+
+            // Also save to user
+            user.weeklyTrainingPlan = newPlan;
+            await user.save();
+
+            logger.info(`[TRAINING] Created new plan with ${newPlan.days.length} days`);
+          } catch (genErr) {
+            logger.error(`[TRAINING] Failed to generate plan:`, genErr.message);
+            return sendError(res, 'plan_generation_failed');
+          }
+        } else {
+          logger.info(`[TRAINING] No workout plan and no scan data for user ${userId}`);
+          return sendError(res, 'plan_not_found');
+        }
+      }
+
+      logger.info(`[TRAINING] Current plan state - Week: ${plan.currentWeek}, Days: ${plan.weeklyPlan?.length}`);
+      logger.info(`[TRAINING] Day statuses BEFORE update:`, plan.weeklyPlan?.map(d => ({ day: d.day, status: d.status })));
+
+      // Find and update the day status
+      const dayIndex = plan.weeklyPlan.findIndex(d => d.day === dayNumber);
+      if (dayIndex === -1) {
+        logger.info(`[TRAINING] Day ${dayNumber} not found in plan`);
+        return sendError(res, 'day_not_found');
+      }
+
+      // Mark day as completed
+      plan.weeklyPlan[dayIndex].status = 'done';
+      plan.weeklyPlan[dayIndex].completed = true;
+      plan.weeklyPlan[dayIndex].completedAt = clock.now();
+
+      // Update the next day's status to 'today' if it exists and is currently 'upcoming'
+      const nextDayIndex = plan.weeklyPlan.findIndex(d => d.day === dayNumber + 1);
+      if (nextDayIndex !== -1 && plan.weeklyPlan[nextDayIndex].status === 'upcoming') {
+        plan.weeklyPlan[nextDayIndex].status = 'today';
+        logger.info(`[TRAINING] Advanced day ${dayNumber + 1} to 'today'`);
+      }
+
+      logger.info(`[TRAINING] Marked day ${dayNumber} as done`);
+      logger.info(`[TRAINING] Day statuses AFTER update:`, plan.weeklyPlan?.map(d => ({ day: d.day, status: d.status })));
+
+      // Mark all exercises as completed
+      if (plan.weeklyPlan[dayIndex].exercises) {
+        plan.weeklyPlan[dayIndex].exercises = plan.weeklyPlan[dayIndex].exercises.map(ex => ({
+          ...ex,
+          completed: true
+        }));
+      }
+
+      // Store completed exercises in history for progressive overload tracking
+      if (!plan.completedHistory) plan.completedHistory = [];
+      plan.completedHistory.push({
+        weekNumber: plan.currentWeek || 1,
+        dayNumber,
+        completedAt: clock.now(),
+        exercises: plan.weeklyPlan[dayIndex].exercises,
+        targetMuscles: plan.weeklyPlan[dayIndex].targetMuscles || targetMuscles || [],
+      });
+
+      // IMPORTANT: Mark the nested array as modified so Mongoose saves the changes
+      plan.markModified('weeklyPlan');
+      plan.markModified('completedHistory');
+
+      // Version-checked: fails rather than overwrite a change made since the plan was loaded
+      if (!(await savePlan(res, plan))) return;
+      logger.info(`[TRAINING] Saved plan to database`);
+
+      // Calculate mog points earned
+      const actualExerciseCount = exerciseCount || plan.weeklyPlan[dayIndex].exercises?.length || 3;
+      const mogPointsEarned = 0.2 + actualExerciseCount * 0.15;
+
+      // Update user's mog score
+      const user = await User.findOne({ userId });
+
+      if (user) {
+        user.mogScore = (user.mogScore || 0) + mogPointsEarned;
+        user.totalWorkouts = (user.totalWorkouts || 0) + 1;
+        user.lastWorkoutDate = clock.now();
+        await user.save();
+
+        logger.info(`[TRAINING] User ${userId} earned ${mogPointsEarned} mog points. Total: ${user.mogScore}`);
+      }
+
+      // Check if all days are completed - generate next week if so
+      const daysStatuses = plan.weeklyPlan.map(d => d.status);
+      const allDaysCompleted = plan.weeklyPlan.every(d => d.status === 'done');
+      logger.info(`[TRAINING] Checking week completion - Day statuses: [${daysStatuses.join(', ')}]`);
+      logger.info(`[TRAINING] All days completed? ${allDaysCompleted}`);
+
+      let newWeekGenerated = false;
+      let newWeekNumber = plan.currentWeek || 1;
+
+      if (allDaysCompleted) {
+        logger.info(`[TRAINING] ALL DAYS COMPLETED! Generating next week (Week ${newWeekNumber + 1}) for user ${userId}`);
+        try {
+          // Generate next week with progressive overload
+          const nextWeek = await generateNextWeekPlan(user, plan);
+          logger.info(`[TRAINING] generateNextWeekPlan returned ${nextWeek?.length || 0} days`);
+          if (nextWeek && nextWeek.length > 0) {
+            newWeekNumber = (plan.currentWeek || 1) + 1;
+            plan.currentWeek = newWeekNumber;
+            plan.weeklyPlan = nextWeek;
+            plan.weekId = `week-${newWeekNumber}-${clock.now().getTime()}`;
+            await plan.save();
+            logger.info(`[TRAINING] Saved plan with week ${newWeekNumber} to database`);
+
+            // Also sync to user.weeklyTrainingPlan
+            if (user) {
+              user.weeklyTrainingPlan = {
+                weekId: plan.weekId,
+                weekNumber: newWeekNumber,
+                mission: plan.mission || `Week ${newWeekNumber} - Continue your transformation`,
+                days: nextWeek,
+                currentWeek: newWeekNumber,
+              };
+              await user.save();
+            }
+
+            newWeekGenerated = true;
+            logger.info(`[TRAINING] Week ${newWeekNumber} generated successfully with ${nextWeek.length} days`);
+          } else {
+            logger.info('[TRAINING] generateNextWeekPlan returned empty, keeping current week');
+          }
+        } catch (genErr) {
+          logger.error('[TRAINING] Failed to generate next week:', genErr);
+        }
+      }
+
+      res.json({
+        success: true,
+        dayCompleted: dayNumber,
+        mogPointsEarned,
+        newMogScore: user?.mogScore,
+        totalWorkouts: user?.totalWorkouts,
+        allDaysCompleted,
+        newWeekGenerated,
+        currentWeek: newWeekNumber,
+        version: plan.__v,
+      });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  const sessionBody = object({ userId: fields.id, weekId: fields.id, dayNumber }, ['userId', 'dayNumber']);
+
+  // Complete a training day (legacy endpoint without userId in path)
+  router.post('/api/training/complete-day', requireAuth, requireBodyOwner(), validate({ body: sessionBody }), lockPlan('body'), async (req, res, next) => {
+    const { userId, weekId, dayNumber } = req.body;
+    logger.info(`[TRAINING] Completing day ${dayNumber} for user ${userId}`);
+
+    try {
+      // Find the workout plan
+      const plan = await WorkoutPlan.findOne({ userId });
+      if (!plan) return sendError(res, 'plan_not_found');
+
+      // Find and update the day status
+      const dayIndex = plan.weeklyPlan.findIndex(d => d.day === dayNumber);
+      if (dayIndex === -1) return sendError(res, 'day_not_found');
+
+      // Mark day as completed
+      plan.weeklyPlan[dayIndex].status = 'done';
+      plan.weeklyPlan[dayIndex].completed = true;
+      plan.weeklyPlan[dayIndex].completedAt = clock.now();
+
+      // Mark all exercises as completed
+      if (plan.weeklyPlan[dayIndex].exercises) {
+        plan.weeklyPlan[dayIndex].exercises = plan.weeklyPlan[dayIndex].exercises.map(ex => ({
+          ...ex,
+          completed: true
+        }));
+      }
+
+      // Store completed exercises in history for progressive overload tracking
+      if (!plan.completedHistory) plan.completedHistory = [];
+      plan.completedHistory.push({
+        weekNumber: plan.currentWeek || 1,
+        dayNumber,
+        completedAt: clock.now(),
+        exercises: plan.weeklyPlan[dayIndex].exercises,
+        targetMuscles: plan.weeklyPlan[dayIndex].targetMuscles || [],
+      });
+
+      plan.markModified('weeklyPlan');
+      plan.markModified('completedHistory');
+      if (!(await savePlan(res, plan))) return;
+
+      // Calculate mog points earned
+      const exerciseCount = plan.weeklyPlan[dayIndex].exercises?.length || 3;
+      const mogPointsEarned = 0.2 + exerciseCount * 0.15;
+
+      // Update user's mog score
+      const user = await User.findOne({ userId });
+
+      if (user) {
+        user.mogScore = (user.mogScore || 0) + mogPointsEarned;
+        user.totalWorkouts = (user.totalWorkouts || 0) + 1;
+        user.lastWorkoutDate = clock.now();
+        await user.save();
+
+        logger.info(`[TRAINING] User ${userId} earned ${mogPointsEarned} mog points. Total: ${user.mogScore}`);
+      }
+
+      // Check if all days are completed - generate next week if so
+      const allDaysCompleted = plan.weeklyPlan.every(d => d.status === 'done');
+      let newWeekGenerated = false;
+
+      if (allDaysCompleted) {
+        logger.info(`[TRAINING] All days completed! Generating next week for user ${userId}`);
+        try {
+          // Generate next week with progressive overload
+          const nextWeek = await generateNextWeekPlan(user, plan);
+          if (nextWeek) {
+            plan.currentWeek = (plan.currentWeek || 1) + 1;
+            plan.weeklyPlan = nextWeek;
+            plan.weekId = `week-${plan.currentWeek}-${clock.now().getTime()}`;
+            await plan.save();
+
+            // Also sync to user.weeklyTrainingPlan
+            if (user) {
+              user.weeklyTrainingPlan = {
+                weekId: plan.weekId,
+                mission: plan.mission || 'Continue your transformation',
+                days: nextWeek,
+                currentWeek: plan.currentWeek,
+              };
+              await user.save();
+            }
+
+            newWeekGenerated = true;
+            logger.info(`[TRAINING] Week ${plan.currentWeek} generated successfully`);
+          }
+        } catch (genErr) {
+          logger.error('[TRAINING] Failed to generate next week:', genErr);
+        }
+      }
+
+      res.json({
+        success: true,
+        dayCompleted: dayNumber,
+        mogPointsEarned,
+        newMogScore: user?.mogScore,
+        totalWorkouts: user?.totalWorkouts,
+        allDaysCompleted,
+        newWeekGenerated,
+        currentWeek: plan.currentWeek || 1,
+        version: plan.__v,
+      });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Start a training session
+  router.post('/api/training/start-session', requireAuth, requireBodyOwner(), validate({ body: sessionBody }), lockPlan('body'), async (req, res, next) => {
+    const { userId, weekId, dayNumber } = req.body;
+    logger.info(`[TRAINING] Starting session for day ${dayNumber}, user ${userId}`);
+
+    try {
+      // Mark day as in progress with a positional update, leaving the rest of the plan alone
+      const startedAt = clock.now();
+      const plan = await WorkoutPlan.findOneAndUpdate(
+        { userId, 'weeklyPlan.day': dayNumber },
+        { $set: { 'weeklyPlan.$[session].status': 'today', 'weeklyPlan.$[session].startedAt': startedAt, updatedAt: startedAt } },
+        { arrayFilters: [{ 'session.day': dayNumber }], new: true }
+      );
+      if (!plan) {
+        return sendError(res, (await WorkoutPlan.exists({ userId })) ? 'day_not_found' : 'plan_not_found');
+      }
+
+      res.json({
+        success: true,
+        session: {
+          dayNumber,
+          startedAt,
+          exercises: plan.weeklyPlan.find(d => d.day === dayNumber).exercises,
+        }
+      });
+
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Image generation is paid, so only exercises from the caller's own plan are generated
+  const isInUserPlan = async (userId, exerciseName) => {
+    const [workoutPlan, user] = await Promise.all([
+      WorkoutPlan.findOne({ userId }, 'weeklyPlan').lean(),
+      User.findOne({ userId }, 'weeklyTrainingPlan').lean(),
+    ]);
+    const key = imageKey(exerciseName);
+    const days = [...(workoutPlan?.weeklyPlan || []), ...(user?.weeklyTrainingPlan?.days || [])];
+    return days.some(day => (day.exercises || []).some(ex => typeof ex.name === 'string' && imageKey(ex.name) === key));
+  };
+
+  router.post('/api/workout/generate-exercise-image', requireAuth, validate({ body: object({ exerciseName: { type: 'string', minLength: 1, maxLength: 200 }, exerciseId: fields.id }, ['exerciseName']) }), limitRoute('ai', 'workout-exercise-image'), async (req, res) => {
+    const { exerciseName, exerciseId } = req.body;
+
+    // Images generated earlier, by any instance
+    const cached = await getCachedImages(exerciseName).catch(err => {
+      logger.error('[AI-IMAGE] Could not read stored images:', err.message);
+      return null;
+    });
+    if (cached) {
+      logger.info(`[AI-IMAGE] Cache hit for: ${exerciseName}`);
+      return res.json({ success: true, images: cached, source: 'ai-cached' });
+    }
+
+    // Queue AI generation (once per exercise until it finishes)
+    if (ai) {
+      try {
+        if (await isInUserPlan(req.auth.userId, exerciseName)) {
+          const { job, created } = await queueExerciseImages(exerciseName, exerciseId);
+          if (created) logger.info(`[AI-IMAGE] Queued for background generation: ${exerciseName} (${job.jobId})`);
+        } else {
+          logger.info(`[AI-IMAGE] ${exerciseName} is not in the plan of user ${req.auth.userId}, not generating`);
+        }
+      } catch (err) {
+        logger.error('[AI-IMAGE] Could not queue image generation:', err.message);
+      }
+    }
+
+    // Return stock images immediately for fast UX (AI images will be ready on next request)
+    logger.info(`[IMAGES] Returning stock images for: ${exerciseName}`);
+    const getStockImages = (exName, exId) => {
+      const fallbackName = exName.toLowerCase();
+
+      // Leg exercises
+      if (fallbackName.includes('squat') || fallbackName.includes('leg') || fallbackName.includes('lunge') || fallbackName.includes('deadlift') || fallbackName.includes('calf')) {
+        return [
+          { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1574680096145-d05b474e2155?w=600&h=600&fit=crop', phase: 'start' },
+          { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1434608519344-49d77a699e1d?w=600&h=600&fit=crop', phase: 'middle' },
+          { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1597452485669-2c7bb5fef90d?w=600&h=600&fit=crop', phase: 'end' },
+        ];
+      }
+
+      // Chest/Push exercises
+      if (fallbackName.includes('press') || fallbackName.includes('push') || fallbackName.includes('chest') || fallbackName.includes('bench') || fallbackName.includes('fly')) {
+        return [
+          { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1571019614242-c5c5dee9f50b?w=600&h=600&fit=crop', phase: 'start' },
+          { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1581009146145-b5ef050c149a?w=600&h=600&fit=crop', phase: 'middle' },
+          { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1598971639058-a907e5e9f3d5?w=600&h=600&fit=crop', phase: 'end' },
+        ];
+      }
+
+      // Back/Pull exercises
+      if (fallbackName.includes('row') || fallbackName.includes('pull') || fallbackName.includes('back') || fallbackName.includes('lat') || fallbackName.includes('face')) {
+        return [
+          { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1603287681836-b174ce5074c2?w=600&h=600&fit=crop', phase: 'start' },
+          { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1532029837206-abbe2b7620e3?w=600&h=600&fit=crop', phase: 'middle' },
+          { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1583454110551-21f2fa2afe61?w=600&h=600&fit=crop', phase: 'end' },
+        ];
+      }
+
+      // Arm/Bicep/Tricep exercises
+      if (fallbackName.includes('curl') || fallbackName.includes('bicep') || fallbackName.includes('tricep') || fallbackName.includes('arm') || fallbackName.includes('dip')) {
+        return [
+          { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1581009137042-c552e485697a?w=600&h=600&fit=crop', phase: 'start' },
+          { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1584466977773-e625c37cdd50?w=600&h=600&fit=crop', phase: 'middle' },
+          { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1591940742878-13aba4b7a34e?w=600&h=600&fit=crop', phase: 'end' },
+        ];
+      }
+
+      // Shoulder exercises
+      if (fallbackName.includes('shoulder') || fallbackName.includes('delt') || fallbackName.includes('raise') || fallbackName.includes('shrug')) {
+        return [
+          { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1541534741688-6078c6bfb5c5?w=600&h=600&fit=crop', phase: 'start' },
+          { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1532384748853-8f54a8f476e2?w=600&h=600&fit=crop', phase: 'middle' },
+          { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1534368959876-26bf04f2c947?w=600&h=600&fit=crop', phase: 'end' },
+        ];
+      }
+
+      // Core/Ab exercises
+      if (fallbackName.includes('crunch') || fallbackName.includes('plank') || fallbackName.includes('ab') || fallbackName.includes('core') || fallbackName.includes('twist')) {
+        return [
+          { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1571019613454-1cb2f99b2d8b?w=600&h=600&fit=crop', phase: 'start' },
+          { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1544367567-0f2fcb009e0b?w=600&h=600&fit=crop', phase: 'middle' },
+          { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1517836357463-d25dfeac3438?w=600&h=600&fit=crop', phase: 'end' },
+        ];
+      }
+
+      // Default fitness images
+      return [
+        { id: `${exId}-1`, url: 'https://images.unsplash.com/photo-1534438327276-14e5300c3a48?w=600&h=600&fit=crop', phase: 'start' },
+        { id: `${exId}-2`, url: 'https://images.unsplash.com/photo-1549060279-7e168fcee0c2?w=600&h=600&fit=crop', phase: 'middle' },
+        { id: `${exId}-3`, url: 'https://images.unsplash.com/photo-1517838277536-f5f99be501cd?w=600&h=600&fit=crop', phase: 'end' },
+      ];
+    };
+
+    const images = getStockImages(exerciseName, exerciseId);
+    return res.json({ success: true, images, source: 'stock' });
+  });
+
+  /**
+   * A stored exercise image (the `ai-cached` URLs above). Public so image views can load it
+   * without auth headers; file ids are random and an image never changes once stored.
+   * GET /api/workout/exercise-images/:fileId
+   */
+  router.get('/api/workout/exercise-images/:fileId', validate({ params: object({ fileId: fields.id }, ['fileId']) }), async (req, res, next) => {
+    try {
+      const file = await getImageFile(req.params.fileId);
+      if (!file) return sendError(res, 'image_not_found');
+      res.set('Cache-Control', 'public, max-age=31536000, immutable');
+      res.type(file.contentType).send(file.data);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // AI Form Analysis endpoint - analyzes user's form via camera capture
+  const analyzeFormBody = object({
+    exerciseName: { type: 'string', minLength: 1, maxLength: 200 },
+    stepName: { type: 'string', maxLength: 200 },
+    imageBase64: fields.image,
+    stepNumber: { type: 'integer', minimum: 1 },
+    totalSteps: { type: 'integer', minimum: 1 },
+  }, ['exerciseName', 'imageBase64']);
+
+  router.post('/api/workout/analyze-form', optionalAuth, validate({ body: analyzeFormBody }), limitRoute('ai', 'workout-analyze-form'), async (req, res) => {
+    const { exerciseName, stepName, imageBase64, stepNumber, totalSteps } = req.body;
+
+    if (!ai) {
+      logger.info('[AI-FORM] AI provider not configured - returning mock response');
+      return res.json({
+        success: true,
+        isCorrectForm: true,
+        confidence: 75,
+        feedback: 'Keep up the good form! Focus on controlled movements.',
+        guidance: 'Maintain steady breathing throughout the movement.'
+      });
+    }
+
+    try {
+      logger.info(`[AI-FORM] Analyzing form for: ${exerciseName} - ${stepName || 'general'}`);
+
+      const completion = await structuredAI.analyzeImages({
+        feature: 'formCheck',
+        system: `You are a friendly, encouraging personal trainer speaking DIRECTLY to the user during their workout. Talk TO them, not ABOUT them.
+
+YOUR PERSONALITY: Warm, supportive, but honest. Like a best friend who's also a fitness expert. Use "you" and "your" - speak directly to the person.
+
+ANALYZE THE IMAGE:
+1. What do you see? (their position, the environment)
+2. Are they actively doing the exercise or waiting/resting?
+3. If exercising, is their form correct?
+
+FOR ${exerciseName.toUpperCase()}:
+- Check the key positions and alignment
+- Look for common mistakes
+- Be ready to guide them through proper execution
+
+HOW TO RESPOND:
+
+IF THEY'RE NOT EXERCISING YET:
+- feedback: "Alright, let's get started! I'm here to guide you."
+- guidance: Tell them exactly how to begin. E.g., "Stand with your feet shoulder-width apart, take a breath, and let's do this together."
+
+IF THEIR FORM NEEDS WORK:
+- feedback: Acknowledge their effort, then correct. E.g., "Good effort! Let's adjust your stance a bit."
+- guidance: Give specific, actionable coaching. E.g., "Push your hips back more, keep your chest up, and drive through your heels."
+
+IF THEIR FORM IS GOOD:
+- feedback: Celebrate! E.g., "That's it! Perfect form, keep that energy!"
+- guidance: Encourage continuation. E.g., "Maintain that position, breathe steadily, you're doing amazing."
+
+IF YOU CAN'T SEE THEM CLEARLY:
+- feedback: "I can't quite see you clearly."
+- guidance: "Try adjusting your phone so I can see your full body."
+
+RULES:
+- NEVER say "The person is..." - Always say "You are..." or give direct commands
+- Be conversational and motivating, not robotic
+- Keep feedback warm but honest
+- isCorrectForm: true ONLY if form is genuinely good
+
+Respond ONLY in valid JSON:
+{
+  "isCorrectForm": boolean,
+  "confidence": number (0-100),
+  "feedback": "10-15 words speaking directly to the user",
+  "guidance": "15-30 words of specific coaching instructions for them"
+}`,
+        prompt: `EXERCISE: ${exerciseName}
+CURRENT STEP (${stepNumber || 1}/${totalSteps || 1}): ${stepName || 'in progress'}
+
+Look at this image and coach the user directly. What should they do?`,
+        images: [imageBase64],
+        detail: 'high', // high detail for accurate analysis
+        maxTokens: 250,
+      }).catch((err) => {
+        if (!err.validationErrors) throw err; // Provider errors use the error response below
+        logger.info('[AI-FORM] AI response rejected:', err.message);
+        return null;
+      });
+
+      if (completion) {
+        const parsed = completion.data;
+        logger.debug('[AI-FORM] Raw response received', { chars: completion.text.length });
+        logger.info(`[AI-FORM] Analysis complete - Correct: ${parsed.isCorrectForm}, Confidence: ${parsed.confidence}%`);
+        logger.debug('[AI-FORM] Feedback', { feedback: parsed.feedback, guidance: parsed.guidance });
+        return res.json({
+          success: true,
+          isCorrectForm: parsed.isCorrectForm,
+          confidence: parsed.confidence,
+          feedback: parsed.feedback,
+          guidance: parsed.guidance
+        });
+      }
+
+      // Fallback - be conservative if the response never passed validation
+      res.json({
+        success: true,
+        isCorrectForm: false,
+        confidence: 40,
+        feedback: 'Unable to analyze clearly. Please adjust your position.',
+        guidance: 'Make sure your full body is visible to the camera.'
+      });
+
+    } catch (err) {
+      logger.error('[AI-FORM] Analysis failed:', err.message);
+      // Keep the coaching fields so the workout screen can still show something
+      sendError(res, 'ai_unavailable', undefined, {
+        isCorrectForm: false,
+        confidence: 30,
+        feedback: 'Analysis error. Continue with focus on form.',
+        guidance: 'Maintain proper posture and controlled movements.'
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createTrainingRouter;
@@ -0,0 +1,486 @@
+// Profile, username, email change, account deletion and data export
+const express = require('express');
+const { signLinkToken, verifyLinkToken } = require('../lib/tokens');
+const { requireParamOwner, requireBodyOwner } = require('../lib/auth');
+const { normalizeEmail } = require('../lib/emailChange');
+const { EXPORT_LINK_TTL_MINUTES } = require('../lib/dataExport');
+const { isTwoFactorEnabled } = require('../lib/twoFactor');
+const { sendError } = require('../lib/errors');
+const { validate, object, fields } = require('../lib/validation');
+const { createRouteHelpers } = require('./helpers');
+const { logger } = require('../lib/logger');
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Minimal standalone page for links opened in a browser. `title` and `message` are text; `extraHtml` is trusted markup.
+const sendPage = (res, status, title, message, extraHtml = '') => res.status(status).type('html').send(`
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta name="viewport" content="width=device-width, initial-scale=1">
+      <title>Mog.ai - ${escapeHtml(title)}</title>
+      <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background-color: #0a0a0a; color: #ffffff; margin: 0; padding: 40px 20px; text-align: center; }
+        h1 { font-size: 24px; }
+        p { color: #aaa; max-width: 420px; margin: 0 auto; line-height: 1.5; }
+        button { margin-top: 24px; padding: 12px 24px; border: 0; border-radius: 8px; background-color: #ffffff; color: #0a0a0a; font-size: 16px; font-weight: 600; }
+      </style>
+    </head>
+    <body>
+      <h1>${escapeHtml(title)}</h1>
+      <p>${escapeHtml(message)}</p>${extraHtml}
+    </body>
+    </html>
+  `);
+
+const sendRevertLinkExpired = (res) => sendPage(res, 400, 'Link expired', 'This link is invalid or has expired. Contact support if you think your account was taken over.');
+
+const createUserRouter = (deps) => {
+  const router = express.Router();
+  const { User, Onboarding, Scan, WorkoutPlan, DeletionReceipt, DataExport } = deps.models;
+  const { config } = deps;
+  const {
+    limitRoute, confirmIdentity, sendCodeError, sendSecondFactorError, sendHandleError, sendCooldownError, exposeEmailCode,
+  } = createRouteHelpers(deps);
+  const { requireAuth, optionalAuth } = deps.services.auth;
+  const { checkHandleAvailability, getRenameCooldown, changeHandle } = deps.services.handles;
+  const { requestDataExport, openArchive } = deps.services.dataExports;
+  const { verifySecondFactor } = deps.services.twoFactor;
+  const { sendAccountDeletionEmail, sendEmailChangeCodeEmail, sendEmailChangeNoticeEmail } = deps.services.emails;
+  const { updateLeaderboard } = deps.services.leaderboard;
+  const { queueDataExport } = deps.services.jobs;
+  const { scheduleAccountDeletion, cancelAccountDeletion } = deps.services.accountDeletion;
+  const { requestEmailChange, confirmEmailChange, cancelEmailChange, checkRevertToken, revertEmailChange } = deps.services.emailChange;
+  const { clock } = deps;
+
+  const updateProfileBody = object({
+    userId: fields.id,
+    firstName: fields.name,
+    lastName: fields.name,
+    email: fields.email,
+    username: fields.username,
+  }, ['userId']);
+
+  /**
+   * Update user profile (name, username, email)
+   * PUT /api/user/update-profile
+   */
+  router.put('/api/user/update-profile', requireAuth, requireBodyOwner(), validate({ body: updateProfileBody }), async (req, res, next) => {
+    try {
+      const { userId, firstName, lastName, email, username } = req.body;
+
+      const user = await User.findOne({ userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      // Email changes only take effect once the new address is confirmed
+      let emailChange = null;
+      if (email && normalizeEmail(email) !== normalizeEmail(user.email)) {
+        emailChange = await startEmailChange(user, email);
+        if (emailChange.error === 'taken') return sendError(res, 'email_taken');
+        if (emailChange.error === 'cooldown') return sendCooldownError(res, emailChange.retryAfter);
+      }
+
+      // Names no longer rewrite the username - it is a separate, unique handle
+      if (username !== undefined && username !== user.username) {
+        const renamed = await changeHandle(user, username);
+        if (renamed.error) return sendHandleError(res, renamed);
+      }
+
+      if (firstName !== undefined) user.firstName = firstName;
+      if (lastName !== undefined) user.lastName = lastName;
+
+      await user.save();
+
+      logger.info(`[USER] Updated profile for user: ${userId}`);
+      res.json({ 
+        success: true, 
+        message: emailChange ? 'Profile updated. Enter the code sent to your new email to finish changing it.' : 'Profile updated successfully',
+        user: {
+          userId: user.userId,
+          email: user.email,
+          pendingEmail: user.pendingEmail,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          username: user.username,
+          isVerified: user.isVerified,
+        },
+        ...exposeEmailCode(emailChange, emailChange?.code)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- USERNAMES -----
+
+  /**
+   * Check whether a username can be used (signup form, rename screen)
+   * GET /api/user/handle/available?handle=...
+   */
+  router.get('/api/user/handle/available', optionalAuth, limitRoute('auth', 'handle-available'), validate({ query: object({ handle: fields.username }, ['handle']) }), async (req, res, next) => {
+    try {
+      const result = await checkHandleAvailability(req.query.handle, req.auth?.userId);
+      res.json({ success: true, ...result });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Change the caller's username (limited to once per USERNAME_CHANGE_COOLDOWN_DAYS; capitalisation fixes are free)
+   * PUT /api/user/handle
+   * Body: { username }
+   */
+  router.put('/api/user/handle', requireAuth, validate({ body: object({ username: fields.username }, ['username']) }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const previous = user.username;
+      const result = await changeHandle(user, req.body.username);
+      if (result.error) return sendHandleError(res, result);
+
+      logger.info(`[HANDLE] ${user.userId} renamed ${previous} -> ${result.handle}`);
+      res.json({ success: true, username: result.handle, nextChangeAt: new Date(clock.now().getTime() + getRenameCooldown(user) * 1000) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- EMAIL CHANGE -----
+
+  const getEmailRevertUrl = (revertToken) => `${config.publicBaseUrl}/api/user/email/revert?token=${encodeURIComponent(revertToken)}`;
+
+  // Store the pending address, email a code to it and a notice (with revert link) to the current one
+  const startEmailChange = async (user, newEmail) => {
+    const result = await requestEmailChange(user, newEmail);
+    if (result.error) return result;
+    await user.save();
+
+    const emailResult = await sendEmailChangeCodeEmail(user.pendingEmail, result.code, user.firstName);
+    await sendEmailChangeNoticeEmail(user.email, user.pendingEmail, getEmailRevertUrl(result.revertToken), user.firstName, 'requested');
+
+    logger.info(`[EMAIL-CHANGE] ${user.userId} requested change to ${user.pendingEmail}`);
+    return { code: result.code, method: emailResult.method };
+  };
+
+  /**
+   * Request an email change (also resends the code)
+   * POST /api/user/email/change
+   * Body: { newEmail }
+   */
+  router.post('/api/user/email/change', requireAuth, limitRoute('auth', 'email-change'), validate({ body: object({ newEmail: fields.email }, ['newEmail']) }), async (req, res, next) => {
+    try {
+      const { newEmail } = req.body;
+
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const result = await startEmailChange(user, newEmail);
+      if (result.error === 'unchanged') return sendError(res, 'email_unchanged');
+      if (result.error === 'taken') return sendError(res, 'email_taken');
+      if (result.error === 'cooldown') return sendCooldownError(res, result.retryAfter);
+
+      res.json({
+        success: true,
+        message: 'Confirmation code sent to your new email',
+        pendingEmail: user.pendingEmail,
+        ...exposeEmailCode(result, result.code)
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Confirm the new email with the code sent to it
+   * POST /api/user/email/confirm
+   * Body: { code }
+   */
+  router.post('/api/user/email/confirm', requireAuth, limitRoute('auth', 'email-confirm'), validate({ body: object({ code: fields.code }, ['code']) }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const result = await confirmEmailChange(user, req.body.code);
+      if (result.status === 'missing') return sendError(res, 'email_change_not_pending');
+      if (result.status === 'taken') return sendError(res, 'email_taken');
+      if (result.status !== 'valid') return sendCodeError(res, result);
+
+      if (result.revertToken) {
+        await sendEmailChangeNoticeEmail(result.previousEmail, user.email, getEmailRevertUrl(result.revertToken), user.firstName, 'completed');
+      }
+
+      logger.info(`[EMAIL-CHANGE] ${user.userId} changed email ${result.previousEmail} -> ${user.email}`);
+      res.json({ success: true, message: 'Email updated', user: { userId: user.userId, email: user.email, isVerified: user.isVerified } });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Cancel a pending email change
+   * DELETE /api/user/email/change
+   */
+  router.delete('/api/user/email/change', requireAuth, validate(), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const cancelled = await cancelEmailChange(user);
+      if (!cancelled) return sendError(res, 'email_change_not_pending');
+
+      res.json({ success: true, message: 'Email change cancelled' });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Confirmation page for the revert link emailed to the previous address (opened in a browser).
+   * Only shows the page - opening the link (mail scanners and link previews do) changes nothing.
+   * GET /api/user/email/revert?token=...
+   */
+  router.get('/api/user/email/revert', validate({ query: object({ token: fields.token }) }), async (req, res) => {
+    try {
+      const token = String(req.query.token || '');
+      const result = await checkRevertToken(token);
+      if (result.status === 'invalid') return sendRevertLinkExpired(res);
+
+      sendPage(res, 200, 'Undo email change?', `This puts ${result.user.emailRevert.previousEmail} back as your account email and signs out every device.`, `
+      <form method="POST" action="/api/user/email/revert">
+        <input type="hidden" name="token" value="${escapeHtml(token)}">
+        <button type="submit">Undo email change</button>
+      </form>`);
+    } catch (err) {
+      logger.error('[EMAIL-CHANGE] Revert page error:', err);
+      sendPage(res, 500, 'Something went wrong', 'Please try the link again in a few minutes.');
+    }
+  });
+
+  /**
+   * Undo the email change (the form on the confirmation page)
+   * POST /api/user/email/revert
+   * Body (form or JSON): { token }
+   */
+  router.post('/api/user/email/revert', express.urlencoded({ extended: false }), validate({ body: object({ token: fields.token }, ['token']) }), async (req, res) => {
+    try {
+      const result = await revertEmailChange(req.body.token);
+      if (result.status === 'invalid') return sendRevertLinkExpired(res);
+      if (result.status === 'taken') {
+        return sendPage(res, 409, 'Could not undo', 'Your previous email is now used by another account. Contact support to recover your account.');
+      }
+
+      logger.info(`[EMAIL-CHANGE] ${result.user.userId} reverted email to ${result.user.email}, all sessions revoked`);
+      sendPage(res, 200, 'Email change undone', `Your account email is ${result.user.email} again and every device has been signed out. Reset your password in the app to secure your account.`);
+    } catch (err) {
+      logger.error('[EMAIL-CHANGE] Revert error:', err);
+      sendPage(res, 500, 'Something went wrong', 'Please try the link again in a few minutes.');
+    }
+  });
+
+  // ----- ACCOUNT DELETION -----
+
+  /**
+   * Schedule deletion of the caller's account and all of its data
+   * DELETE /api/user/account
+   * Body: { password } - or { emailCode } from /api/auth/reauth-code on accounts without a password;
+   * plus { code } from the authenticator app (or a backup code) when 2FA is on
+   */
+  const deleteAccountBody = object({ password: fields.password, emailCode: fields.code, code: fields.code });
+  router.delete('/api/user/account', requireAuth, limitRoute('auth', 'account-delete'), validate({ body: deleteAccountBody }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+      if (!(await confirmIdentity(res, user, req.body))) return;
+      if (isTwoFactorEnabled(user)) {
+        if (!req.body.code) return sendError(res, 'two_factor_code_required');
+        const check = await verifySecondFactor(user, req.body.code);
+        if (check.status !== 'valid') return sendSecondFactorError(res, check);
+      }
+
+      const receipt = await scheduleAccountDeletion(user);
+      await sendAccountDeletionEmail(user.email, receipt, user.firstName, 'scheduled');
+
+      logger.info(`[DELETION] Account ${user.userId} scheduled for deletion on ${receipt.scheduledFor.toISOString()}`);
+      res.json({
+        success: true,
+        message: 'Account scheduled for deletion. Log in and restore it before the scheduled date to undo.',
+        receipt: {
+          receiptId: receipt.receiptId,
+          status: receipt.status,
+          requestedAt: receipt.requestedAt,
+          scheduledFor: receipt.scheduledFor,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Undo a pending account deletion during the grace period
+   * POST /api/user/account/restore
+   */
+  router.post('/api/user/account/restore', requireAuth, validate(), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.auth.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const receipt = await cancelAccountDeletion(user);
+      if (!receipt) return sendError(res, 'deletion_not_scheduled');
+
+      await updateLeaderboard(user);
+
+      logger.info(`[DELETION] Account ${user.userId} restored (receipt ${receipt.receiptId})`);
+      res.json({ success: true, message: 'Account restored', receipt: { receiptId: receipt.receiptId, status: receipt.status } });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Look up a deletion receipt (contains no personal data)
+   * GET /api/user/account/deletion/:receiptId
+   */
+  router.get('/api/user/account/deletion/:receiptId', validate({ params: object({ receiptId: fields.id }, ['receiptId']) }), async (req, res, next) => {
+    try {
+      const receipt = await DeletionReceipt.findOne({ receiptId: req.params.receiptId });
+      if (!receipt) return sendError(res, 'receipt_not_found');
+
+      res.json({
+        success: true,
+        receipt: {
+          receiptId: receipt.receiptId,
+          status: receipt.status,
+          requestedAt: receipt.requestedAt,
+          scheduledFor: receipt.scheduledFor,
+          cancelledAt: receipt.cancelledAt,
+          completedAt: receipt.completedAt,
+          deletedCounts: receipt.deletedCounts,
+        },
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- DATA EXPORT -----
+
+  const serializeDataExport = (dataExport) => {
+    const result = {
+      exportId: dataExport.exportId,
+      status: dataExport.status,
+      requestedAt: dataExport.requestedAt,
+      completedAt: dataExport.completedAt,
+      expiresAt: dataExport.expiresAt,
+      fileSize: dataExport.fileSize,
+    };
+    if (dataExport.status === 'ready') {
+      // Short-lived link so it can be opened in a browser without the bearer token
+      const linkTtlSeconds = Math.min(EXPORT_LINK_TTL_MINUTES * 60, (dataExport.expiresAt - clock.now()) / 1000);
+      const token = signLinkToken('export-download', dataExport.exportId, linkTtlSeconds);
+      result.downloadUrl = `/api/user/export/${dataExport.exportId}/download?token=${token}`;
+    }
+    return result;
+  };
+
+  /**
+   * Request a copy of all personal data (built in the background)
+   * POST /api/user/export
+   */
+  router.post('/api/user/export', requireAuth, limitRoute('auth', 'data-export'), validate(), async (req, res, next) => {
+    try {
+      const { dataExport, created } = await requestDataExport(req.auth.userId);
+      if (created) {
+        await queueDataExport(dataExport.exportId);
+        logger.info(`[EXPORT] Export ${dataExport.exportId} queued for user ${req.auth.userId}`);
+      }
+
+      res.status(created ? 202 : 200).json({
+        success: true,
+        message: created ? 'Export started' : 'An export is already in progress',
+        export: serializeDataExport(dataExport),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Check export status; includes a download link once ready
+   * GET /api/user/export/:exportId
+   */
+  router.get('/api/user/export/:exportId', requireAuth, validate({ params: object({ exportId: fields.id }, ['exportId']) }), async (req, res, next) => {
+    try {
+      const dataExport = await DataExport.findOne({ exportId: req.params.exportId, userId: req.auth.userId });
+      if (!dataExport) return sendError(res, 'export_not_found');
+
+      res.json({ success: true, export: serializeDataExport(dataExport) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  /**
+   * Download the export archive using the signed link from the status endpoint
+   * GET /api/user/export/:exportId/download?token=...
+   */
+  router.get('/api/user/export/:exportId/download', validate({ params: object({ exportId: fields.id }, ['exportId']), query: object({ token: fields.token }, ['token']) }), async (req, res, next) => {
+    try {
+      const exportId = verifyLinkToken('export-download', req.query.token);
+      if (!exportId || exportId !== req.params.exportId) return sendError(res, 'link_invalid', 'Download link is invalid or has expired');
+
+      const dataExport = await DataExport.findOne({ exportId });
+      if (!dataExport?.fileId || dataExport.status !== 'ready' || dataExport.expiresAt <= clock.now()) return sendError(res, 'export_expired');
+
+      const archive = openArchive(dataExport);
+      archive.on('error', (err) => {
+        logger.error('[EXPORT] Download error:', err.message);
+        if (!res.headersSent) return sendError(res, 'export_expired');
+        res.destroy(err);
+      });
+      archive.once('file', () => res.attachment(`mogai-export-${dataExport.exportId}.zip`));
+      archive.pipe(res);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // ----- USER PROFILE -----
+
+  router.get('/api/user/:userId', requireAuth, requireParamOwner(), validate({ params: object({ userId: fields.id }, ['userId']) }), async (req, res, next) => {
+    try {
+      const user = await User.findOne({ userId: req.params.userId });
+      if (!user) return sendError(res, 'user_not_found');
+
+      const onboarding = await Onboarding.findOne({ userId: req.params.userId });
+      const scans = await Scan.find({ userId: req.params.userId }).sort({ createdAt: -1 });
+      const workoutPlan = await WorkoutPlan.findOne({ userId: req.params.userId });
+
+      res.json({
+        success: true,
+        user: {
+          userId: user.userId,
+          email: user.email,
+          username: user.username,
+          firstName: user.firstName,
+          lastName: user.lastName,
+          mogScore: user.mogScore,
+          tier: user.tier,
+          streak: user.streak,
+        },
+        onboardingData: onboarding?.data || null,
+        latestScan: scans[0] || null,
+        hasWorkoutPlan: !!workoutPlan,
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+};
+
+module.exports = createUserRouter;
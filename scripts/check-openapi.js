@@ -0,0 +1,80 @@
+/**
+ * Check that every route has an OpenAPI entry (a validate() middleware, see lib/openapi.js)
+ * and that the endpoint index in API_DOCUMENTATION.md matches the routes.
+ *
+ * Usage:
+ *   npm run check:openapi             # exits 1 on undocumented routes or a stale index
+ *   npm run check:openapi -- --write  # regenerate the index in API_DOCUMENTATION.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createApp } = require('../app');
+const { createDependencies } = require('../lib/dependencies');
+const { findUndocumentedRoutes, buildOpenApiSpec } = require('../lib/openapi');
+
+const DOC_PATH = path.join(__dirname, '..', 'API_DOCUMENTATION.md');
+const INDEX_START = '<!-- endpoint-index:start -->';
+const INDEX_END = '<!-- endpoint-index:end -->';
+
+const describeAuth = (operation) => {
+  if (!operation.security) return '-';
+  const schemes = operation.security.flatMap(Object.keys);
+  const names = schemes.map(scheme => (scheme === 'bearerAuth' ? 'bearer' : 'guest token')).join(' or ');
+  return operation.security.some(entry => Object.keys(entry).length === 0) ? `optional (${names})` : names;
+};
+
+const describeInputs = (operation) => {
+  const params = (operation.parameters || []).filter(param => param.in === 'query').map(param => `?${param.name}`);
+  const body = operation.requestBody?.content['application/json'].schema;
+  const fields = Object.keys(body?.properties || {}).map(name => ((body.required || []).includes(name) ? `**${name}**` : name));
+  return [...params, ...fields].join(', ') || '-';
+};
+
+const renderIndex = (spec) => {
+  const rows = Object.entries(spec.paths).flatMap(([route, operations]) => Object.entries(operations)
+    .map(([method, operation]) => `| ${operation.tags[0]} | \`${method.toUpperCase()} ${route}\` | ${describeAuth(operation)} | ${describeInputs(operation)} |`));
+
+  return [
+    INDEX_START,
+    '| Area | Endpoint | Auth | Query / body (**required**) |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    INDEX_END,
+  ].join('\n');
+};
+
+const run = () => {
+  const app = createApp(createDependencies());
+  const undocumented = findUndocumentedRoutes(app);
+  const spec = buildOpenApiSpec(app);
+
+  const doc = fs.readFileSync(DOC_PATH, 'utf8');
+  const start = doc.indexOf(INDEX_START);
+  const end = doc.indexOf(INDEX_END);
+  if (start === -1 || end === -1) {
+    console.error(`[OPENAPI] ${path.basename(DOC_PATH)} has no ${INDEX_START} ... ${INDEX_END} block`);
+    process.exit(1);
+  }
+  const current = doc.slice(start, end + INDEX_END.length);
+  const expected = renderIndex(spec);
+
+  if (process.argv.includes('--write')) {
+    fs.writeFileSync(DOC_PATH, doc.replace(current, expected));
+    console.log(`[OPENAPI] Wrote endpoint index (${Object.keys(spec.paths).length} paths) to ${path.basename(DOC_PATH)}`);
+  } else if (current !== expected) {
+    console.error(`[OPENAPI] Endpoint index in ${path.basename(DOC_PATH)} is out of date. Run: npm run check:openapi -- --write`);
+    process.exitCode = 1;
+  }
+
+  if (undocumented.length > 0) {
+    console.error('[OPENAPI] Routes without a spec entry (add validate() from lib/validation.js):');
+    undocumented.forEach(route => console.error(`  - ${route}`));
+    process.exitCode = 1;
+  }
+
+  if (!process.exitCode) console.log('[OPENAPI] Every route has a spec entry');
+  process.exit();
+};
+
+run();
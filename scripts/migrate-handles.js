@@ -0,0 +1,82 @@
+/**
+ * One-off migration: give every user a unique, case-insensitive handle and build the index.
+ * Duplicate usernames (oldest account keeps it) and invalid ones get a generated handle;
+ * leaderboard entries are updated to match.
+ *
+ * Usage:
+ *   npm run migrate:handles            # fix handles and create the unique index
+ *   npm run migrate:handles -- --check # only report accounts that need a new handle
+ */
+
+require('dotenv').config();
+
+const { connectMongo, mongoose } = require('../mongo');
+const User = require('../models/User');
+const Leaderboard = require('../models/Leaderboard');
+const { validateHandle, createHandles } = require('../lib/handles');
+
+const { generateUniqueHandle } = createHandles({ models: { User, Leaderboard }, clock: { now: () => new Date() } });
+
+const run = async () => {
+  const checkOnly = process.argv.includes('--check');
+
+  await connectMongo();
+
+  const seen = new Set();
+  let renamed = 0;
+  let backfilled = 0;
+  let failed = 0;
+
+  const cursor = User.find({}).sort({ createdAt: 1 }).cursor();
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    const validated = validateHandle(user.username);
+    const key = validated.handle;
+    const needsNewHandle = !key || seen.has(key);
+
+    if (!needsNewHandle) {
+      seen.add(key);
+      if (user.usernameLower === key) continue;
+      backfilled++;
+      if (!checkOnly) await User.updateOne({ _id: user._id }, { usernameLower: key });
+      continue;
+    }
+
+    renamed++;
+    if (checkOnly) {
+      console.log(`[MIGRATE] ${user.userId} needs a new handle (was "${user.username}")`);
+      continue;
+    }
+
+    try {
+      // Handles claimed earlier in this run aren't indexed yet, so retry until the new one is unseen
+      let handle;
+      do {
+        handle = await generateUniqueHandle(user.username || user.firstName || user.email?.split('@')[0]);
+      } while (seen.has(handle));
+      seen.add(handle);
+
+      await User.updateOne({ _id: user._id }, { username: handle, usernameLower: handle });
+      await Leaderboard.updateMany({ userId: user.userId }, { username: handle });
+      console.log(`[MIGRATE] ${user.userId}: "${user.username}" -> "${handle}"`);
+    } catch (err) {
+      failed++;
+      console.error(`[MIGRATE] Failed to rename user ${user.userId}:`, err.message);
+    }
+  }
+
+  console.log(`[MIGRATE] ${renamed} account(s) ${checkOnly ? 'need' : 'got'} a new handle, ${backfilled} handle key(s) ${checkOnly ? 'to backfill' : 'backfilled'}`);
+
+  if (!checkOnly && failed === 0) {
+    await User.createIndexes(); // autoIndex is off, so build the unique handle index explicitly
+    console.log('[MIGRATE] User indexes created');
+  }
+
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run().catch(async (err) => {
+  console.error('[MIGRATE] Migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
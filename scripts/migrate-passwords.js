@@ -0,0 +1,56 @@
+/**
+ * One-off migration: hash any User passwords still stored as plaintext.
+ *
+ * Usage:
+ *   npm run migrate:passwords            # hash plaintext passwords
+ *   npm run migrate:passwords -- --check # only report unmigrated accounts
+ */
+
+require('dotenv').config();
+
+const { connectMongo, mongoose } = require('../mongo');
+const User = require('../models/User');
+const { BCRYPT_PATTERN } = require('../lib/password');
+
+const UNMIGRATED_QUERY = { password: { $exists: true, $ne: null, $not: BCRYPT_PATTERN } };
+
+const run = async () => {
+  const checkOnly = process.argv.includes('--check');
+
+  await connectMongo();
+
+  const totalUsers = await User.countDocuments();
+  const pending = await User.countDocuments(UNMIGRATED_QUERY);
+  console.log(`[MIGRATE] ${pending} of ${totalUsers} account(s) have plaintext passwords`);
+
+  if (!checkOnly && pending > 0) {
+    let migrated = 0;
+    let failed = 0;
+
+    const cursor = User.find(UNMIGRATED_QUERY).cursor();
+    for (let user = await cursor.next(); user; user = await cursor.next()) {
+      try {
+        user.markModified('password'); // Pre-save hook hashes the plaintext value
+        await user.save();
+        migrated++;
+      } catch (err) {
+        failed++;
+        console.error(`[MIGRATE] Failed to migrate user ${user.userId}:`, err.message);
+      }
+    }
+
+    console.log(`[MIGRATE] Hashed ${migrated} password(s), ${failed} failure(s)`);
+  }
+
+  const remaining = await User.countDocuments(UNMIGRATED_QUERY);
+  console.log(`[MIGRATE] ${remaining} account(s) remain unmigrated`);
+
+  await mongoose.disconnect();
+  process.exit(remaining > 0 && !checkOnly ? 1 : 0);
+};
+
+run().catch(async (err) => {
+  console.error('[MIGRATE] Migration failed:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
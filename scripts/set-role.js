@@ -0,0 +1,44 @@
+/**
+ * Grant or revoke a role for an account.
+ *
+ * Usage:
+ *   npm run set-role -- <email> <user|coach|admin>
+ */
+
+require('dotenv').config();
+
+const { connectMongo, mongoose } = require('../mongo');
+const User = require('../models/User');
+const { ROLES } = require('../lib/auth');
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+    process.exit(1);
+  }
+
+  await connectMongo();
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`[ROLE] No account found for ${email}`);
+  } else {
+    console.log(`[ROLE] ${user.email} (${user.userId}) is now ${user.role}`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+};
+
+run().catch(async (err) => {
+  console.error('[ROLE] Failed to set role:', err);
+  await mongoose.disconnect();
+  process.exit(1);
+});
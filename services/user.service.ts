@@ -66,10 +66,11 @@ export class UserService {
   }
 
   /**
-   * Delete user account
+   * Delete user account. Confirm with the password, or an emailed reauth code on accounts
+   * without one, plus an authenticator code when 2FA is enabled.
    */
-  static async deleteAccount(): Promise<ApiResponse<{ success: boolean }>> {
-    return await apiClient.delete('/api/user/account');
+  static async deleteAccount(confirmation: { password?: string; emailCode?: string; code?: string }): Promise<ApiResponse<{ success: boolean }>> {
+    return await apiClient.delete('/api/user/account', { data: confirmation });
   }
 
   /**
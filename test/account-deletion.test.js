@@ -0,0 +1,79 @@
+// Account deletion: the purge removes what points back at the user and the final email is its own job
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser, waitFor } = require('./helpers');
+
+describe('account deletion', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  // Schedule through the API, then move the grace period into the past
+  const scheduleDueDeletion = async (user) => {
+    const scheduled = await app.request('DELETE', '/api/user/account', { token: user.accessToken, body: { password: user.password } });
+    assert.equal(scheduled.status, 200);
+    await app.deps.models.User.updateOne({ userId: user.userId }, { $set: { 'deletion.scheduledFor': new Date(Date.now() - 1000) } });
+    return scheduled.body.receipt;
+  };
+
+  it('requires the password to schedule deletion', async () => {
+    const user = await createVerifiedUser(app);
+    const missing = await app.request('DELETE', '/api/user/account', { token: user.accessToken });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.error, 'password_incorrect');
+    const wrong = await app.request('DELETE', '/api/user/account', { token: user.accessToken, body: { password: 'not-the-password' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(await app.deps.models.DeletionReceipt.exists({ userId: user.userId }), null);
+  });
+
+  it('deletes jobs about the user and strips their email from audit entries', async () => {
+    const { User, Job, AuditLog, DeletionReceipt } = app.deps.models;
+    const user = await createVerifiedUser(app);
+    await AuditLog.create({ actorId: user.userId, actorEmail: user.email, action: 'list-jobs', ip: '203.0.113.7' });
+    const { job: planJob } = await app.deps.services.jobs.queueTrainingPlan(user.userId, { weakPoints: ['Chest'] });
+    const receipt = await scheduleDueDeletion(user);
+
+    const result = await app.deps.services.jobs.runAccountDeletionJob();
+    assert.equal(result.purged, 1);
+
+    assert.equal(await User.exists({ userId: user.userId }), null);
+    assert.equal(await Job.exists({ jobId: planJob.jobId }), null);
+    const [entry] = await AuditLog.find({ actorId: user.userId });
+    assert.equal(entry.actorEmail, undefined);
+    assert.equal(entry.ip, undefined);
+
+    const stored = await DeletionReceipt.findOne({ receiptId: receipt.receiptId });
+    assert.equal(stored.status, 'completed');
+    assert.equal(stored.deletedCounts.auditEntries, 1);
+
+    const emailJob = await waitFor(() => Job.findOne({ type: 'deletion-email', 'payload.receiptId': receipt.receiptId, status: 'completed' }));
+    assert.equal(emailJob.payload.email, undefined, 'the address is dropped once sent');
+    const [notice] = app.mailer.sentTo(user.email);
+    assert.match(notice.subject, /has been deleted/);
+  });
+
+  it('retries a failed email without running the purge again', async () => {
+    const { Job } = app.deps.models;
+    const user = await createVerifiedUser(app);
+    const receipt = await scheduleDueDeletion(user);
+
+    const { sendMail } = app.mailer;
+    app.mailer.sendMail = async () => { throw new Error('smtp down'); };
+    try {
+      assert.equal((await app.deps.services.jobs.runAccountDeletionJob()).purged, 1);
+      const retrying = await waitFor(() => Job.findOne({ type: 'deletion-email', 'payload.receiptId': receipt.receiptId, attempts: 1, status: 'queued' }));
+      assert.match(retrying.lastError, /smtp down/);
+      assert.equal(retrying.payload.email, user.email, 'kept until the email goes out');
+    } finally {
+      app.mailer.sendMail = sendMail;
+    }
+
+    assert.equal((await app.deps.services.jobs.runAccountDeletionJob()).purged, 0);
+  });
+});
@@ -0,0 +1,71 @@
+// One-time email codes: a valid code is used up atomically, even by requests racing each other; timing follows the clock
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { CODE_TTL_MINUTES, RESEND_COOLDOWN_SECONDS, createCodes } = require('../lib/codes');
+const { startTestServer, createVerifiedUser, getEmailedCode } = require('./helpers');
+
+describe('one-time codes', () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startTestServer();
+    user = await createVerifiedUser(app);
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('lets only one of two parallel password resets use the same code', async () => {
+    const forgot = await app.request('POST', '/api/auth/forgot-password', { body: { email: user.email } });
+    assert.equal(forgot.status, 200);
+    const code = getEmailedCode(app.mailer, user.email);
+
+    const reset = (newPassword) => app.request('POST', '/api/auth/reset-password', { body: { email: user.email, code, newPassword } });
+    const results = await Promise.all([reset('first-new-password'), reset('second-new-password')]);
+    assert.equal(results.filter(r => r.status === 200).length, 1);
+
+    const stored = await app.deps.models.User.findOne({ userId: user.userId });
+    assert.equal(stored.passwordReset, undefined, 'the code is gone');
+  });
+
+  it('rejects a login code once it has been used', async () => {
+    const request = await app.request('POST', '/api/auth/passwordless/start', { body: { email: user.email } });
+    assert.equal(request.status, 200);
+    const code = getEmailedCode(app.mailer, user.email);
+
+    const login = await app.request('POST', '/api/auth/passwordless/verify', { body: { email: user.email, code } });
+    assert.equal(login.status, 200);
+    const replay = await app.request('POST', '/api/auth/passwordless/verify', { body: { email: user.email, code } });
+    assert.equal(replay.status, 400);
+  });
+
+  it('never returns a login code, and answers the same for unknown addresses', async () => {
+    app.mailer.isConfigured = false; // Same 'console' result as a failed send
+    try {
+      const known = await app.request('POST', '/api/auth/passwordless/start', { body: { email: user.email } });
+      const unknown = await app.request('POST', '/api/auth/passwordless/start', { body: { email: `nobody.${process.pid}@example.com` } });
+      assert.equal(known.status, 200);
+      assert.deepEqual(unknown, known);
+      assert.equal(known.body.verificationCode, undefined);
+    } finally {
+      app.mailer.isConfigured = true;
+    }
+  });
+
+  it('times resend cooldowns and expiry with the injected clock', async () => {
+    const offset = { ms: 0 };
+    const { issueCode, verifyCode } = createCodes({ clock: { now: () => new Date(Date.now() + offset.ms) } });
+    const user = {};
+
+    const { code } = issueCode(user, 'loginCode');
+    assert.equal(issueCode(user, 'loginCode').error, 'cooldown');
+
+    offset.ms = (RESEND_COOLDOWN_SECONDS + 1) * 1000;
+    assert.ok(issueCode(user, 'loginCode').code, 'a new code once the cooldown has passed');
+
+    offset.ms += (CODE_TTL_MINUTES * 60 + 1) * 1000;
+    assert.equal((await verifyCode(user, 'loginCode', code)).status, 'expired');
+  });
+});
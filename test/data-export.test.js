@@ -0,0 +1,40 @@
+// Data export: the archive is stored in MongoDB so any instance can serve the download
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser, waitFor } = require('./helpers');
+
+describe('data export', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('builds the archive into shared storage and downloads it from there', async () => {
+    const { DataExport } = app.deps.models;
+    const user = await createVerifiedUser(app);
+
+    const requested = await app.request('POST', '/api/user/export', { token: user.accessToken });
+    assert.equal(requested.status, 202);
+    const { exportId } = requested.body.export;
+
+    const ready = await waitFor(() => DataExport.findOne({ exportId, status: 'ready' }));
+    assert.ok(ready.fileId, 'stored in GridFS, not on the local disk');
+
+    const status = await app.request('GET', `/api/user/export/${exportId}`, { token: user.accessToken });
+    const download = await fetch(`${app.baseUrl}${status.body.export.downloadUrl}`);
+    assert.equal(download.status, 200);
+    assert.match(download.headers.get('content-disposition'), /attachment/);
+    const archive = Buffer.from(await download.arrayBuffer());
+    assert.equal(archive.subarray(0, 2).toString(), 'PK');
+    assert.equal(archive.length, ready.fileSize);
+
+    await app.deps.services.dataExports.expireDataExports(new Date(ready.expiresAt.getTime() + 1000));
+    const expired = await fetch(`${app.baseUrl}${status.body.export.downloadUrl}`);
+    assert.equal(expired.status, 410);
+  });
+});
@@ -0,0 +1,45 @@
+// Email change revert link: opening it only shows a confirmation page, the form submission undoes the change
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser } = require('./helpers');
+
+describe('email change revert', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('confirms on the page before reverting', async () => {
+    const { User } = app.deps.models;
+    const user = await createVerifiedUser(app);
+    const change = await app.request('POST', '/api/user/email/change', { token: user.accessToken, body: { newEmail: `moved.${process.pid}@example.com` } });
+    assert.equal(change.status, 200);
+
+    const [notice] = app.mailer.sentTo(user.email);
+    const token = new URL(notice.text.match(/(\S+\/api\/user\/email\/revert\S+)/)[1]).searchParams.get('token');
+
+    const page = await fetch(`${app.baseUrl}/api/user/email/revert?token=${encodeURIComponent(token)}`);
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /<form method="POST"/);
+    assert.ok((await User.findOne({ userId: user.userId })).pendingEmail, 'opening the link changes nothing');
+
+    const reverted = await fetch(`${app.baseUrl}/api/user/email/revert`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token }).toString(),
+    });
+    assert.equal(reverted.status, 200);
+    assert.match(await reverted.text(), /Email change undone/);
+    const stored = await User.findOne({ userId: user.userId });
+    assert.equal(stored.pendingEmail, undefined);
+    assert.equal(stored.email, user.email);
+
+    const again = await fetch(`${app.baseUrl}/api/user/email/revert?token=${encodeURIComponent(token)}`);
+    assert.equal(again.status, 400);
+  });
+});
@@ -0,0 +1,82 @@
+// Exercise demo images: stored once in MongoDB and reused, generated only for the caller's own plan
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser } = require('./helpers');
+
+describe('exercise images', () => {
+  let app;
+  let ExerciseImage;
+  let Job;
+
+  const storedImages = ['start', 'middle', 'end'].map((phase, i) => ({
+    id: `squat-${i + 1}`, fileId: `img_squat_${i + 1}`, phase, contentType: 'image/png', data: Buffer.from(`png ${phase}`),
+  }));
+  const imageUrl = (fileId) => `${app.deps.config.publicBaseUrl}/api/workout/exercise-images/${fileId}`;
+  const publicImages = () => storedImages.map(({ id, fileId, phase }) => ({ id, url: imageUrl(fileId), phase }));
+
+  before(async () => {
+    app = await startTestServer();
+    // Leave queued jobs alone so the tests can look at them
+    await app.deps.services.queue.stop();
+    ({ ExerciseImage, Job } = app.deps.models);
+    await ExerciseImage.create({ key: 'back squat', exerciseName: 'Back Squat', images: storedImages });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('does not queue a generation for an exercise whose images are stored', async () => {
+    const { queueExerciseImages } = app.deps.services.jobs;
+    const { job, created } = await queueExerciseImages('  BACK squat ', 'squat');
+    assert.equal(job, null);
+    assert.equal(created, false);
+    assert.equal(await Job.countDocuments({ type: 'exercise-images' }), 0);
+  });
+
+  it('serves stored images instead of generating them again', async () => {
+    const { generateAIImagesForExercise, getCachedImages } = app.deps.services.exerciseImages;
+    assert.deepEqual(await generateAIImagesForExercise('Back Squat', 'squat'), publicImages(), 'stored images are reused');
+    assert.deepEqual(await getCachedImages('back squat'), publicImages());
+    assert.equal(await getCachedImages('Deadlift'), null);
+  });
+
+  it('serves the stored bytes, which do not expire like provider URLs', async () => {
+    const [start] = await app.deps.services.exerciseImages.getCachedImages('back squat');
+    const response = await fetch(`${app.baseUrl}${new URL(start.url).pathname}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(Buffer.from(await response.arrayBuffer()).toString(), 'png start');
+
+    const missing = await app.request('GET', '/api/workout/exercise-images/img_missing');
+    assert.equal(missing.status, 404);
+  });
+
+  it('regenerates image sets stored before the bytes were kept', async () => {
+    await ExerciseImage.collection.insertOne({ key: 'plank', exerciseName: 'Plank', images: [{ id: 'p-1', url: 'https://expired.example.com/p-1.png', phase: 'start' }] });
+    assert.equal(await app.deps.services.exerciseImages.getCachedImages('Plank'), null);
+    assert.equal((await app.deps.services.jobs.queueExerciseImages('Plank', 'p')).created, true);
+    await Job.deleteMany({ type: 'exercise-images' });
+  });
+
+  it('requires a signed-in caller and only generates exercises from their plan', async () => {
+    const request = { exerciseName: 'Cable Flyes', exerciseId: 'ex_1' };
+    const anonymous = await app.request('POST', '/api/workout/generate-exercise-image', { body: request });
+    assert.equal(anonymous.status, 401);
+
+    const user = await createVerifiedUser(app);
+    const outsidePlan = await app.request('POST', '/api/workout/generate-exercise-image', { token: user.accessToken, body: request });
+    assert.equal(outsidePlan.status, 200);
+    assert.equal(outsidePlan.body.source, 'stock');
+    assert.equal(await Job.countDocuments({ type: 'exercise-images' }), 0);
+
+    await app.deps.models.WorkoutPlan.create({
+      userId: user.userId,
+      weeklyPlan: [{ day: 1, exercises: [{ id: 'ex_1', name: 'Cable Flyes' }] }],
+    });
+    const inPlan = await app.request('POST', '/api/workout/generate-exercise-image', { token: user.accessToken, body: request });
+    assert.equal(inPlan.body.source, 'stock');
+    const job = await Job.findOne({ type: 'exercise-images' });
+    assert.equal(job.payload.exerciseName, 'Cable Flyes');
+  });
+});
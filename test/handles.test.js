@@ -0,0 +1,33 @@
+// Handles are stored without surrounding spaces or a leading @, however they were sent
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('handles', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('saves the normalized handle at signup', async () => {
+    const signup = await app.request('POST', '/api/auth/signup', {
+      body: { email: `handle.${process.pid}@example.com`, password: 'correct-horse-battery', username: '  @Mog_Signup ', firstName: 'Handle' },
+    });
+    assert.equal(signup.status, 200);
+
+    const stored = await app.deps.models.User.findOne({ userId: signup.body.userId });
+    assert.equal(stored.username, 'Mog_Signup');
+    assert.equal(stored.usernameLower, 'mog_signup');
+  });
+
+  it('normalizes handles written directly to the model', async () => {
+    const user = await app.deps.models.User.create({ userId: `handle_${process.pid}`, email: `direct.${process.pid}@example.com`, username: '@Direct_Handle' });
+    assert.equal(user.username, 'Direct_Handle');
+    assert.equal(user.usernameLower, 'direct_handle');
+  });
+});
@@ -0,0 +1,131 @@
+// Integration test harness: the real app on an in-memory MongoDB, with the stub AI provider and a
+// mailer that records emails instead of sending them. Set MONGODB_TEST_URI to use an existing server
+// and TEST_LOGS=1 to see the app's logs.
+process.env.TZ = 'UTC';
+process.env.LOG_LEVEL = process.env.TEST_LOGS ? 'debug' : 'silent';
+
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const { createDependencies } = require('../lib/dependencies');
+const { createStubProvider } = require('../lib/ai');
+
+// Captures every email; sentTo(email) returns them newest first
+const createTestMailer = () => {
+  const sent = [];
+  return {
+    isConfigured: true,
+    from: '"Mog.ai" <test@mog.ai>',
+    sent,
+    sendMail: async (options) => {
+      sent.push(options);
+      return { messageId: `test-${sent.length}` };
+    },
+    verify: () => {},
+    sentTo: (email) => sent.filter(mail => mail.to === email).reverse(),
+  };
+};
+
+const startMongo = async () => {
+  if (process.env.MONGODB_TEST_URI) return { uri: process.env.MONGODB_TEST_URI, stop: async () => {} };
+
+  // Only needed when no external server is given
+  const { MongoMemoryServer } = require('mongodb-memory-server');
+  const server = await MongoMemoryServer.create();
+  return { uri: server.getUri(), stop: () => server.stop() };
+};
+
+/**
+ * Boot Mongo, the job queue worker and the app on a random port. Options: { fixtures } for the stub AI provider,
+ * { clock } to control the app's time.
+ * Returns { deps, ai, mailer, baseUrl, request, stop }; call stop() in an after() hook.
+ */
+const startTestServer = async ({ fixtures, clock } = {}) => {
+  const mongo = await startMongo();
+  // One database per test file so files can share an external server
+  await mongoose.connect(mongo.uri, { dbName: `mogai-test-${process.pid}` });
+
+  const ai = createStubProvider({ fixtures });
+  const mailer = createTestMailer();
+  // Poll often so background jobs (plan building, exports) finish within a test
+  const deps = createDependencies({ ai, mailer, clock, config: { jobPollMs: 50 } });
+  await deps.services.queue.start();
+  const server = createApp(deps).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Call the API: request('POST', '/api/auth/login', { body, token, headers }) -> { status, body }
+   */
+  const request = async (method, path, { body, token, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...headers,
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  };
+
+  const stop = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await deps.services.queue.stop();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    await mongo.stop();
+  };
+
+  return { deps, ai, mailer, baseUrl, request, stop };
+};
+
+// The 6-digit code from the newest code email sent to `email`
+const getEmailedCode = (mailer, email) => {
+  const [mail] = mailer.sentTo(email);
+  const match = mail && mail.text.match(/code is: (\w+)/);
+  return match ? match[1] : null;
+};
+
+let accountCounter = 0;
+
+/**
+ * Sign up and verify a new account through the API. `extra` is merged into the signup body.
+ * Returns { userId, email, password, accessToken, refreshToken, verify } (verify = /api/auth/verify body).
+ */
+const createVerifiedUser = async ({ request, mailer }, extra = {}) => {
+  accountCounter++;
+  const email = `user${accountCounter}.${process.pid}@example.com`;
+  const password = 'correct-horse-battery';
+
+  const signup = await request('POST', '/api/auth/signup', {
+    body: { email, password, username: `tester${accountCounter}_${process.pid}`, firstName: 'Test', ...extra },
+  });
+  if (signup.status !== 200) throw new Error(`Signup failed: ${JSON.stringify(signup.body)}`);
+
+  const verify = await request('POST', '/api/auth/verify', {
+    body: { email, password, code: getEmailedCode(mailer, email) },
+  });
+  if (!verify.body.tokens) throw new Error(`Verify failed: ${JSON.stringify(verify.body)}`);
+
+  return { userId: signup.body.userId, email, password, ...verify.body.tokens, verify: verify.body };
+};
+
+/**
+ * Poll `check` (async, truthy when done) for up to `timeoutMs`; for work the app does in the background
+ */
+const waitFor = async (check, { timeoutMs = 5000, intervalMs = 25 } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+};
+
+// Stand-in for a base64 photo; only its length is validated
+const fakePhoto = (label = 'photo') => Buffer.from(label.repeat(100)).toString('base64');
+
+module.exports = { startTestServer, createTestMailer, getEmailedCode, createVerifiedUser, waitFor, fakePhoto };
@@ -0,0 +1,71 @@
+// Plan locks: exclusion, lease takeover, waiting for a release, and how the training routes react
+process.env.PLAN_LOCK_WAIT_MS = '200';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { planLockKey } = require('../lib/locks');
+const { startTestServer, createVerifiedUser } = require('./helpers');
+
+describe('plan locks', () => {
+  let app;
+  let locks;
+  let Lock;
+
+  before(async () => {
+    app = await startTestServer();
+    locks = app.deps.services.locks;
+    Lock = app.deps.models.Lock;
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('lets one holder in at a time and wakes waiters on release', async () => {
+    const first = await locks.acquire('test:exclusive');
+    assert.ok(first);
+    assert.equal(await locks.acquire('test:exclusive'), null);
+
+    const waiting = locks.waitForRelease('test:exclusive', { timeoutMs: 5000 });
+    await first.release();
+    assert.equal(await waiting, true);
+
+    const second = await locks.acquire('test:exclusive');
+    assert.ok(second);
+    await first.release();
+    assert.ok(await locks.isHeld('test:exclusive'), 'a stale owner cannot release the new holder');
+    await second.release();
+  });
+
+  it('takes over a lease its holder stopped renewing', async () => {
+    await Lock.create({ key: 'test:expired', owner: 'crashed-instance', expiresAt: new Date(Date.now() - 1000) });
+
+    const { acquired, result } = await locks.withLock('test:expired', async (lock) => lock.owner);
+    assert.equal(acquired, true);
+    assert.notEqual(result, 'crashed-instance');
+    assert.equal(await Lock.countDocuments({ key: 'test:expired' }), 0, 'released once the work is done');
+  });
+
+  it('answers plan writes with plan_busy and reads with regenerating while a build holds the plan', async () => {
+    const user = await createVerifiedUser(app);
+    const lock = await locks.acquire(planLockKey(user.userId));
+
+    const write = await app.request('PATCH', `/api/training/${user.userId}/day`, {
+      token: user.accessToken,
+      body: { dayNumber: 1, status: 'done' },
+    });
+    assert.equal(write.status, 409);
+    assert.equal(write.body.error, 'plan_busy');
+
+    const read = await app.request('GET', `/api/training/${user.userId}/weekly?wait=0`, { token: user.accessToken });
+    assert.equal(read.status, 200);
+    assert.equal(read.body.regenerating, true);
+
+    // A waiting read gets the result as soon as the build lets go
+    const waiting = app.request('GET', `/api/training/${user.userId}/weekly?wait=10`, { token: user.accessToken });
+    setTimeout(() => lock.release(), 100);
+    const afterBuild = await waiting;
+    assert.equal(afterBuild.status, 404);
+    assert.equal(afterBuild.body.error, 'plan_not_found');
+  });
+});
@@ -0,0 +1,82 @@
+// Meal logging, daily targets and the weekly discipline summary
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser } = require('./helpers');
+
+describe('nutrition log and weekly summary', () => {
+  let app;
+  let user;
+  const onboardingData = { heightFeet: 5, heightInches: 10, weightLbs: 170, age: 25, gender: 'male', primaryGoal: 'lean' };
+  const lunch = { name: 'Chicken rice bowl', calories: 620, protein: 45, carbs: 70, fats: 16 };
+  const dinner = { name: 'Salmon and greens', calories: 540, protein: 38, carbs: 22, fats: 32 };
+
+  before(async () => {
+    app = await startTestServer();
+    user = await createVerifiedUser(app, { onboardingData });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('returns targets from the onboarding answers before anything is logged', async () => {
+    const { status, body } = await app.request('GET', `/api/nutrition/targets/${user.userId}`, { token: user.accessToken });
+    assert.equal(status, 200);
+    assert.equal(body.targets.calories, app.deps.services.nutrition.calculateNutritionTargets(onboardingData).calories);
+    assert.deepEqual(body.consumed, { calories: 0, protein: 0, carbs: 0, fats: 0 });
+    assert.equal(body.targets.mode, 'recomp', 'mode comes from the AI analysis');
+  });
+
+  it('logs meals and totals them for today', async () => {
+    for (const meal of [lunch, dinner]) {
+      const logged = await app.request('POST', '/api/nutrition/log', { token: user.accessToken, body: { userId: 'me', meal } });
+      assert.equal(logged.status, 200);
+      assert.equal(logged.body.log.userId, user.userId);
+    }
+
+    const { body } = await app.request('GET', `/api/nutrition/targets/${user.userId}`, { token: user.accessToken });
+    assert.deepEqual(body.consumed, {
+      calories: lunch.calories + dinner.calories,
+      protein: lunch.protein + dinner.protein,
+      carbs: lunch.carbs + dinner.carbs,
+      fats: lunch.fats + dinner.fats,
+    });
+
+    const today = new Date().toISOString().split('T')[0];
+    const meals = await app.request('GET', `/api/nutrition/meals/${user.userId}?date=${today}`, { token: user.accessToken });
+    assert.equal(meals.body.meals.length, 2);
+  });
+
+  it('summarises the week with the AI insight', async () => {
+    const { status, body } = await app.request('GET', `/api/nutrition/weekly/${user.userId}`, { token: user.accessToken });
+    assert.equal(status, 200);
+    assert.equal(body.weekData.length, 7);
+    assert.equal(body.weekData[0].day, 'Mon');
+
+    const today = body.weekData.find(day => day.date === new Date().toISOString().split('T')[0]);
+    assert.equal(today.status, 'pending');
+    assert.equal(today.mealsLogged, 2);
+    assert.equal(today.calories, lunch.calories + dinner.calories);
+    assert.equal(body.insight, 'Three for three. Keep the streak alive.');
+    assert.ok(app.ai.calls.some(call => call.feature === 'dietDiscipline'));
+  });
+
+  it('validates meals and ownership', async () => {
+    const missingMeal = await app.request('POST', '/api/nutrition/log', { token: user.accessToken, body: { userId: user.userId } });
+    assert.equal(missingMeal.status, 400);
+    assert.equal(missingMeal.body.error, 'validation_failed');
+
+    const negative = await app.request('POST', '/api/nutrition/log', { token: user.accessToken, body: { userId: user.userId, meal: { ...lunch, calories: -5 } } });
+    assert.equal(negative.status, 400);
+
+    const otherUser = await app.request('POST', '/api/nutrition/log', { token: user.accessToken, body: { userId: 'someone-else', meal: lunch } });
+    assert.equal(otherUser.status, 403);
+  });
+
+  it('needs onboarding answers for targets', async () => {
+    const newcomer = await createVerifiedUser(app);
+    const { status, body } = await app.request('GET', `/api/nutrition/weekly/${newcomer.userId}`, { token: newcomer.accessToken });
+    assert.equal(status, 404);
+    assert.equal(body.error, 'onboarding_not_found');
+  });
+});
@@ -0,0 +1,78 @@
+// Apple / Google sign-in onto an existing unverified account: the unproven password is dropped and the owner told
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Provider settings are read when lib/federatedAuth.js loads, so point Google at a local key first
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksPath = path.join(os.tmpdir(), `mogai-test-jwks-${process.pid}.json`);
+fs.writeFileSync(jwksPath, JSON.stringify({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256' }] }));
+process.env.GOOGLE_JWKS_URI = jwksPath;
+process.env.GOOGLE_CLIENT_IDS = 'test-client';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+describe('linking a provider to an unverified account', () => {
+  let app;
+
+  const googleToken = (email, subject) => jwt.sign(
+    { sub: subject, email, email_verified: true },
+    privateKey,
+    { algorithm: 'RS256', keyid: 'test-key', issuer: 'https://accounts.google.com', audience: 'test-client', expiresIn: 300 }
+  );
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+    fs.rmSync(jwksPath, { force: true });
+  });
+
+  it('drops the password nobody verified, signs in the provider user and notifies the address', async () => {
+    const email = `squatter.${process.pid}@example.com`;
+    const password = 'squatters-password';
+    const signup = await app.request('POST', '/api/auth/signup', {
+      body: { email, password, username: `squatter_${process.pid}`, firstName: 'Squatter' },
+    });
+    assert.equal(signup.status, 200);
+
+    const oauth = await app.request('POST', '/api/auth/oauth/google', { body: { idToken: googleToken(email, 'google-owner') } });
+    assert.equal(oauth.status, 200);
+    assert.equal(oauth.body.user.userId, signup.body.userId, 'linked to the existing account');
+    assert.equal(oauth.body.user.isVerified, true);
+
+    const login = await app.request('POST', '/api/auth/login', { body: { email, password } });
+    assert.equal(login.status, 401, 'the unverified password no longer works');
+
+    const [notice] = app.mailer.sentTo(email);
+    assert.match(notice.subject, /Signed in with Google/);
+    assert.match(notice.text, /password and two-factor authentication were removed/);
+  });
+
+  it('drops two-factor auth and sessions set up on the unverified account', async () => {
+    const { User, Session } = app.deps.models;
+    const email = `squatter2fa.${process.pid}@example.com`;
+    const signup = await app.request('POST', '/api/auth/signup', {
+      body: { email, password: 'squatters-password', username: `squatter2fa_${process.pid}`, firstName: 'Squatter' },
+    });
+    assert.equal(signup.status, 200);
+    const { userId } = signup.body;
+    await User.updateOne({ userId }, { $set: { twoFactor: { enabled: true, secret: 'squatters-secret', backupCodes: [{ hash: 'squatters-code' }] } } });
+    const squatterSession = await app.deps.services.sessions.createSession(userId, { deviceId: 'squatter-phone' });
+
+    const oauth = await app.request('POST', '/api/auth/oauth/google', { body: { idToken: googleToken(email, 'google-owner-2fa') } });
+    assert.equal(oauth.status, 200);
+    assert.ok(oauth.body.tokens, 'signed in without the squatter\'s second factor');
+
+    const stored = await User.findOne({ userId });
+    assert.equal(stored.twoFactor, undefined);
+    const session = await Session.findOne({ sessionId: squatterSession.sessionId });
+    assert.ok(session.revokedAt, 'the squatter\'s session is revoked');
+  });
+});
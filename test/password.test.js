@@ -0,0 +1,34 @@
+// Passwords are always stored hashed, whatever they look like
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, getEmailedCode } = require('./helpers');
+
+describe('password storage', () => {
+  let app;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('hashes a password that looks like a bcrypt hash', async () => {
+    const email = `bcrypt.${process.pid}@example.com`;
+    const password = `$2b$12$${'a'.repeat(53)}`;
+    const signup = await app.request('POST', '/api/auth/signup', {
+      body: { email, password, username: `bcrypt_${process.pid}`, firstName: 'Hash' },
+    });
+    assert.equal(signup.status, 200);
+
+    const stored = await app.deps.models.User.findOne({ userId: signup.body.userId });
+    assert.notEqual(stored.password, password);
+
+    const verify = await app.request('POST', '/api/auth/verify', { body: { email, password, code: getEmailedCode(app.mailer, email) } });
+    assert.equal(verify.status, 200);
+    assert.ok(verify.body.tokens, 'the password it was signed up with logs in');
+    const withHash = await app.request('POST', '/api/auth/login', { body: { email, password: stored.password } });
+    assert.equal(withHash.status, 401, 'the stored value is not itself a password');
+  });
+});
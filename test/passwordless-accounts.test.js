@@ -0,0 +1,82 @@
+// Accounts without a password (Apple / Google sign-in) confirm security changes with an emailed code
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateTotp } = require('../lib/totp');
+const { startTestServer, createVerifiedUser, getEmailedCode } = require('./helpers');
+
+describe('accounts without a password', () => {
+  let app;
+  let user;
+
+  before(async () => {
+    app = await startTestServer();
+    user = await createVerifiedUser(app);
+    // Same shape as an account created by Apple / Google sign-in
+    await app.deps.models.User.updateOne({ userId: user.userId }, { $unset: { password: 1 } });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  const requestReauthCode = async () => {
+    const res = await app.request('POST', '/api/auth/reauth-code', { token: user.accessToken });
+    assert.equal(res.status, 200);
+    return getEmailedCode(app.mailer, user.email);
+  };
+
+  it('sets up and disables 2FA with an emailed code instead of a password', async () => {
+    const withoutCode = await app.request('POST', '/api/auth/2fa/setup', { token: user.accessToken, body: {} });
+    assert.equal(withoutCode.status, 401);
+    assert.equal(withoutCode.body.error, 'reauth_code_required');
+
+    const emailCode = await requestReauthCode();
+    const setup = await app.request('POST', '/api/auth/2fa/setup', { token: user.accessToken, body: { emailCode } });
+    assert.equal(setup.status, 200);
+    assert.ok(setup.body.secret);
+
+    const enable = await app.request('POST', '/api/auth/2fa/enable', {
+      token: user.accessToken,
+      body: { code: generateTotp(setup.body.secret) },
+    });
+    assert.equal(enable.status, 200);
+
+    const disable = await app.request('POST', '/api/auth/2fa/disable', {
+      token: user.accessToken,
+      body: { code: enable.body.backupCodes[0] },
+    });
+    assert.equal(disable.status, 200);
+  });
+
+  it('does not accept the same emailed code twice', async () => {
+    const emailCode = await requestReauthCode();
+    const first = await app.request('POST', '/api/auth/2fa/setup', { token: user.accessToken, body: { emailCode } });
+    assert.equal(first.status, 200);
+
+    await app.deps.models.User.updateOne({ userId: user.userId }, { $unset: { twoFactor: 1 } });
+    const replay = await app.request('POST', '/api/auth/2fa/setup', { token: user.accessToken, body: { emailCode } });
+    assert.notEqual(replay.status, 200);
+  });
+
+  it('sets a first password with an emailed code, then asks for it', async () => {
+    const newPassword = 'first-password-123';
+    const withoutCode = await app.request('POST', '/api/auth/change-password', { token: user.accessToken, body: { newPassword } });
+    assert.equal(withoutCode.status, 401);
+    assert.equal(withoutCode.body.error, 'reauth_code_required');
+
+    const emailCode = await requestReauthCode();
+    const set = await app.request('POST', '/api/auth/change-password', { token: user.accessToken, body: { emailCode, newPassword } });
+    assert.equal(set.status, 200);
+
+    const login = await app.request('POST', '/api/auth/login', { body: { email: user.email, password: newPassword } });
+    assert.equal(login.status, 200);
+
+    const codeOnly = await app.request('POST', '/api/auth/change-password', {
+      token: user.accessToken,
+      body: { emailCode, newPassword: 'second-password-456' },
+    });
+    assert.equal(codeOnly.status, 401);
+    assert.equal(codeOnly.body.error, 'password_incorrect');
+    assert.equal((await app.request('POST', '/api/auth/reauth-code', { token: user.accessToken })).body.error, 'password_already_set');
+  });
+});
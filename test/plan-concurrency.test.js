@@ -0,0 +1,116 @@
+// WorkoutPlan writes: positional updates never lose each other, stale saves and versions conflict, updates count as activity
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser } = require('./helpers');
+
+describe('workout plan concurrency', () => {
+  let app;
+  let WorkoutPlan;
+  let user;
+
+  const exercise = (id) => ({ id, name: id, sets: '3x10', completed: false });
+  const day = (number) => ({
+    day: number,
+    title: `Day ${number}`,
+    status: number === 1 ? 'today' : 'upcoming',
+    exercises: [exercise(`d${number}-a`), exercise(`d${number}-b`)],
+  });
+
+  before(async () => {
+    app = await startTestServer();
+    WorkoutPlan = app.deps.models.WorkoutPlan;
+    user = await createVerifiedUser(app);
+    await WorkoutPlan.create({ userId: user.userId, weekId: 'week-1', currentWeek: 1, weeklyPlan: [day(1), day(2), day(3)] });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('keeps both exercises completed from two devices at once', async () => {
+    const complete = (exerciseId) => app.request('POST', '/api/workout/complete-exercise', {
+      token: user.accessToken,
+      body: { userId: user.userId, dayIndex: 0, exerciseId },
+    });
+    const results = await Promise.all([complete('d1-a'), complete('d1-b')]);
+    assert.deepEqual(results.map(r => r.status), [200, 200]);
+
+    const plan = await WorkoutPlan.findOne({ userId: user.userId });
+    assert.deepEqual(plan.weeklyPlan[0].exercises.map(e => e.completed), [true, true]);
+    assert.equal(plan.weeklyPlan[0].completed, true);
+  });
+
+  it('rejects a save of a plan loaded before another write', async () => {
+    const stale = await WorkoutPlan.findOne({ userId: user.userId });
+
+    const session = await app.request('POST', '/api/training/start-session', {
+      token: user.accessToken,
+      body: { userId: user.userId, dayNumber: 2 },
+    });
+    assert.equal(session.status, 200);
+
+    stale.weeklyPlan[1].status = 'done';
+    stale.markModified('weeklyPlan');
+    await assert.rejects(stale.save(), { name: 'VersionError' });
+
+    const plan = await WorkoutPlan.findOne({ userId: user.userId });
+    assert.equal(plan.weeklyPlan[1].status, 'today');
+  });
+
+  it('answers plan_conflict with the current plan when saving over a newer version', async () => {
+    const weekly = await app.request('GET', `/api/training/${user.userId}/weekly`, { token: user.accessToken });
+    const { version } = weekly.body.plan;
+    assert.equal(typeof version, 'number');
+
+    const completed = await app.request('POST', `/api/training/${user.userId}/complete-day`, {
+      token: user.accessToken,
+      body: { dayNumber: 3 },
+    });
+    assert.equal(completed.status, 200);
+    assert.ok(completed.body.version > version);
+
+    const stale = await app.request('POST', `/api/training/${user.userId}/weekly`, {
+      token: user.accessToken,
+      body: { plan: { weekId: 'week-1', currentWeek: 1, days: [day(1)] }, version },
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.error, 'plan_conflict');
+    assert.equal(stale.body.version, completed.body.version);
+    assert.equal(stale.body.plan.weeklyPlan.length, 3, 'the plan is left as it was');
+
+    const unversioned = await app.request('POST', `/api/training/${user.userId}/weekly`, {
+      token: user.accessToken,
+      body: { plan: { weekId: 'week-1', currentWeek: 1, days: [day(1)] } },
+    });
+    assert.equal(unversioned.status, 409, 'a stored plan is never overwritten blind');
+    assert.equal(unversioned.body.version, completed.body.version);
+
+    const notDays = await app.request('POST', `/api/training/${user.userId}/weekly`, {
+      token: user.accessToken,
+      body: { plan: { weekId: 'week-1', currentWeek: 1, days: 'all of them' }, version: stale.body.version },
+    });
+    assert.equal(notDays.status, 400);
+
+    const current = await app.request('POST', `/api/training/${user.userId}/weekly`, {
+      token: user.accessToken,
+      body: { plan: { weekId: 'week-1', currentWeek: 1, days: [day(1)] }, version: stale.body.version },
+    });
+    assert.equal(current.status, 200);
+    assert.equal(current.body.version, stale.body.version + 1);
+  });
+
+  it('stamps updatedAt on update queries, so an active guest plan is not expired', async () => {
+    const guestId = `guest_active_${process.pid}`;
+    const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+    await WorkoutPlan.create({ userId: guestId, weeklyPlan: [day(1)] });
+    await WorkoutPlan.collection.updateOne({ userId: guestId }, { $set: { updatedAt: longAgo } });
+
+    // Same shape as the plan a scan writes
+    await WorkoutPlan.findOneAndUpdate({ userId: guestId }, { userId: guestId, weeklyPlan: [day(1), day(2)] }, { upsert: true });
+    const plan = await WorkoutPlan.findOne({ userId: guestId });
+    assert.ok(plan.updatedAt > longAgo);
+
+    await app.deps.services.guestData.purgeExpiredGuestData();
+    assert.ok(await WorkoutPlan.exists({ userId: guestId }), 'recently touched guest plans are kept');
+  });
+});
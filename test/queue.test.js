@@ -0,0 +1,125 @@
+// Persistent job queue: retries, dead-lettering, unique keys, lease recovery and schedules
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createQueue } = require('../lib/queue');
+const { startTestServer, waitFor } = require('./helpers');
+
+describe('job queue', () => {
+  let app;
+  let Job;
+  const queues = [];
+
+  // Queue with its own clock; `offset.ms` moves it forward to make retries due
+  const createTestQueue = (offset = { ms: 0 }) => {
+    const queue = createQueue({
+      models: app.deps.models,
+      clock: { now: () => new Date(Date.now() + offset.ms) },
+      config: { jobPollMs: 20 },
+    });
+    queues.push(queue);
+    return queue;
+  };
+
+  before(async () => {
+    app = await startTestServer();
+    Job = app.deps.models.Job;
+  });
+
+  after(async () => {
+    for (const queue of queues) await queue.stop();
+    await app?.stop();
+  });
+
+  it('retries with backoff, then dead-letters and can be retried by hand', async () => {
+    const offset = { ms: 0 };
+    const queue = createTestQueue(offset);
+    let calls = 0;
+    queue.define('test-flaky', async () => {
+      calls++;
+      throw new Error(`failure ${calls}`);
+    }, { maxAttempts: 2, backoffMs: 60 * 1000 });
+    await queue.start();
+
+    const { job } = await queue.enqueue('test-flaky', { n: 1 });
+    const retrying = await waitFor(async () => {
+      const current = await Job.findOne({ jobId: job.jobId, status: 'queued', attempts: 1 });
+      return current?.lastError && current;
+    });
+    assert.equal(retrying.lastError, 'failure 1');
+    assert.ok(retrying.runAt.getTime() - Date.now() > 50 * 1000, 'next attempt waits for the backoff');
+
+    offset.ms = 61 * 1000;
+    const dead = await waitFor(() => Job.findOne({ jobId: job.jobId, status: 'dead' }));
+    assert.equal(dead.attempts, 2);
+    assert.equal(dead.lastError, 'failure 2');
+    assert.ok(dead.expiresAt > dead.completedAt, 'dead jobs expire too');
+
+    const requeued = await queue.retryJob(job.jobId);
+    assert.equal(requeued.status, 'queued');
+    assert.equal(requeued.attempts, 0);
+    assert.equal(requeued.expiresAt, undefined, 'a requeued job is not purged');
+    assert.equal(await queue.retryJob('job_missing'), null);
+  });
+
+  it('keeps one active job per unique key', async () => {
+    const queue = createTestQueue();
+    let release;
+    const blocked = new Promise(resolve => { release = resolve; });
+    queue.define('test-unique', async ({ value }) => {
+      await blocked;
+      return { value };
+    });
+    await queue.start();
+
+    const first = await queue.enqueue('test-unique', { value: 1 }, { uniqueKey: 'unique:a' });
+    const second = await queue.enqueue('test-unique', { value: 2 }, { uniqueKey: 'unique:a' });
+    assert.equal(first.created, true);
+    assert.equal(second.created, false);
+    assert.equal(second.job.jobId, first.job.jobId);
+
+    release();
+    const done = await waitFor(() => Job.findOne({ jobId: first.job.jobId, status: 'completed' }));
+    assert.deepEqual(done.result, { value: 1 });
+    assert.equal(done.uniqueKey, undefined, 'the key is free once the job finishes');
+
+    const third = await queue.enqueue('test-unique', { value: 3 }, { uniqueKey: 'unique:a' });
+    assert.equal(third.created, true);
+  });
+
+  it('takes over a job whose worker stopped renewing its lease', async () => {
+    const abandoned = await Job.create({
+      jobId: 'job_abandoned',
+      type: 'test-lease',
+      status: 'running',
+      attempts: 1,
+      maxAttempts: 3,
+      lockedBy: 'crashed-worker',
+      lockedUntil: new Date(Date.now() - 1000),
+    });
+
+    const queue = createTestQueue();
+    queue.define('test-lease', async () => ({ recovered: true }));
+    await queue.start();
+
+    const done = await waitFor(() => Job.findOne({ jobId: abandoned.jobId, status: 'completed' }));
+    assert.equal(done.attempts, 2);
+    assert.deepEqual(done.result, { recovered: true });
+  });
+
+  it('re-queues a schedule for its next run instead of finishing it', async () => {
+    const queue = createTestQueue();
+    let runs = 0;
+    queue.define('test-schedule', async () => ({ run: ++runs }));
+    queue.every('test-schedule', 60 * 60 * 1000);
+    await queue.start();
+
+    const next = await waitFor(() => Job.findOne({ type: 'test-schedule', status: 'queued', completedAt: { $exists: true } }));
+    assert.equal(runs, 1);
+    assert.equal(next.uniqueKey, 'recurring:test-schedule');
+    assert.ok(next.runAt.getTime() - Date.now() > 59 * 60 * 1000);
+    assert.equal(await Job.countDocuments({ type: 'test-schedule' }), 1);
+
+    const stats = await queue.getStats();
+    assert.equal(stats.byType['test-schedule'].queued, 1);
+  });
+});
@@ -0,0 +1,35 @@
+// Rate limits: signed-out requests count against the targeted email per IP, not for everyone
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { rateLimit, createMemoryStore } = require('../lib/rateLimit');
+
+// Run the middleware once; resolves with the status it sent, or 'next' when the request got through
+const attempt = (limiter, req) => new Promise((resolve, reject) => {
+  const res = {
+    set() {},
+    status(code) {
+      resolve(code);
+      return { json() {} };
+    },
+  };
+  limiter(req, res, (err) => (err ? reject(err) : resolve('next')));
+});
+
+describe('rate limits', () => {
+  it('keys signed-out login attempts by IP and email, so other IPs are not locked out', async () => {
+    const limiter = rateLimit({ name: 'test-login', windowMs: 60 * 1000, max: { ip: 100, account: 2 }, keyBy: ['ip', 'account'], store: createMemoryStore() });
+    const fromAttacker = { ip: '203.0.113.1', body: { email: 'Victim@example.com' } };
+    const fromOwner = { ip: '198.51.100.7', body: { email: 'victim@example.com' } };
+
+    assert.equal(await attempt(limiter, fromAttacker), 'next');
+    assert.equal(await attempt(limiter, fromAttacker), 'next');
+    assert.equal(await attempt(limiter, fromAttacker), 429);
+    assert.equal(await attempt(limiter, fromOwner), 'next', 'the owner still gets in from their own IP');
+  });
+
+  it('keys signed-in requests by the account wherever they come from', async () => {
+    const limiter = rateLimit({ name: 'test-account', windowMs: 60 * 1000, max: { ip: 100, account: 1 }, keyBy: ['ip', 'account'], store: createMemoryStore() });
+    assert.equal(await attempt(limiter, { ip: '203.0.113.1', auth: { userId: 'user-1' }, body: {} }), 'next');
+    assert.equal(await attempt(limiter, { ip: '198.51.100.7', auth: { userId: 'user-1' }, body: {} }), 429);
+  });
+});
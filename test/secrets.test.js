@@ -0,0 +1,49 @@
+// Signing secrets: a missing one stops a production server from starting instead of being made up
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadSecret } = require('../lib/secrets');
+
+// Load a module in a fresh process with the given environment changes (undefined removes a variable)
+const loadModule = (modulePath, env) => {
+  const childEnv = { ...process.env, LOG_LEVEL: 'silent', ...env };
+  for (const key of Object.keys(childEnv)) if (childEnv[key] === undefined) delete childEnv[key];
+  return spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', modulePath))})`], { env: childEnv, encoding: 'utf8' });
+};
+
+describe('signing secrets', () => {
+  it('uses the configured value, or a random one outside production', () => {
+    assert.equal(loadSecret('TEST_SECRET', 'configured', 'nothing'), 'configured');
+    const fallback = loadSecret('TEST_SECRET', '', 'nothing');
+    assert.match(fallback, /^[0-9a-f]{64}$/);
+    assert.notEqual(loadSecret('TEST_SECRET', undefined, 'nothing'), fallback);
+  });
+
+  it('refuses to start in production without JWT_SECRET', () => {
+    const missing = loadModule('lib/tokens.js', { NODE_ENV: 'production', JWT_SECRET: undefined });
+    assert.notEqual(missing.status, 0);
+    assert.match(missing.stderr, /JWT_SECRET must be set in production/);
+
+    const configured = loadModule('lib/tokens.js', { NODE_ENV: 'production', JWT_SECRET: 'a-real-secret' });
+    assert.equal(configured.status, 0, configured.stderr);
+  });
+
+  it('refuses to start in production without a secret for 2FA', () => {
+    const missing = loadModule('lib/twoFactor.js', { NODE_ENV: 'production', TWO_FACTOR_SECRET: undefined, JWT_SECRET: undefined });
+    assert.notEqual(missing.status, 0);
+    assert.match(missing.stderr, /must be set in production/);
+
+    const configured = loadModule('lib/twoFactor.js', { NODE_ENV: 'production', TWO_FACTOR_SECRET: 'totp-secret', JWT_SECRET: 'a-real-secret' });
+    assert.equal(configured.status, 0, configured.stderr);
+  });
+
+  it('refuses to start in production without a secret for email codes', () => {
+    const missing = loadModule('lib/codes.js', { NODE_ENV: 'production', CODE_SECRET: undefined, JWT_SECRET: undefined });
+    assert.notEqual(missing.status, 0);
+    assert.match(missing.stderr, /CODE_SECRET must be set in production/);
+
+    const configured = loadModule('lib/codes.js', { NODE_ENV: 'production', CODE_SECRET: 'code-secret' });
+    assert.equal(configured.status, 0, configured.stderr);
+  });
+});
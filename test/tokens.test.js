@@ -0,0 +1,34 @@
+// Session tokens follow the injected clock
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createVerifiedUser } = require('./helpers');
+
+describe('session tokens', () => {
+  let app;
+  let offsetMs = 0;
+  const clock = { now: () => new Date(Date.now() + offsetMs) };
+
+  before(async () => {
+    app = await startTestServer({ clock });
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('expires refresh tokens by the app clock', async () => {
+    const user = await createVerifiedUser(app);
+
+    const fresh = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: user.refreshToken } });
+    assert.equal(fresh.status, 200);
+
+    offsetMs = 31 * 24 * 60 * 60 * 1000;
+    try {
+      const stale = await app.request('POST', '/api/auth/refresh', { body: { refreshToken: fresh.body.tokens.refreshToken } });
+      assert.equal(stale.status, 401);
+      assert.equal(stale.body.error, 'token_expired');
+    } finally {
+      offsetMs = 0;
+    }
+  });
+});
@@ -0,0 +1,162 @@
+// End to end: guest onboarding -> signup -> verify -> scan -> weekly plan -> complete every day -> week 2
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, getEmailedCode, waitFor, fakePhoto } = require('./helpers');
+
+describe('onboarding to next-week training flow', () => {
+  let app;
+  const email = 'flow@example.com';
+  const password = 'correct-horse-battery';
+  const onboardingData = { heightFeet: 5, heightInches: 11, weightLbs: 180, age: 28, gender: 'male', primaryGoal: 'aesthetics', trainingDaysPerWeek: 4 };
+  let guestToken;
+  let userId;
+  let accessToken;
+
+  before(async () => {
+    app = await startTestServer();
+  });
+
+  after(async () => {
+    await app?.stop();
+  });
+
+  it('saves onboarding answers for a guest', async () => {
+    const guest = await app.request('POST', '/api/guest');
+    assert.equal(guest.status, 200);
+
+    const saved = await app.request('POST', '/api/onboarding/save', {
+      headers: { 'x-guest-token': guest.body.guestToken },
+      body: { data: onboardingData },
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.tempId, guest.body.guestId);
+    guestToken = guest.body.guestToken;
+
+    const anonymous = await app.request('GET', `/api/onboarding/${guest.body.guestId}`);
+    assert.equal(anonymous.status, 401, 'onboarding is never readable by bare id');
+    const own = await app.request('GET', `/api/onboarding/${guest.body.guestId}`, { headers: { 'x-guest-token': guestToken } });
+    assert.deepEqual(own.body.data, onboardingData);
+  });
+
+  it('signs up and emails a verification code', async () => {
+    const signup = await app.request('POST', '/api/auth/signup', {
+      body: { email, password, username: 'flow_tester', firstName: 'Flow', guestToken },
+    });
+    assert.equal(signup.status, 200);
+    assert.ok(signup.body.userId);
+    assert.equal(signup.body.verificationCode, undefined, 'code must not leak when email is sent');
+    userId = signup.body.userId;
+
+    assert.match(getEmailedCode(app.mailer, email), /^\d{6}$/);
+    const user = await app.deps.models.User.findOne({ userId });
+    assert.equal(user.isVerified, false);
+  });
+
+  it('rejects a wrong code, then verifies and logs in with the emailed one', async () => {
+    const wrong = await app.request('POST', '/api/auth/verify', { body: { email, password, code: '000000' } });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error, 'code_invalid');
+
+    const verify = await app.request('POST', '/api/auth/verify', {
+      body: { email, password, code: getEmailedCode(app.mailer, email) },
+    });
+    assert.equal(verify.status, 200);
+    assert.equal(verify.body.autoLogin, true);
+    assert.deepEqual(verify.body.onboardingData, onboardingData, 'guest onboarding is claimed at signup');
+    accessToken = verify.body.tokens.accessToken;
+  });
+
+  it('scans the physique and builds the AI training plan in the background', async () => {
+    const scan = await app.request('POST', '/api/scan/analyze', {
+      token: accessToken,
+      body: { userId, frontPhoto: fakePhoto('front'), backPhoto: fakePhoto('back'), onboardingData },
+    });
+    assert.equal(scan.status, 200);
+    assert.equal(scan.body.scan.mogScore, 62);
+    assert.equal(scan.body.scan.userId, userId);
+
+    const { WorkoutPlan, User } = app.deps.models;
+    await waitFor(async () => (await WorkoutPlan.findOne({ userId }))?.weekId && (await User.findOne({ userId }))?.weeklyTrainingPlan);
+
+    const history = await app.request('GET', '/api/scan/history/me', { token: accessToken });
+    assert.equal(history.body.scans.length, 1);
+  });
+
+  it('returns the week 1 plan', async () => {
+    const weekly = await app.request('GET', `/api/training/${userId}/weekly`, { token: accessToken });
+    assert.equal(weekly.status, 200);
+    assert.equal(weekly.body.plan.currentWeek, 1);
+    assert.equal(weekly.body.plan.days.length, 6);
+    assert.equal(weekly.body.plan.days[0].status, 'today');
+    assert.ok(weekly.body.plan.days.every(day => day.exercises.length > 0));
+  });
+
+  it('completes every day and generates week 2', async () => {
+    let result;
+    for (const dayNumber of [1, 2, 3, 4, 5, 6]) {
+      result = await app.request('POST', `/api/training/${userId}/complete-day`, { token: accessToken, body: { dayNumber } });
+      assert.equal(result.status, 200, `day ${dayNumber}`);
+      assert.equal(result.body.dayCompleted, dayNumber);
+      assert.equal(result.body.allDaysCompleted, dayNumber === 6);
+    }
+
+    assert.equal(result.body.newWeekGenerated, true);
+    assert.equal(result.body.currentWeek, 2);
+    assert.equal(result.body.totalWorkouts, 6);
+    assert.ok(app.ai.calls.some(call => call.feature === 'nextWeekPlan'));
+
+    const weekly = await app.request('GET', `/api/training/${userId}/weekly`, { token: accessToken });
+    assert.equal(weekly.body.plan.currentWeek, 2);
+    assert.equal(weekly.body.plan.days.filter(day => day.status === 'done').length, 0);
+
+    const plan = await app.deps.models.WorkoutPlan.findOne({ userId });
+    assert.equal(plan.completedHistory.length, 6);
+  });
+
+  it('rejects a day that is not in the plan', async () => {
+    const missing = await app.request('POST', `/api/training/${userId}/complete-day`, { token: accessToken, body: { dayNumber: 7 } });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, 'day_not_found');
+  });
+
+  it("keeps other users' plans private", async () => {
+    const other = await app.request('GET', '/api/training/someone-else/weekly', { token: accessToken });
+    assert.equal(other.status, 403);
+    assert.equal(other.body.error, 'forbidden');
+
+    const anonymous = await app.request('GET', `/api/training/${userId}/weekly`);
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('only saves a scan under a guest id with that guest token', async () => {
+    const photos = { frontPhoto: fakePhoto('front'), backPhoto: fakePhoto('back') };
+    const guest = await app.request('POST', '/api/guest');
+
+    const bareId = await app.request('POST', '/api/scan/analyze', { body: { userId: guest.body.guestId, ...photos } });
+    assert.equal(bareId.status, 401);
+
+    const scan = await app.request('POST', '/api/scan/analyze', {
+      headers: { 'x-guest-token': guest.body.guestToken },
+      body: photos,
+    });
+    assert.equal(scan.status, 200);
+    assert.equal(scan.body.scan.userId, guest.body.guestId);
+  });
+
+  it("never writes or claims another guest's data by bare id", async () => {
+    const { Onboarding } = app.deps.models;
+    const victim = await app.request('POST', '/api/guest');
+    const guestId = victim.body.guestId;
+    await app.request('POST', '/api/onboarding/save', { headers: { 'x-guest-token': victim.body.guestToken }, body: { data: onboardingData } });
+
+    const overwrite = await app.request('POST', '/api/onboarding/save', { body: { tempId: guestId, data: { age: 99 } } });
+    assert.equal(overwrite.status, 200);
+    assert.notEqual(overwrite.body.tempId, guestId, 'a new guest is started instead');
+
+    const signup = await app.request('POST', '/api/auth/signup', {
+      body: { email: `claimer.${process.pid}@example.com`, password, username: `claimer_${process.pid}`, tempId: guestId },
+    });
+    assert.equal(signup.status, 200);
+    assert.deepEqual((await Onboarding.findOne({ userId: guestId })).data, onboardingData, 'still the guest\'s own answers');
+  });
+});